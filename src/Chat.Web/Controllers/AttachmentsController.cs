@@ -0,0 +1,165 @@
+using System;
+using System.IO;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Chat.Web.Repositories;
+using Chat.Web.Services;
+using Chat.Web.ViewModels;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+using Microsoft.Net.Http.Headers;
+
+namespace Chat.Web.Controllers
+{
+    [Authorize]
+    [Route("api/[controller]")]
+    [ApiController]
+    /// <summary>
+    /// Upload and download of message attachments (images and PDFs). An upload only stores the file;
+    /// it becomes part of a message when the uploader sends a message referencing its id.
+    /// </summary>
+    public class AttachmentsController : ControllerBase
+    {
+        private const int MaxFileNameLength = 200;
+
+        private readonly IAttachmentStore _store;
+        private readonly IRoomsRepository _rooms;
+        private readonly IUsersRepository _users;
+        private readonly ILogger<AttachmentsController> _logger;
+        private readonly Options.AttachmentOptions _options;
+
+        public AttachmentsController(IAttachmentStore store,
+            IRoomsRepository rooms,
+            IUsersRepository users,
+            ILogger<AttachmentsController> logger,
+            IOptions<Options.AttachmentOptions> options)
+        {
+            _store = store;
+            _rooms = rooms;
+            _users = users;
+            _logger = logger;
+            _options = options.Value;
+        }
+
+        /// <summary>
+        /// Stores an image (JPEG, PNG, GIF, WebP) or PDF for a room the caller can access.
+        /// The content type is detected from the file signature; the client-declared type is ignored.
+        /// </summary>
+        [HttpPost]
+        public async Task<IActionResult> Upload([FromForm] string room, IFormFile file, CancellationToken cancellationToken)
+        {
+            using var activity = Observability.Tracing.ActivitySource.StartActivity("api.attachments.upload");
+            if (file == null || file.Length == 0)
+                return BadRequest(new { error = "A file is required." });
+            if (file.Length > _options.MaxFileSizeBytes)
+                return StatusCode(StatusCodes.Status413PayloadTooLarge, new { error = $"Files can be at most {_options.MaxFileSizeBytes / (1024 * 1024)} MB." });
+
+            var target = string.IsNullOrWhiteSpace(room) ? null : await _rooms.GetByNameAsync(room);
+            if (target == null)
+                return NotFound(new { error = "Room not found" });
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            if (!RoomAccessPolicy.CanAccessRoom(user, target))
+                return Forbid();
+
+            await using var content = file.OpenReadStream();
+            var contentType = await DetectContentTypeAsync(content, cancellationToken);
+            if (contentType == null)
+                return BadRequest(new { error = "Only images (JPEG, PNG, GIF, WebP) and PDF files can be attached." });
+
+            StoredAttachment stored;
+            try
+            {
+                stored = await _store.SaveAsync(content, new StoredAttachment
+                {
+                    FileName = SanitizeFileName(file.FileName, contentType),
+                    ContentType = contentType,
+                    UploadedBy = user.UserName,
+                    RoomName = target.Name,
+                    UploadedAt = DateTime.UtcNow
+                }, cancellationToken);
+            }
+            catch (OperationCanceledException)
+            {
+                return StatusCode(StatusCodes.Status499ClientClosedRequest);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Attachment upload failed user={User} room={Room}", user.UserName, target.Name);
+                return StatusCode(StatusCodes.Status500InternalServerError);
+            }
+            activity?.SetTag("attachment.size", stored.Size);
+            activity?.SetTag("attachment.contentType", stored.ContentType);
+
+            return Ok(new MessageAttachmentViewModel
+            {
+                Id = stored.Id,
+                FileName = stored.FileName,
+                ContentType = stored.ContentType,
+                Size = stored.Size,
+                Url = "/api/Attachments/" + stored.Id
+            });
+        }
+
+        /// <summary>
+        /// Serves an attachment to members of the room it was uploaded for.
+        /// </summary>
+        [HttpGet("{id}")]
+        public async Task<IActionResult> Get(string id)
+        {
+            var stored = await _store.GetAsync(id);
+            if (stored == null)
+                return NotFound();
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            var room = await _rooms.GetByNameAsync(stored.RoomName);
+            if (!RoomAccessPolicy.CanAccessRoom(user, room))
+                return Forbid();
+
+            var stream = await _store.OpenReadAsync(id);
+            if (stream == null)
+                return NotFound();
+            Response.Headers[HeaderNames.ContentDisposition] = new ContentDispositionHeaderValue("inline") { FileNameStar = stored.FileName }.ToString();
+            Response.Headers[HeaderNames.CacheControl] = "private, max-age=86400";
+            Response.Headers["X-Content-Type-Options"] = "nosniff";
+            return File(stream, stored.ContentType);
+        }
+
+        /// <summary>
+        /// Detects the content type from the leading bytes of the file and rewinds the stream.
+        /// Returns null for anything other than the supported image formats and PDF.
+        /// </summary>
+        public static async Task<string> DetectContentTypeAsync(Stream content, CancellationToken cancellationToken = default)
+        {
+            var header = new byte[12];
+            var read = 0;
+            while (read < header.Length)
+            {
+                var n = await content.ReadAsync(header.AsMemory(read, header.Length - read), cancellationToken);
+                if (n == 0) break;
+                read += n;
+            }
+            content.Position = 0;
+
+            bool StartsWith(params byte[] signature) => read >= signature.Length && header.Take(signature.Length).SequenceEqual(signature);
+
+            if (StartsWith(0xFF, 0xD8, 0xFF)) return "image/jpeg";
+            if (StartsWith(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A)) return "image/png";
+            if (StartsWith(0x47, 0x49, 0x46, 0x38)) return "image/gif";
+            if (StartsWith(0x52, 0x49, 0x46, 0x46) && read >= 12 && header[8] == 0x57 && header[9] == 0x45 && header[10] == 0x42 && header[11] == 0x50) return "image/webp";
+            if (StartsWith(0x25, 0x50, 0x44, 0x46)) return "application/pdf";
+            return null;
+        }
+
+        private static string SanitizeFileName(string fileName, string contentType)
+        {
+            var name = Path.GetFileName(fileName ?? string.Empty);
+            name = new string(name.Where(c => !char.IsControl(c) && c != '"' && c != '\\' && c != '/').ToArray()).Trim();
+            if (name.Length > MaxFileNameLength) name = name.Substring(name.Length - MaxFileNameLength);
+            if (string.IsNullOrEmpty(name)) name = contentType == "application/pdf" ? "document.pdf" : "image";
+            return name;
+        }
+    }
+}
@@ -80,7 +80,151 @@ namespace Chat.Web.Controllers
                 
                 // Message Status
                 Delivered = _localizer["Delivered"].Value,
-                ReadBy = _localizer["ReadBy"].Value
+                ReadBy = _localizer["ReadBy"].Value,
+
+                // Message Actions
+                Edit = _localizer["Edit"].Value,
+                Edited = _localizer["Edited"].Value,
+                PreviousVersions = _localizer["PreviousVersions"].Value,
+                EditFailed = _localizer["EditFailed"].Value,
+                Save = _localizer["Save"].Value,
+                Cancel = _localizer["Cancel"].Value,
+                Delete = _localizer["Delete"].Value,
+                DeleteFailed = _localizer["DeleteFailed"].Value,
+                DeleteBlockedByEscalation = _localizer["DeleteBlockedByEscalation"].Value,
+                EditBlockedByEscalation = _localizer["EditBlockedByEscalation"].Value,
+                MessageWithdrawn = _localizer["MessageWithdrawn"].Value,
+                Reply = _localizer["Reply"].Value,
+                ReplyingTo = _localizer["ReplyingTo"].Value,
+                JumpToOriginal = _localizer["JumpToOriginal"].Value,
+                ReplyOriginalWithdrawn = _localizer["ReplyOriginalWithdrawn"].Value,
+                ReplyOriginalUnavailable = _localizer["ReplyOriginalUnavailable"].Value,
+                OriginalMessageNotFound = _localizer["OriginalMessageNotFound"].Value,
+                ReactionReceived = _localizer["ReactionReceived"].Value,
+                ReactionOnIt = _localizer["ReactionOnIt"].Value,
+                ReactionCannotTake = _localizer["ReactionCannotTake"].Value,
+                ReactionDone = _localizer["ReactionDone"].Value,
+                ReactionFailed = _localizer["ReactionFailed"].Value,
+                CallNumber = _localizer["CallNumber"].Value,
+                CopyCoordinates = _localizer["CopyCoordinates"].Value,
+                CopyIncidentId = _localizer["CopyIncidentId"].Value,
+                CopyFailed = _localizer["CopyFailed"].Value,
+                MentionedYou = _localizer["MentionedYou"].Value,
+                EnterSends = _localizer["EnterSends"].Value,
+                CtrlEnterSends = _localizer["CtrlEnterSends"].Value,
+                UserIsTyping = _localizer["UserIsTyping"].Value,
+                TwoUsersAreTyping = _localizer["TwoUsersAreTyping"].Value,
+                SeveralUsersAreTyping = _localizer["SeveralUsersAreTyping"].Value,
+                CancelUpload = _localizer["CancelUpload"].Value,
+                UploadFailed = _localizer["UploadFailed"].Value,
+                UploadKeepTabOpen = _localizer["UploadKeepTabOpen"].Value,
+                AttachmentTypeNotAllowed = _localizer["AttachmentTypeNotAllowed"].Value,
+                AttachmentTooLarge = _localizer["AttachmentTooLarge"].Value,
+                NoTemplates = _localizer["NoTemplates"].Value,
+                FavoriteTemplates = _localizer["FavoriteTemplates"].Value,
+                DispatchCenterTemplates = _localizer["DispatchCenterTemplates"].Value,
+                InsertTemplate = _localizer["InsertTemplate"].Value,
+                InsertTemplateVersion = _localizer["InsertTemplateVersion"].Value,
+                SaveTemplateAsFavorite = _localizer["SaveTemplateAsFavorite"].Value,
+                RemoveFavoriteTemplate = _localizer["RemoveFavoriteTemplate"].Value,
+                TemplateSaveFailed = _localizer["TemplateSaveFailed"].Value,
+                Pin = _localizer["Pin"].Value,
+                Unpin = _localizer["Unpin"].Value,
+                PinnedMessages = _localizer["PinnedMessages"].Value,
+                PinnedBy = _localizer["PinnedBy"].Value,
+                PinFailed = _localizer["PinFailed"].Value,
+                ShowPinned = _localizer["ShowPinned"].Value,
+                HidePinned = _localizer["HidePinned"].Value,
+                SearchMessages = _localizer["SearchMessages"].Value,
+                Searching = _localizer["Searching"].Value,
+                NoSearchResults = _localizer["NoSearchResults"].Value,
+                SearchFailed = _localizer["SearchFailed"].Value,
+                MatchInTranslation = _localizer["MatchInTranslation"].Value,
+                SearchResultNotLoaded = _localizer["SearchResultNotLoaded"].Value,
+                ViewingHistory = _localizer["ViewingHistory"].Value,
+                HistoryLoadFailed = _localizer["HistoryLoadFailed"].Value,
+                NewMessages = _localizer["NewMessages"].Value,
+                NewMessagesBelow = _localizer["NewMessagesBelow"].Value,
+                PriorityNormal = _localizer["PriorityNormal"].Value,
+                PriorityUrgent = _localizer["PriorityUrgent"].Value,
+                PriorityCritical = _localizer["PriorityCritical"].Value,
+                Acknowledge = _localizer["Acknowledge"].Value,
+                MorePriorityMessages = _localizer["MorePriorityMessages"].Value,
+                IncidentCard = _localizer["IncidentCard"].Value,
+                IncidentCategoryMedical = _localizer["IncidentCategoryMedical"].Value,
+                IncidentCategoryFire = _localizer["IncidentCategoryFire"].Value,
+                IncidentCategoryTraffic = _localizer["IncidentCategoryTraffic"].Value,
+                IncidentCategoryHazmat = _localizer["IncidentCategoryHazmat"].Value,
+                IncidentCategoryPolice = _localizer["IncidentCategoryPolice"].Value,
+                IncidentCategoryRescue = _localizer["IncidentCategoryRescue"].Value,
+                IncidentCategoryOther = _localizer["IncidentCategoryOther"].Value,
+                Address = _localizer["Address"].Value,
+                Coordinates = _localizer["Coordinates"].Value,
+                UnitsRequested = _localizer["UnitsRequested"].Value,
+                CallbackNumber = _localizer["CallbackNumber"].Value,
+                CopyAsText = _localizer["CopyAsText"].Value,
+                InvalidCoordinates = _localizer["InvalidCoordinates"].Value,
+                SharedLocation = _localizer["SharedLocation"].Value,
+                LocationAccuracy = _localizer["LocationAccuracy"].Value,
+                CoordinateFormatDecimal = _localizer["CoordinateFormatDecimal"].Value,
+                Copy = _localizer["Copy"].Value,
+                CoordinatesNotRecognized = _localizer["CoordinatesNotRecognized"].Value,
+                LocationUnavailable = _localizer["LocationUnavailable"].Value,
+                InvalidLocation = _localizer["InvalidLocation"].Value,
+                SendLater = _localizer["SendLater"].Value,
+                EditScheduledMessage = _localizer["EditScheduledMessage"].Value,
+                ScheduledMessagesCount = _localizer["ScheduledMessagesCount"].Value,
+                CancelScheduledMessage = _localizer["CancelScheduledMessage"].Value,
+                Dismiss = _localizer["Dismiss"].Value,
+                ScheduledNotSent = _localizer["ScheduledNotSent"].Value,
+                ScheduledDueOffline = _localizer["ScheduledDueOffline"].Value,
+                ScheduledSending = _localizer["ScheduledSending"].Value,
+                ScheduleTimeInPast = _localizer["ScheduleTimeInPast"].Value,
+                ScheduleOffline = _localizer["ScheduleOffline"].Value,
+                ScheduleFailed = _localizer["ScheduleFailed"].Value,
+                ExportProgress = _localizer["ExportProgress"].Value,
+                ExportDone = _localizer["ExportDone"].Value,
+                ExportIncomplete = _localizer["ExportIncomplete"].Value,
+                ExportIncompleteLabel = _localizer["ExportIncompleteLabel"].Value,
+                ExportIncompleteNote = _localizer["ExportIncompleteNote"].Value,
+                ExportFailed = _localizer["ExportFailed"].Value,
+                ExportInvalidRange = _localizer["ExportInvalidRange"].Value,
+                ExportTranscriptTitle = _localizer["ExportTranscriptTitle"].Value,
+                ExportRange = _localizer["ExportRange"].Value,
+                ExportExportedBy = _localizer["ExportExportedBy"].Value,
+                ExportMessageCount = _localizer["ExportMessageCount"].Value,
+                ExportAuthor = _localizer["ExportAuthor"].Value,
+                ExportMessage = _localizer["ExportMessage"].Value,
+                ExportTranslations = _localizer["ExportTranslations"].Value,
+                ExportReadBy = _localizer["ExportReadBy"].Value,
+                ExportEscalation = _localizer["ExportEscalation"].Value,
+                ExportNotes = _localizer["ExportNotes"].Value,
+                ExportTimestampUtc = _localizer["ExportTimestampUtc"].Value,
+                ExportDispatchCenter = _localizer["ExportDispatchCenter"].Value,
+                ExportPriority = _localizer["ExportPriority"].Value,
+                ExportReadByDispatchCenters = _localizer["ExportReadByDispatchCenters"].Value,
+                ExportWithdrawn = _localizer["ExportWithdrawn"].Value,
+                ExportEdited = _localizer["ExportEdited"].Value,
+                ExportReplyTo = _localizer["ExportReplyTo"].Value,
+                ExportAttachment = _localizer["ExportAttachment"].Value,
+                PrintDispatchCenters = _localizer["PrintDispatchCenters"].Value,
+                PrintPrintedBy = _localizer["PrintPrintedBy"].Value,
+                PrintTime = _localizer["PrintTime"].Value,
+                PrintOriginal = _localizer["PrintOriginal"].Value,
+                PrintNothingLoaded = _localizer["PrintNothingLoaded"].Value,
+                ForwardTo = _localizer["ForwardTo"].Value,
+                ForwardToRoom = _localizer["ForwardToRoom"].Value,
+                ForwardedFrom = _localizer["ForwardedFrom"].Value,
+                ForwardedTo = _localizer["ForwardedTo"].Value,
+                ForwardFailed = _localizer["ForwardFailed"].Value,
+                AttachmentNotForwarded = _localizer["AttachmentNotForwarded"].Value,
+                CopyLink = _localizer["CopyLink"].Value,
+                LinkCopied = _localizer["LinkCopied"].Value,
+                PermalinkNoAccess = _localizer["PermalinkNoAccess"].Value,
+                PermalinkNotFound = _localizer["PermalinkNotFound"].Value,
+                OutboxFull = _localizer["OutboxFull"].Value,
+                OutboxLeftovers = _localizer["OutboxLeftovers"].Value,
+                OutboxRoomUnavailable = _localizer["OutboxRoomUnavailable"].Value
             });
         }
     }
@@ -29,6 +29,7 @@ namespace Chat.Web.Controllers
     /// </summary>
     public class MessagesController : ControllerBase
     {
+        private const int MaxPinnedMessagesPerRoom = 20;
         private static readonly Regex StripTagsRegex = new Regex(@"<.*?>", RegexOptions.Compiled, TimeSpan.FromMilliseconds(500));
 
         private readonly IMessagesRepository _messages;
@@ -73,11 +74,12 @@ namespace Chat.Web.Controllers
             }
 
             message.ToRoom = room;
+            var replyTarget = message.ReplyToId.HasValue ? await _messages.GetByIdAsync(message.ReplyToId.Value) : null;
 
             var vm = new MessageViewModel
             {
                 Id = message.Id,
-                Content = message.Content,
+                Content = message.IsDeleted ? string.Empty : message.Content,
                 FromUserName = message.FromUser?.UserName,
                 FromFullName = message.FromUser?.FullName,
                 Avatar = message.FromUser?.Avatar,
@@ -86,24 +88,41 @@ namespace Chat.Web.Controllers
                 Timestamp = message.Timestamp,
                 ReadBy = message.ReadBy != null ? message.ReadBy.ToArray() : Array.Empty<string>(),
                 ReadByDispatchCenterIds = message.ReadByDispatchCenterIds != null ? message.ReadByDispatchCenterIds.ToArray() : Array.Empty<string>(),
+                Reactions = MapReactions(message),
                 EscalationStatus = message.EscalationStatus.ToString(),
                 OpenEscalationId = message.OpenEscalationId,
+                Priority = message.Priority.ToString(),
                 TranslationStatus = message.TranslationStatus.ToString(),
                 SourceLanguage = Chat.Web.Utilities.LanguageCode.NormalizeToLanguageCode(message.FromUser?.PreferredLanguage, allowAuto: true) ?? "auto",
-                Translations = message.Translations ?? new System.Collections.Generic.Dictionary<string, string>(),
-                IsTranslated = message.IsTranslated
+                Translations = message.IsDeleted ? new System.Collections.Generic.Dictionary<string, string>() : message.Translations ?? new System.Collections.Generic.Dictionary<string, string>(),
+                IsTranslated = message.IsTranslated,
+                EditedAt = message.EditedAt,
+                EditHistory = MapEditHistory(message),
+                DeletedAt = message.DeletedAt,
+                DeletedBy = message.DeletedByUserName,
+                ReplyToId = message.ReplyToId,
+                ReplyTo = MessageReplyPreviewViewModel.From(replyTarget),
+                Attachment = message.IsDeleted ? null : MessageAttachmentViewModel.From(message.Attachment),
+                Card = message.IsDeleted ? null : IncidentCardViewModel.From(message.Card),
+                Location = message.IsDeleted ? null : MessageLocationViewModel.From(message.Location),
+                ForwardedFrom = message.IsDeleted ? null : MessageForwardViewModel.From(message.ForwardedFrom),
+                PinnedAt = message.PinnedAt,
+                PinnedBy = message.PinnedByUserName
             };
             return Ok(vm);
         }
 
         /// <summary>
-        /// Get recent messages for a room. Optionally page backwards using a 'before' timestamp.
+        /// Get recent messages for a room. Optionally page backwards using a 'before' timestamp,
+        /// or forwards from an 'after' timestamp (inclusive) when browsing a history window.
         /// </summary>
         [HttpGet("Room/{roomName}")]
-        public async Task<IActionResult> GetMessages(string roomName, [FromQuery] DateTime? before = null, [FromQuery] int take = 20)
+        public async Task<IActionResult> GetMessages(string roomName, [FromQuery] DateTime? before = null, [FromQuery] int take = 20, [FromQuery] DateTime? after = null)
         {
             if (take <= 0) take = 1;
             if (take > 100) take = 100; // cap
+            if (before.HasValue && after.HasValue)
+                return BadRequest(new { error = "Specify either 'before' or 'after', not both." });
             var room = await _rooms.GetByNameAsync(roomName);
             if (room == null)
                 return NotFound();
@@ -113,12 +132,16 @@ namespace Chat.Web.Controllers
 
             IEnumerable<Message> source = before.HasValue
                 ? await _messages.GetBeforeByRoomAsync(room.Name, before.Value, take)
-                : await _messages.GetRecentByRoomAsync(room.Name, take);
+                : after.HasValue
+                    ? await _messages.GetAfterByRoomAsync(room.Name, after.Value, take)
+                    : await _messages.GetRecentByRoomAsync(room.Name, take);
+            source = source.ToList();
+            var replyTargets = await LoadReplyTargetsAsync(source);
 
             var items = source.Select(m => new MessageViewModel
             {
                 Id = m.Id,
-                Content = m.Content,
+                Content = m.IsDeleted ? string.Empty : m.Content,
                 FromUserName = m.FromUser?.UserName,
                 FromFullName = m.FromUser?.FullName,
                 Avatar = m.FromUser?.Avatar,
@@ -127,16 +150,48 @@ namespace Chat.Web.Controllers
                 Timestamp = m.Timestamp,
                 ReadBy = m.ReadBy != null ? m.ReadBy.ToArray() : Array.Empty<string>(),
                 ReadByDispatchCenterIds = m.ReadByDispatchCenterIds != null ? m.ReadByDispatchCenterIds.ToArray() : Array.Empty<string>(),
+                Reactions = MapReactions(m),
                 EscalationStatus = m.EscalationStatus.ToString(),
                 OpenEscalationId = m.OpenEscalationId,
+                Priority = m.Priority.ToString(),
                 TranslationStatus = m.TranslationStatus.ToString(),
                 SourceLanguage = Chat.Web.Utilities.LanguageCode.NormalizeToLanguageCode(m.FromUser?.PreferredLanguage, allowAuto: true) ?? "auto",
-                Translations = m.Translations ?? new System.Collections.Generic.Dictionary<string, string>(),
-                IsTranslated = m.IsTranslated
+                Translations = m.IsDeleted ? new System.Collections.Generic.Dictionary<string, string>() : m.Translations ?? new System.Collections.Generic.Dictionary<string, string>(),
+                IsTranslated = m.IsTranslated,
+                EditedAt = m.EditedAt,
+                EditHistory = MapEditHistory(m),
+                DeletedAt = m.DeletedAt,
+                DeletedBy = m.DeletedByUserName,
+                ReplyToId = m.ReplyToId,
+                ReplyTo = m.ReplyToId.HasValue && replyTargets.TryGetValue(m.ReplyToId.Value, out var target)
+                    ? MessageReplyPreviewViewModel.From(target)
+                    : null,
+                Attachment = m.IsDeleted ? null : MessageAttachmentViewModel.From(m.Attachment),
+                Card = m.IsDeleted ? null : IncidentCardViewModel.From(m.Card),
+                Location = m.IsDeleted ? null : MessageLocationViewModel.From(m.Location),
+                ForwardedFrom = m.IsDeleted ? null : MessageForwardViewModel.From(m.ForwardedFrom),
+                PinnedAt = m.PinnedAt,
+                PinnedBy = m.PinnedByUserName
             });
             return Ok(items);
         }
 
+        /// <summary>
+        /// Resolves the originals quoted by a page of messages. Originals on the same page are reused;
+        /// older ones are looked up individually.
+        /// </summary>
+        private async Task<Dictionary<int, Message>> LoadReplyTargetsAsync(IEnumerable<Message> page)
+        {
+            var byId = page.GroupBy(m => m.Id).ToDictionary(g => g.Key, g => g.First());
+            var targets = new Dictionary<int, Message>();
+            foreach (var replyToId in page.Where(m => m.ReplyToId.HasValue).Select(m => m.ReplyToId.Value).Distinct())
+            {
+                var target = byId.TryGetValue(replyToId, out var local) ? local : await _messages.GetByIdAsync(replyToId);
+                if (target != null) targets[replyToId] = target;
+            }
+            return targets;
+        }
+
         /// <summary>
         /// Create a message in a room (fallback path used by tests / immediate post after auth race mitigation).
         /// Still broadcasts over the hub for consistency with realtime clients.
@@ -146,6 +201,22 @@ namespace Chat.Web.Controllers
             public string Room { get; set; }
             public string Content { get; set; }
             public string CorrelationId { get; set; }
+            /// <summary>
+            /// Optional id of an earlier message in the same room being replied to.
+            /// </summary>
+            public int? ReplyToId { get; set; }
+            /// <summary>
+            /// Optional priority (Normal, Urgent, Critical); defaults to Normal.
+            /// </summary>
+            public string Priority { get; set; }
+            /// <summary>
+            /// Optional incident card; <see cref="Content"/> then holds the card's details and may be empty.
+            /// </summary>
+            public IncidentCardViewModel Card { get; set; }
+            /// <summary>
+            /// Optional shared location; <see cref="Content"/> then holds an optional note.
+            /// </summary>
+            public MessageLocationViewModel Location { get; set; }
         }
 
         [HttpPost]
@@ -159,7 +230,7 @@ namespace Chat.Web.Controllers
             {
                 return NotFound(); // Pretend endpoint absent in production
             }
-            if (dto == null || string.IsNullOrWhiteSpace(dto.Room) || string.IsNullOrWhiteSpace(dto.Content))
+            if (dto == null || string.IsNullOrWhiteSpace(dto.Room) || (string.IsNullOrWhiteSpace(dto.Content) && dto.Card == null && dto.Location == null))
                 return BadRequest();
 
             var room = await _rooms.GetByNameAsync(dto.Room);
@@ -172,17 +243,38 @@ namespace Chat.Web.Controllers
                 return Forbid();
             }
 
+            if (!Chat.Web.Utilities.MessagePriorityParser.TryParse(dto.Priority, out var priority))
+                return BadRequest(new { error = "Priority must be Normal, Urgent or Critical." });
+            var card = dto.Card?.ToModel();
+            if (card != null && Chat.Web.Utilities.IncidentCardRules.Validate(card) is string cardError)
+                return BadRequest(new { error = cardError });
+            var location = dto.Location?.ToModel();
+            if (location != null && Chat.Web.Utilities.MessageLocationRules.Validate(location) is string locationError)
+                return BadRequest(new { error = locationError });
+
             var senderDispatchCenterId = RoomAccessPolicy.ResolveDispatchCenterIdForRoom(user, room);
 
+            Message replyTarget = null;
+            if (dto.ReplyToId.HasValue)
+            {
+                replyTarget = await _messages.GetByIdAsync(dto.ReplyToId.Value);
+                if (replyTarget == null || !string.Equals(replyTarget.ToRoom?.Name, room.Name, StringComparison.Ordinal))
+                    return BadRequest(new { error = "Replied-to message not found in this room." });
+            }
+
             // Sanitize (strip tags) similar to hub path.
-            var sanitized = StripTagsRegex.Replace(dto.Content, string.Empty);
+            var sanitized = StripTagsRegex.Replace(dto.Content ?? string.Empty, string.Empty);
             var message = new Message
             {
                 Content = sanitized,
                 FromUser = user,
                 FromDispatchCenterId = senderDispatchCenterId,
                 ToRoom = room,
-                Timestamp = DateTime.UtcNow
+                Timestamp = DateTime.UtcNow,
+                ReplyToId = replyTarget?.Id,
+                Card = card,
+                Location = location,
+                Priority = priority
             };
             try
             {
@@ -210,10 +302,15 @@ namespace Chat.Web.Controllers
                 ReadByDispatchCenterIds = message.ReadByDispatchCenterIds != null ? message.ReadByDispatchCenterIds.ToArray() : Array.Empty<string>(),
                 EscalationStatus = message.EscalationStatus.ToString(),
                 OpenEscalationId = message.OpenEscalationId,
+                Priority = message.Priority.ToString(),
                 TranslationStatus = message.TranslationStatus.ToString(),
                 SourceLanguage = Chat.Web.Utilities.LanguageCode.NormalizeToLanguageCode(message.FromUser?.PreferredLanguage, allowAuto: true) ?? "auto",
                 Translations = message.Translations ?? new System.Collections.Generic.Dictionary<string, string>(),
-                IsTranslated = message.IsTranslated
+                IsTranslated = message.IsTranslated,
+                ReplyToId = message.ReplyToId,
+                ReplyTo = MessageReplyPreviewViewModel.From(replyTarget),
+                Card = IncidentCardViewModel.From(message.Card),
+                Location = MessageLocationViewModel.From(message.Location)
             };
 
             // Fire-and-forget hub broadcast (do not block API latency on network fan-out)
@@ -222,6 +319,506 @@ namespace Chat.Web.Controllers
             return Created($"/api/Messages/{vm.Id}", vm);
         }
 
+        public class EditMessageDto
+        {
+            public string Content { get; set; }
+        }
+
+        /// <summary>
+        /// Edit one of the caller's own messages. The previous content is kept in the edit history,
+        /// translation is re-run for the new text and the change is broadcast to the room as <c>messageEdited</c>.
+        /// </summary>
+        [HttpPut("{id}")]
+        public async Task<IActionResult> Edit(
+            int id,
+            [FromBody] EditMessageDto dto,
+            [FromServices] ITranslationJobQueue translationQueue,
+            [FromServices] IOptions<Options.TranslationOptions> translationOptions)
+        {
+            using var activity = Observability.Tracing.ActivitySource.StartActivity("api.messages.edit");
+            activity?.SetTag("message.id", id);
+            if (dto == null || string.IsNullOrWhiteSpace(dto.Content))
+                return BadRequest(new { error = "Message content is required." });
+
+            var message = await _messages.GetByIdAsync(id);
+            if (message == null)
+                return NotFound(new { error = "Message not found" });
+
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            var room = await _rooms.GetByNameAsync(message.ToRoom?.Name);
+            if (!RoomAccessPolicy.CanAccessRoom(user, room))
+            {
+                return Forbid();
+            }
+            if (!string.Equals(message.FromUser?.UserName, user.UserName, StringComparison.OrdinalIgnoreCase))
+            {
+                return StatusCode(StatusCodes.Status403Forbidden, new { error = "Only the sender can edit this message." });
+            }
+            if (message.IsDeleted)
+            {
+                return Conflict(new { error = "This message has been withdrawn and can no longer be edited." });
+            }
+            if (message.EscalationStatus is MessageEscalationStatus.Scheduled or MessageEscalationStatus.Escalated)
+            {
+                return Conflict(new
+                {
+                    error = "This message is part of an open escalation and cannot be edited.",
+                    reason = "escalation",
+                    escalationStatus = message.EscalationStatus.ToString()
+                });
+            }
+
+            var sanitized = StripTagsRegex.Replace(dto.Content, string.Empty);
+            if (string.IsNullOrWhiteSpace(sanitized))
+                return BadRequest(new { error = "Message content is required." });
+            if (string.Equals(sanitized, message.Content, StringComparison.Ordinal))
+                return NoContent();
+
+            Message updated;
+            try
+            {
+                updated = await _messages.EditAsync(id, sanitized, DateTime.UtcNow);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Message edit failed user={User} message={MessageId}", User?.Identity?.Name, id);
+                return StatusCode(StatusCodes.Status500InternalServerError);
+            }
+            if (updated == null)
+                return NotFound(new { error = "Message not found" });
+
+            // Previous translations describe the old text; re-run translation for the new content.
+            var translationSettings = translationOptions.Value;
+            if (translationSettings.Enabled)
+            {
+                try
+                {
+                    var sourceLanguage = Chat.Web.Utilities.LanguageCode.NormalizeToLanguageCode(user.PreferredLanguage) ?? "auto";
+                    updated = await TranslationJobFactory.EnqueueAsync(translationQueue, _messages, translationSettings, updated, room, sourceLanguage);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "Failed to enqueue translation job for edited message {MessageId}, translation will be skipped", id);
+                }
+            }
+
+            var payload = new
+            {
+                id = updated.Id,
+                content = updated.Content,
+                editedAt = updated.EditedAt,
+                editHistory = MapEditHistory(updated),
+                translationStatus = updated.TranslationStatus.ToString(),
+                translations = updated.Translations ?? new Dictionary<string, string>()
+            };
+
+            _logger.LogInformation("Message {MessageId} edited by user {User}", id, User.Identity.Name);
+            _ = _hubContext.Clients.Group(room.Name).SendAsync("messageEdited", payload);
+            return Ok(payload);
+        }
+
+        /// <summary>
+        /// Withdraw one of the caller's own messages. The message is soft-deleted: its content is kept for audit,
+        /// while clients receive a <c>messageDeleted</c> event and render a tombstone in its place.
+        /// Messages with an open escalation (Scheduled/Escalated) cannot be withdrawn, because escalation
+        /// snapshots must stay consistent with the conversation.
+        /// </summary>
+        [HttpDelete("{id}")]
+        public async Task<IActionResult> Delete(int id)
+        {
+            using var activity = Observability.Tracing.ActivitySource.StartActivity("api.messages.delete");
+            activity?.SetTag("message.id", id);
+            var message = await _messages.GetByIdAsync(id);
+            if (message == null)
+                return NotFound(new { error = "Message not found" });
+
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            var room = await _rooms.GetByNameAsync(message.ToRoom?.Name);
+            if (!RoomAccessPolicy.CanAccessRoom(user, room))
+            {
+                return Forbid();
+            }
+            if (!string.Equals(message.FromUser?.UserName, user.UserName, StringComparison.OrdinalIgnoreCase))
+            {
+                return StatusCode(StatusCodes.Status403Forbidden, new { error = "Only the sender can delete this message." });
+            }
+            if (message.EscalationStatus is MessageEscalationStatus.Scheduled or MessageEscalationStatus.Escalated)
+            {
+                return Conflict(new
+                {
+                    error = "This message is part of an open escalation and cannot be deleted.",
+                    reason = "escalation",
+                    escalationStatus = message.EscalationStatus.ToString()
+                });
+            }
+
+            Message updated;
+            try
+            {
+                updated = await _messages.DeleteAsync(id, message.FromUser.UserName, DateTime.UtcNow);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Message delete failed user={User} message={MessageId}", User?.Identity?.Name, id);
+                return StatusCode(StatusCodes.Status500InternalServerError);
+            }
+            if (updated == null)
+                return NotFound(new { error = "Message not found" });
+
+            var payload = new
+            {
+                id = updated.Id,
+                deletedAt = updated.DeletedAt,
+                deletedBy = updated.DeletedByUserName
+            };
+
+            _logger.LogInformation("Message {MessageId} withdrawn by user {User}", id, User.Identity.Name);
+            _ = _hubContext.Clients.Group(room.Name).SendAsync("messageDeleted", payload);
+            return Ok(payload);
+        }
+
+        public class ReactionDto
+        {
+            public string Reaction { get; set; }
+        }
+
+        /// <summary>
+        /// Toggle the caller's dispatch-center acknowledgement (Received / OnIt / CannotTake / Done) on a message.
+        /// Each dispatch center holds at most one reaction; choosing the current one again clears it.
+        /// The aggregated reactions are broadcast to the room as <c>reactionChanged</c>.
+        /// </summary>
+        [HttpPost("{id}/reactions")]
+        public async Task<IActionResult> React(int id, [FromBody] ReactionDto dto)
+        {
+            using var activity = Observability.Tracing.ActivitySource.StartActivity("api.messages.react");
+            activity?.SetTag("message.id", id);
+            if (dto == null
+                || string.IsNullOrWhiteSpace(dto.Reaction)
+                || !Enum.TryParse<MessageReaction>(dto.Reaction, ignoreCase: true, out var reaction)
+                || !Enum.IsDefined(reaction)
+                || int.TryParse(dto.Reaction, out _))
+            {
+                return BadRequest(new { error = "Unknown reaction." });
+            }
+
+            var message = await _messages.GetByIdAsync(id);
+            if (message == null)
+                return NotFound(new { error = "Message not found" });
+
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            var room = await _rooms.GetByNameAsync(message.ToRoom?.Name);
+            if (!RoomAccessPolicy.CanAccessRoom(user, room))
+            {
+                return Forbid();
+            }
+            if (message.IsDeleted)
+            {
+                return Conflict(new { error = "This message has been withdrawn." });
+            }
+            var dispatchCenterId = RoomAccessPolicy.ResolveDispatchCenterIdForRoom(user, room);
+            if (string.IsNullOrWhiteSpace(dispatchCenterId))
+            {
+                return Forbid();
+            }
+
+            Message updated;
+            try
+            {
+                updated = await _messages.ToggleReactionAsync(id, dispatchCenterId, reaction);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Message reaction failed user={User} message={MessageId}", User?.Identity?.Name, id);
+                return StatusCode(StatusCodes.Status500InternalServerError);
+            }
+            if (updated == null)
+                return NotFound(new { error = "Message not found" });
+
+            var payload = new
+            {
+                id = updated.Id,
+                reactions = MapReactions(updated)
+            };
+
+            _ = _hubContext.Clients.Group(room.Name).SendAsync("reactionChanged", payload);
+            return Ok(payload);
+        }
+
+        /// <summary>
+        /// Pinned messages of a room (most recently pinned first) for the pinned strip under the room header.
+        /// </summary>
+        [HttpGet("Room/{roomName}/pinned")]
+        public async Task<IActionResult> GetPinned(string roomName)
+        {
+            var room = await _rooms.GetByNameAsync(roomName);
+            if (room == null)
+                return NotFound();
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            if (!RoomAccessPolicy.CanAccessRoom(user, room))
+                return Forbid();
+
+            var pinned = (await _messages.GetPinnedByRoomAsync(room.Name))
+                .Where(m => !m.IsDeleted)
+                .Select(PinnedMessageViewModel.From)
+                .ToList();
+            return Ok(pinned);
+        }
+
+        /// <summary>
+        /// Full-text search of a room's history (content and translations), newest first.
+        /// Page with <paramref name="skip"/>; <c>hasMore</c> tells whether another page exists.
+        /// </summary>
+        [HttpGet("Room/{roomName}/search")]
+        public async Task<IActionResult> Search(string roomName, [FromQuery] string q, [FromQuery] int skip = 0, [FromQuery] int take = 20)
+        {
+            using var activity = Observability.Tracing.ActivitySource.StartActivity("api.messages.search");
+            if (skip < 0) skip = 0;
+            if (take <= 0) take = 1;
+            if (take > 50) take = 50; // cap
+            var query = Chat.Web.Utilities.MessageSearch.NormalizeQuery(q);
+            if (query == null)
+                return BadRequest(new { error = $"Search text must be at least {Chat.Web.Utilities.MessageSearch.MinQueryLength} characters long." });
+            var room = await _rooms.GetByNameAsync(roomName);
+            if (room == null)
+                return NotFound();
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            if (!RoomAccessPolicy.CanAccessRoom(user, room))
+                return Forbid();
+
+            // One extra hit tells whether there is another page
+            var hits = (await _messages.SearchByRoomAsync(room.Name, query, skip, take + 1)).ToList();
+            activity?.SetTag("search.hits", hits.Count);
+            return Ok(new
+            {
+                items = hits.Take(take).Select(m => MessageSearchResultViewModel.From(m, query)).ToList(),
+                hasMore = hits.Count > take
+            });
+        }
+
+        /// <summary>
+        /// Pin a message to its room. Any room participant can pin; the change is broadcast as <c>pinChanged</c>.
+        /// </summary>
+        [HttpPost("{id}/pin")]
+        public Task<IActionResult> Pin(int id) => SetPinnedAsync(id, pinned: true);
+
+        /// <summary>
+        /// Unpin a message. Any room participant can unpin; the change is broadcast as <c>pinChanged</c>.
+        /// </summary>
+        [HttpDelete("{id}/pin")]
+        public Task<IActionResult> Unpin(int id) => SetPinnedAsync(id, pinned: false);
+
+        private async Task<IActionResult> SetPinnedAsync(int id, bool pinned)
+        {
+            using var activity = Observability.Tracing.ActivitySource.StartActivity(pinned ? "api.messages.pin" : "api.messages.unpin");
+            activity?.SetTag("message.id", id);
+            var message = await _messages.GetByIdAsync(id);
+            if (message == null)
+                return NotFound(new { error = "Message not found" });
+
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            var room = await _rooms.GetByNameAsync(message.ToRoom?.Name);
+            if (!RoomAccessPolicy.CanAccessRoom(user, room))
+            {
+                return Forbid();
+            }
+            if (pinned && message.IsDeleted)
+            {
+                return Conflict(new { error = "This message has been withdrawn." });
+            }
+            if (pinned && !message.IsPinned)
+            {
+                var pinnedCount = (await _messages.GetPinnedByRoomAsync(room.Name)).Count(m => !m.IsDeleted);
+                if (pinnedCount >= MaxPinnedMessagesPerRoom)
+                {
+                    return Conflict(new { error = $"A room can have at most {MaxPinnedMessagesPerRoom} pinned messages. Unpin one first." });
+                }
+            }
+
+            // Pinning a pinned message (or unpinning an unpinned one) is a no-op, e.g. when two participants click at once
+            var changed = pinned != message.IsPinned;
+            Message updated = message;
+            if (changed)
+            {
+                try
+                {
+                    updated = await _messages.SetPinnedAsync(id, user.UserName, pinned ? DateTime.UtcNow : null);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Message pin change failed user={User} message={MessageId}", User?.Identity?.Name, id);
+                    return StatusCode(StatusCodes.Status500InternalServerError);
+                }
+                if (updated == null)
+                    return NotFound(new { error = "Message not found" });
+            }
+
+            var payload = new
+            {
+                id = updated.Id,
+                pinnedAt = updated.PinnedAt,
+                pinnedBy = updated.PinnedByUserName,
+                pin = updated.IsPinned ? PinnedMessageViewModel.From(updated) : null
+            };
+
+            if (changed)
+            {
+                _logger.LogInformation("Message {MessageId} {Action} by user {User}", id, pinned ? "pinned" : "unpinned", User.Identity.Name);
+                _ = _hubContext.Clients.Group(room.Name).SendAsync("pinChanged", payload);
+            }
+            return Ok(payload);
+        }
+
+        private static Dictionary<string, string[]> MapReactions(Message message)
+        {
+            return message.Reactions?
+                .Where(kv => kv.Value != null && kv.Value.Count > 0)
+                .ToDictionary(kv => kv.Key, kv => kv.Value.ToArray()) ?? new Dictionary<string, string[]>();
+        }
+
+        private static MessageVersionViewModel[] MapEditHistory(Message message)
+        {
+            // Superseded versions of a withdrawn message are retained for audit only.
+            if (message.IsDeleted) return Array.Empty<MessageVersionViewModel>();
+            return message.EditHistory?
+                .Select(v => new MessageVersionViewModel { Content = v.Content, Timestamp = v.Timestamp })
+                .ToArray() ?? Array.Empty<MessageVersionViewModel>();
+        }
+
+        public class ForwardMessageDto
+        {
+            /// <summary>
+            /// Name of the room to forward the message to.
+            /// </summary>
+            public string Room { get; set; }
+        }
+
+        /// <summary>
+        /// Forward a message to another room the caller can post to. The new message repeats the original text
+        /// (and incident card / location) under an attribution block naming the original author, dispatch center,
+        /// room and time, and gets its own translation run in the target room's languages. Attachments stay in
+        /// the original room: attachment-only messages cannot be forwarded, and for text with an attachment the
+        /// attribution notes that the attachment was not forwarded.
+        /// </summary>
+        [HttpPost("{id}/forward")]
+        public async Task<IActionResult> Forward(
+            int id,
+            [FromBody] ForwardMessageDto dto,
+            [FromServices] IDispatchCentersRepository dispatchCenters,
+            [FromServices] ITranslationJobQueue translationQueue,
+            [FromServices] IOptions<Options.TranslationOptions> translationOptions,
+            [FromServices] Services.IInProcessMetrics metrics)
+        {
+            using var activity = Observability.Tracing.ActivitySource.StartActivity("api.messages.forward");
+            activity?.SetTag("message.id", id);
+            if (dto == null || string.IsNullOrWhiteSpace(dto.Room))
+                return BadRequest(new { error = "Target room is required." });
+
+            var original = await _messages.GetByIdAsync(id);
+            if (original == null)
+                return NotFound(new { error = "Message not found" });
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            var sourceRoom = await _rooms.GetByNameAsync(original.ToRoom?.Name);
+            if (!RoomAccessPolicy.CanAccessRoom(user, sourceRoom))
+                return Forbid();
+            var targetRoom = await _rooms.GetByNameAsync(dto.Room);
+            if (!RoomAccessPolicy.CanAccessRoom(user, targetRoom))
+                return Forbid();
+            if (string.Equals(targetRoom.Name, sourceRoom.Name, StringComparison.Ordinal))
+                return BadRequest(new { error = "Choose a different room to forward to." });
+            if (original.IsDeleted)
+                return Conflict(new { error = "This message has been withdrawn and can no longer be forwarded." });
+            if (string.IsNullOrWhiteSpace(original.Content) && original.Card == null && original.Location == null)
+                return BadRequest(new { error = "Attachments cannot be forwarded." });
+
+            // Forwarding a forwarded message keeps pointing at the first original.
+            var attribution = original.ForwardedFrom;
+            if (attribution == null)
+            {
+                var originCenter = string.IsNullOrWhiteSpace(original.FromDispatchCenterId)
+                    ? null
+                    : await dispatchCenters.GetByIdAsync(original.FromDispatchCenterId);
+                attribution = new MessageForward
+                {
+                    OriginalMessageId = original.Id,
+                    RoomName = sourceRoom.Name,
+                    RoomDisplayName = sourceRoom.DisplayName,
+                    FromUserName = original.FromUser?.UserName,
+                    FromFullName = original.FromUser?.FullName,
+                    FromDispatchCenterId = original.FromDispatchCenterId,
+                    FromDispatchCenterName = originCenter?.Name,
+                    Timestamp = original.Timestamp,
+                    AttachmentOmitted = original.Attachment != null
+                };
+            }
+
+            var message = new Message
+            {
+                Content = original.Content ?? string.Empty,
+                FromUser = user,
+                FromDispatchCenterId = RoomAccessPolicy.ResolveDispatchCenterIdForRoom(user, targetRoom),
+                ToRoom = targetRoom,
+                Timestamp = DateTime.UtcNow,
+                Card = original.Card,
+                Location = original.Location,
+                ForwardedFrom = attribution
+            };
+            try
+            {
+                message = await _messages.CreateAsync(message);
+                await _escalations.ScheduleAutomaticAsync(message);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Message forward failed user={User} message={MessageId} room={Room}", Chat.Web.Utilities.LogSanitizer.Sanitize(User?.Identity?.Name), id, targetRoom.Name);
+                return StatusCode(StatusCodes.Status500InternalServerError);
+            }
+
+            // The text was written by the original author, not the forwarder, so the source language is detected.
+            const string sourceLanguage = "auto";
+            var translationSettings = translationOptions.Value;
+            if (translationSettings.Enabled && !string.IsNullOrWhiteSpace(message.Content))
+            {
+                try
+                {
+                    await TranslationJobFactory.EnqueueAsync(translationQueue, _messages, translationSettings, message, targetRoom, sourceLanguage);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "Failed to enqueue translation job for forwarded message {MessageId}, translation will be skipped", message.Id);
+                }
+            }
+
+            var vm = new MessageViewModel
+            {
+                Id = message.Id,
+                Content = message.Content,
+                FromUserName = user.UserName,
+                FromFullName = user.FullName,
+                Avatar = user.Avatar,
+                FromDispatchCenterId = message.FromDispatchCenterId,
+                Room = targetRoom.Name,
+                Timestamp = message.Timestamp,
+                ReadBy = message.ReadBy?.ToArray() ?? Array.Empty<string>(),
+                ReadByDispatchCenterIds = message.ReadByDispatchCenterIds?.ToArray() ?? Array.Empty<string>(),
+                EscalationStatus = message.EscalationStatus.ToString(),
+                OpenEscalationId = message.OpenEscalationId,
+                Priority = message.Priority.ToString(),
+                TranslationStatus = message.TranslationStatus.ToString(),
+                SourceLanguage = sourceLanguage,
+                Translations = message.Translations ?? new Dictionary<string, string>(),
+                IsTranslated = message.IsTranslated,
+                Card = IncidentCardViewModel.From(message.Card),
+                Location = MessageLocationViewModel.From(message.Location),
+                ForwardedFrom = MessageForwardViewModel.From(message.ForwardedFrom)
+            };
+
+            _logger.LogInformation("Message {MessageId} forwarded as {ForwardedId} from room={SourceRoom} to room={TargetRoom} by user={User}",
+                id, message.Id, sourceRoom.Name, targetRoom.Name, Chat.Web.Utilities.LogSanitizer.Sanitize(user.UserName));
+            _ = _hubContext.Clients.Group(targetRoom.Name).SendAsync("newMessage", vm);
+            metrics?.IncMessagesSent();
+            return Created($"/api/Messages/{vm.Id}", vm);
+        }
+
         /// <summary>
         /// Mark a message as read for the current user. Broadcasts update via hub.
         /// </summary>
@@ -295,30 +892,8 @@ namespace Chat.Web.Controllers
             var senderProfile = await _users.GetByUserNameAsync(message.FromUser?.UserName);
             var sourceLanguage = Chat.Web.Utilities.LanguageCode.NormalizeToLanguageCode(senderProfile?.PreferredLanguage) ?? "auto";
 
-            var targets = Chat.Web.Utilities.LanguageCode.BuildTargetLanguages(room?.Languages, sourceLanguage);
-            
-            // Create new job with high priority
-            var job = new MessageTranslationJob
-            {
-                MessageId = message.Id,
-                RoomName = message.ToRoom.Name,
-                Content = message.Content,
-                SourceLanguage = sourceLanguage,
-                TargetLanguages = targets,
-                DeploymentName = translationSettings.DeploymentName,
-                CreatedAt = DateTime.UtcNow,
-                RetryCount = 0,
-                Priority = 10, // High priority for manual retries
-                JobId = $"transjob:{message.Id}:{DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()}"
-            };
-            
-            await translationQueue.RequeueAsync(job, highPriority: true);
-            await _messages.UpdateTranslationAsync(
-                message.Id,
-                new MessageTranslationUpdate(
-                    Status: TranslationStatus.Pending,
-                    Translations: message.Translations ?? new Dictionary<string, string>(),
-                    JobId: job.JobId));
+            // New job at the front of the queue (high priority for manual retries)
+            var job = await TranslationJobFactory.RequeueAsync(translationQueue, _messages, translationSettings, message, room, sourceLanguage);
             
             _logger.LogInformation("Manual retry triggered for message {MessageId} by user {User}", id, User.Identity.Name);
             
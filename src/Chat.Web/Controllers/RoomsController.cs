@@ -66,6 +66,7 @@ namespace Chat.Web.Controllers
                 ? (await _rooms.GetAllAsync()).ToList()
                 : (await _rooms.GetByDispatchCenterIdAsync(profile.DispatchCenterId)).ToList();
 
+            var dispatchCenters = await LoadDispatchCentersAsync().ConfigureAwait(false);
             var rooms = RoomAccessPolicy.GetAccessibleRooms(profile, candidateRooms)
                 .Select(r => new RoomViewModel
                 {
@@ -76,7 +77,10 @@ namespace Chat.Web.Controllers
                     DispatchCenterAId = r.DispatchCenterAId,
                     DispatchCenterBId = r.DispatchCenterBId,
                     IsActive = r.IsActive,
-                    Languages = r.Languages
+                    Languages = r.Languages,
+                    DispatchCenterNames = GetDispatchCenterNames(r, dispatchCenters),
+                    IncidentIdPatterns = GetIncidentIdPatterns(r, dispatchCenters),
+                    DispatchCenterTimeZones = GetDispatchCenterTimeZones(r, dispatchCenters)
                 })
                 .ToList();
 
@@ -105,6 +109,7 @@ namespace Chat.Web.Controllers
             if (!RoomAccessPolicy.CanAccessRoom(profile, room))
                 return NotFound();
 
+            var dispatchCenters = await LoadDispatchCentersAsync().ConfigureAwait(false);
             var vm = new RoomViewModel
             {
                 Id = room.Id,
@@ -114,11 +119,53 @@ namespace Chat.Web.Controllers
                 DispatchCenterAId = room.DispatchCenterAId,
                 DispatchCenterBId = room.DispatchCenterBId,
                 IsActive = room.IsActive,
-                Languages = room.Languages
+                Languages = room.Languages,
+                DispatchCenterNames = GetDispatchCenterNames(room, dispatchCenters),
+                IncidentIdPatterns = GetIncidentIdPatterns(room, dispatchCenters),
+                DispatchCenterTimeZones = GetDispatchCenterTimeZones(room, dispatchCenters)
             };
             return Ok(vm);
         }
 
+        private async Task<Dictionary<string, Models.DispatchCenter>> LoadDispatchCentersAsync()
+        {
+            return (await _dispatchCenters.GetAllAsync().ConfigureAwait(false))
+                .Where(d => !string.IsNullOrWhiteSpace(d.Id))
+                .GroupBy(d => d.Id, StringComparer.OrdinalIgnoreCase)
+                .ToDictionary(g => g.Key, g => g.First(), StringComparer.OrdinalIgnoreCase);
+        }
+
+        private static IEnumerable<Models.DispatchCenter> GetRoomDispatchCenters(Models.Room room, IReadOnlyDictionary<string, Models.DispatchCenter> dispatchCenters)
+        {
+            return new[] { room.DispatchCenterAId, room.DispatchCenterBId }
+                .Where(id => !string.IsNullOrWhiteSpace(id) && dispatchCenters.ContainsKey(id))
+                .Select(id => dispatchCenters[id]);
+        }
+
+        private static Dictionary<string, string> GetDispatchCenterNames(Models.Room room, IReadOnlyDictionary<string, Models.DispatchCenter> dispatchCenters)
+        {
+            return GetRoomDispatchCenters(room, dispatchCenters)
+                .GroupBy(d => d.Id, StringComparer.OrdinalIgnoreCase)
+                .ToDictionary(g => g.Key, g => g.First().Name, StringComparer.OrdinalIgnoreCase);
+        }
+
+        private static Dictionary<string, string> GetDispatchCenterTimeZones(Models.Room room, IReadOnlyDictionary<string, Models.DispatchCenter> dispatchCenters)
+        {
+            return GetRoomDispatchCenters(room, dispatchCenters)
+                .Where(d => !string.IsNullOrWhiteSpace(d.TimeZoneId))
+                .GroupBy(d => d.Id, StringComparer.OrdinalIgnoreCase)
+                .ToDictionary(g => g.Key, g => g.First().TimeZoneId, StringComparer.OrdinalIgnoreCase);
+        }
+
+        private static List<string> GetIncidentIdPatterns(Models.Room room, IReadOnlyDictionary<string, Models.DispatchCenter> dispatchCenters)
+        {
+            return GetRoomDispatchCenters(room, dispatchCenters)
+                .Select(d => d.IncidentIdPattern)
+                .Where(p => !string.IsNullOrWhiteSpace(p))
+                .Distinct(StringComparer.Ordinal)
+                .ToList();
+        }
+
         /// <summary>
         /// Returns all users assigned to a room with live presence indicator.
         /// </summary>
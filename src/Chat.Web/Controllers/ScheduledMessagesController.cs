@@ -0,0 +1,187 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.RegularExpressions;
+using System.Threading.Tasks;
+using Chat.Web.Models;
+using Chat.Web.Repositories;
+using Chat.Web.Services;
+using Chat.Web.Utilities;
+using Chat.Web.ViewModels;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+
+namespace Chat.Web.Controllers
+{
+    [Authorize]
+    [Route("api/[controller]")]
+    [ApiController]
+    /// <summary>
+    /// The caller's scheduled ("send later") messages in a room. Only the author sees, edits or cancels them;
+    /// <see cref="ScheduledMessageService"/> posts them to the room when they fall due.
+    /// </summary>
+    public class ScheduledMessagesController : ControllerBase
+    {
+        private static readonly Regex StripTagsRegex = new Regex(@"<.*?>", RegexOptions.Compiled, TimeSpan.FromMilliseconds(500));
+
+        private readonly IScheduledMessagesRepository _scheduled;
+        private readonly IRoomsRepository _rooms;
+        private readonly IUsersRepository _users;
+        private readonly ILogger<ScheduledMessagesController> _logger;
+
+        public ScheduledMessagesController(IScheduledMessagesRepository scheduled, IRoomsRepository rooms, IUsersRepository users, ILogger<ScheduledMessagesController> logger)
+        {
+            _scheduled = scheduled;
+            _rooms = rooms;
+            _users = users;
+            _logger = logger;
+        }
+
+        public class SaveScheduledMessageDto
+        {
+            public string Room { get; set; }
+            public string Content { get; set; }
+            /// <summary>
+            /// Normal (default), Urgent or Critical.
+            /// </summary>
+            public string Priority { get; set; }
+            public DateTimeOffset? SendAt { get; set; }
+        }
+
+        /// <summary>
+        /// The caller's scheduled messages in a room plus those that failed to send (until dismissed), earliest first.
+        /// </summary>
+        [HttpGet]
+        public async Task<ActionResult<IEnumerable<ScheduledMessageViewModel>>> Get([FromQuery] string room)
+        {
+            if (string.IsNullOrWhiteSpace(room))
+                return BadRequest(new { error = "Room is required." });
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            if (!RoomAccessPolicy.CanAccessRoom(user, await _rooms.GetByNameAsync(room)))
+                return Forbid();
+
+            var items = await _scheduled.GetOpenByUserAsync(user.UserName, room);
+            return Ok(items.Select(ScheduledMessageViewModel.From).ToList());
+        }
+
+        [HttpPost]
+        public async Task<IActionResult> Create([FromBody] SaveScheduledMessageDto dto)
+        {
+            using var activity = Observability.Tracing.ActivitySource.StartActivity("api.scheduledMessages.create");
+            if (dto == null || string.IsNullOrWhiteSpace(dto.Room))
+                return BadRequest(new { error = "Room is required." });
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            var room = await _rooms.GetByNameAsync(dto.Room);
+            if (!RoomAccessPolicy.CanAccessRoom(user, room))
+                return Forbid();
+
+            var now = DateTime.UtcNow;
+            var message = new ScheduledMessage
+            {
+                RoomName = room.Name,
+                FromUserName = user.UserName,
+                CreatedAt = now
+            };
+            var error = Apply(message, dto, now);
+            if (error != null)
+                return BadRequest(new { error });
+
+            var open = (await _scheduled.GetOpenByUserAsync(user.UserName, room.Name)).Count(x => x.Status == ScheduledMessageStatus.Scheduled);
+            if (open >= ScheduledMessageRules.MaxOpenPerRoom)
+                return BadRequest(new { error = $"You can have at most {ScheduledMessageRules.MaxOpenPerRoom} scheduled messages in a room." });
+
+            message = await _scheduled.CreateAsync(message);
+            _logger.LogInformation("Scheduled message {Id} created user={User} room={Room} sendAt={SendAt:o}",
+                message.Id, LogSanitizer.Sanitize(user.UserName), room.Name, message.SendAt);
+            return Created($"/api/ScheduledMessages/{message.Id}", ScheduledMessageViewModel.From(message));
+        }
+
+        /// <summary>
+        /// Changes the text, priority or send time of a message that has not been sent yet.
+        /// </summary>
+        [HttpPut("{id}")]
+        public async Task<IActionResult> Update(string id, [FromBody] SaveScheduledMessageDto dto)
+        {
+            using var activity = Observability.Tracing.ActivitySource.StartActivity("api.scheduledMessages.update");
+            if (dto == null || string.IsNullOrWhiteSpace(dto.Room))
+                return BadRequest(new { error = "Room is required." });
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            var room = await _rooms.GetByNameAsync(dto.Room);
+            if (!RoomAccessPolicy.CanAccessRoom(user, room))
+                return Forbid();
+
+            var message = await FindOwnAsync(id, room.Name, user.UserName);
+            if (message == null)
+                return NotFound();
+            if (message.Status != ScheduledMessageStatus.Scheduled)
+                return Conflict(new { error = "This message has already been sent or cancelled." });
+
+            var now = DateTime.UtcNow;
+            var error = Apply(message, dto, now);
+            if (error != null)
+                return BadRequest(new { error });
+            message.UpdatedAt = now;
+            if (!await _scheduled.TryReplaceAsync(message))
+                return Conflict(new { error = "This message is being sent or was changed meanwhile." });
+            return Ok(ScheduledMessageViewModel.From(message));
+        }
+
+        /// <summary>
+        /// Cancels a scheduled message, or dismisses one that failed to send.
+        /// </summary>
+        [HttpDelete("{id}")]
+        public async Task<IActionResult> Cancel(string id, [FromQuery] string room)
+        {
+            using var activity = Observability.Tracing.ActivitySource.StartActivity("api.scheduledMessages.cancel");
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            if (user == null)
+                return Forbid();
+
+            var message = await FindOwnAsync(id, room, user.UserName);
+            if (message == null)
+                return NotFound();
+            if (message.Status == ScheduledMessageStatus.Sent || message.Status == ScheduledMessageStatus.Sending)
+                return Conflict(new { error = "This message has already been sent." });
+            if (message.Status != ScheduledMessageStatus.Cancelled)
+            {
+                message.Status = ScheduledMessageStatus.Cancelled;
+                message.UpdatedAt = DateTime.UtcNow;
+                // Conditional write: the sender may have claimed it since we read it.
+                if (!await _scheduled.TryReplaceAsync(message))
+                    return Conflict(new { error = "This message has already been sent." });
+            }
+            return NoContent();
+        }
+
+        private async Task<ScheduledMessage> FindOwnAsync(string id, string roomName, string userName)
+        {
+            if (string.IsNullOrWhiteSpace(roomName)) return null;
+            var message = await _scheduled.GetByIdAsync(id, roomName);
+            return message != null && string.Equals(message.FromUserName, userName, StringComparison.OrdinalIgnoreCase) ? message : null;
+        }
+
+        /// <summary>
+        /// Copies the editable fields onto <paramref name="message"/>; returns a short English reason when they are invalid.
+        /// </summary>
+        private static string Apply(ScheduledMessage message, SaveScheduledMessageDto dto, DateTime nowUtc)
+        {
+            if (!MessagePriorityParser.TryParse(dto.Priority, out var priority))
+                return "Priority must be Normal, Urgent or Critical.";
+            if (!dto.SendAt.HasValue)
+                return "Send time is required.";
+            var candidate = new ScheduledMessage
+            {
+                Content = StripTagsRegex.Replace(dto.Content ?? string.Empty, string.Empty).Trim(),
+                Priority = priority,
+                SendAt = dto.SendAt.Value.UtcDateTime
+            };
+            var error = ScheduledMessageRules.Validate(candidate, nowUtc);
+            if (error != null) return error;
+            message.Content = candidate.Content;
+            message.Priority = candidate.Priority;
+            message.SendAt = candidate.SendAt;
+            return null;
+        }
+    }
+}
@@ -0,0 +1,114 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Chat.Web.Models;
+using Chat.Web.Repositories;
+using Chat.Web.Utilities;
+using Chat.Web.ViewModels;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging;
+
+namespace Chat.Web.Controllers
+{
+    [Authorize]
+    [Route("api/[controller]")]
+    [ApiController]
+    /// <summary>
+    /// Message templates for the composer: the caller's personal favourites followed by their dispatch center's templates.
+    /// Dispatch center templates are managed in the admin panel; favourites are managed here by each user.
+    /// </summary>
+    public class TemplatesController : ControllerBase
+    {
+        private readonly IUsersRepository _users;
+        private readonly IDispatchCentersRepository _dispatchCenters;
+        private readonly ILogger<TemplatesController> _logger;
+
+        public TemplatesController(IUsersRepository users, IDispatchCentersRepository dispatchCenters, ILogger<TemplatesController> logger)
+        {
+            _users = users;
+            _dispatchCenters = dispatchCenters;
+            _logger = logger;
+        }
+
+        public class SaveFavoriteDto
+        {
+            public string Title { get; set; }
+            public string Content { get; set; }
+            public Dictionary<string, string> Translations { get; set; }
+        }
+
+        [HttpGet]
+        public async Task<ActionResult<IEnumerable<MessageTemplateViewModel>>> Get()
+        {
+            using var activity = Observability.Tracing.ActivitySource.StartActivity("api.templates.get");
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            if (user == null)
+                return Ok(Array.Empty<MessageTemplateViewModel>());
+
+            var dispatchCenter = string.IsNullOrWhiteSpace(user.DispatchCenterId)
+                ? null
+                : await _dispatchCenters.GetByIdAsync(user.DispatchCenterId);
+            var templates = (user.FavoriteTemplates ?? new List<MessageTemplate>())
+                .Select(t => MessageTemplateViewModel.From(t, isPersonal: true))
+                .Concat((dispatchCenter?.Templates ?? new List<MessageTemplate>())
+                    .Select(t => MessageTemplateViewModel.From(t, isPersonal: false)))
+                .ToList();
+            activity?.SetTag("templates.count", templates.Count);
+            return Ok(templates);
+        }
+
+        /// <summary>
+        /// Adds a personal favourite (typed text or a copy of a dispatch center template).
+        /// </summary>
+        [HttpPost("favorites")]
+        public async Task<IActionResult> AddFavorite([FromBody] SaveFavoriteDto dto)
+        {
+            using var activity = Observability.Tracing.ActivitySource.StartActivity("api.templates.addFavorite");
+            if (dto == null)
+                return BadRequest(new { error = "Template is required." });
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            if (user == null)
+                return Forbid();
+
+            var template = MessageTemplateRules.Normalize(new MessageTemplate
+            {
+                Title = dto.Title,
+                Content = dto.Content,
+                Translations = dto.Translations ?? new Dictionary<string, string>()
+            });
+            var error = MessageTemplateRules.Validate(template);
+            if (error != null)
+                return BadRequest(new { error });
+
+            var favorites = (user.FavoriteTemplates ?? new List<MessageTemplate>()).ToList();
+            if (favorites.Count >= MessageTemplateRules.MaxPersonalTemplates)
+                return BadRequest(new { error = $"You can keep at most {MessageTemplateRules.MaxPersonalTemplates} favourite templates." });
+
+            favorites.Add(template);
+            user.FavoriteTemplates = favorites;
+            await _users.UpsertAsync(user);
+            _logger.LogInformation("Favourite template added user={User} count={Count}", LogSanitizer.Sanitize(user.UserName), favorites.Count);
+            return Ok(MessageTemplateViewModel.From(template, isPersonal: true));
+        }
+
+        [HttpDelete("favorites/{id}")]
+        public async Task<IActionResult> RemoveFavorite(string id)
+        {
+            using var activity = Observability.Tracing.ActivitySource.StartActivity("api.templates.removeFavorite");
+            var user = await _users.GetByUserNameAsync(User?.Identity?.Name);
+            if (user == null)
+                return Forbid();
+
+            var favorites = (user.FavoriteTemplates ?? new List<MessageTemplate>()).ToList();
+            var removed = favorites.RemoveAll(t => string.Equals(t.Id, id, StringComparison.Ordinal));
+            if (removed == 0)
+                return NotFound();
+
+            user.FavoriteTemplates = favorites;
+            await _users.UpsertAsync(user);
+            return NoContent();
+        }
+    }
+}
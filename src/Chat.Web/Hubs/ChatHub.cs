@@ -26,6 +26,7 @@ namespace Chat.Web.Hubs
         // Track active connection counts per user to avoid removing presence when alternate connections remain
         private static readonly ConcurrentDictionary<string, int> _UserConnectionCounts = new ConcurrentDictionary<string, int>(StringComparer.OrdinalIgnoreCase);
         private static readonly Regex StripTagsRegex = new Regex(@"<.*?>", RegexOptions.Compiled, TimeSpan.FromMilliseconds(500));
+        private static readonly TimeSpan TypingSignalInterval = TimeSpan.FromSeconds(2);
 
     private readonly Repositories.IUsersRepository _users;
     private readonly Repositories.IMessagesRepository _messages;
@@ -39,6 +40,7 @@ namespace Chat.Web.Hubs
         private readonly Services.ITranslationJobQueue _translationQueue;
         private readonly Options.TranslationOptions _translationOptions;
         private readonly Services.EscalationService _escalations;
+        private readonly Services.IAttachmentStore _attachments;
 
         /// <summary>
         /// Creates a new Hub instance.
@@ -54,7 +56,8 @@ namespace Chat.Web.Hubs
             HealthCheckService healthCheckService,
             Services.ITranslationJobQueue translationQueue,
             Microsoft.Extensions.Options.IOptions<Options.TranslationOptions> translationOptions,
-            Services.EscalationService escalations)
+            Services.EscalationService escalations,
+            Services.IAttachmentStore attachments)
         {
             _users = users;
             _messages = messages;
@@ -68,6 +71,7 @@ namespace Chat.Web.Hubs
             _translationQueue = translationQueue;
             _translationOptions = translationOptions.Value;
             _escalations = escalations;
+            _attachments = attachments;
         }
 
         /// <summary>
@@ -142,6 +146,8 @@ namespace Chat.Web.Hubs
                 
                 // Update Context.Items for this connection
                 Context.Items["CurrentRoom"] = roomName;
+                // Same dispatch center the user's messages carry: their own center only if it is part of this room.
+                Context.Items["CurrentDispatchCenterId"] = Services.RoomAccessPolicy.ResolveDispatchCenterIdForRoom(profile, room);
                 user.CurrentRoom = roomName;
                 
                 // Update Redis presence (for cross-instance snapshot)
@@ -367,14 +373,74 @@ namespace Chat.Web.Hubs
         }
 
         /// <summary>
-        /// Hub-based message send to the caller's current room. CorrelationId flows from client for optimistic reconciliation.
+        /// A message sent over the hub; mirrors <see cref="Controllers.MessagesController.CreateMessageDto"/> minus the room,
+        /// which is always the caller's current room.
         /// </summary>
-        public async Task SendMessage(string content, string correlationId)
+        public class SendMessageDto
+        {
+            public string Content { get; set; }
+            /// <summary>
+            /// Client-generated id echoed on the broadcast message for optimistic reconciliation.
+            /// </summary>
+            public string CorrelationId { get; set; }
+            /// <summary>
+            /// Optional id of an earlier message in the same room being quoted; unknown or foreign ids are dropped.
+            /// </summary>
+            public int? ReplyToId { get; set; }
+            /// <summary>
+            /// Optional file the caller uploaded for this room; <see cref="Content"/> may then be empty.
+            /// </summary>
+            public string AttachmentId { get; set; }
+            /// <summary>
+            /// Normal, Urgent or Critical (null means Normal); unknown values are rejected.
+            /// </summary>
+            public string Priority { get; set; }
+            /// <summary>
+            /// Optional incident card; <see cref="Content"/> then holds the card's free-text details.
+            /// </summary>
+            public ViewModels.IncidentCardViewModel Card { get; set; }
+            /// <summary>
+            /// Optional shared position; <see cref="Content"/> then holds an optional note.
+            /// </summary>
+            public ViewModels.MessageLocationViewModel Location { get; set; }
+        }
+
+        /// <summary>
+        /// Hub-based message send to the caller's current room. See <see cref="SendMessageDto"/> for the optional parts.
+        /// </summary>
+        public async Task SendMessage(SendMessageDto dto)
         {
             using var activity = Tracing.ActivitySource.StartActivity("ChatHub.SendMessage");
-            activity?.SetTag("chat.correlationId", correlationId);
-            activity?.SetTag("chat.content.length", content?.Length ?? 0);
-            if (string.IsNullOrWhiteSpace(content)) { activity?.AddEvent(new ActivityEvent("empty_content")); return; }
+            if (dto == null) { activity?.AddEvent(new ActivityEvent("empty_content")); return; }
+            activity?.SetTag("chat.correlationId", dto.CorrelationId);
+            if (dto.ReplyToId.HasValue) activity?.SetTag("chat.replyToId", dto.ReplyToId.Value);
+            activity?.SetTag("chat.content.length", dto.Content?.Length ?? 0);
+            if (string.IsNullOrWhiteSpace(dto.Content) && string.IsNullOrWhiteSpace(dto.AttachmentId) && dto.Card == null && dto.Location == null) { activity?.AddEvent(new ActivityEvent("empty_content")); return; }
+            var content = dto.Content ?? string.Empty;
+            if (!Utilities.MessagePriorityParser.TryParse(dto.Priority, out var messagePriority))
+            {
+                _logger.LogWarning("SendMessage rejected unknown priority user={User}", IdentityName);
+                activity?.SetStatus(ActivityStatusCode.Error, "priority_invalid");
+                await Clients.Caller.SendAsync("onError", _localizer["ErrorOccurred"].Value);
+                return;
+            }
+            activity?.SetTag("chat.priority", messagePriority.ToString());
+            var incidentCard = dto.Card?.ToModel();
+            if (incidentCard != null && Utilities.IncidentCardRules.Validate(incidentCard) is string cardError)
+            {
+                _logger.LogWarning("SendMessage rejected invalid incident card user={User}: {Reason}", IdentityName, cardError);
+                activity?.SetStatus(ActivityStatusCode.Error, "card_invalid");
+                await Clients.Caller.SendAsync("onError", _localizer["ErrorOccurred"].Value);
+                return;
+            }
+            var sharedLocation = dto.Location?.ToModel();
+            if (sharedLocation != null && Utilities.MessageLocationRules.Validate(sharedLocation) is string locationError)
+            {
+                _logger.LogWarning("SendMessage rejected invalid location user={User}: {Reason}", IdentityName, locationError);
+                activity?.SetStatus(ActivityStatusCode.Error, "location_invalid");
+                await Clients.Caller.SendAsync("onError", _localizer["ErrorOccurred"].Value);
+                return;
+            }
             
             // Get user and room from Context.Items (per-connection state - no Redis query needed!)
             var user = Context.Items["UserProfile"] as UserViewModel;
@@ -405,6 +471,33 @@ namespace Chat.Web.Hubs
                 return;
             }
             var senderDispatchCenterId = Services.RoomAccessPolicy.ResolveDispatchCenterIdForRoom(domainUser, room);
+            Models.Message replyTarget = null;
+            if (dto.ReplyToId.HasValue)
+            {
+                replyTarget = await _messages.GetByIdAsync(dto.ReplyToId.Value);
+                if (replyTarget == null || !string.Equals(replyTarget.ToRoom?.Name, room.Name, StringComparison.Ordinal))
+                {
+                    _logger.LogWarning("SendMessage reply target {ReplyToId} not found in room {Room}; sending without quote", dto.ReplyToId.Value, room.Name);
+                    activity?.AddEvent(new ActivityEvent("reply_target_missing"));
+                    replyTarget = null;
+                }
+            }
+            Models.MessageAttachment attachment = null;
+            if (!string.IsNullOrWhiteSpace(dto.AttachmentId))
+            {
+                var stored = await _attachments.GetAsync(dto.AttachmentId);
+                if (stored == null
+                    || !string.Equals(stored.UploadedBy, domainUser.UserName, StringComparison.OrdinalIgnoreCase)
+                    || !string.Equals(stored.RoomName, room.Name, StringComparison.Ordinal))
+                {
+                    _logger.LogWarning("SendMessage attachment {AttachmentId} not uploaded by {User} for room {Room}", dto.AttachmentId, IdentityName, room.Name);
+                    activity?.SetStatus(ActivityStatusCode.Error, "attachment_invalid");
+                    await Clients.Caller.SendAsync("onError", _localizer["ErrorOccurred"].Value);
+                    return;
+                }
+                attachment = new Models.MessageAttachment { Id = stored.Id, FileName = stored.FileName, ContentType = stored.ContentType, Size = stored.Size };
+                activity?.SetTag("chat.attachment.contentType", stored.ContentType);
+            }
             // Basic sanitization (strip tags)
             var sanitized = StripTagsRegex.Replace(content, string.Empty);
             activity?.SetTag("chat.room", room.Name);
@@ -415,7 +508,12 @@ namespace Chat.Web.Hubs
                 FromUser = domainUser,
                 FromDispatchCenterId = senderDispatchCenterId,
                 ToRoom = room,
-                Timestamp = System.DateTime.UtcNow
+                Timestamp = System.DateTime.UtcNow,
+                ReplyToId = replyTarget?.Id,
+                Attachment = attachment,
+                Card = incidentCard,
+                Location = sharedLocation,
+                Priority = messagePriority
             };
             try
             {
@@ -429,43 +527,19 @@ namespace Chat.Web.Hubs
                 return;
             }
             
-            // Enqueue translation if enabled
+            // Enqueue translation if enabled (attachment-only messages have no text to translate)
             var sourceLanguageForUi = "auto";
-            if (_translationOptions.Enabled)
+            if (_translationOptions.Enabled && !string.IsNullOrWhiteSpace(sanitized))
             {
                 try
                 {
                     var sourceLanguage = Chat.Web.Utilities.LanguageCode.NormalizeToLanguageCode(domainUser.PreferredLanguage) ?? "auto";
                     sourceLanguageForUi = sourceLanguage;
-                    var targets = Chat.Web.Utilities.LanguageCode.BuildTargetLanguages(room.Languages, sourceLanguage);
 
-                    var job = new Models.MessageTranslationJob
-                    {
-                        MessageId = msg.Id,
-                        RoomName = room.Name,
-                        Content = sanitized,
-                        SourceLanguage = sourceLanguage,
-                        TargetLanguages = targets,
-                        DeploymentName = _translationOptions.DeploymentName,
-                        CreatedAt = System.DateTime.UtcNow,
-                        RetryCount = 0,
-                        Priority = 0,
-                        JobId = $"transjob:{msg.Id}:{System.DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()}"
-                    };
-                    
-                    msg.TranslationStatus = Models.TranslationStatus.Pending;
-                    msg.TranslationJobId = job.JobId;
-                    await _messages.UpdateTranslationAsync(
-                        msg.Id,
-                        new Models.MessageTranslationUpdate(
-                            Status: Models.TranslationStatus.Pending,
-                            Translations: new System.Collections.Generic.Dictionary<string, string>(),
-                            JobId: job.JobId));
+                    await Services.TranslationJobFactory.EnqueueAsync(_translationQueue, _messages, _translationOptions, msg, room, sourceLanguage);
                     
-                    await _translationQueue.EnqueueAsync(job);
-                    
-                    _logger.LogDebug("Enqueued translation job {JobId} for message {MessageId}", job.JobId, msg.Id);
-                    activity?.AddEvent(new ActivityEvent("translation_enqueued", tags: new ActivityTagsCollection { { "job.id", job.JobId } }));
+                    _logger.LogDebug("Enqueued translation job {JobId} for message {MessageId}", msg.TranslationJobId, msg.Id);
+                    activity?.AddEvent(new ActivityEvent("translation_enqueued", tags: new ActivityTagsCollection { { "job.id", msg.TranslationJobId } }));
                 }
                 catch (System.Exception ex)
                 {
@@ -486,15 +560,21 @@ namespace Chat.Web.Hubs
                 FromDispatchCenterId = msg.FromDispatchCenterId,
                 Room = room.Name,
                 Timestamp = msg.Timestamp,
-                CorrelationId = correlationId,
+                CorrelationId = dto.CorrelationId,
                 ReadBy = (msg.ReadBy != null ? msg.ReadBy.ToArray() : Array.Empty<string>()),
                 ReadByDispatchCenterIds = (msg.ReadByDispatchCenterIds != null ? msg.ReadByDispatchCenterIds.ToArray() : Array.Empty<string>()),
                 EscalationStatus = msg.EscalationStatus.ToString(),
                 OpenEscalationId = msg.OpenEscalationId,
+                Priority = msg.Priority.ToString(),
                 TranslationStatus = msg.TranslationStatus.ToString(),
                 SourceLanguage = sourceLanguageForUi,
                 Translations = msg.Translations ?? new System.Collections.Generic.Dictionary<string, string>(),
-                IsTranslated = msg.IsTranslated
+                IsTranslated = msg.IsTranslated,
+                ReplyToId = msg.ReplyToId,
+                ReplyTo = ViewModels.MessageReplyPreviewViewModel.From(replyTarget),
+                Attachment = ViewModels.MessageAttachmentViewModel.From(msg.Attachment),
+                Card = ViewModels.IncidentCardViewModel.From(msg.Card),
+                Location = ViewModels.MessageLocationViewModel.From(msg.Location)
             };
             await Clients.Group(room.Name).SendAsync("newMessage", vm);
             _metrics.IncMessagesSent();
@@ -562,6 +642,41 @@ namespace Chat.Web.Hubs
             catch { /* ignore broadcast errors */ }
         }
 
+        /// <summary>
+        /// Relays a composer typing signal to the other members of the caller's current room.
+        /// Clients throttle their signals; "typing" signals arriving faster than <see cref="TypingSignalInterval"/> are dropped here as well.
+        /// "Stopped typing" signals are always relayed so indicators clear promptly.
+        /// </summary>
+        public async Task Typing(bool isTyping)
+        {
+            var user = Context.Items["UserProfile"] as UserViewModel;
+            var currentRoom = Context.Items["CurrentRoom"] as string;
+            if (user == null || string.IsNullOrEmpty(currentRoom)) return;
+
+            if (isTyping)
+            {
+                var now = DateTime.UtcNow;
+                if (Context.Items["LastTypingAt"] is DateTime last && now - last < TypingSignalInterval) return;
+                Context.Items["LastTypingAt"] = now;
+            }
+            else
+            {
+                Context.Items.Remove("LastTypingAt");
+            }
+
+            try
+            {
+                await Clients.OthersInGroup(currentRoom).SendAsync("userTyping", new
+                {
+                    userName = user.UserName,
+                    fullName = user.FullName,
+                    dispatchCenterId = Context.Items["CurrentDispatchCenterId"] as string,
+                    isTyping
+                });
+            }
+            catch { /* ignore broadcast errors */ }
+        }
+
         /// <summary>
         /// Returns backend health status (Cosmos DB, Redis connectivity).
         /// Used by clients to detect when SignalR connection is active but backend services are unreachable.
@@ -727,29 +842,7 @@ namespace Chat.Web.Hubs
             var sourceLanguage = Chat.Web.Utilities.LanguageCode.NormalizeToLanguageCode(senderProfile?.PreferredLanguage) ?? "auto";
 
             var room = await _rooms.GetByNameAsync(message.ToRoom?.Name);
-            var targets = Chat.Web.Utilities.LanguageCode.BuildTargetLanguages(room?.Languages, sourceLanguage);
-
-            var job = new MessageTranslationJob
-            {
-                MessageId = message.Id,
-                RoomName = message.ToRoom.Name,
-                Content = message.Content,
-                SourceLanguage = sourceLanguage,
-                TargetLanguages = targets,
-                DeploymentName = _translationOptions.DeploymentName,
-                CreatedAt = DateTime.UtcNow,
-                RetryCount = 0,
-                Priority = 10,
-                JobId = $"transjob:{message.Id}:{DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()}"
-            };
-            
-            await _translationQueue.RequeueAsync(job, highPriority: true);
-            await _messages.UpdateTranslationAsync(
-                message.Id,
-                new MessageTranslationUpdate(
-                    Status: TranslationStatus.Pending,
-                    Translations: message.Translations ?? new Dictionary<string, string>(),
-                    JobId: job.JobId));
+            await Services.TranslationJobFactory.RequeueAsync(_translationQueue, _messages, _translationOptions, message, room, sourceLanguage);
             
             // Broadcast status update to room
             await Clients.Group(currentRoom).SendAsync("translationRetrying", new
@@ -68,6 +68,11 @@ namespace Chat.Web.Models
         /// </summary>
         public string DispatchCenterId { get; set; }
 
+        /// <summary>
+        /// Personal favourite templates shown above the dispatch center's templates in the composer.
+        /// </summary>
+        public ICollection<MessageTemplate> FavoriteTemplates { get; set; } = new List<MessageTemplate>();
+
         public ICollection<Room> Rooms { get; set; }
         public ICollection<Message> Messages { get; set; }
     }
@@ -26,5 +26,20 @@ namespace Chat.Web.Models
         /// Users responsible for escalations targeting this dispatch center.
         /// </summary>
         public ICollection<string> OfficerUserNames { get; set; } = new List<string>();
+
+        /// <summary>
+        /// Optional regular expression (ECMAScript flavour) matching this center's incident IDs in chat messages.
+        /// </summary>
+        public string IncidentIdPattern { get; set; }
+
+        /// <summary>
+        /// Optional IANA time zone of the center (e.g. "Europe/Warsaw"), used to show timestamps in the center's local time.
+        /// </summary>
+        public string TimeZoneId { get; set; }
+
+        /// <summary>
+        /// Canned responses offered to this center's operators in the composer's template picker.
+        /// </summary>
+        public ICollection<MessageTemplate> Templates { get; set; } = new List<MessageTemplate>();
     }
 }
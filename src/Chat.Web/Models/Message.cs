@@ -14,6 +14,116 @@ namespace Chat.Web.Models
         Cancelled = 4
     }
 
+    /// <summary>
+    /// One-click acknowledgement a dispatch center can attach to a message.
+    /// </summary>
+    public enum MessageReaction
+    {
+        Received = 1,
+        OnIt = 2,
+        CannotTake = 3,
+        Done = 4
+    }
+
+    /// <summary>
+    /// How urgently a message needs the other dispatch center's attention. Urgent and critical messages
+    /// raise an alarm on the receiving side until that dispatch center acknowledges them.
+    /// </summary>
+    public enum MessagePriority
+    {
+        Normal = 0,
+        Urgent = 1,
+        Critical = 2
+    }
+
+    /// <summary>
+    /// A superseded version of a message's content, retained when the sender edits the message.
+    /// </summary>
+    public class MessageVersion
+    {
+        public string Content { get; set; }
+        /// <summary>
+        /// When this version was written (original send time or the time of the edit that produced it).
+        /// </summary>
+        public DateTime Timestamp { get; set; }
+    }
+
+    /// <summary>
+    /// A file (image or PDF) attached to a message. The binary content lives in the attachment store.
+    /// </summary>
+    public class MessageAttachment
+    {
+        public string Id { get; set; }
+        public string FileName { get; set; }
+        public string ContentType { get; set; }
+        public long Size { get; set; }
+    }
+
+    /// <summary>
+    /// Kind of incident described by an incident card.
+    /// </summary>
+    public enum IncidentCategory
+    {
+        Medical = 1,
+        Fire = 2,
+        Traffic = 3,
+        Hazmat = 4,
+        Police = 5,
+        Rescue = 6,
+        Other = 7
+    }
+
+    /// <summary>
+    /// Structured incident details sent as an incident card. The card's free text (details) is the message
+    /// content, so only that part is translated; the fields below are sent to the other side as entered.
+    /// </summary>
+    public class IncidentCard
+    {
+        public string IncidentId { get; set; }
+        public IncidentCategory Category { get; set; }
+        public string Address { get; set; }
+        public double? Latitude { get; set; }
+        public double? Longitude { get; set; }
+        public string UnitsRequested { get; set; }
+        public string CallbackNumber { get; set; }
+    }
+
+    /// <summary>
+    /// A shared position in WGS84 decimal degrees. Clients render it in every coordinate format (decimal, DMS, UTM).
+    /// </summary>
+    public class MessageLocation
+    {
+        public double Latitude { get; set; }
+        public double Longitude { get; set; }
+        /// <summary>
+        /// Accuracy radius in meters reported by the browser's Geolocation API (null for manually entered positions).
+        /// </summary>
+        public double? AccuracyMeters { get; set; }
+    }
+
+    /// <summary>
+    /// Attribution of a forwarded message: where, when and by whom the original was posted. It is captured when
+    /// forwarding, so it stays readable in the target room whose members cannot open the original.
+    /// </summary>
+    public class MessageForward
+    {
+        public int OriginalMessageId { get; set; }
+        public string RoomName { get; set; }
+        public string RoomDisplayName { get; set; }
+        public string FromUserName { get; set; }
+        public string FromFullName { get; set; }
+        public string FromDispatchCenterId { get; set; }
+        public string FromDispatchCenterName { get; set; }
+        /// <summary>
+        /// When the original message was posted.
+        /// </summary>
+        public DateTime Timestamp { get; set; }
+        /// <summary>
+        /// The original carried an attachment, which stays in its room; the attribution tells readers so.
+        /// </summary>
+        public bool AttachmentOmitted { get; set; }
+    }
+
     /// <summary>
     /// Represents a chat message posted to a room (FromUser -> Room) with a server-side timestamp.
     /// Supports asynchronous translation with status tracking.
@@ -30,9 +140,83 @@ namespace Chat.Web.Models
         // Users who have read this message (usernames)
         public ICollection<string> ReadBy { get; set; } = new List<string>();
         public ICollection<string> ReadByDispatchCenterIds { get; set; } = new List<string>();
+        // Acknowledgement reactions per dispatch center (key: MessageReaction name, value: dispatch center ids).
+        // A dispatch center holds at most one reaction at a time.
+        public Dictionary<string, List<string>> Reactions { get; set; } = new Dictionary<string, List<string>>();
         public MessageEscalationStatus EscalationStatus { get; set; } = MessageEscalationStatus.None;
         public string OpenEscalationId { get; set; }
-        
+
+        /// <summary>
+        /// Priority chosen by the sender (Normal unless flagged urgent or critical in the composer).
+        /// </summary>
+        public MessagePriority Priority { get; set; } = MessagePriority.Normal;
+
+        /// <summary>
+        /// Id of the message (in the same room) this message replies to, or null for a standalone message.
+        /// </summary>
+        public int? ReplyToId { get; set; }
+
+        /// <summary>
+        /// Optional file attached to the message (null for text-only messages).
+        /// </summary>
+        public MessageAttachment Attachment { get; set; }
+
+        /// <summary>
+        /// Incident card carried by the message (null for plain messages).
+        /// </summary>
+        public IncidentCard Card { get; set; }
+
+        /// <summary>
+        /// Shared location carried by the message (null for plain messages); the content is an optional note.
+        /// </summary>
+        public MessageLocation Location { get; set; }
+
+        /// <summary>
+        /// Attribution of the original message when this message was forwarded from another room (null otherwise).
+        /// </summary>
+        public MessageForward ForwardedFrom { get; set; }
+
+        /// <summary>
+        /// Timestamp when a room participant pinned the message (null if not pinned).
+        /// </summary>
+        public DateTime? PinnedAt { get; set; }
+
+        /// <summary>
+        /// User name of whoever pinned the message.
+        /// </summary>
+        public string PinnedByUserName { get; set; }
+
+        /// <summary>
+        /// Computed property: returns true if the message is pinned to its room.
+        /// </summary>
+        public bool IsPinned => PinnedAt.HasValue;
+
+        /// <summary>
+        /// Timestamp of the latest edit by the sender (null if the message was never edited).
+        /// </summary>
+        public DateTime? EditedAt { get; set; }
+
+        /// <summary>
+        /// Previous versions of the content, oldest first. Empty if the message was never edited.
+        /// </summary>
+        public ICollection<MessageVersion> EditHistory { get; set; } = new List<MessageVersion>();
+
+        /// <summary>
+        /// Timestamp when the sender withdrew the message (null if not deleted).
+        /// Deletion is a soft delete: content is retained for audit but never sent to clients.
+        /// </summary>
+        public DateTime? DeletedAt { get; set; }
+
+        /// <summary>
+        /// User name of whoever withdrew the message.
+        /// </summary>
+        public string DeletedByUserName { get; set; }
+
+        /// <summary>
+        /// Computed property: returns true if the message has been withdrawn.
+        /// </summary>
+        public bool IsDeleted => DeletedAt.HasValue;
+
         /// <summary>
         /// Current translation status (None, Pending, InProgress, Completed, Failed).
         /// </summary>
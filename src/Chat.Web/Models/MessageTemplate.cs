@@ -0,0 +1,21 @@
+using System.Collections.Generic;
+
+namespace Chat.Web.Models
+{
+    /// <summary>
+    /// Canned response inserted from the composer's template picker. Kept per dispatch center (managed by admins)
+    /// and per user (personal favourites). The content may contain placeholders such as "{incident}" or "{address}"
+    /// that the operator fills in before insertion.
+    /// </summary>
+    public class MessageTemplate
+    {
+        public string Id { get; set; }
+        public string Title { get; set; }
+        public string Content { get; set; }
+
+        /// <summary>
+        /// Pre-approved versions of the content (key: language code, value: text using the same placeholders).
+        /// </summary>
+        public Dictionary<string, string> Translations { get; set; } = new Dictionary<string, string>();
+    }
+}
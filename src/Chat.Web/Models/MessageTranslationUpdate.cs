@@ -7,6 +7,8 @@ namespace Chat.Web.Models;
 
 /// <summary>
 /// Represents a translation update applied to a message (status, translations, and optional failure metadata).
+/// A <see cref="TranslationStatus.Pending"/> update starts job <see cref="JobId"/> and makes it the message's current job;
+/// any other status is that job reporting back and only applies while it is still the current job.
 /// </summary>
 public sealed record MessageTranslationUpdate(
     TranslationStatus Status,
@@ -0,0 +1,50 @@
+using System;
+
+namespace Chat.Web.Models
+{
+    public enum ScheduledMessageStatus
+    {
+        Scheduled = 0,
+        Sent = 1,
+        Cancelled = 2,
+        Failed = 3,
+        /// <summary>
+        /// Claimed by one server instance that is posting it right now; no other instance or edit may touch it.
+        /// A claim older than <see cref="Services.ScheduledMessageService.SendingClaimLease"/> is marked <see cref="Failed"/>.
+        /// </summary>
+        Sending = 4
+    }
+
+    /// <summary>
+    /// A message written now and posted to its room by the server at <see cref="SendAt"/>, so it goes out
+    /// even when the author is offline at that time.
+    /// </summary>
+    public class ScheduledMessage
+    {
+        public string Id { get; set; }
+        public string RoomName { get; set; }
+        public string FromUserName { get; set; }
+        public string Content { get; set; }
+        public MessagePriority Priority { get; set; } = MessagePriority.Normal;
+        /// <summary>
+        /// When the message is due (UTC).
+        /// </summary>
+        public DateTime SendAt { get; set; }
+        public DateTime CreatedAt { get; set; }
+        public DateTime? UpdatedAt { get; set; }
+        public ScheduledMessageStatus Status { get; set; } = ScheduledMessageStatus.Scheduled;
+        public DateTime? SentAt { get; set; }
+        /// <summary>
+        /// Id of the chat message created when the scheduled message was sent.
+        /// </summary>
+        public int? SentMessageId { get; set; }
+        /// <summary>
+        /// Why sending failed (e.g. the author lost access to the room); shown to the author until dismissed.
+        /// </summary>
+        public string FailureReason { get; set; }
+        /// <summary>
+        /// Concurrency token of the stored version this object was read from; see <see cref="Repositories.IScheduledMessagesRepository.TryReplaceAsync"/>.
+        /// </summary>
+        public string ETag { get; set; }
+    }
+}
@@ -0,0 +1,27 @@
+namespace Chat.Web.Options
+{
+    /// <summary>
+    /// Configuration for message attachments (images and PDFs).
+    /// </summary>
+    public class AttachmentOptions
+    {
+        /// <summary>
+        /// Blob container used by the blob attachment store (connection string "Storage").
+        /// Default: "attachments".
+        /// </summary>
+        public string BlobContainer { get; set; } = "attachments";
+
+        /// <summary>
+        /// Directory used by the local filesystem attachment store (Development and tests only).
+        /// Relative paths resolve against the content root.
+        /// Default: "App_Data/attachments".
+        /// </summary>
+        public string LocalStoragePath { get; set; } = "App_Data/attachments";
+
+        /// <summary>
+        /// Maximum accepted upload size in bytes.
+        /// Default: 10 MB.
+        /// </summary>
+        public long MaxFileSizeBytes { get; set; } = 10 * 1024 * 1024;
+    }
+}
@@ -9,6 +9,7 @@ namespace Chat.Web.Options
         public string RoomsContainer { get; set; } = "rooms";
         public string DispatchCentersContainer { get; set; } = "dispatchcenters";
         public string EscalationsContainer { get; set; } = "escalations";
+        public string ScheduledMessagesContainer { get; set; } = "scheduledmessages";
         // When null, TTL is disabled (container's DefaultTimeToLive not set). When -1, TTL enabled but items never expire by default.
         public int? MessagesTtlSeconds { get; set; } = 604800; // 7 days default
         public bool AutoCreate { get; set; } = true; // Automatically create database/containers if missing
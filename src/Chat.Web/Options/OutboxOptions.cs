@@ -0,0 +1,21 @@
+namespace Chat.Web.Options
+{
+    /// <summary>
+    /// Configuration for the browser outbox that holds messages written while the chat is offline.
+    /// </summary>
+    public class OutboxOptions
+    {
+        /// <summary>
+        /// Maximum number of messages waiting to send; further messages are refused with a warning.
+        /// Default: 50.
+        /// </summary>
+        public int MaxMessages { get; set; } = 50;
+
+        /// <summary>
+        /// Messages left over from an earlier session that are at least this old are not sent automatically;
+        /// the user is asked to send or discard them instead.
+        /// Default: 60 minutes.
+        /// </summary>
+        public int StaleAfterMinutes { get; set; } = 60;
+    }
+}
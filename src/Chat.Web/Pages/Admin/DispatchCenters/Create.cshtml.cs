@@ -83,6 +83,20 @@ public class DispatchCentersCreateModel : PageModel
             return Page();
         }
 
+        var incidentIdPatternError = Utilities.IncidentIdPattern.Validate(Input.IncidentIdPattern);
+        if (incidentIdPatternError != null)
+        {
+            ModelState.AddModelError(nameof(Input.IncidentIdPattern), incidentIdPatternError);
+            return Page();
+        }
+
+        var timeZoneError = Utilities.DispatchCenterTimeZone.Validate(Input.TimeZoneId);
+        if (timeZoneError != null)
+        {
+            ModelState.AddModelError(nameof(Input.TimeZoneId), timeZoneError);
+            return Page();
+        }
+
         foreach (var officerUserName in officerUserNames)
         {
             var officer = await _users.GetByUserNameAsync(officerUserName);
@@ -101,7 +115,9 @@ public class DispatchCentersCreateModel : PageModel
             IfMain = Input.IfMain,
             CorrespondingDispatchCenterIds = normalizedCorresponding,
             Users = new List<string>(),
-            OfficerUserNames = officerUserNames
+            OfficerUserNames = officerUserNames,
+            IncidentIdPattern = Utilities.IncidentIdPattern.Normalize(Input.IncidentIdPattern),
+            TimeZoneId = Utilities.DispatchCenterTimeZone.Normalize(Input.TimeZoneId)
         };
 
         await _topology.SaveDispatchCenterAsync(dispatchCenter, dispatchCenter.CorrespondingDispatchCenterIds);
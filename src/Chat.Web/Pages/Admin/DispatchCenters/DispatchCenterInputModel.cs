@@ -16,4 +16,10 @@ public class DispatchCenterInputModel
     public List<string> OfficerUserNames { get; set; } = new();
 
     public List<string> CorrespondingDispatchCenterIds { get; set; } = new();
+
+    [StringLength(Utilities.IncidentIdPattern.MaxLength)]
+    public string IncidentIdPattern { get; set; }
+
+    [StringLength(Utilities.DispatchCenterTimeZone.MaxLength)]
+    public string TimeZoneId { get; set; }
 }
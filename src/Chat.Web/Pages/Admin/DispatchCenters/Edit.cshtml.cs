@@ -54,7 +54,9 @@ public class DispatchCentersEditModel : PageModel
             Country = current.Country,
             IfMain = current.IfMain,
             OfficerUserNames = current.OfficerUserNames?.ToList() ?? new List<string>(),
-            CorrespondingDispatchCenterIds = current.CorrespondingDispatchCenterIds?.ToList() ?? new List<string>()
+            CorrespondingDispatchCenterIds = current.CorrespondingDispatchCenterIds?.ToList() ?? new List<string>(),
+            IncidentIdPattern = current.IncidentIdPattern,
+            TimeZoneId = current.TimeZoneId
         };
 
         await LoadFormDataAsync().ConfigureAwait(false);
@@ -124,11 +126,29 @@ public class DispatchCentersEditModel : PageModel
             }
         }
 
+        var incidentIdPatternError = Utilities.IncidentIdPattern.Validate(Input.IncidentIdPattern);
+        if (incidentIdPatternError != null)
+        {
+            ModelState.AddModelError(nameof(Input.IncidentIdPattern), incidentIdPatternError);
+            await LoadImpactDataAsync().ConfigureAwait(false);
+            return Page();
+        }
+
+        var timeZoneError = Utilities.DispatchCenterTimeZone.Validate(Input.TimeZoneId);
+        if (timeZoneError != null)
+        {
+            ModelState.AddModelError(nameof(Input.TimeZoneId), timeZoneError);
+            await LoadImpactDataAsync().ConfigureAwait(false);
+            return Page();
+        }
+
         current.Name = Input.Name.Trim();
         current.Country = Input.Country.Trim();
         current.IfMain = Input.IfMain;
         current.OfficerUserNames = officerUserNames;
         current.CorrespondingDispatchCenterIds = normalizedCorresponding;
+        current.IncidentIdPattern = Utilities.IncidentIdPattern.Normalize(Input.IncidentIdPattern);
+        current.TimeZoneId = Utilities.DispatchCenterTimeZone.Normalize(Input.TimeZoneId);
 
         await _topology.SaveDispatchCenterAsync(current, current.CorrespondingDispatchCenterIds);
         TempData["SuccessMessage"] = "DispatchCenterSaved";
@@ -0,0 +1,131 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Chat.Web.Models;
+using Chat.Web.Repositories;
+using Chat.Web.Utilities;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.RazorPages;
+
+namespace Chat.Web.Pages.Admin.DispatchCenters;
+
+[Authorize(Policy = "RequireAdminRole")]
+public class DispatchCentersTemplatesModel : PageModel
+{
+    private readonly IDispatchCentersRepository _dispatchCenters;
+    private readonly IRoomsRepository _rooms;
+
+    public DispatchCentersTemplatesModel(IDispatchCentersRepository dispatchCenters, IRoomsRepository rooms)
+    {
+        _dispatchCenters = dispatchCenters;
+        _rooms = rooms;
+    }
+
+    public class TemplateInput
+    {
+        public string Id { get; set; }
+        public string Title { get; set; }
+        public string Content { get; set; }
+        public Dictionary<string, string> Translations { get; set; } = new();
+        public bool Remove { get; set; }
+    }
+
+    [BindProperty(SupportsGet = true)]
+    public string Id { get; set; } = string.Empty;
+
+    public string DispatchCenterName { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Languages of the center's pair rooms (plus any language a template already has a version for).
+    /// </summary>
+    public List<string> Languages { get; set; } = new();
+
+    [BindProperty]
+    public List<TemplateInput> Templates { get; set; } = new();
+
+    public async Task<IActionResult> OnGetAsync()
+    {
+        if (string.IsNullOrWhiteSpace(Id)) return RedirectToPage("Index");
+
+        var dispatchCenter = await _dispatchCenters.GetByIdAsync(Id);
+        if (dispatchCenter == null) return RedirectToPage("Index");
+
+        DispatchCenterName = dispatchCenter.Name;
+        Templates = (dispatchCenter.Templates ?? new List<MessageTemplate>())
+            .Select(t => new TemplateInput
+            {
+                Id = t.Id,
+                Title = t.Title,
+                Content = t.Content,
+                Translations = t.Translations?.ToDictionary(kv => kv.Key, kv => kv.Value) ?? new Dictionary<string, string>()
+            })
+            .ToList();
+        Templates.Add(new TemplateInput());
+        await LoadLanguagesAsync().ConfigureAwait(false);
+
+        return Page();
+    }
+
+    public async Task<IActionResult> OnPostAsync()
+    {
+        if (string.IsNullOrWhiteSpace(Id)) return RedirectToPage("Index");
+
+        var dispatchCenter = await _dispatchCenters.GetByIdAsync(Id);
+        if (dispatchCenter == null) return RedirectToPage("Index");
+        DispatchCenterName = dispatchCenter.Name;
+
+        var templates = new List<MessageTemplate>();
+        for (var i = 0; i < Templates.Count; i++)
+        {
+            var input = Templates[i];
+            // Removed rows and the untouched blank row are dropped
+            if (input.Remove || (string.IsNullOrWhiteSpace(input.Title) && string.IsNullOrWhiteSpace(input.Content))) continue;
+
+            var template = MessageTemplateRules.Normalize(new MessageTemplate
+            {
+                Id = input.Id,
+                Title = input.Title,
+                Content = input.Content,
+                Translations = input.Translations ?? new Dictionary<string, string>()
+            });
+            var error = MessageTemplateRules.Validate(template);
+            if (error != null)
+            {
+                ModelState.AddModelError($"{nameof(Templates)}[{i}]", error);
+                continue;
+            }
+            templates.Add(template);
+        }
+
+        if (templates.Count > MessageTemplateRules.MaxDispatchCenterTemplates)
+        {
+            ModelState.AddModelError(string.Empty, $"A dispatch center can have at most {MessageTemplateRules.MaxDispatchCenterTemplates} templates.");
+        }
+
+        if (!ModelState.IsValid)
+        {
+            await LoadLanguagesAsync().ConfigureAwait(false);
+            return Page();
+        }
+
+        dispatchCenter.Templates = templates;
+        await _dispatchCenters.UpsertAsync(dispatchCenter);
+        TempData["SuccessMessage"] = "TemplatesSaved";
+        return RedirectToPage("Templates", new { id = Id });
+    }
+
+    private async Task LoadLanguagesAsync()
+    {
+        var rooms = await _rooms.GetByDispatchCenterIdAsync(Id);
+        Languages = rooms
+            .SelectMany(r => r.Languages ?? new List<string>())
+            .Concat(Templates.SelectMany(t => t.Translations?.Keys ?? Enumerable.Empty<string>()))
+            .Select(l => LanguageCode.NormalizeToLanguageCode(l))
+            .Where(l => l != null)
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .OrderBy(l => l, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+}
@@ -25,8 +25,9 @@ namespace Chat.Web.Repositories
         public Container Messages { get; }
         public Container DispatchCenters { get; }
         public Container Escalations { get; }
+        public Container ScheduledMessages { get; }
 
-        private CosmosClients(CosmosClient client, Database database, Container users, Container rooms, Container messages, Container dispatchCenters, Container escalations)
+        private CosmosClients(CosmosClient client, Database database, Container users, Container rooms, Container messages, Container dispatchCenters, Container escalations, Container scheduledMessages)
         {
             Client = client;
             Database = database;
@@ -35,6 +36,7 @@ namespace Chat.Web.Repositories
             Messages = messages;
             DispatchCenters = dispatchCenters;
             Escalations = escalations;
+            ScheduledMessages = scheduledMessages;
         }
 
         public static async Task<CosmosClients> CreateAsync(CosmosOptions options)
@@ -48,7 +50,7 @@ namespace Chat.Web.Repositories
             
             var client = new CosmosClient(options.ConnectionString, clientOptions);
             Database database;
-            Container users, rooms, messages, dispatchCenters, escalations;
+            Container users, rooms, messages, dispatchCenters, escalations, scheduledMessages;
 
             if (options.AutoCreate)
             {
@@ -58,6 +60,7 @@ namespace Chat.Web.Repositories
                 messages = await CreateContainerIfNotExistsAsync(database, options.MessagesContainer, "/roomName", 400, options.MessagesTtlSeconds).ConfigureAwait(false);
                 dispatchCenters = await CreateContainerIfNotExistsAsync(database, options.DispatchCentersContainer, "/id", 400).ConfigureAwait(false);
                 escalations = await CreateContainerIfNotExistsAsync(database, options.EscalationsContainer, "/roomName", 400).ConfigureAwait(false);
+                scheduledMessages = await CreateContainerIfNotExistsAsync(database, options.ScheduledMessagesContainer, "/roomName", 400).ConfigureAwait(false);
             }
             else
             {
@@ -67,9 +70,10 @@ namespace Chat.Web.Repositories
                 messages = database.GetContainer(options.MessagesContainer);
                 dispatchCenters = database.GetContainer(options.DispatchCentersContainer);
                 escalations = database.GetContainer(options.EscalationsContainer);
+                scheduledMessages = database.GetContainer(options.ScheduledMessagesContainer);
             }
 
-            return new CosmosClients(client, database, users, rooms, messages, dispatchCenters, escalations);
+            return new CosmosClients(client, database, users, rooms, messages, dispatchCenters, escalations, scheduledMessages);
         }
 
         private static async Task<Container> CreateContainerIfNotExistsAsync(Database database, string name, string partitionKey, int? throughput, int? defaultTtlSeconds = null)
@@ -121,6 +125,7 @@ namespace Chat.Web.Repositories
         public string country { get; set; }
         public string region { get; set; }
         public string dispatchCenterId { get; set; }
+        public MessageTemplateDoc[] favoriteTemplates { get; set; }
     }
     internal class RoomDoc
     {
@@ -145,6 +150,26 @@ namespace Chat.Web.Repositories
         public string[] correspondingDispatchCenterIds { get; set; }
         public string[] users { get; set; }
         public string[] officerUserNames { get; set; }
+        public string incidentIdPattern { get; set; }
+        public string timeZoneId { get; set; }
+        public MessageTemplateDoc[] templates { get; set; }
+    }
+    internal class MessageTemplateDoc
+    {
+        public string id { get; set; }
+        public string title { get; set; }
+        public string content { get; set; }
+        public Dictionary<string, string> translations { get; set; }
+
+        public static MessageTemplateDoc[] FromModels(IEnumerable<MessageTemplate> templates)
+            => templates?.Where(t => t != null)
+                .Select(t => new MessageTemplateDoc { id = t.Id, title = t.Title, content = t.Content, translations = t.Translations ?? new Dictionary<string, string>() })
+                .ToArray() ?? Array.Empty<MessageTemplateDoc>();
+
+        public static List<MessageTemplate> ToModels(MessageTemplateDoc[] docs)
+            => (docs ?? Array.Empty<MessageTemplateDoc>())
+                .Select(d => new MessageTemplate { Id = d.id, Title = d.title, Content = d.content, Translations = d.translations ?? new Dictionary<string, string>() })
+                .ToList();
     }
     internal class MessageDoc 
     { 
@@ -163,8 +188,62 @@ namespace Chat.Web.Repositories
         public string translationFailureMessage { get; set; }
         public string fromDispatchCenterId { get; set; }
         public string[] readByDispatchCenterIds { get; set; }
+        public Dictionary<string, string[]> reactions { get; set; }  // {"Received": ["dc-a"], "Done": ["dc-b"]}
         public string escalationStatus { get; set; }
         public string openEscalationId { get; set; }
+        public string priority { get; set; }
+        public DateTime? editedAt { get; set; }
+        public MessageVersionDoc[] editHistory { get; set; }
+        public DateTime? deletedAt { get; set; }
+        public string deletedBy { get; set; }
+        public int? replyToId { get; set; }
+        public MessageAttachmentDoc attachment { get; set; }
+        public IncidentCardDoc card { get; set; }
+        public MessageLocationDoc location { get; set; }
+        public MessageForwardDoc forwardedFrom { get; set; }
+        public DateTime? pinnedAt { get; set; }
+        public string pinnedBy { get; set; }
+        public string _etag { get; set; }
+    }
+    internal class MessageForwardDoc
+    {
+        public int originalMessageId { get; set; }
+        public string roomName { get; set; }
+        public string roomDisplayName { get; set; }
+        public string fromUserName { get; set; }
+        public string fromFullName { get; set; }
+        public string fromDispatchCenterId { get; set; }
+        public string fromDispatchCenterName { get; set; }
+        public DateTime timestamp { get; set; }
+        public bool attachmentOmitted { get; set; }
+    }
+    internal class MessageLocationDoc
+    {
+        public double latitude { get; set; }
+        public double longitude { get; set; }
+        public double? accuracyMeters { get; set; }
+    }
+    internal class IncidentCardDoc
+    {
+        public string incidentId { get; set; }
+        public string category { get; set; }
+        public string address { get; set; }
+        public double? latitude { get; set; }
+        public double? longitude { get; set; }
+        public string unitsRequested { get; set; }
+        public string callbackNumber { get; set; }
+    }
+    internal class MessageAttachmentDoc
+    {
+        public string id { get; set; }
+        public string fileName { get; set; }
+        public string contentType { get; set; }
+        public long size { get; set; }
+    }
+    internal class MessageVersionDoc
+    {
+        public string content { get; set; }
+        public DateTime timestamp { get; set; }
     }
     internal class EscalationMessageSnapshotDoc
     {
@@ -193,6 +272,22 @@ namespace Chat.Web.Repositories
         public int[] messageIds { get; set; }
         public EscalationMessageSnapshotDoc[] messageSnapshots { get; set; }
     }
+    internal class ScheduledMessageDoc
+    {
+        public string id { get; set; }
+        public string roomName { get; set; }
+        public string fromUserName { get; set; }
+        public string content { get; set; }
+        public string priority { get; set; }
+        public DateTime sendAt { get; set; }
+        public DateTime createdAt { get; set; }
+        public DateTime? updatedAt { get; set; }
+        public string status { get; set; }
+        public DateTime? sentAt { get; set; }
+        public int? sentMessageId { get; set; }
+        public string failureReason { get; set; }
+        public string _etag { get; set; }
+    }
 
     /// <summary>
     /// Helper class to reduce duplication in paginated Cosmos query patterns
@@ -295,7 +390,8 @@ namespace Chat.Web.Repositories
                 DisplayName = d.displayName,
                 Country = d.country,
                 Region = d.region,
-                DispatchCenterId = d.dispatchCenterId
+                DispatchCenterId = d.dispatchCenterId,
+                FavoriteTemplates = MessageTemplateDoc.ToModels(d.favoriteTemplates)
             };
         }
 
@@ -380,7 +476,8 @@ namespace Chat.Web.Repositories
                 displayName = user.DisplayName,
                 country = user.Country,
                 region = user.Region,
-                dispatchCenterId = user.DispatchCenterId
+                dispatchCenterId = user.DispatchCenterId,
+                favoriteTemplates = MessageTemplateDoc.FromModels(user.FavoriteTemplates)
             };
             try
             {
@@ -627,7 +724,14 @@ namespace Chat.Web.Repositories
         private const string SelectMessageByIdQuery = "SELECT TOP 1 * FROM c WHERE c.id = @id";
         private const string SelectMessagesByRoomQuery = "SELECT * FROM c WHERE c.roomName = @n ORDER BY c.timestamp DESC";
         private const string SelectMessagesBeforeByRoomQuery = "SELECT * FROM c WHERE c.roomName = @n AND c.timestamp < @b ORDER BY c.timestamp DESC";
+        private const string SelectMessagesAfterByRoomQuery = "SELECT * FROM c WHERE c.roomName = @n AND c.timestamp >= @a ORDER BY c.timestamp ASC";
+        private const string SelectPinnedMessagesByRoomQuery = "SELECT * FROM c WHERE c.roomName = @n AND IS_DEFINED(c.pinnedAt) AND NOT IS_NULL(c.pinnedAt)";
+        // Translations are a language -> text object; ToString lets CONTAINS pre-filter them and
+        // MessageSearch.Matches drops false positives (e.g. a query matching a language key).
+        private const string SearchMessagesByRoomQuery = "SELECT * FROM c WHERE c.roomName = @n AND (NOT IS_DEFINED(c.deletedAt) OR IS_NULL(c.deletedAt)) AND (CONTAINS(c.content, @q, true) OR CONTAINS(ToString(c.translations), @q, true)) ORDER BY c.timestamp DESC";
         private const int MaxRecentMessagesTake = 200;
+        // Read-modify-write retries after an ETag conflict before giving up
+        private const int MaxConditionalWriteAttempts = 5;
         private readonly Container _messages;
         private readonly IRoomsRepository _roomsRepo;
         private readonly ILogger<CosmosMessagesRepository> _logger;
@@ -652,15 +756,60 @@ namespace Chat.Web.Repositories
                 FromDispatchCenterId = d.fromDispatchCenterId,
                 ReadBy = d.readBy != null ? new List<string>(d.readBy) : new List<string>(),
                 ReadByDispatchCenterIds = d.readByDispatchCenterIds != null ? new List<string>(d.readByDispatchCenterIds) : new List<string>(),
+                Reactions = d.reactions != null
+                    ? d.reactions.ToDictionary(kv => kv.Key, kv => new List<string>(kv.Value ?? Array.Empty<string>()))
+                    : new Dictionary<string, List<string>>(),
                 EscalationStatus = Enum.TryParse<MessageEscalationStatus>(d.escalationStatus, out var escalationStatus) ? escalationStatus : MessageEscalationStatus.None,
                 OpenEscalationId = d.openEscalationId,
+                Priority = Enum.TryParse<MessagePriority>(d.priority, out var priority) ? priority : MessagePriority.Normal,
                 TranslationStatus = Enum.TryParse<TranslationStatus>(d.translationStatus, out var status) ? status : TranslationStatus.None,
                 Translations = d.translations ?? new Dictionary<string, string>(),
                 TranslationJobId = d.translationJobId,
                 TranslationFailedAt = d.translationFailedAt,
                 TranslationFailureCategory = Enum.TryParse<TranslationFailureCategory>(d.translationFailureCategory, out var cat) ? cat : TranslationFailureCategory.Unknown,
                 TranslationFailureCode = Enum.TryParse<TranslationFailureCode>(d.translationFailureCode, out var code) ? code : TranslationFailureCode.Unknown,
-                TranslationFailureMessage = d.translationFailureMessage
+                TranslationFailureMessage = d.translationFailureMessage,
+                EditedAt = d.editedAt,
+                EditHistory = d.editHistory != null
+                    ? d.editHistory.Select(v => new MessageVersion { Content = v.content, Timestamp = v.timestamp }).ToList()
+                    : new List<MessageVersion>(),
+                DeletedAt = d.deletedAt,
+                DeletedByUserName = d.deletedBy,
+                ReplyToId = d.replyToId,
+                Attachment = d.attachment != null
+                    ? new MessageAttachment { Id = d.attachment.id, FileName = d.attachment.fileName, ContentType = d.attachment.contentType, Size = d.attachment.size }
+                    : null,
+                Card = d.card != null
+                    ? new IncidentCard
+                    {
+                        IncidentId = d.card.incidentId,
+                        Category = Enum.TryParse<IncidentCategory>(d.card.category, out var category) ? category : IncidentCategory.Other,
+                        Address = d.card.address,
+                        Latitude = d.card.latitude,
+                        Longitude = d.card.longitude,
+                        UnitsRequested = d.card.unitsRequested,
+                        CallbackNumber = d.card.callbackNumber
+                    }
+                    : null,
+                Location = d.location != null
+                    ? new MessageLocation { Latitude = d.location.latitude, Longitude = d.location.longitude, AccuracyMeters = d.location.accuracyMeters }
+                    : null,
+                ForwardedFrom = d.forwardedFrom != null
+                    ? new MessageForward
+                    {
+                        OriginalMessageId = d.forwardedFrom.originalMessageId,
+                        RoomName = d.forwardedFrom.roomName,
+                        RoomDisplayName = d.forwardedFrom.roomDisplayName,
+                        FromUserName = d.forwardedFrom.fromUserName,
+                        FromFullName = d.forwardedFrom.fromFullName,
+                        FromDispatchCenterId = d.forwardedFrom.fromDispatchCenterId,
+                        FromDispatchCenterName = d.forwardedFrom.fromDispatchCenterName,
+                        Timestamp = d.forwardedFrom.timestamp,
+                        AttachmentOmitted = d.forwardedFrom.attachmentOmitted
+                    }
+                    : null,
+                PinnedAt = d.pinnedAt,
+                PinnedByUserName = d.pinnedBy
             };
         }
 
@@ -680,15 +829,54 @@ namespace Chat.Web.Repositories
                 timestamp = message.Timestamp, 
                 readBy = (message.ReadBy != null ? message.ReadBy.ToArray() : Array.Empty<string>()),
                 readByDispatchCenterIds = message.ReadByDispatchCenterIds != null ? message.ReadByDispatchCenterIds.ToArray() : Array.Empty<string>(),
+                reactions = message.Reactions?.ToDictionary(kv => kv.Key, kv => kv.Value.ToArray()),
                 escalationStatus = message.EscalationStatus.ToString(),
                 openEscalationId = message.OpenEscalationId,
+                priority = message.Priority.ToString(),
                 translationStatus = message.TranslationStatus.ToString(),
                 translations = message.Translations,
                 translationJobId = message.TranslationJobId,
                 translationFailedAt = message.TranslationFailedAt,
                 translationFailureCategory = message.TranslationStatus == TranslationStatus.Failed ? message.TranslationFailureCategory.ToString() : null,
                 translationFailureCode = message.TranslationStatus == TranslationStatus.Failed ? message.TranslationFailureCode.ToString() : null,
-                translationFailureMessage = message.TranslationFailureMessage
+                translationFailureMessage = message.TranslationFailureMessage,
+                editedAt = message.EditedAt,
+                editHistory = message.EditHistory?.Select(v => new MessageVersionDoc { content = v.Content, timestamp = v.Timestamp }).ToArray(),
+                deletedAt = message.DeletedAt,
+                deletedBy = message.DeletedByUserName,
+                replyToId = message.ReplyToId,
+                attachment = message.Attachment != null
+                    ? new MessageAttachmentDoc { id = message.Attachment.Id, fileName = message.Attachment.FileName, contentType = message.Attachment.ContentType, size = message.Attachment.Size }
+                    : null,
+                card = message.Card != null
+                    ? new IncidentCardDoc
+                    {
+                        incidentId = message.Card.IncidentId,
+                        category = message.Card.Category.ToString(),
+                        address = message.Card.Address,
+                        latitude = message.Card.Latitude,
+                        longitude = message.Card.Longitude,
+                        unitsRequested = message.Card.UnitsRequested,
+                        callbackNumber = message.Card.CallbackNumber
+                    }
+                    : null,
+                location = message.Location != null
+                    ? new MessageLocationDoc { latitude = message.Location.Latitude, longitude = message.Location.Longitude, accuracyMeters = message.Location.AccuracyMeters }
+                    : null,
+                forwardedFrom = message.ForwardedFrom != null
+                    ? new MessageForwardDoc
+                    {
+                        originalMessageId = message.ForwardedFrom.OriginalMessageId,
+                        roomName = message.ForwardedFrom.RoomName,
+                        roomDisplayName = message.ForwardedFrom.RoomDisplayName,
+                        fromUserName = message.ForwardedFrom.FromUserName,
+                        fromFullName = message.ForwardedFrom.FromFullName,
+                        fromDispatchCenterId = message.ForwardedFrom.FromDispatchCenterId,
+                        fromDispatchCenterName = message.ForwardedFrom.FromDispatchCenterName,
+                        timestamp = message.ForwardedFrom.Timestamp,
+                        attachmentOmitted = message.ForwardedFrom.AttachmentOmitted
+                    }
+                    : null
             };
             try
             {
@@ -708,30 +896,20 @@ namespace Chat.Web.Repositories
             return message;
         }
 
-        public async Task DeleteAsync(int id, string byUserName)
+        public async Task<Message> DeleteAsync(int id, string byUserName, DateTime deletedAt)
         {
             using var activity = Tracing.ActivitySource.StartActivity("cosmos.messages.delete", ActivityKind.Client);
-            var m = await GetByIdAsync(id).ConfigureAwait(false);
-            if (m == null) return;
-            if (m.FromUser?.UserName != byUserName) return;
-            
-            var room = m.ToRoom ?? await _roomsRepo.GetByIdAsync(m.ToRoomId).ConfigureAwait(false);
-            var pk = room?.Name ?? "global";
-            try
-            {
-                var resp = await Resilience.RetryHelper.ExecuteAsync(
-                    _ => _messages.DeleteItemAsync<MessageDoc>(id.ToString(), new PartitionKey(pk)),
-                    Transient.IsCosmosTransient,
-                    _logger,
-                    "cosmos.messages.delete").ConfigureAwait(false);
-                activity?.SetTag("db.status_code", (int)resp.StatusCode);
-            }
-            catch (CosmosException ex)
+            activity?.SetTag(MessageIdTagName, id);
+            // Soft delete: keep the document (and its content) for audit, mark it as withdrawn.
+            var d = await ReplaceDocAsync(id, "cosmos.messages.delete", "delete message", activity, doc =>
             {
-                activity?.SetStatus(ActivityStatusCode.Error, ex.Message);
-                _logger.LogError(ex, "Cosmos message delete failed {Id}", id); // id is integer; no sanitization needed
-                throw new InvalidOperationException($"Failed to delete Cosmos message with id '{id}'.", ex);
-            }
+                if (!string.Equals(doc.fromUser, byUserName, StringComparison.OrdinalIgnoreCase)) return DocChange.Refuse;
+                if (doc.deletedAt.HasValue) return DocChange.Unchanged;
+                doc.deletedAt = deletedAt;
+                doc.deletedBy = byUserName;
+                return DocChange.Write;
+            }).ConfigureAwait(false);
+            return d != null ? MapMessage(d) : null;
         }
 
         public async Task<Message> GetByIdAsync(int id)
@@ -771,6 +949,21 @@ namespace Chat.Web.Repositories
             return list.OrderByDescending(m => m.Timestamp).Take(normalizedTake).OrderBy(m => m.Timestamp).ToList();
         }
 
+        public async Task<IEnumerable<Message>> GetAfterByRoomAsync(string roomName, DateTime after, int take = 20)
+        {
+            using var activity = Tracing.ActivitySource.StartActivity("cosmos.messages.after", ActivityKind.Client);
+            activity?.SetTag("app.room", roomName);
+            activity?.SetTag("app.after", after);
+            var normalizedTake = NormalizeMessageQueryTake(take);
+            var q = _messages.GetItemQueryIterator<MessageDoc>(
+                new QueryDefinition(SelectMessagesAfterByRoomQuery)
+                    .WithParameter("@n", roomName)
+                    .WithParameter("@a", after),
+                requestOptions: CreateMessageQueryOptions(roomName, normalizedTake));
+            var list = await CosmosQueryHelper.ExecutePaginatedQueryAsync(q, MapMessage, activity, _logger, "cosmos.messages.after").ConfigureAwait(false);
+            return list.OrderBy(m => m.Timestamp).Take(normalizedTake).ToList();
+        }
+
         private static int NormalizeMessageQueryTake(int take)
         {
             return Math.Clamp(take, 1, MaxRecentMessagesTake);
@@ -790,50 +983,21 @@ namespace Chat.Web.Repositories
             using var activity = Tracing.ActivitySource.StartActivity("cosmos.messages.markread", ActivityKind.Client);
             activity?.SetTag(MessageIdTagName, id);
             if (string.IsNullOrWhiteSpace(userName)) return null;
-            var q = _messages.GetItemQueryIterator<MessageDoc>(new QueryDefinition(SelectMessageByIdQuery).WithParameter("@id", id.ToString()));
-            MessageDoc d = null;
-            while (q.HasMoreResults && d == null)
+            var d = await ReplaceDocAsync(id, "cosmos.messages.markread", "mark message as read", activity, doc =>
             {
-                var page = await Resilience.RetryHelper.ExecuteAsync(
-                    _ => q.ReadNextAsync(),
-                    Transient.IsCosmosTransient,
-                    _logger,
-                    "cosmos.messages.markread.lookup").ConfigureAwait(false);
-                d = page.FirstOrDefault();
-            }
-            if (d == null) return null;
-            var pk = d.roomName;
-            var set = new HashSet<string>(d.readBy ?? Array.Empty<string>(), StringComparer.OrdinalIgnoreCase);
-            var readByDispatchCenters = new HashSet<string>(d.readByDispatchCenterIds ?? Array.Empty<string>(), StringComparer.OrdinalIgnoreCase);
-            var changed = set.Add(userName);
-            if (!string.IsNullOrWhiteSpace(dispatchCenterId))
-            {
-                changed = readByDispatchCenters.Add(dispatchCenterId) || changed;
-            }
-            if (changed)
-            {
-                d.readBy = set.ToArray();
-                d.readByDispatchCenterIds = readByDispatchCenters.ToArray();
-                try
-                {
-                    var resp = await Resilience.RetryHelper.ExecuteAsync(
-                        _ => _messages.UpsertItemAsync(d, new PartitionKey(pk)),
-                        Transient.IsCosmosTransient,
-                        _logger,
-                        "cosmos.messages.markread.upsert").ConfigureAwait(false);
-                    activity?.SetTag("db.status_code", (int)resp.StatusCode);
-                }
-                catch (CosmosException ex)
+                var set = new HashSet<string>(doc.readBy ?? Array.Empty<string>(), StringComparer.OrdinalIgnoreCase);
+                var readByDispatchCenters = new HashSet<string>(doc.readByDispatchCenterIds ?? Array.Empty<string>(), StringComparer.OrdinalIgnoreCase);
+                var changed = set.Add(userName);
+                if (!string.IsNullOrWhiteSpace(dispatchCenterId))
                 {
-                    activity?.SetStatus(ActivityStatusCode.Error, ex.Message);
-                    // Rethrow with contextual information rather than only logging and rethrowing,
-                    // to satisfy static analysis guidance and aid diagnostics upstream.
-                    throw new InvalidOperationException(
-                        $"Failed to mark message as read (Id={id}, Room={LogSanitizer.Sanitize(pk)}).",
-                        ex);
+                    changed = readByDispatchCenters.Add(dispatchCenterId) || changed;
                 }
-            }
-            return MapMessage(d);
+                if (!changed) return DocChange.Unchanged;
+                doc.readBy = set.ToArray();
+                doc.readByDispatchCenterIds = readByDispatchCenters.ToArray();
+                return DocChange.Write;
+            }).ConfigureAwait(false);
+            return d != null ? MapMessage(d) : null;
         }
 
         public async Task<Message> UpdateTranslationAsync(
@@ -844,48 +1008,51 @@ namespace Chat.Web.Repositories
             activity?.SetTag(MessageIdTagName, id);
             activity?.SetTag("app.translation.status", update.Status.ToString());
             
-            var q = _messages.GetItemQueryIterator<MessageDoc>(new QueryDefinition(SelectMessageByIdQuery).WithParameter("@id", id.ToString()));
-            MessageDoc d = null;
-            while (q.HasMoreResults && d == null)
+            var d = await FindDocAsync(id, "cosmos.messages.updatetranslation").ConfigureAwait(false);
+            if (d == null) return null;
+
+            // Results of a job only count while it is still the message's current job (an edit or a retry starts a newer one)
+            var startsJob = update.Status == TranslationStatus.Pending;
+            if (!startsJob && (update.JobId == null || !string.Equals(d.translationJobId, update.JobId, StringComparison.Ordinal)))
             {
-                var page = await Resilience.RetryHelper.ExecuteAsync(
-                    _ => q.ReadNextAsync(),
-                    Transient.IsCosmosTransient,
-                    _logger,
-                    "cosmos.messages.updatetranslation.lookup").ConfigureAwait(false);
-                d = page.FirstOrDefault();
+                activity?.SetTag("app.translation.superseded", true);
+                return null;
             }
-            if (d == null) return null;
-            
+
             var pk = d.roomName;
-            
-            // Update translation fields
-            d.translationStatus = update.Status.ToString();
-            d.translations = update.Translations ?? new Dictionary<string, string>();
-            d.translationJobId = update.JobId;
-            d.translationFailedAt = update.FailedAt;
+            var failed = update.Status == TranslationStatus.Failed;
 
-            if (update.Status == TranslationStatus.Failed)
+            // Patch only the translation fields: upserting this snapshot could put back content an edit has replaced since
+            var operations = new List<PatchOperation>
             {
-                d.translationFailureCategory = update.FailureCategory?.ToString();
-                d.translationFailureCode = update.FailureCode?.ToString();
-                d.translationFailureMessage = update.FailureMessage;
-            }
-            else
+                PatchOperation.Set("/translationStatus", update.Status.ToString()),
+                PatchOperation.Set("/translations", update.Translations ?? new Dictionary<string, string>()),
+                PatchOperation.Set("/translationJobId", update.JobId),
+                PatchOperation.Set("/translationFailedAt", update.FailedAt),
+                PatchOperation.Set("/translationFailureCategory", failed ? update.FailureCategory?.ToString() : null),
+                PatchOperation.Set("/translationFailureCode", failed ? update.FailureCode?.ToString() : null),
+                PatchOperation.Set("/translationFailureMessage", failed ? update.FailureMessage : null)
+            };
+            // The filter makes the job check atomic with the write: a job started after the lookup fails it with 412
+            var options = startsJob ? null : new PatchItemRequestOptions
             {
-                d.translationFailureCategory = null;
-                d.translationFailureCode = null;
-                d.translationFailureMessage = null;
-            }
-            
+                FilterPredicate = $"FROM c WHERE c.translationJobId = {ToSqlStringLiteral(update.JobId)}"
+            };
+
             try
             {
                 var resp = await Resilience.RetryHelper.ExecuteAsync(
-                    _ => _messages.UpsertItemAsync(d, new PartitionKey(pk)),
+                    _ => _messages.PatchItemAsync<MessageDoc>(d.id, new PartitionKey(pk), operations, options),
                     Transient.IsCosmosTransient,
                     _logger,
-                    "cosmos.messages.updatetranslation.upsert").ConfigureAwait(false);
+                    "cosmos.messages.updatetranslation.patch").ConfigureAwait(false);
                 activity?.SetTag("db.status_code", (int)resp.StatusCode);
+                return MapMessage(resp.Resource);
+            }
+            catch (CosmosException ex) when (ex.StatusCode == HttpStatusCode.PreconditionFailed)
+            {
+                activity?.SetTag("app.translation.superseded", true);
+                return null;
             }
             catch (CosmosException ex)
             {
@@ -894,14 +1061,26 @@ namespace Chat.Web.Repositories
                     $"Failed to update message translation (Id={id}, Room={LogSanitizer.Sanitize(pk)}).",
                     ex);
             }
-            
-            return MapMessage(d);
         }
 
-        public async Task<Message> UpdateEscalationAsync(int id, MessageEscalationStatus status, string escalationId)
+        private static string ToSqlStringLiteral(string value)
+            => "'" + value.Replace("\\", "\\\\").Replace("'", "\\'") + "'";
+
+        /// <summary>
+        /// Outcome of a change applied by <see cref="ReplaceDocAsync"/>.
+        /// </summary>
+        private enum DocChange
+        {
+            /// <summary>The document was changed and is written back.</summary>
+            Write,
+            /// <summary>Nothing to write; the document is returned as read.</summary>
+            Unchanged,
+            /// <summary>The operation does not apply to this message (e.g. not its sender); null is returned.</summary>
+            Refuse
+        }
+
+        private async Task<MessageDoc> FindDocAsync(int id, string operation)
         {
-            using var activity = Tracing.ActivitySource.StartActivity("cosmos.messages.updateescalation", ActivityKind.Client);
-            activity?.SetTag(MessageIdTagName, id);
             var q = _messages.GetItemQueryIterator<MessageDoc>(new QueryDefinition(SelectMessageByIdQuery).WithParameter("@id", id.ToString()));
             MessageDoc d = null;
             while (q.HasMoreResults && d == null)
@@ -910,16 +1089,176 @@ namespace Chat.Web.Repositories
                     _ => q.ReadNextAsync(),
                     Transient.IsCosmosTransient,
                     _logger,
-                    "cosmos.messages.updateescalation.lookup").ConfigureAwait(false);
+                    operation + ".lookup").ConfigureAwait(false);
                 d = page.FirstOrDefault();
             }
+            return d;
+        }
 
-            if (d == null) return null;
+        /// <summary>
+        /// Reads a message document, applies <paramref name="change"/> and writes it back only if nobody else wrote it in the
+        /// meantime (ETag match). On a conflict the document is read again and the change re-applied, so concurrent edits,
+        /// withdrawals, reactions, read receipts and translation updates never overwrite each other.
+        /// Returns the stored document, or null if the message does not exist or the change refused it.
+        /// </summary>
+        private async Task<MessageDoc> ReplaceDocAsync(int id, string operation, string description, Activity activity, Func<MessageDoc, DocChange> change)
+        {
+            for (var attempt = 1; ; attempt++)
+            {
+                var d = await FindDocAsync(id, operation).ConfigureAwait(false);
+                if (d == null) return null;
+                var outcome = change(d);
+                if (outcome == DocChange.Refuse) return null;
+                if (outcome == DocChange.Unchanged) return d;
+                try
+                {
+                    var resp = await Resilience.RetryHelper.ExecuteAsync(
+                        _ => _messages.ReplaceItemAsync(d, d.id, new PartitionKey(d.roomName), new ItemRequestOptions { IfMatchEtag = d._etag }),
+                        Transient.IsCosmosTransient,
+                        _logger,
+                        operation + ".replace").ConfigureAwait(false);
+                    activity?.SetTag("db.status_code", (int)resp.StatusCode);
+                    return resp.Resource;
+                }
+                catch (CosmosException ex) when (ex.StatusCode == HttpStatusCode.PreconditionFailed && attempt < MaxConditionalWriteAttempts)
+                {
+                    activity?.SetTag("app.write.attempts", attempt + 1);
+                }
+                catch (CosmosException ex)
+                {
+                    activity?.SetStatus(ActivityStatusCode.Error, ex.Message);
+                    throw new InvalidOperationException(
+                        $"Failed to {description} (Id={id}, Room={LogSanitizer.Sanitize(d.roomName)}).",
+                        ex);
+                }
+            }
+        }
+
+        public async Task<Message> UpdateEscalationAsync(int id, MessageEscalationStatus status, string escalationId)
+        {
+            using var activity = Tracing.ActivitySource.StartActivity("cosmos.messages.updateescalation", ActivityKind.Client);
+            activity?.SetTag(MessageIdTagName, id);
+            var d = await ReplaceDocAsync(id, "cosmos.messages.updateescalation", "update message escalation", activity, doc =>
+            {
+                doc.escalationStatus = status.ToString();
+                doc.openEscalationId = escalationId;
+                return DocChange.Write;
+            }).ConfigureAwait(false);
+            return d != null ? MapMessage(d) : null;
+        }
 
-            d.escalationStatus = status.ToString();
-            d.openEscalationId = escalationId;
-            await _messages.UpsertItemAsync(d, new PartitionKey(d.roomName)).ConfigureAwait(false);
-            return MapMessage(d);
+        public async Task<Message> EditAsync(int id, string content, DateTime editedAt)
+        {
+            using var activity = Tracing.ActivitySource.StartActivity("cosmos.messages.edit", ActivityKind.Client);
+            activity?.SetTag(MessageIdTagName, id);
+            var d = await ReplaceDocAsync(id, "cosmos.messages.edit", "edit message", activity, doc =>
+            {
+                var history = new List<MessageVersionDoc>(doc.editHistory ?? Array.Empty<MessageVersionDoc>())
+                {
+                    new MessageVersionDoc { content = doc.content, timestamp = doc.editedAt ?? doc.timestamp }
+                };
+                doc.editHistory = history.ToArray();
+                doc.content = content;
+                doc.editedAt = editedAt;
+                return DocChange.Write;
+            }).ConfigureAwait(false);
+            return d != null ? MapMessage(d) : null;
+        }
+
+        public async Task<Message> ToggleReactionAsync(int id, string dispatchCenterId, MessageReaction reaction)
+        {
+            using var activity = Tracing.ActivitySource.StartActivity("cosmos.messages.react", ActivityKind.Client);
+            activity?.SetTag(MessageIdTagName, id);
+            if (string.IsNullOrWhiteSpace(dispatchCenterId)) return null;
+            var d = await ReplaceDocAsync(id, "cosmos.messages.react", "update message reaction", activity, doc =>
+            {
+                // Decided on the document being written, so two officers of a center clicking at once cannot both add
+                var reactionKey = reaction.ToString();
+                var alreadySet = false;
+                var reactions = new Dictionary<string, string[]>();
+                foreach (var (key, centers) in doc.reactions ?? new Dictionary<string, string[]>())
+                {
+                    alreadySet |= key == reactionKey && (centers ?? Array.Empty<string>()).Contains(dispatchCenterId, StringComparer.OrdinalIgnoreCase);
+                    var remaining = (centers ?? Array.Empty<string>())
+                        .Where(c => !string.Equals(c, dispatchCenterId, StringComparison.OrdinalIgnoreCase))
+                        .ToArray();
+                    if (remaining.Length > 0) reactions[key] = remaining;
+                }
+                if (!alreadySet)
+                {
+                    reactions[reactionKey] = (reactions.TryGetValue(reactionKey, out var centers) ? centers : Array.Empty<string>())
+                        .Append(dispatchCenterId)
+                        .ToArray();
+                }
+                doc.reactions = reactions;
+                return DocChange.Write;
+            }).ConfigureAwait(false);
+            return d != null ? MapMessage(d) : null;
+        }
+
+        public async Task<Message> SetPinnedAsync(int id, string byUserName, DateTime? pinnedAt)
+        {
+            using var activity = Tracing.ActivitySource.StartActivity("cosmos.messages.pin", ActivityKind.Client);
+            activity?.SetTag(MessageIdTagName, id);
+            activity?.SetTag("app.pinned", pinnedAt.HasValue);
+            var d = await ReplaceDocAsync(id, "cosmos.messages.pin", "update message pin", activity, doc =>
+            {
+                doc.pinnedAt = pinnedAt;
+                doc.pinnedBy = pinnedAt.HasValue ? byUserName : null;
+                return DocChange.Write;
+            }).ConfigureAwait(false);
+            return d != null ? MapMessage(d) : null;
+        }
+
+        public async Task<IEnumerable<Message>> GetPinnedByRoomAsync(string roomName)
+        {
+            using var activity = Tracing.ActivitySource.StartActivity("cosmos.messages.pinned", ActivityKind.Client);
+            activity?.SetTag("app.room", roomName);
+            var q = _messages.GetItemQueryIterator<MessageDoc>(
+                new QueryDefinition(SelectPinnedMessagesByRoomQuery).WithParameter("@n", roomName),
+                requestOptions: new QueryRequestOptions { PartitionKey = new PartitionKey(roomName) });
+            var list = await CosmosQueryHelper.ExecutePaginatedQueryAsync(q, MapMessage, activity, _logger, "cosmos.messages.pinned").ConfigureAwait(false);
+            return list.OrderByDescending(m => m.PinnedAt).ToList();
+        }
+
+        public async Task<IEnumerable<Message>> SearchByRoomAsync(string roomName, string query, int skip, int take)
+        {
+            using var activity = Tracing.ActivitySource.StartActivity("cosmos.messages.search", ActivityKind.Client);
+            activity?.SetTag("app.room", roomName);
+            var normalizedTake = NormalizeMessageQueryTake(take);
+            var q = _messages.GetItemQueryIterator<MessageDoc>(
+                new QueryDefinition(SearchMessagesByRoomQuery)
+                    .WithParameter("@n", roomName)
+                    .WithParameter("@q", query),
+                requestOptions: CreateMessageQueryOptions(roomName, normalizedTake));
+            var results = new List<Message>();
+            var toSkip = Math.Max(0, skip);
+            try
+            {
+                // Post-filtering makes OFFSET/LIMIT unusable, so page through until the requested window is filled
+                while (q.HasMoreResults && results.Count < normalizedTake)
+                {
+                    var page = await Resilience.RetryHelper.ExecuteAsync(
+                        _ => q.ReadNextAsync(),
+                        Transient.IsCosmosTransient,
+                        _logger,
+                        "cosmos.messages.search.readnext").ConfigureAwait(false);
+                    foreach (var message in page.Select(MapMessage).Where(m => MessageSearch.Matches(m, query)))
+                    {
+                        if (toSkip > 0) { toSkip--; continue; }
+                        results.Add(message);
+                        if (results.Count == normalizedTake) break;
+                    }
+                }
+            }
+            catch (CosmosException ex)
+            {
+                activity?.SetStatus(ActivityStatusCode.Error, ex.Message);
+                _logger.LogError(ex, "cosmos.messages.search failed");
+                throw new InvalidOperationException("Cosmos query failed during 'cosmos.messages.search'.", ex);
+            }
+            activity?.SetTag("app.result.count", results.Count);
+            return results;
         }
     }
 
@@ -944,7 +1283,10 @@ namespace Chat.Web.Repositories
                 IfMain = d.ifMain,
                 CorrespondingDispatchCenterIds = d.correspondingDispatchCenterIds != null ? new List<string>(d.correspondingDispatchCenterIds) : new List<string>(),
                 Users = d.users != null ? new List<string>(d.users) : new List<string>(),
-                OfficerUserNames = d.officerUserNames != null ? new List<string>(d.officerUserNames) : new List<string>()
+                OfficerUserNames = d.officerUserNames != null ? new List<string>(d.officerUserNames) : new List<string>(),
+                IncidentIdPattern = d.incidentIdPattern,
+                TimeZoneId = d.timeZoneId,
+                Templates = MessageTemplateDoc.ToModels(d.templates)
             };
         }
 
@@ -1005,7 +1347,10 @@ namespace Chat.Web.Repositories
                 ifMain = dispatchCenter.IfMain,
                 correspondingDispatchCenterIds = dispatchCenter.CorrespondingDispatchCenterIds?.ToArray() ?? Array.Empty<string>(),
                 users = dispatchCenter.Users?.ToArray() ?? Array.Empty<string>(),
-                officerUserNames = dispatchCenter.OfficerUserNames?.ToArray() ?? Array.Empty<string>()
+                officerUserNames = dispatchCenter.OfficerUserNames?.ToArray() ?? Array.Empty<string>(),
+                incidentIdPattern = dispatchCenter.IncidentIdPattern,
+                timeZoneId = dispatchCenter.TimeZoneId,
+                templates = MessageTemplateDoc.FromModels(dispatchCenter.Templates)
             };
 
             try
@@ -1233,4 +1578,127 @@ namespace Chat.Web.Repositories
             await _escalations.UpsertItemAsync(doc, new PartitionKey(doc.roomName)).ConfigureAwait(false);
         }
     }
+
+    public class CosmosScheduledMessagesRepository : IScheduledMessagesRepository
+    {
+        private readonly Container _scheduled;
+        private readonly ILogger<CosmosScheduledMessagesRepository> _logger;
+
+        public CosmosScheduledMessagesRepository(CosmosClients clients, ILogger<CosmosScheduledMessagesRepository> logger)
+        {
+            _scheduled = clients.ScheduledMessages;
+            _logger = logger;
+        }
+
+        private static ScheduledMessage MapScheduledMessage(ScheduledMessageDoc d)
+        {
+            return new ScheduledMessage
+            {
+                Id = d.id,
+                RoomName = d.roomName,
+                FromUserName = d.fromUserName,
+                Content = d.content,
+                Priority = Enum.TryParse<MessagePriority>(d.priority, out var priority) ? priority : MessagePriority.Normal,
+                SendAt = d.sendAt,
+                CreatedAt = d.createdAt,
+                UpdatedAt = d.updatedAt,
+                Status = Enum.TryParse<ScheduledMessageStatus>(d.status, out var status) ? status : ScheduledMessageStatus.Scheduled,
+                SentAt = d.sentAt,
+                SentMessageId = d.sentMessageId,
+                FailureReason = d.failureReason,
+                ETag = d._etag
+            };
+        }
+
+        private static ScheduledMessageDoc MapScheduledMessageDoc(ScheduledMessage message)
+        {
+            return new ScheduledMessageDoc
+            {
+                id = message.Id,
+                roomName = message.RoomName,
+                fromUserName = message.FromUserName,
+                content = message.Content,
+                priority = message.Priority.ToString(),
+                sendAt = message.SendAt,
+                createdAt = message.CreatedAt,
+                updatedAt = message.UpdatedAt,
+                status = message.Status.ToString(),
+                sentAt = message.SentAt,
+                sentMessageId = message.SentMessageId,
+                failureReason = message.FailureReason
+            };
+        }
+
+        public async Task<ScheduledMessage> CreateAsync(ScheduledMessage message)
+        {
+            message.Id ??= Guid.NewGuid().ToString();
+            var doc = MapScheduledMessageDoc(message);
+            var response = await _scheduled.CreateItemAsync(doc, new PartitionKey(doc.roomName)).ConfigureAwait(false);
+            message.ETag = response.ETag;
+            return message;
+        }
+
+        public async Task<ScheduledMessage> GetByIdAsync(string id, string roomName)
+        {
+            if (string.IsNullOrWhiteSpace(id) || string.IsNullOrWhiteSpace(roomName)) return null;
+            try
+            {
+                var response = await _scheduled.ReadItemAsync<ScheduledMessageDoc>(id, new PartitionKey(roomName)).ConfigureAwait(false);
+                return MapScheduledMessage(response.Resource);
+            }
+            catch (CosmosException ex) when (ex.StatusCode == HttpStatusCode.NotFound)
+            {
+                return null;
+            }
+        }
+
+        public async Task<IEnumerable<ScheduledMessage>> GetOpenByUserAsync(string userName, string roomName)
+        {
+            using var activity = Tracing.ActivitySource.StartActivity("cosmos.scheduledmessages.openbyuser", ActivityKind.Client);
+            var q = _scheduled.GetItemQueryIterator<ScheduledMessageDoc>(
+                new QueryDefinition("SELECT * FROM c WHERE c.fromUserName = @userName AND (c.status = @scheduled OR c.status = @failed) ORDER BY c.sendAt ASC")
+                    .WithParameter("@userName", userName)
+                    .WithParameter("@scheduled", ScheduledMessageStatus.Scheduled.ToString())
+                    .WithParameter("@failed", ScheduledMessageStatus.Failed.ToString()),
+                requestOptions: new QueryRequestOptions { PartitionKey = new PartitionKey(roomName) });
+            return await CosmosQueryHelper.ExecutePaginatedQueryAsync(q, MapScheduledMessage, activity, _logger, "cosmos.scheduledmessages.openbyuser").ConfigureAwait(false);
+        }
+
+        public async Task<IEnumerable<ScheduledMessage>> GetDueAsync(DateTime dueBeforeUtc, DateTime claimedBeforeUtc, int take = 100)
+        {
+            using var activity = Tracing.ActivitySource.StartActivity("cosmos.scheduledmessages.due", ActivityKind.Client);
+            var q = _scheduled.GetItemQueryIterator<ScheduledMessageDoc>(
+                new QueryDefinition($"SELECT TOP {take} * FROM c WHERE (c.status = @status AND c.sendAt <= @dueBeforeUtc) OR (c.status = @sending AND c.updatedAt <= @claimedBeforeUtc) ORDER BY c.sendAt ASC")
+                    .WithParameter("@status", ScheduledMessageStatus.Scheduled.ToString())
+                    .WithParameter("@dueBeforeUtc", dueBeforeUtc)
+                    .WithParameter("@sending", ScheduledMessageStatus.Sending.ToString())
+                    .WithParameter("@claimedBeforeUtc", claimedBeforeUtc));
+            return await CosmosQueryHelper.ExecutePaginatedQueryAsync(q, MapScheduledMessage, activity, _logger, "cosmos.scheduledmessages.due").ConfigureAwait(false);
+        }
+
+        public async Task UpsertAsync(ScheduledMessage message)
+        {
+            if (message == null) return;
+            var doc = MapScheduledMessageDoc(message);
+            var response = await _scheduled.UpsertItemAsync(doc, new PartitionKey(doc.roomName)).ConfigureAwait(false);
+            message.ETag = response.ETag;
+        }
+
+        public async Task<bool> TryReplaceAsync(ScheduledMessage message)
+        {
+            if (message?.Id == null || string.IsNullOrEmpty(message.ETag)) return false;
+            var doc = MapScheduledMessageDoc(message);
+            try
+            {
+                var response = await _scheduled.ReplaceItemAsync(doc, doc.id, new PartitionKey(doc.roomName),
+                    new ItemRequestOptions { IfMatchEtag = message.ETag }).ConfigureAwait(false);
+                message.ETag = response.ETag;
+                return true;
+            }
+            catch (CosmosException ex) when (ex.StatusCode == HttpStatusCode.PreconditionFailed || ex.StatusCode == HttpStatusCode.NotFound)
+            {
+                return false;
+            }
+        }
+    }
 }
@@ -12,16 +12,52 @@ namespace Chat.Web.Repositories
         Task<Message> GetByIdAsync(int id);
         Task<IEnumerable<Message>> GetRecentByRoomAsync(string roomName, int take = 20);
         Task<IEnumerable<Message>> GetBeforeByRoomAsync(string roomName, System.DateTime before, int take = 20);
+        /// <summary>
+        /// Returns the oldest <paramref name="take"/> messages at or after <paramref name="after"/>, in ascending order
+        /// (pages forward through a history window).
+        /// </summary>
+        Task<IEnumerable<Message>> GetAfterByRoomAsync(string roomName, System.DateTime after, int take = 20);
         Task<Message> CreateAsync(Message message);
-        Task DeleteAsync(int id, string byUserName);
+        /// <summary>
+        /// Soft-deletes a message sent by <paramref name="byUserName"/>: the content is retained for audit and the message is marked as withdrawn.
+        /// Returns the updated message or null if not found or not sent by that user.
+        /// </summary>
+        Task<Message> DeleteAsync(int id, string byUserName, System.DateTime deletedAt);
         /// <summary>
         /// Marks a message as read by the specified user. Returns the updated message or null if not found.
         /// </summary>
         Task<Message> MarkReadAsync(int id, string userName, string dispatchCenterId);
         /// <summary>
-        /// Updates translation status and translations for a message. Returns the updated message or null if not found.
+        /// Updates translation status and translations for a message. Only the translation fields are written.
+        /// Updates from a job other than the message's current one (see <see cref="MessageTranslationUpdate"/>) are ignored.
+        /// Returns the updated message, or null if not found or the update came from a superseded job.
         /// </summary>
         Task<Message> UpdateTranslationAsync(int id, MessageTranslationUpdate update);
         Task<Message> UpdateEscalationAsync(int id, MessageEscalationStatus status, string escalationId);
+        /// <summary>
+        /// Replaces the content of a message and appends the previous content to its edit history.
+        /// Returns the updated message or null if not found.
+        /// </summary>
+        Task<Message> EditAsync(int id, string content, System.DateTime editedAt);
+        /// <summary>
+        /// Toggles the reaction of a dispatch center: sets <paramref name="reaction"/> (replacing the center's previous one),
+        /// or clears it when it already is the center's reaction. The toggle is decided on the stored message in the same write.
+        /// Returns the updated message or null if not found.
+        /// </summary>
+        Task<Message> ToggleReactionAsync(int id, string dispatchCenterId, MessageReaction reaction);
+        /// <summary>
+        /// Pins a message by <paramref name="byUserName"/>; a null <paramref name="pinnedAt"/> unpins it.
+        /// Returns the updated message or null if not found.
+        /// </summary>
+        Task<Message> SetPinnedAsync(int id, string byUserName, System.DateTime? pinnedAt);
+        /// <summary>
+        /// Returns the pinned messages of a room, most recently pinned first.
+        /// </summary>
+        Task<IEnumerable<Message>> GetPinnedByRoomAsync(string roomName);
+        /// <summary>
+        /// Returns a page of a room's messages whose content or translations contain <paramref name="query"/>
+        /// (case-insensitive), newest first. Withdrawn messages are excluded.
+        /// </summary>
+        Task<IEnumerable<Message>> SearchByRoomAsync(string roomName, string query, int skip, int take);
     }
 }
@@ -0,0 +1,29 @@
+using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Chat.Web.Models;
+
+namespace Chat.Web.Repositories
+{
+    public interface IScheduledMessagesRepository
+    {
+        Task<ScheduledMessage> CreateAsync(ScheduledMessage message);
+        Task<ScheduledMessage> GetByIdAsync(string id, string roomName);
+        /// <summary>
+        /// The author's scheduled and failed (not yet dismissed) messages in a room, earliest first.
+        /// </summary>
+        Task<IEnumerable<ScheduledMessage>> GetOpenByUserAsync(string userName, string roomName);
+        /// <summary>
+        /// Scheduled messages due at <paramref name="dueBeforeUtc"/>, plus messages still claimed for sending
+        /// (<see cref="ScheduledMessageStatus.Sending"/>) since before <paramref name="claimedBeforeUtc"/>, i.e. whose claim expired.
+        /// </summary>
+        Task<IEnumerable<ScheduledMessage>> GetDueAsync(DateTime dueBeforeUtc, DateTime claimedBeforeUtc, int take = 100);
+        Task UpsertAsync(ScheduledMessage message);
+        /// <summary>
+        /// Writes the message only if the stored version still matches its <see cref="ScheduledMessage.ETag"/>,
+        /// i.e. nobody changed it since it was read; refreshes the ETag on success. Returns false when the
+        /// item was changed (or deleted) meanwhile.
+        /// </summary>
+        Task<bool> TryReplaceAsync(ScheduledMessage message);
+    }
+}
@@ -164,13 +164,20 @@ namespace Chat.Web.Repositories
             _messages[message.Id] = message;
             return Task.FromResult(message);
         }
-        public Task DeleteAsync(int id, string byUserName)
+        public Task<Message> DeleteAsync(int id, string byUserName, DateTime deletedAt)
         {
-            _messages.TryRemove(id, out _);
-            return Task.CompletedTask;
+            if (!_messages.TryGetValue(id, out var m)) return Task.FromResult<Message>(null);
+            if (!string.Equals(m.FromUser?.UserName, byUserName, StringComparison.OrdinalIgnoreCase)) return Task.FromResult<Message>(null);
+            if (!m.DeletedAt.HasValue)
+            {
+                m.DeletedAt = deletedAt;
+                m.DeletedByUserName = byUserName;
+            }
+            return Task.FromResult(m);
         }
         public Task<Message> GetByIdAsync(int id) => Task.FromResult(_messages.TryGetValue(id, out var m) ? m : null);
-        public Task<IEnumerable<Message>> GetBeforeByRoomAsync(string roomName, DateTime before, int take = 20) => GetRecentByRoomAsync(roomName, take);
+        public Task<IEnumerable<Message>> GetBeforeByRoomAsync(string roomName, DateTime before, int take = 20) => Task.FromResult<IEnumerable<Message>>(_messages.Values.Where(m => m.ToRoom != null && m.ToRoom.Name == roomName && m.Timestamp < before).OrderByDescending(m => m.Timestamp).Take(take).OrderBy(m => m.Timestamp));
+        public Task<IEnumerable<Message>> GetAfterByRoomAsync(string roomName, DateTime after, int take = 20) => Task.FromResult<IEnumerable<Message>>(_messages.Values.Where(m => m.ToRoom != null && m.ToRoom.Name == roomName && m.Timestamp >= after).OrderBy(m => m.Timestamp).Take(take));
         public Task<IEnumerable<Message>> GetRecentByRoomAsync(string roomName, int take = 20) => Task.FromResult<IEnumerable<Message>>(_messages.Values.Where(m => m.ToRoom != null && m.ToRoom.Name == roomName).OrderByDescending(m => m.Timestamp).Take(take));
         public Task<Message> MarkReadAsync(int id, string userName, string dispatchCenterId)
         {
@@ -190,6 +197,8 @@ namespace Chat.Web.Repositories
             MessageTranslationUpdate update)
         {
             if (!_messages.TryGetValue(id, out var m)) return Task.FromResult<Message>(null);
+            if (update.Status != TranslationStatus.Pending && (update.JobId == null || !string.Equals(m.TranslationJobId, update.JobId, StringComparison.Ordinal)))
+                return Task.FromResult<Message>(null);
             m.TranslationStatus = update.Status;
             m.Translations = update.Translations ?? new System.Collections.Generic.Dictionary<string, string>();
             m.TranslationJobId = update.JobId;
@@ -217,6 +226,59 @@ namespace Chat.Web.Repositories
             m.OpenEscalationId = escalationId;
             return Task.FromResult(m);
         }
+
+        public Task<Message> EditAsync(int id, string content, DateTime editedAt)
+        {
+            if (!_messages.TryGetValue(id, out var m)) return Task.FromResult<Message>(null);
+            var history = new List<MessageVersion>(m.EditHistory ?? new List<MessageVersion>())
+            {
+                new MessageVersion { Content = m.Content, Timestamp = m.EditedAt ?? m.Timestamp }
+            };
+            m.EditHistory = history;
+            m.Content = content;
+            m.EditedAt = editedAt;
+            return Task.FromResult(m);
+        }
+
+        public Task<Message> ToggleReactionAsync(int id, string dispatchCenterId, MessageReaction reaction)
+        {
+            if (!_messages.TryGetValue(id, out var m) || string.IsNullOrWhiteSpace(dispatchCenterId)) return Task.FromResult<Message>(null);
+            var reactionKey = reaction.ToString();
+            var alreadySet = false;
+            var reactions = new Dictionary<string, List<string>>();
+            foreach (var (key, centers) in m.Reactions ?? new Dictionary<string, List<string>>())
+            {
+                alreadySet |= key == reactionKey && centers.Contains(dispatchCenterId, StringComparer.OrdinalIgnoreCase);
+                var remaining = centers.Where(c => !string.Equals(c, dispatchCenterId, StringComparison.OrdinalIgnoreCase)).ToList();
+                if (remaining.Count > 0) reactions[key] = remaining;
+            }
+            if (!alreadySet)
+            {
+                if (!reactions.TryGetValue(reactionKey, out var centers)) reactions[reactionKey] = centers = new List<string>();
+                centers.Add(dispatchCenterId);
+            }
+            m.Reactions = reactions;
+            return Task.FromResult(m);
+        }
+        public Task<Message> SetPinnedAsync(int id, string byUserName, DateTime? pinnedAt)
+        {
+            if (!_messages.TryGetValue(id, out var m)) return Task.FromResult<Message>(null);
+            m.PinnedAt = pinnedAt;
+            m.PinnedByUserName = pinnedAt.HasValue ? byUserName : null;
+            return Task.FromResult(m);
+        }
+        public Task<IEnumerable<Message>> GetPinnedByRoomAsync(string roomName)
+            => Task.FromResult<IEnumerable<Message>>(_messages.Values
+                .Where(m => m.ToRoom != null && m.ToRoom.Name == roomName && m.PinnedAt.HasValue)
+                .OrderByDescending(m => m.PinnedAt)
+                .ToList());
+        public Task<IEnumerable<Message>> SearchByRoomAsync(string roomName, string query, int skip, int take)
+            => Task.FromResult<IEnumerable<Message>>(_messages.Values
+                .Where(m => m.ToRoom != null && m.ToRoom.Name == roomName && MessageSearch.Matches(m, query))
+                .OrderByDescending(m => m.Timestamp)
+                .Skip(skip)
+                .Take(take)
+                .ToList());
     }
 
     public class InMemoryEscalationsRepository : IEscalationsRepository
@@ -290,6 +352,99 @@ namespace Chat.Web.Repositories
         }
     }
 
+    /// <summary>
+    /// Stores copies (not the caller's objects) so that <see cref="TryReplaceAsync"/> behaves like the Cosmos
+    /// ETag check: a caller only sees another writer's change after reading the item again.
+    /// </summary>
+    public class InMemoryScheduledMessagesRepository : IScheduledMessagesRepository
+    {
+        private readonly ConcurrentDictionary<string, ScheduledMessage> _messages = new(StringComparer.OrdinalIgnoreCase);
+        private readonly object _writeLock = new();
+
+        private static ScheduledMessage Copy(ScheduledMessage m) => new ScheduledMessage
+        {
+            Id = m.Id,
+            RoomName = m.RoomName,
+            FromUserName = m.FromUserName,
+            Content = m.Content,
+            Priority = m.Priority,
+            SendAt = m.SendAt,
+            CreatedAt = m.CreatedAt,
+            UpdatedAt = m.UpdatedAt,
+            Status = m.Status,
+            SentAt = m.SentAt,
+            SentMessageId = m.SentMessageId,
+            FailureReason = m.FailureReason,
+            ETag = m.ETag
+        };
+
+        private void Store(ScheduledMessage message)
+        {
+            message.ETag = Guid.NewGuid().ToString("N");
+            _messages[message.Id] = Copy(message);
+        }
+
+        public Task<ScheduledMessage> CreateAsync(ScheduledMessage message)
+        {
+            message.Id ??= Guid.NewGuid().ToString();
+            lock (_writeLock) Store(message);
+            return Task.FromResult(message);
+        }
+
+        public Task<ScheduledMessage> GetByIdAsync(string id, string roomName)
+        {
+            if (string.IsNullOrWhiteSpace(id)) return Task.FromResult<ScheduledMessage>(null);
+            _messages.TryGetValue(id, out var message);
+            if (message == null || !string.Equals(message.RoomName, roomName, StringComparison.OrdinalIgnoreCase))
+                return Task.FromResult<ScheduledMessage>(null);
+            return Task.FromResult(Copy(message));
+        }
+
+        public Task<IEnumerable<ScheduledMessage>> GetOpenByUserAsync(string userName, string roomName)
+        {
+            var items = _messages.Values
+                .Where(x => (x.Status == ScheduledMessageStatus.Scheduled || x.Status == ScheduledMessageStatus.Failed)
+                    && string.Equals(x.FromUserName, userName, StringComparison.OrdinalIgnoreCase)
+                    && string.Equals(x.RoomName, roomName, StringComparison.OrdinalIgnoreCase))
+                .OrderBy(x => x.SendAt)
+                .Select(Copy)
+                .ToList();
+            return Task.FromResult<IEnumerable<ScheduledMessage>>(items);
+        }
+
+        public Task<IEnumerable<ScheduledMessage>> GetDueAsync(DateTime dueBeforeUtc, DateTime claimedBeforeUtc, int take = 100)
+        {
+            var items = _messages.Values
+                .Where(x => (x.Status == ScheduledMessageStatus.Scheduled && x.SendAt <= dueBeforeUtc)
+                    || (x.Status == ScheduledMessageStatus.Sending && x.UpdatedAt <= claimedBeforeUtc))
+                .OrderBy(x => x.SendAt)
+                .Take(take)
+                .Select(Copy)
+                .ToList();
+            return Task.FromResult<IEnumerable<ScheduledMessage>>(items);
+        }
+
+        public Task UpsertAsync(ScheduledMessage message)
+        {
+            if (message == null) return Task.CompletedTask;
+            message.Id ??= Guid.NewGuid().ToString();
+            lock (_writeLock) Store(message);
+            return Task.CompletedTask;
+        }
+
+        public Task<bool> TryReplaceAsync(ScheduledMessage message)
+        {
+            if (message?.Id == null) return Task.FromResult(false);
+            lock (_writeLock)
+            {
+                if (!_messages.TryGetValue(message.Id, out var stored) || stored.ETag != message.ETag)
+                    return Task.FromResult(false);
+                Store(message);
+            }
+            return Task.FromResult(true);
+        }
+    }
+
     public class InMemoryOtpStore : IOtpStore
     {
         private readonly ConcurrentDictionary<string, (string Code, DateTime Exp)> _codes = new();
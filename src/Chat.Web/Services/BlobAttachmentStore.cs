@@ -0,0 +1,102 @@
+using System;
+using System.IO;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Tasks;
+using Azure;
+using Azure.Storage.Blobs;
+using Azure.Storage.Blobs.Models;
+
+namespace Chat.Web.Services
+{
+    /// <summary>
+    /// Azure Blob Storage attachment store (durable across redeploys and instances).
+    /// Each attachment is kept as blob "{id}.bin" with a "{id}.json" metadata sidecar, mirroring <see cref="LocalAttachmentStore"/>.
+    /// </summary>
+    public class BlobAttachmentStore : IAttachmentStore
+    {
+        private static readonly Regex IdPattern = new Regex("^[0-9a-f]{32}$", RegexOptions.Compiled);
+        private readonly BlobContainerClient _container;
+        private volatile bool _containerReady;
+
+        public BlobAttachmentStore(BlobContainerClient container)
+        {
+            _container = container ?? throw new ArgumentNullException(nameof(container));
+        }
+
+        public async Task<StoredAttachment> SaveAsync(Stream content, StoredAttachment metadata, CancellationToken cancellationToken = default)
+        {
+            if (content == null) throw new ArgumentNullException(nameof(content));
+            if (metadata == null) throw new ArgumentNullException(nameof(metadata));
+
+            if (!_containerReady)
+            {
+                // The container is provisioned by infrastructure; creating it on first upload keeps local emulators working
+                await _container.CreateIfNotExistsAsync(PublicAccessType.None, cancellationToken: cancellationToken).ConfigureAwait(false);
+                _containerReady = true;
+            }
+            metadata.Id = Guid.NewGuid().ToString("N");
+            var bin = _container.GetBlobClient(BinName(metadata.Id));
+            var meta = _container.GetBlobClient(MetaName(metadata.Id));
+            try
+            {
+                await bin.UploadAsync(content, new BlobUploadOptions
+                {
+                    HttpHeaders = new BlobHttpHeaders { ContentType = metadata.ContentType },
+                    Conditions = new BlobRequestConditions { IfNoneMatch = ETag.All }
+                }, cancellationToken).ConfigureAwait(false);
+                var properties = await bin.GetPropertiesAsync(cancellationToken: cancellationToken).ConfigureAwait(false);
+                metadata.Size = properties.Value.ContentLength;
+                await meta.UploadAsync(BinaryData.FromString(JsonSerializer.Serialize(metadata)), overwrite: false, cancellationToken).ConfigureAwait(false);
+            }
+            catch
+            {
+                // Do not leave half-written uploads behind (e.g., the client cancelled the upload)
+                await TryDeleteAsync(bin).ConfigureAwait(false);
+                await TryDeleteAsync(meta).ConfigureAwait(false);
+                throw;
+            }
+            return metadata;
+        }
+
+        public async Task<StoredAttachment> GetAsync(string id)
+        {
+            if (!IsValidId(id)) return null;
+            try
+            {
+                var result = await _container.GetBlobClient(MetaName(id)).DownloadContentAsync().ConfigureAwait(false);
+                return JsonSerializer.Deserialize<StoredAttachment>(result.Value.Content.ToString());
+            }
+            catch (RequestFailedException ex) when (ex.Status == 404)
+            {
+                return null;
+            }
+        }
+
+        public async Task<Stream> OpenReadAsync(string id)
+        {
+            if (!IsValidId(id)) return null;
+            try
+            {
+                return await _container.GetBlobClient(BinName(id)).OpenReadAsync().ConfigureAwait(false);
+            }
+            catch (RequestFailedException ex) when (ex.Status == 404)
+            {
+                return null;
+            }
+        }
+
+        // Ids are generated here; anything else (including path segments) is rejected before building a blob name.
+        private static bool IsValidId(string id) => !string.IsNullOrEmpty(id) && IdPattern.IsMatch(id);
+
+        private static string BinName(string id) => id + ".bin";
+
+        private static string MetaName(string id) => id + ".json";
+
+        private static async Task TryDeleteAsync(BlobClient blob)
+        {
+            try { await blob.DeleteIfExistsAsync().ConfigureAwait(false); } catch { /* best effort */ }
+        }
+    }
+}
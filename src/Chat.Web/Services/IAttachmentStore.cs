@@ -0,0 +1,44 @@
+using System;
+using System.IO;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace Chat.Web.Services
+{
+    /// <summary>
+    /// Metadata of an uploaded attachment. Uploads are bound to the uploader and the room they were uploaded for,
+    /// so they can only be attached to that user's messages in that room and only served to that room's members.
+    /// </summary>
+    public class StoredAttachment
+    {
+        public string Id { get; set; }
+        public string FileName { get; set; }
+        public string ContentType { get; set; }
+        public long Size { get; set; }
+        public string UploadedBy { get; set; }
+        public string RoomName { get; set; }
+        public DateTime UploadedAt { get; set; }
+    }
+
+    /// <summary>
+    /// Abstraction for attachment binary storage.
+    /// Implementations: Azure Blob Storage, local filesystem (Development and tests only).
+    /// </summary>
+    public interface IAttachmentStore
+    {
+        /// <summary>
+        /// Stores the content and its metadata; assigns and returns the new attachment id.
+        /// </summary>
+        Task<StoredAttachment> SaveAsync(Stream content, StoredAttachment metadata, CancellationToken cancellationToken = default);
+
+        /// <summary>
+        /// Returns the metadata of an attachment, or null if it does not exist.
+        /// </summary>
+        Task<StoredAttachment> GetAsync(string id);
+
+        /// <summary>
+        /// Opens the attachment content for reading, or returns null if it does not exist.
+        /// </summary>
+        Task<Stream> OpenReadAsync(string id);
+    }
+}
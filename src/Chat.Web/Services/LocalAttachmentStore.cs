@@ -0,0 +1,82 @@
+using System;
+using System.IO;
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using System.Threading;
+using System.Threading.Tasks;
+using Chat.Web.Options;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Options;
+
+namespace Chat.Web.Services
+{
+    /// <summary>
+    /// Filesystem-backed attachment store (Development and tests stand-in for <see cref="BlobAttachmentStore"/>).
+    /// Each attachment is kept as "{id}.bin" with a "{id}.json" metadata sidecar.
+    /// </summary>
+    public class LocalAttachmentStore : IAttachmentStore
+    {
+        private static readonly Regex IdPattern = new Regex("^[0-9a-f]{32}$", RegexOptions.Compiled);
+        private readonly string _root;
+
+        public LocalAttachmentStore(IOptions<AttachmentOptions> options, IHostEnvironment environment)
+        {
+            var path = options.Value.LocalStoragePath;
+            if (string.IsNullOrWhiteSpace(path)) path = "App_Data/attachments";
+            _root = Path.IsPathRooted(path) ? path : Path.Combine(environment.ContentRootPath, path);
+            Directory.CreateDirectory(_root);
+        }
+
+        public async Task<StoredAttachment> SaveAsync(Stream content, StoredAttachment metadata, CancellationToken cancellationToken = default)
+        {
+            if (content == null) throw new ArgumentNullException(nameof(content));
+            if (metadata == null) throw new ArgumentNullException(nameof(metadata));
+
+            metadata.Id = Guid.NewGuid().ToString("N");
+            var binPath = BinPath(metadata.Id);
+            try
+            {
+                await using (var file = new FileStream(binPath, FileMode.CreateNew, FileAccess.Write, FileShare.None, 81920, useAsync: true))
+                {
+                    await content.CopyToAsync(file, cancellationToken).ConfigureAwait(false);
+                    metadata.Size = file.Length;
+                }
+                await File.WriteAllTextAsync(MetaPath(metadata.Id), JsonSerializer.Serialize(metadata), cancellationToken).ConfigureAwait(false);
+            }
+            catch
+            {
+                // Do not leave half-written uploads behind (e.g., the client cancelled the upload)
+                TryDelete(binPath);
+                TryDelete(MetaPath(metadata.Id));
+                throw;
+            }
+            return metadata;
+        }
+
+        public async Task<StoredAttachment> GetAsync(string id)
+        {
+            if (!IsValidId(id) || !File.Exists(MetaPath(id))) return null;
+            var json = await File.ReadAllTextAsync(MetaPath(id)).ConfigureAwait(false);
+            return JsonSerializer.Deserialize<StoredAttachment>(json);
+        }
+
+        public Task<Stream> OpenReadAsync(string id)
+        {
+            if (!IsValidId(id) || !File.Exists(BinPath(id))) return Task.FromResult<Stream>(null);
+            Stream stream = new FileStream(BinPath(id), FileMode.Open, FileAccess.Read, FileShare.Read, 81920, useAsync: true);
+            return Task.FromResult(stream);
+        }
+
+        // Ids are generated here; anything else (including path segments) is rejected before touching the filesystem.
+        private static bool IsValidId(string id) => !string.IsNullOrEmpty(id) && IdPattern.IsMatch(id);
+
+        private string BinPath(string id) => Path.Combine(_root, id + ".bin");
+
+        private string MetaPath(string id) => Path.Combine(_root, id + ".json");
+
+        private static void TryDelete(string path)
+        {
+            try { if (File.Exists(path)) File.Delete(path); } catch { /* best effort */ }
+        }
+    }
+}
@@ -0,0 +1,48 @@
+using System;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+
+namespace Chat.Web.Services
+{
+    public class ScheduledMessageBackgroundService : BackgroundService
+    {
+        private readonly IServiceScopeFactory _scopeFactory;
+        private readonly ILogger<ScheduledMessageBackgroundService> _logger;
+
+        public ScheduledMessageBackgroundService(IServiceScopeFactory scopeFactory, ILogger<ScheduledMessageBackgroundService> logger)
+        {
+            _scopeFactory = scopeFactory;
+            _logger = logger;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            _logger.LogInformation("ScheduledMessageBackgroundService started");
+
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    using var scope = _scopeFactory.CreateScope();
+                    var scheduled = scope.ServiceProvider.GetRequiredService<ScheduledMessageService>();
+                    await scheduled.ProcessDueAsync(stoppingToken).ConfigureAwait(false);
+                    await Task.Delay(TimeSpan.FromSeconds(5), stoppingToken).ConfigureAwait(false);
+                }
+                catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+                {
+                    break;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "ScheduledMessageBackgroundService loop failed");
+                    await Task.Delay(TimeSpan.FromSeconds(5), stoppingToken).ConfigureAwait(false);
+                }
+            }
+
+            _logger.LogInformation("ScheduledMessageBackgroundService stopped");
+        }
+    }
+}
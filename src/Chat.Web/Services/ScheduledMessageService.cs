@@ -0,0 +1,226 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Chat.Web.Hubs;
+using Chat.Web.Models;
+using Chat.Web.Repositories;
+using Chat.Web.ViewModels;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Options;
+
+namespace Chat.Web.Services
+{
+    /// <summary>
+    /// Posts scheduled messages when they fall due. Sending happens on the server, so a message goes out
+    /// on time even when its author is offline; the author's client only shows the schedule.
+    /// </summary>
+    public class ScheduledMessageService
+    {
+        /// <summary>
+        /// How long a <see cref="ScheduledMessageStatus.Sending"/> claim may last. Posting takes seconds; an older claim means
+        /// the instance died mid-send or could not release the claim after a failure.
+        /// </summary>
+        public static readonly TimeSpan SendingClaimLease = TimeSpan.FromMinutes(2);
+
+        private const string InterruptedFailureReason = "Sending was interrupted, so this message may not have been posted. Check the room and send it again if it is missing.";
+
+        private readonly IScheduledMessagesRepository _scheduled;
+        private readonly IMessagesRepository _messages;
+        private readonly IRoomsRepository _rooms;
+        private readonly IUsersRepository _users;
+        private readonly EscalationService _escalations;
+        private readonly ITranslationJobQueue _translationQueue;
+        private readonly Options.TranslationOptions _translationOptions;
+        private readonly IHubContext<ChatHub> _hubContext;
+        private readonly IInProcessMetrics _metrics;
+        private readonly ILogger<ScheduledMessageService> _logger;
+
+        public ScheduledMessageService(
+            IScheduledMessagesRepository scheduled,
+            IMessagesRepository messages,
+            IRoomsRepository rooms,
+            IUsersRepository users,
+            EscalationService escalations,
+            ITranslationJobQueue translationQueue,
+            IOptions<Options.TranslationOptions> translationOptions,
+            IHubContext<ChatHub> hubContext,
+            IInProcessMetrics metrics,
+            ILogger<ScheduledMessageService> logger)
+        {
+            _scheduled = scheduled;
+            _messages = messages;
+            _rooms = rooms;
+            _users = users;
+            _escalations = escalations;
+            _translationQueue = translationQueue;
+            _translationOptions = translationOptions.Value;
+            _hubContext = hubContext;
+            _metrics = metrics;
+            _logger = logger;
+        }
+
+        public async Task ProcessDueAsync(CancellationToken cancellationToken = default)
+        {
+            var now = DateTime.UtcNow;
+            var due = await _scheduled.GetDueAsync(now, now - SendingClaimLease).ConfigureAwait(false);
+            foreach (var item in due)
+            {
+                cancellationToken.ThrowIfCancellationRequested();
+                try
+                {
+                    await SendAsync(item).ConfigureAwait(false);
+                }
+                catch (Exception ex)
+                {
+                    // Left as Scheduled so the next pass retries it.
+                    _logger.LogError(ex, "Scheduled message {Id} failed to send room={Room}", item.Id, item.RoomName);
+                }
+            }
+        }
+
+        /// <summary>
+        /// Posts one due scheduled message to its room and marks it sent. Returns null when the item was
+        /// edited, cancelled or already sent meanwhile, or when the author can no longer post to the room
+        /// (the item is then marked failed so the author sees why).
+        /// Several app instances run this loop, so the item is first claimed with an ETag-conditioned write
+        /// (status <see cref="ScheduledMessageStatus.Sending"/>); only the instance whose claim succeeds posts it.
+        /// A claim older than <see cref="SendingClaimLease"/> is marked failed instead: the message may or may not have been
+        /// posted, so it is not sent again but shown to the author.
+        /// </summary>
+        public async Task<Message> SendAsync(ScheduledMessage scheduled)
+        {
+            // Re-read: the author may have edited or cancelled it since the due query ran.
+            var current = await _scheduled.GetByIdAsync(scheduled.Id, scheduled.RoomName).ConfigureAwait(false);
+            if (current == null)
+            {
+                return null;
+            }
+            if (current.Status == ScheduledMessageStatus.Sending && current.UpdatedAt <= DateTime.UtcNow - SendingClaimLease)
+            {
+                var claimedAt = current.UpdatedAt;
+                current.Status = ScheduledMessageStatus.Failed;
+                current.FailureReason = InterruptedFailureReason;
+                current.UpdatedAt = DateTime.UtcNow;
+                if (await _scheduled.TryReplaceAsync(current).ConfigureAwait(false))
+                {
+                    _logger.LogError("Scheduled message {Id} was claimed for sending at {ClaimedAt} but never marked sent; marked failed room={Room}", current.Id, claimedAt, current.RoomName);
+                }
+                return null;
+            }
+            if (current.Status != ScheduledMessageStatus.Scheduled || current.SendAt > DateTime.UtcNow)
+            {
+                return null;
+            }
+
+            var user = await _users.GetByUserNameAsync(current.FromUserName).ConfigureAwait(false);
+            var room = await _rooms.GetByNameAsync(current.RoomName).ConfigureAwait(false);
+            if (!RoomAccessPolicy.CanAccessRoom(user, room))
+            {
+                current.Status = ScheduledMessageStatus.Failed;
+                current.FailureReason = "You can no longer post to this room.";
+                current.UpdatedAt = DateTime.UtcNow;
+                if (await _scheduled.TryReplaceAsync(current).ConfigureAwait(false))
+                {
+                    _logger.LogWarning("Scheduled message {Id} not sent: user={User} cannot post to room={Room}", current.Id, current.FromUserName, current.RoomName);
+                }
+                return null;
+            }
+
+            current.Status = ScheduledMessageStatus.Sending;
+            current.UpdatedAt = DateTime.UtcNow;
+            if (!await _scheduled.TryReplaceAsync(current).ConfigureAwait(false))
+            {
+                // Another instance claimed it, or the author edited or cancelled it after our read.
+                return null;
+            }
+
+            Message message;
+            try
+            {
+                message = await _messages.CreateAsync(new Message
+                {
+                    Content = current.Content,
+                    FromUser = user,
+                    FromDispatchCenterId = RoomAccessPolicy.ResolveDispatchCenterIdForRoom(user, room),
+                    ToRoom = room,
+                    Timestamp = DateTime.UtcNow,
+                    Priority = current.Priority
+                }).ConfigureAwait(false);
+            }
+            catch
+            {
+                await ReleaseClaimAsync(current).ConfigureAwait(false);
+                throw;
+            }
+
+            current.Status = ScheduledMessageStatus.Sent;
+            current.SentAt = message.Timestamp;
+            current.SentMessageId = message.Id;
+            await _scheduled.UpsertAsync(current).ConfigureAwait(false);
+
+            var sourceLanguage = await EnqueueTranslationAsync(message, user, room).ConfigureAwait(false);
+            await _escalations.ScheduleAutomaticAsync(message).ConfigureAwait(false);
+
+            var vm = new MessageViewModel
+            {
+                Id = message.Id,
+                Content = message.Content,
+                FromUserName = user.UserName,
+                FromFullName = user.FullName,
+                Avatar = user.Avatar,
+                FromDispatchCenterId = message.FromDispatchCenterId,
+                Room = room.Name,
+                Timestamp = message.Timestamp,
+                ReadBy = message.ReadBy?.ToArray() ?? Array.Empty<string>(),
+                ReadByDispatchCenterIds = message.ReadByDispatchCenterIds?.ToArray() ?? Array.Empty<string>(),
+                EscalationStatus = message.EscalationStatus.ToString(),
+                OpenEscalationId = message.OpenEscalationId,
+                Priority = message.Priority.ToString(),
+                TranslationStatus = message.TranslationStatus.ToString(),
+                SourceLanguage = sourceLanguage,
+                Translations = message.Translations ?? new Dictionary<string, string>(),
+                IsTranslated = message.IsTranslated
+            };
+            await _hubContext.Clients.Group(room.Name).SendAsync("newMessage", vm).ConfigureAwait(false);
+            _metrics.IncMessagesSent();
+            _logger.LogInformation("Scheduled message {Id} sent as message {MessageId} room={Room}", current.Id, message.Id, room.Name);
+            return message;
+        }
+
+        /// <summary>
+        /// Puts a claimed item back to Scheduled after a failed send so the next pass retries it. If that fails too,
+        /// the claim stays until <see cref="SendingClaimLease"/> runs out and the item is then marked failed.
+        /// </summary>
+        private async Task ReleaseClaimAsync(ScheduledMessage claimed)
+        {
+            claimed.Status = ScheduledMessageStatus.Scheduled;
+            try
+            {
+                if (await _scheduled.TryReplaceAsync(claimed).ConfigureAwait(false)) return;
+                _logger.LogError("Scheduled message {Id} could not be released after a failed send: it changed meanwhile", claimed.Id);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Scheduled message {Id} could not be released after a failed send", claimed.Id);
+            }
+        }
+
+        private async Task<string> EnqueueTranslationAsync(Message message, ApplicationUser user, Room room)
+        {
+            if (!_translationOptions.Enabled || string.IsNullOrWhiteSpace(message.Content)) return "auto";
+            var sourceLanguage = Utilities.LanguageCode.NormalizeToLanguageCode(user.PreferredLanguage) ?? "auto";
+            try
+            {
+                await TranslationJobFactory.EnqueueAsync(_translationQueue, _messages, _translationOptions, message, room, sourceLanguage).ConfigureAwait(false);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to enqueue translation job for scheduled message {MessageId}, translation will be skipped", message.Id);
+            }
+            return sourceLanguage;
+        }
+    }
+}
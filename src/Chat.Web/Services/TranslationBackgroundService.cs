@@ -157,13 +157,18 @@ public class TranslationBackgroundService : BackgroundService
                 "Processing translation job {JobId} for message {MessageId} in room {Room} (attempt {Attempt}/{Max})",
                 job.JobId, job.MessageId, job.RoomName, job.RetryCount + 1, _options!.MaxRetries + 1);
 
-            // 1. Update status to InProgress
-            await _messages!.UpdateTranslationAsync(
+            // 1. Update status to InProgress (null: the message is gone or an edit/retry queued a newer job)
+            var claimed = await _messages!.UpdateTranslationAsync(
                 job.MessageId,
                 new MessageTranslationUpdate(
                     Status: TranslationStatus.InProgress,
                     Translations: new Dictionary<string, string>(),
                     JobId: job.JobId)).ConfigureAwait(false);
+            if (claimed == null)
+            {
+                LogSuperseded(job, activity);
+                return;
+            }
 
             // 2. Call translation API
             var sourceLanguage = NormalizeSourceLanguage(job.SourceLanguage);
@@ -193,13 +198,18 @@ public class TranslationBackgroundService : BackgroundService
 
             activity?.SetTag("translation.languageCount", translations.Count);
 
-            // 4. Update status to Completed
-            await _messages.UpdateTranslationAsync(
+            // 4. Update status to Completed (dropped if the message was edited or retried while translating)
+            var completed = await _messages.UpdateTranslationAsync(
                 job.MessageId,
                 new MessageTranslationUpdate(
                     Status: TranslationStatus.Completed,
                     Translations: translations,
                     JobId: job.JobId)).ConfigureAwait(false);
+            if (completed == null)
+            {
+                LogSuperseded(job, activity);
+                return;
+            }
 
             var duration = DateTime.UtcNow - startTime;
             activity?.SetTag("translation.durationMs", duration.TotalMilliseconds);
@@ -280,7 +290,7 @@ public class TranslationBackgroundService : BackgroundService
                     safeMessage = safeMessage.Substring(0, 200);
                 }
 
-                await _messages!.UpdateTranslationAsync(
+                var failedMessage = await _messages!.UpdateTranslationAsync(
                     job.MessageId,
                     new MessageTranslationUpdate(
                         Status: TranslationStatus.Failed,
@@ -290,6 +300,11 @@ public class TranslationBackgroundService : BackgroundService
                         FailureCategory: failure.Category,
                         FailureCode: failure.Code,
                         FailureMessage: safeMessage)).ConfigureAwait(false);
+                if (failedMessage == null)
+                {
+                    LogSuperseded(job, activity);
+                    return;
+                }
 
                 // Broadcast failure
                 await _hubContext!.Clients.Group(job.RoomName)
@@ -307,6 +322,14 @@ public class TranslationBackgroundService : BackgroundService
         }
     }
 
+    private void LogSuperseded(MessageTranslationJob job, Activity? activity)
+    {
+        activity?.SetTag("translation.superseded", true);
+        _logger.LogInformation(
+            "Dropping translation job {JobId} for message {MessageId}: the message is gone or a newer job replaced this one",
+            job.JobId, job.MessageId);
+    }
+
     private static string? NormalizeSourceLanguage(string? sourceLanguage)
     {
         if (string.IsNullOrWhiteSpace(sourceLanguage))
@@ -0,0 +1,88 @@
+using System;
+using System.Collections.Generic;
+using System.Threading.Tasks;
+using Chat.Web.Models;
+using Chat.Web.Repositories;
+using Chat.Web.Utilities;
+
+namespace Chat.Web.Services
+{
+    /// <summary>
+    /// Builds translation jobs for messages and queues them. Every path that (re)translates a message goes
+    /// through here so the job shape, the target languages and the Pending bookkeeping stay the same.
+    /// </summary>
+    public static class TranslationJobFactory
+    {
+        /// <summary>
+        /// Priority of jobs a user asked to retry; regular jobs use 0.
+        /// </summary>
+        public const int ManualRetryPriority = 10;
+
+        public static MessageTranslationJob Create(Message message, Room room, string sourceLanguage, string deploymentName, int priority = 0)
+        {
+            return new MessageTranslationJob
+            {
+                MessageId = message.Id,
+                RoomName = room?.Name ?? message.ToRoom?.Name,
+                Content = message.Content,
+                SourceLanguage = sourceLanguage,
+                TargetLanguages = LanguageCode.BuildTargetLanguages(room?.Languages, sourceLanguage),
+                DeploymentName = deploymentName,
+                CreatedAt = DateTime.UtcNow,
+                RetryCount = 0,
+                Priority = priority,
+                JobId = $"transjob:{message.Id}:{DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()}"
+            };
+        }
+
+        /// <summary>
+        /// Queues translation of the message's current text (new, edited, forwarded or scheduled message).
+        /// The message is marked Pending with the new job id and its earlier translations are cleared.
+        /// Returns the stored message when the repository hands it back, otherwise <paramref name="message"/>.
+        /// </summary>
+        public static async Task<Message> EnqueueAsync(
+            ITranslationJobQueue queue,
+            IMessagesRepository messages,
+            Options.TranslationOptions options,
+            Message message,
+            Room room,
+            string sourceLanguage)
+        {
+            var job = Create(message, room, sourceLanguage, options.DeploymentName);
+            message.TranslationStatus = TranslationStatus.Pending;
+            message.TranslationJobId = job.JobId;
+            var updated = await messages.UpdateTranslationAsync(
+                message.Id,
+                new MessageTranslationUpdate(
+                    Status: TranslationStatus.Pending,
+                    Translations: new Dictionary<string, string>(),
+                    JobId: job.JobId)).ConfigureAwait(false);
+            await queue.EnqueueAsync(job).ConfigureAwait(false);
+            return updated ?? message;
+        }
+
+        /// <summary>
+        /// Puts a user-requested retry at the front of the queue. Existing translations stay visible until the
+        /// new job replaces them. The job is recorded on the message before it is queued, so a worker picking it up
+        /// straight away is not mistaken for a superseded job.
+        /// </summary>
+        public static async Task<MessageTranslationJob> RequeueAsync(
+            ITranslationJobQueue queue,
+            IMessagesRepository messages,
+            Options.TranslationOptions options,
+            Message message,
+            Room room,
+            string sourceLanguage)
+        {
+            var job = Create(message, room, sourceLanguage, options.DeploymentName, ManualRetryPriority);
+            await messages.UpdateTranslationAsync(
+                message.Id,
+                new MessageTranslationUpdate(
+                    Status: TranslationStatus.Pending,
+                    Translations: message.Translations ?? new Dictionary<string, string>(),
+                    JobId: job.JobId)).ConfigureAwait(false);
+            await queue.RequeueAsync(job, highPriority: true).ConfigureAwait(false);
+            return job;
+        }
+    }
+}
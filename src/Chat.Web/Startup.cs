@@ -216,6 +216,8 @@ namespace Chat.Web
             services.Configure<Chat.Web.Options.NotificationOptions>(Configuration.GetSection("Notifications"));
             services.Configure<Chat.Web.Options.RateLimitingOptions>(Configuration.GetSection("RateLimiting:MarkRead"));
             services.Configure<Chat.Web.Options.TranslationOptions>(Configuration.GetSection("Translation"));
+            services.Configure<Chat.Web.Options.AttachmentOptions>(Configuration.GetSection("Attachments"));
+            services.Configure<Chat.Web.Options.OutboxOptions>(Configuration.GetSection("Outbox"));
             services.PostConfigure<OtpOptions>(opts =>
             {
                 // Allow env var override of pepper per guide: Otp__Pepper
@@ -309,6 +311,7 @@ namespace Chat.Web
                 services.AddSingleton<IMessagesRepository, InMemoryMessagesRepository>();
                 services.AddSingleton<IDispatchCentersRepository, InMemoryDispatchCentersRepository>();
                 services.AddSingleton<IEscalationsRepository, InMemoryEscalationsRepository>();
+                services.AddSingleton<IScheduledMessagesRepository, InMemoryScheduledMessagesRepository>();
                 services.AddSingleton<IOtpStore, InMemoryOtpStore>();
                 services.AddSingleton<Services.IPresenceTracker, Services.InMemoryPresenceTracker>();
             }
@@ -330,6 +333,7 @@ namespace Chat.Web
                     RoomsContainer = Configuration["Cosmos:RoomsContainer"] ?? "rooms",
                     DispatchCentersContainer = Configuration["Cosmos:DispatchCentersContainer"] ?? "dispatchcenters",
                     EscalationsContainer = Configuration["Cosmos:EscalationsContainer"] ?? "escalations",
+                    ScheduledMessagesContainer = Configuration["Cosmos:ScheduledMessagesContainer"] ?? "scheduledmessages",
                 };
                 // Configure messages TTL: set to a number (seconds), -1 to enable TTL with no expiry, or null/empty to disable TTL entirely
                 var ttlRaw = Configuration["Cosmos:MessagesTtlSeconds"];
@@ -354,6 +358,7 @@ namespace Chat.Web
                 services.AddSingleton<IMessagesRepository, CosmosMessagesRepository>();
                 services.AddSingleton<IDispatchCentersRepository, CosmosDispatchCentersRepository>();
                 services.AddSingleton<IEscalationsRepository, CosmosEscalationsRepository>();
+                services.AddSingleton<IScheduledMessagesRepository, CosmosScheduledMessagesRepository>();
 
                 // Translation background service (processes queued translation jobs)
                 var translationOptions = Configuration.GetSection("Translation").Get<Options.TranslationOptions>();
@@ -572,12 +577,32 @@ namespace Chat.Web
             // Translation job queue (Redis-based)
             services.AddSingleton<Services.ITranslationJobQueue, Services.TranslationJobQueue>();
             
+            // Attachment storage: Blob Storage ("Storage" connection string). The local filesystem store is only
+            // allowed in Development and tests: App Service wipes the content root on redeploy and makes it
+            // read-only under run-from-package, so production fails fast instead of silently losing uploads.
+            var storageConn = Configuration.GetConnectionString("Storage")
+                ?? Configuration["Attachments:ConnectionString"];
+            if (inMemoryTest || (HostEnvironment.IsDevelopment() && ConfigurationGuards.IsPlaceholder(storageConn)))
+            {
+                services.AddSingleton<Services.IAttachmentStore, Services.LocalAttachmentStore>();
+            }
+            else
+            {
+                storageConn = ConfigurationGuards.Require(storageConn, "Storage connection string (attachments)");
+                var attachmentsContainer = Configuration["Attachments:BlobContainer"];
+                if (string.IsNullOrWhiteSpace(attachmentsContainer)) attachmentsContainer = "attachments";
+                services.AddSingleton<Services.IAttachmentStore>(_ => new Services.BlobAttachmentStore(
+                    new Azure.Storage.Blobs.BlobContainerClient(storageConn, attachmentsContainer)));
+            }
+            
             // Notification plumbing
             services.AddSingleton<Services.INotificationSender, Services.NotificationSender>();
             services.AddSingleton<Services.DispatchCenterTopologyService>();
             services.AddSingleton<Services.EscalationService>();
             services.AddHostedService<Services.DispatchCenterTopologySyncService>();
             services.AddHostedService<Services.EscalationBackgroundService>();
+            services.AddSingleton<Services.ScheduledMessageService>();
+            services.AddHostedService<Services.ScheduledMessageBackgroundService>();
             
             // Rate limiting: protect auth endpoints (OTP request / verify) - configurable for tests vs prod
             services.AddRateLimiter(options =>
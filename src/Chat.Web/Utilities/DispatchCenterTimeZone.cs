@@ -0,0 +1,29 @@
+#nullable enable
+using System;
+
+namespace Chat.Web.Utilities;
+
+/// <summary>
+/// Validation for a dispatch center's time zone. Browsers format timestamps with it (transcript exports),
+/// so only IANA names such as "Europe/Warsaw" are accepted, not Windows ids.
+/// </summary>
+public static class DispatchCenterTimeZone
+{
+    public const int MaxLength = 64;
+
+    public static string? Normalize(string? timeZoneId)
+        => string.IsNullOrWhiteSpace(timeZoneId) ? null : timeZoneId.Trim();
+
+    /// <summary>
+    /// Returns null when the time zone is usable (or not set), otherwise a short English reason.
+    /// </summary>
+    public static string? Validate(string? timeZoneId)
+    {
+        var normalized = Normalize(timeZoneId);
+        if (normalized == null) return null;
+        if (normalized.Length > MaxLength) return $"Time zone must be at most {MaxLength} characters.";
+        if ((!normalized.Contains('/') && normalized != "UTC") || !TimeZoneInfo.TryFindSystemTimeZoneById(normalized, out _))
+            return "Time zone must be an IANA time zone name, e.g. Europe/Warsaw.";
+        return null;
+    }
+}
@@ -0,0 +1,57 @@
+#nullable enable
+using System;
+using Chat.Web.Models;
+
+namespace Chat.Web.Utilities;
+
+/// <summary>
+/// Normalization and validation of incident cards. Text fields are trimmed (blank becomes null);
+/// coordinates are optional but must be given as a pair.
+/// </summary>
+public static class IncidentCardRules
+{
+    public const int MaxIncidentIdLength = 64;
+    public const int MaxAddressLength = 200;
+    public const int MaxUnitsRequestedLength = 200;
+    public const int MaxCallbackNumberLength = 40;
+
+    /// <summary>
+    /// Parses a category name (case-insensitive). Numbers are rejected so undefined values cannot slip through.
+    /// </summary>
+    public static bool TryParseCategory(string? value, out IncidentCategory category)
+    {
+        category = default;
+        if (string.IsNullOrWhiteSpace(value)) return false;
+        var trimmed = value.Trim();
+        if (!char.IsLetter(trimmed[0])) return false;
+        return Enum.TryParse(trimmed, ignoreCase: true, out category) && Enum.IsDefined(category);
+    }
+
+    public static IncidentCard Normalize(IncidentCard card) => new IncidentCard
+    {
+        IncidentId = Clean(card.IncidentId),
+        Category = card.Category,
+        Address = Clean(card.Address),
+        Latitude = card.Latitude,
+        Longitude = card.Longitude,
+        UnitsRequested = Clean(card.UnitsRequested),
+        CallbackNumber = Clean(card.CallbackNumber)
+    };
+
+    /// <summary>
+    /// Returns null when the (normalized) card is usable, otherwise a short English reason.
+    /// </summary>
+    public static string? Validate(IncidentCard card)
+    {
+        if (!Enum.IsDefined(card.Category)) return "Incident category is required.";
+        if (card.IncidentId?.Length > MaxIncidentIdLength) return $"Incident ID must be at most {MaxIncidentIdLength} characters.";
+        if (card.Address?.Length > MaxAddressLength) return $"Address must be at most {MaxAddressLength} characters.";
+        if (card.UnitsRequested?.Length > MaxUnitsRequestedLength) return $"Units requested must be at most {MaxUnitsRequestedLength} characters.";
+        if (card.CallbackNumber?.Length > MaxCallbackNumberLength) return $"Callback number must be at most {MaxCallbackNumberLength} characters.";
+        if (card.Latitude.HasValue != card.Longitude.HasValue) return "Coordinates need both latitude and longitude.";
+        if (card.Latitude is < -90 or > 90 || card.Longitude is < -180 or > 180) return "Coordinates are out of range.";
+        return null;
+    }
+
+    private static string? Clean(string? value) => string.IsNullOrWhiteSpace(value) ? null : value.Trim();
+}
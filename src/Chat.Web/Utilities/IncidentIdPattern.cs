@@ -0,0 +1,218 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Diagnostics;
+using System.Linq;
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace Chat.Web.Utilities;
+
+/// <summary>
+/// Validation for per-dispatch-center incident ID patterns. The patterns are evaluated in the browser on
+/// every rendered message, so they must be valid ECMAScript regular expressions that cannot backtrack
+/// catastrophically: no backreferences and no repeated group that itself contains a quantifier or an
+/// alternative (e.g. <c>(\d+)+</c> or <c>(a|ab)*</c>).
+/// </summary>
+/// <remarks>
+/// .NET's <see cref="RegexOptions.ECMAScript"/> mode is only an approximation of JavaScript regular
+/// expressions (for example it rejects lookbehind and named groups, and has no <c>u</c>/<c>v</c> flag
+/// semantics), so a pattern accepted here may still be rejected by a browser; the client skips such
+/// patterns and logs a warning.
+/// </remarks>
+public static class IncidentIdPattern
+{
+    public const int MaxLength = 200;
+    /// <summary>
+    /// Longest text the client runs the patterns over (chat.js <c>INCIDENT_SCAN_MAX_CHARS</c>); also the
+    /// length of the adversarial inputs tried here.
+    /// </summary>
+    public const int MaxScannedTextLength = 2000;
+
+    private static readonly TimeSpan MatchTimeout = TimeSpan.FromMilliseconds(100);
+    private static readonly TimeSpan AdversarialBudget = TimeSpan.FromMilliseconds(250);
+
+    public static string? Normalize(string? pattern)
+        => string.IsNullOrWhiteSpace(pattern) ? null : pattern.Trim();
+
+    /// <summary>
+    /// Returns null when the pattern is usable, otherwise a short English reason.
+    /// </summary>
+    public static string? Validate(string? pattern)
+    {
+        var normalized = Normalize(pattern);
+        if (normalized == null) return null;
+        if (normalized.Length > MaxLength) return $"Incident ID pattern must be at most {MaxLength} characters.";
+
+        Regex regex;
+        try
+        {
+            regex = new Regex(normalized, RegexOptions.ECMAScript, MatchTimeout);
+        }
+        catch (ArgumentException)
+        {
+            return "Incident ID pattern is not a valid regular expression.";
+        }
+
+        var unsafeReason = CheckSafeSubset(normalized);
+        if (unsafeReason != null) return unsafeReason;
+
+        try
+        {
+            if (regex.IsMatch(string.Empty)) return "Incident ID pattern must not match empty text.";
+            if (!CompletesOnAdversarialInput(regex, normalized)) return "Incident ID pattern is too complex.";
+        }
+        catch (RegexMatchTimeoutException)
+        {
+            return "Incident ID pattern is too complex.";
+        }
+        return null;
+    }
+
+    /// <summary>
+    /// Walks the pattern once, tracking per group whether it contains a quantifier or an alternative.
+    /// Returns null when the pattern stays within the safe subset, otherwise the reason.
+    /// </summary>
+    private static string? CheckSafeSubset(string pattern)
+    {
+        var groups = new Stack<(bool Quantified, bool Alternation)>();
+        var current = (Quantified: false, Alternation: false);
+        // What the next quantifier applies to: a group (with its contents' flags) or a single atom.
+        (bool Quantified, bool Alternation)? lastGroup = null;
+
+        for (var i = 0; i < pattern.Length; i++)
+        {
+            var c = pattern[i];
+            switch (c)
+            {
+                case '\\':
+                    if (i + 1 < pattern.Length)
+                    {
+                        var next = pattern[i + 1];
+                        if ((next >= '1' && next <= '9') || next == 'k')
+                            return "Incident ID pattern must not use backreferences.";
+                        i++;
+                    }
+                    lastGroup = null;
+                    break;
+                case '[':
+                    i = SkipCharacterClass(pattern, i);
+                    lastGroup = null;
+                    break;
+                case '(':
+                    groups.Push(current);
+                    current = (false, false);
+                    lastGroup = null;
+                    i = SkipGroupPrefix(pattern, i);
+                    break;
+                case ')':
+                    var inner = current;
+                    current = groups.Count > 0 ? groups.Pop() : (false, false);
+                    current = (current.Quantified || inner.Quantified, current.Alternation || inner.Alternation);
+                    lastGroup = inner;
+                    break;
+                case '|':
+                    current.Alternation = true;
+                    lastGroup = null;
+                    break;
+                case '*':
+                case '+':
+                case '?':
+                case '{':
+                    var length = ReadQuantifier(pattern, i, out var repeats);
+                    if (length == 0)
+                    {
+                        // A '{' that does not start a quantifier is a literal in JavaScript.
+                        lastGroup = null;
+                        break;
+                    }
+                    if (repeats && lastGroup is { } group && (group.Quantified || group.Alternation))
+                        return "Incident ID pattern must not repeat a group that contains a quantifier or alternative.";
+                    current.Quantified = true;
+                    lastGroup = null;
+                    i += length - 1;
+                    if (i + 1 < pattern.Length && pattern[i + 1] == '?') i++; // lazy suffix
+                    break;
+                default:
+                    lastGroup = null;
+                    break;
+            }
+        }
+        return null;
+    }
+
+    /// <summary>
+    /// Skips the <c>?:</c>, <c>?=</c>, <c>?!</c>, <c>?&lt;=</c>, <c>?&lt;!</c> or <c>?&lt;name&gt;</c> after an opening
+    /// parenthesis so its '?' is not taken for a quantifier; returns the index of the last character consumed.
+    /// </summary>
+    private static int SkipGroupPrefix(string pattern, int open)
+    {
+        if (open + 2 >= pattern.Length || pattern[open + 1] != '?') return open;
+        var kind = pattern[open + 2];
+        if (kind == ':' || kind == '=' || kind == '!') return open + 2;
+        if (kind != '<') return open + 1;
+        if (open + 3 < pattern.Length && (pattern[open + 3] == '=' || pattern[open + 3] == '!')) return open + 3;
+        var close = pattern.IndexOf('>', open + 3);
+        return close < 0 ? pattern.Length - 1 : close;
+    }
+
+    private static int SkipCharacterClass(string pattern, int start)
+    {
+        for (var i = start + 1; i < pattern.Length; i++)
+        {
+            if (pattern[i] == '\\') i++;
+            else if (pattern[i] == ']' && i > start + 1) return i;
+        }
+        return pattern.Length - 1;
+    }
+
+    /// <summary>
+    /// Length of the quantifier at <paramref name="start"/> (0 when there is none); <paramref name="repeats"/>
+    /// is true when it allows more than one repetition.
+    /// </summary>
+    private static int ReadQuantifier(string pattern, int start, out bool repeats)
+    {
+        repeats = false;
+        var c = pattern[start];
+        if (c == '?') return 1;
+        if (c == '*' || c == '+')
+        {
+            repeats = true;
+            return 1;
+        }
+        var match = Regex.Match(pattern.Substring(start), @"^\{(\d+)(,(\d*))?\}", RegexOptions.None, MatchTimeout);
+        if (!match.Success) return 0;
+        var min = int.TryParse(match.Groups[1].Value, out var parsedMin) ? parsedMin : int.MaxValue;
+        var max = !match.Groups[2].Success ? min
+            : match.Groups[3].Value.Length == 0 ? int.MaxValue
+            : int.TryParse(match.Groups[3].Value, out var parsedMax) ? parsedMax : int.MaxValue;
+        repeats = max > 1;
+        return match.Length;
+    }
+
+    /// <summary>
+    /// Scans texts built to provoke backtracking (long runs of the characters the pattern consumes, ending
+    /// in a character that breaks the match) the way the client does, and reports whether that finishes
+    /// within a small time budget.
+    /// </summary>
+    private static bool CompletesOnAdversarialInput(Regex regex, string pattern)
+    {
+        var literals = new string(pattern.Where(char.IsLetterOrDigit).Distinct().ToArray());
+        var seeds = new[] { "a", "A", "0", " ", "-", "_", ".", "/", literals, "a0", "A0-" }
+            .Where(s => s.Length > 0);
+        var stopwatch = Stopwatch.StartNew();
+        foreach (var seed in seeds)
+        {
+            var text = new StringBuilder(MaxScannedTextLength);
+            while (text.Length < MaxScannedTextLength - 1) text.Append(seed);
+            text.Length = MaxScannedTextLength - 1;
+            text.Append('\u0001');
+            for (var match = regex.Match(text.ToString()); match.Success; match = match.NextMatch())
+            {
+                if (stopwatch.Elapsed > AdversarialBudget) return false;
+            }
+            if (stopwatch.Elapsed > AdversarialBudget) return false;
+        }
+        return true;
+    }
+}
@@ -0,0 +1,33 @@
+#nullable enable
+using System;
+using Chat.Web.Models;
+
+namespace Chat.Web.Utilities;
+
+/// <summary>
+/// Normalization and validation of shared locations. Positions are stored as WGS84 decimal degrees
+/// rounded to 6 decimals (about 0.1 m); accuracy is kept in whole meters.
+/// </summary>
+public static class MessageLocationRules
+{
+    public const int CoordinateDecimals = 6;
+
+    public static MessageLocation Normalize(MessageLocation location) => new MessageLocation
+    {
+        Latitude = Math.Round(location.Latitude, CoordinateDecimals, MidpointRounding.AwayFromZero),
+        Longitude = Math.Round(location.Longitude, CoordinateDecimals, MidpointRounding.AwayFromZero),
+        AccuracyMeters = location.AccuracyMeters is double accuracy && double.IsFinite(accuracy) && accuracy >= 0
+            ? Math.Round(accuracy)
+            : null
+    };
+
+    /// <summary>
+    /// Returns null when the (normalized) location is usable, otherwise a short English reason.
+    /// </summary>
+    public static string? Validate(MessageLocation location)
+    {
+        if (!double.IsFinite(location.Latitude) || location.Latitude is < -90 or > 90) return "Latitude must be between -90 and 90.";
+        if (!double.IsFinite(location.Longitude) || location.Longitude is < -180 or > 180) return "Longitude must be between -180 and 180.";
+        return null;
+    }
+}
@@ -0,0 +1,22 @@
+#nullable enable
+using System;
+using Chat.Web.Models;
+
+namespace Chat.Web.Utilities;
+
+/// <summary>
+/// Parses the priority a client sends with a new message. Only the enum names are accepted
+/// (case-insensitive); a missing value means <see cref="MessagePriority.Normal"/>.
+/// </summary>
+public static class MessagePriorityParser
+{
+    public static bool TryParse(string? value, out MessagePriority priority)
+    {
+        priority = MessagePriority.Normal;
+        if (string.IsNullOrWhiteSpace(value)) return true;
+        var trimmed = value.Trim();
+        // Enum.TryParse also accepts numbers ("7"), which would let undefined values through.
+        if (!char.IsLetter(trimmed[0])) return false;
+        return Enum.TryParse(trimmed, ignoreCase: true, out priority) && Enum.IsDefined(priority);
+    }
+}
@@ -0,0 +1,63 @@
+#nullable enable
+using System;
+using System.Linq;
+using Chat.Web.Models;
+
+namespace Chat.Web.Utilities;
+
+/// <summary>
+/// Matching and snippet extraction for room history search. A query matches a message when its content
+/// or one of its translations contains the query text (case-insensitive).
+/// </summary>
+public static class MessageSearch
+{
+    public const int MinQueryLength = 2;
+    public const int MaxQueryLength = 100;
+    public const int SnippetRadius = 60;
+
+    /// <summary>
+    /// Trims the query and collapses inner whitespace; returns null when it is too short to search for.
+    /// </summary>
+    public static string? NormalizeQuery(string? query)
+    {
+        if (string.IsNullOrWhiteSpace(query)) return null;
+        var normalized = string.Join(' ', query.Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries));
+        if (normalized.Length < MinQueryLength) return null;
+        return normalized.Length > MaxQueryLength ? normalized.Substring(0, MaxQueryLength) : normalized;
+    }
+
+    public static bool Matches(Message message, string query) => FindMatch(message, query) != null;
+
+    /// <summary>
+    /// Returns the text containing the match and its language (null for the original content),
+    /// preferring the original over translations. Withdrawn messages never match.
+    /// </summary>
+    public static (string Text, string? Language)? FindMatch(Message message, string query)
+    {
+        if (message == null || message.IsDeleted || string.IsNullOrEmpty(query)) return null;
+        if (Contains(message.Content, query)) return (message.Content!, null);
+        var translation = (message.Translations ?? new())
+            .OrderBy(kv => kv.Key, StringComparer.OrdinalIgnoreCase)
+            .FirstOrDefault(kv => Contains(kv.Value, query));
+        return translation.Key != null ? (translation.Value, translation.Key) : null;
+    }
+
+    /// <summary>
+    /// Cuts a window of <see cref="SnippetRadius"/> characters around the first match, marking cut ends with "…".
+    /// </summary>
+    public static string BuildSnippet(string? text, string query)
+    {
+        if (string.IsNullOrEmpty(text)) return string.Empty;
+        var index = string.IsNullOrEmpty(query) ? -1 : text.IndexOf(query, StringComparison.OrdinalIgnoreCase);
+        if (index < 0) index = 0;
+        var start = Math.Max(0, index - SnippetRadius);
+        var end = Math.Min(text.Length, index + query.Length + SnippetRadius);
+        var snippet = text.Substring(start, end - start).Trim();
+        if (start > 0) snippet = "…" + snippet;
+        if (end < text.Length) snippet += "…";
+        return snippet;
+    }
+
+    private static bool Contains(string? text, string query)
+        => !string.IsNullOrEmpty(text) && text.Contains(query, StringComparison.OrdinalIgnoreCase);
+}
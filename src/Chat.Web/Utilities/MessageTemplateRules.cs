@@ -0,0 +1,76 @@
+#nullable enable
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.RegularExpressions;
+using Chat.Web.Models;
+
+namespace Chat.Web.Utilities;
+
+/// <summary>
+/// Normalization and validation of message templates. Placeholders are "{name}" tokens
+/// (a letter followed by letters, digits or underscores); the composer prompts for their values.
+/// </summary>
+public static class MessageTemplateRules
+{
+    public const int MaxTitleLength = 80;
+    // Matches the composer's maxlength so an inserted template can always be sent.
+    public const int MaxContentLength = 500;
+    public const int MaxPersonalTemplates = 50;
+    public const int MaxDispatchCenterTemplates = 100;
+
+    private static readonly Regex PlaceholderPattern = new Regex(@"\{([A-Za-z][A-Za-z0-9_]*)\}", RegexOptions.Compiled);
+
+    /// <summary>
+    /// Distinct placeholder names in order of first appearance.
+    /// </summary>
+    public static List<string> GetPlaceholders(string? content)
+    {
+        if (string.IsNullOrEmpty(content)) return new List<string>();
+        return PlaceholderPattern.Matches(content)
+            .Select(m => m.Groups[1].Value)
+            .Distinct(StringComparer.Ordinal)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Returns a trimmed copy with blank versions dropped and version keys reduced to language codes.
+    /// </summary>
+    public static MessageTemplate Normalize(MessageTemplate template)
+    {
+        var translations = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+        foreach (var (language, text) in template.Translations ?? new Dictionary<string, string>())
+        {
+            var code = LanguageCode.NormalizeToLanguageCode(language);
+            if (code == null || string.IsNullOrWhiteSpace(text)) continue;
+            translations[code] = text.Trim();
+        }
+        return new MessageTemplate
+        {
+            Id = string.IsNullOrWhiteSpace(template.Id) ? Guid.NewGuid().ToString("N") : template.Id.Trim(),
+            Title = template.Title?.Trim(),
+            Content = template.Content?.Trim(),
+            Translations = translations
+        };
+    }
+
+    /// <summary>
+    /// Returns null when the (normalized) template is usable, otherwise a short English reason.
+    /// </summary>
+    public static string? Validate(MessageTemplate template)
+    {
+        if (string.IsNullOrEmpty(template.Title)) return "Template title is required.";
+        if (template.Title.Length > MaxTitleLength) return $"Template title must be at most {MaxTitleLength} characters.";
+        if (string.IsNullOrEmpty(template.Content)) return "Template text is required.";
+        if (template.Content.Length > MaxContentLength) return $"Template text must be at most {MaxContentLength} characters.";
+
+        var placeholders = GetPlaceholders(template.Content).OrderBy(p => p, StringComparer.Ordinal);
+        foreach (var (language, text) in template.Translations ?? new Dictionary<string, string>())
+        {
+            if (text.Length > MaxContentLength) return $"The {language} version must be at most {MaxContentLength} characters.";
+            if (!GetPlaceholders(text).OrderBy(p => p, StringComparer.Ordinal).SequenceEqual(placeholders))
+                return $"The {language} version must use the same placeholders as the template text.";
+        }
+        return null;
+    }
+}
@@ -0,0 +1,28 @@
+#nullable enable
+using System;
+using Chat.Web.Models;
+
+namespace Chat.Web.Utilities;
+
+/// <summary>
+/// Validation of scheduled messages: non-empty text within the composer limit, due in the future
+/// but no further ahead than <see cref="MaxLeadTime"/>.
+/// </summary>
+public static class ScheduledMessageRules
+{
+    public const int MaxContentLength = MessageTemplateRules.MaxContentLength;
+    public const int MaxOpenPerRoom = 20;
+    public static readonly TimeSpan MaxLeadTime = TimeSpan.FromDays(7);
+
+    /// <summary>
+    /// Returns null when the message can be scheduled, otherwise a short English reason.
+    /// </summary>
+    public static string? Validate(ScheduledMessage message, DateTime nowUtc)
+    {
+        if (string.IsNullOrWhiteSpace(message.Content)) return "Message content is required.";
+        if (message.Content.Length > MaxContentLength) return $"Message must be at most {MaxContentLength} characters.";
+        if (message.SendAt <= nowUtc) return "Send time must be in the future.";
+        if (message.SendAt > nowUtc.Add(MaxLeadTime)) return $"Messages can be scheduled at most {MaxLeadTime.TotalDays:0} days ahead.";
+        return null;
+    }
+}
@@ -0,0 +1,38 @@
+using System;
+using Chat.Web.Utilities;
+
+namespace Chat.Web.ViewModels
+{
+    /// <summary>
+    /// One hit of a room history search: a snippet around the match plus enough context to jump to the message.
+    /// </summary>
+    public class MessageSearchResultViewModel
+    {
+        public int Id { get; set; }
+        public string FromUserName { get; set; }
+        public string FromFullName { get; set; }
+        public DateTime Timestamp { get; set; }
+        /// <summary>
+        /// Excerpt of the matching text; clients highlight the query within it.
+        /// </summary>
+        public string Snippet { get; set; }
+        /// <summary>
+        /// Language code of the translation that matched, or null when the original content matched.
+        /// </summary>
+        public string Language { get; set; }
+
+        public static MessageSearchResultViewModel From(Models.Message message, string query)
+        {
+            var match = MessageSearch.FindMatch(message, query);
+            return new MessageSearchResultViewModel
+            {
+                Id = message.Id,
+                FromUserName = message.FromUser?.UserName,
+                FromFullName = message.FromUser?.FullName,
+                Timestamp = message.Timestamp,
+                Snippet = MessageSearch.BuildSnippet(match?.Text ?? message.Content, query),
+                Language = match?.Language
+            };
+        }
+    }
+}
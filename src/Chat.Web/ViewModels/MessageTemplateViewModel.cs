@@ -0,0 +1,35 @@
+using System.Collections.Generic;
+using System.Linq;
+
+namespace Chat.Web.ViewModels
+{
+    /// <summary>
+    /// Client projection of a message template offered in the composer's template picker.
+    /// </summary>
+    public class MessageTemplateViewModel
+    {
+        public string Id { get; set; }
+        public string Title { get; set; }
+        public string Content { get; set; }
+        /// <summary>
+        /// Pre-approved versions (key: language code, value: text).
+        /// </summary>
+        public Dictionary<string, string> Translations { get; set; }
+        /// <summary>
+        /// True for the user's personal favourites, false for dispatch center templates.
+        /// </summary>
+        public bool IsPersonal { get; set; }
+
+        public static MessageTemplateViewModel From(Models.MessageTemplate template, bool isPersonal)
+        {
+            return new MessageTemplateViewModel
+            {
+                Id = template.Id,
+                Title = template.Title,
+                Content = template.Content,
+                Translations = template.Translations?.ToDictionary(kv => kv.Key, kv => kv.Value) ?? new Dictionary<string, string>(),
+                IsPersonal = isPersonal
+            };
+        }
+    }
+}
@@ -27,9 +27,17 @@ namespace Chat.Web.ViewModels
         /// </summary>
         public string[] ReadBy { get; set; }
         public string[] ReadByDispatchCenterIds { get; set; }
+        /// <summary>
+        /// Acknowledgement reactions (key: reaction name, value: ids of the dispatch centers that reacted).
+        /// </summary>
+        public System.Collections.Generic.Dictionary<string, string[]> Reactions { get; set; }
         public string EscalationStatus { get; set; }
         public string OpenEscalationId { get; set; }
         /// <summary>
+        /// Message priority (Normal, Urgent, Critical).
+        /// </summary>
+        public string Priority { get; set; }
+        /// <summary>
         /// Translation status (None, Pending, InProgress, Completed, Failed).
         /// </summary>
         public string TranslationStatus { get; set; }
@@ -47,5 +55,258 @@ namespace Chat.Web.ViewModels
         /// True if translation is completed successfully.
         /// </summary>
         public bool IsTranslated { get; set; }
+        /// <summary>
+        /// Timestamp of the latest edit (null if the message was never edited).
+        /// </summary>
+        public DateTime? EditedAt { get; set; }
+        /// <summary>
+        /// Previous versions of the content, oldest first.
+        /// </summary>
+        public MessageVersionViewModel[] EditHistory { get; set; }
+        /// <summary>
+        /// Timestamp when the message was withdrawn (null if not deleted). Deleted messages are sent as tombstones with empty content.
+        /// </summary>
+        public DateTime? DeletedAt { get; set; }
+        /// <summary>
+        /// User name of whoever withdrew the message.
+        /// </summary>
+        public string DeletedBy { get; set; }
+        /// <summary>
+        /// Id of the message this one replies to (null for a standalone message).
+        /// </summary>
+        public int? ReplyToId { get; set; }
+        /// <summary>
+        /// Quoted snippet of the original message, so the quote renders even when the original is not loaded on the client.
+        /// Null when the original could not be found.
+        /// </summary>
+        public MessageReplyPreviewViewModel ReplyTo { get; set; }
+        /// <summary>
+        /// Attached file (null for text-only messages and for withdrawn messages).
+        /// </summary>
+        public MessageAttachmentViewModel Attachment { get; set; }
+        /// <summary>
+        /// Incident card fields (null for plain messages and for withdrawn messages); the card's details are the content.
+        /// </summary>
+        public IncidentCardViewModel Card { get; set; }
+        /// <summary>
+        /// Shared location (null for plain messages and for withdrawn messages); the content is an optional note.
+        /// </summary>
+        public MessageLocationViewModel Location { get; set; }
+        /// <summary>
+        /// Attribution of the original message when this one was forwarded from another room (null otherwise).
+        /// </summary>
+        public MessageForwardViewModel ForwardedFrom { get; set; }
+        /// <summary>
+        /// Timestamp when the message was pinned to the room (null if not pinned).
+        /// </summary>
+        public DateTime? PinnedAt { get; set; }
+        public string PinnedBy { get; set; }
+    }
+
+    /// <summary>
+    /// Entry of a room's pinned strip: a snippet of the pinned message plus who pinned it.
+    /// </summary>
+    public class PinnedMessageViewModel
+    {
+        public int Id { get; set; }
+        public string FromUserName { get; set; }
+        public string FromFullName { get; set; }
+        public string Content { get; set; }
+        public DateTime Timestamp { get; set; }
+        public bool HasAttachment { get; set; }
+        public DateTime? PinnedAt { get; set; }
+        public string PinnedBy { get; set; }
+
+        public static PinnedMessageViewModel From(Models.Message message)
+        {
+            var preview = MessageReplyPreviewViewModel.From(message);
+            return new PinnedMessageViewModel
+            {
+                Id = message.Id,
+                FromUserName = preview.FromUserName,
+                FromFullName = preview.FromFullName,
+                Content = preview.Content,
+                Timestamp = message.Timestamp,
+                HasAttachment = !message.IsDeleted && message.Attachment != null,
+                PinnedAt = message.PinnedAt,
+                PinnedBy = message.PinnedByUserName
+            };
+        }
+    }
+
+    /// <summary>
+    /// Client projection of a message attachment; <see cref="Url"/> serves the file to room members.
+    /// </summary>
+    public class MessageAttachmentViewModel
+    {
+        public string Id { get; set; }
+        public string FileName { get; set; }
+        public string ContentType { get; set; }
+        public long Size { get; set; }
+        public string Url { get; set; }
+
+        public static MessageAttachmentViewModel From(Models.MessageAttachment attachment)
+        {
+            if (attachment == null || string.IsNullOrEmpty(attachment.Id)) return null;
+            return new MessageAttachmentViewModel
+            {
+                Id = attachment.Id,
+                FileName = attachment.FileName,
+                ContentType = attachment.ContentType,
+                Size = attachment.Size,
+                Url = "/api/Attachments/" + attachment.Id
+            };
+        }
+    }
+
+    /// <summary>
+    /// Incident card fields as sent by clients and delivered to them (category by name, e.g. "Fire").
+    /// </summary>
+    public class IncidentCardViewModel
+    {
+        public string IncidentId { get; set; }
+        public string Category { get; set; }
+        public string Address { get; set; }
+        public double? Latitude { get; set; }
+        public double? Longitude { get; set; }
+        public string UnitsRequested { get; set; }
+        public string CallbackNumber { get; set; }
+
+        public static IncidentCardViewModel From(Models.IncidentCard card)
+        {
+            if (card == null) return null;
+            return new IncidentCardViewModel
+            {
+                IncidentId = card.IncidentId,
+                Category = card.Category.ToString(),
+                Address = card.Address,
+                Latitude = card.Latitude,
+                Longitude = card.Longitude,
+                UnitsRequested = card.UnitsRequested,
+                CallbackNumber = card.CallbackNumber
+            };
+        }
+
+        /// <summary>
+        /// Normalized domain card; an unknown category is left undefined so validation rejects it.
+        /// </summary>
+        public Models.IncidentCard ToModel()
+        {
+            Utilities.IncidentCardRules.TryParseCategory(Category, out var category);
+            return Utilities.IncidentCardRules.Normalize(new Models.IncidentCard
+            {
+                IncidentId = IncidentId,
+                Category = category,
+                Address = Address,
+                Latitude = Latitude,
+                Longitude = Longitude,
+                UnitsRequested = UnitsRequested,
+                CallbackNumber = CallbackNumber
+            });
+        }
+    }
+
+    /// <summary>
+    /// Shared location as sent by clients and delivered to them (WGS84 decimal degrees).
+    /// </summary>
+    public class MessageLocationViewModel
+    {
+        public double Latitude { get; set; }
+        public double Longitude { get; set; }
+        public double? AccuracyMeters { get; set; }
+
+        public static MessageLocationViewModel From(Models.MessageLocation location)
+        {
+            if (location == null) return null;
+            return new MessageLocationViewModel
+            {
+                Latitude = location.Latitude,
+                Longitude = location.Longitude,
+                AccuracyMeters = location.AccuracyMeters
+            };
+        }
+
+        public Models.MessageLocation ToModel() => Utilities.MessageLocationRules.Normalize(new Models.MessageLocation
+        {
+            Latitude = Latitude,
+            Longitude = Longitude,
+            AccuracyMeters = AccuracyMeters
+        });
+    }
+
+    /// <summary>
+    /// Attribution block of a forwarded message (original author, dispatch center, room and time).
+    /// </summary>
+    public class MessageForwardViewModel
+    {
+        public int OriginalMessageId { get; set; }
+        public string Room { get; set; }
+        public string RoomDisplayName { get; set; }
+        public string FromUserName { get; set; }
+        public string FromFullName { get; set; }
+        public string FromDispatchCenterId { get; set; }
+        public string FromDispatchCenterName { get; set; }
+        public DateTime Timestamp { get; set; }
+        public bool AttachmentOmitted { get; set; }
+
+        public static MessageForwardViewModel From(Models.MessageForward forward)
+        {
+            if (forward == null) return null;
+            return new MessageForwardViewModel
+            {
+                OriginalMessageId = forward.OriginalMessageId,
+                Room = forward.RoomName,
+                RoomDisplayName = forward.RoomDisplayName,
+                FromUserName = forward.FromUserName,
+                FromFullName = forward.FromFullName,
+                FromDispatchCenterId = forward.FromDispatchCenterId,
+                FromDispatchCenterName = forward.FromDispatchCenterName,
+                Timestamp = forward.Timestamp,
+                AttachmentOmitted = forward.AttachmentOmitted
+            };
+        }
+    }
+
+    /// <summary>
+    /// Client projection of a superseded message version.
+    /// </summary>
+    public class MessageVersionViewModel
+    {
+        public string Content { get; set; }
+        public DateTime Timestamp { get; set; }
+    }
+
+    /// <summary>
+    /// Quoted snippet of a replied-to message. Withdrawn originals are sent without content.
+    /// </summary>
+    public class MessageReplyPreviewViewModel
+    {
+        public const int MaxSnippetLength = 160;
+
+        public int Id { get; set; }
+        public string FromUserName { get; set; }
+        public string FromFullName { get; set; }
+        public string Content { get; set; }
+        public DateTime Timestamp { get; set; }
+        public bool IsDeleted { get; set; }
+
+        public static MessageReplyPreviewViewModel From(Models.Message original)
+        {
+            if (original == null) return null;
+            var content = original.IsDeleted ? string.Empty : original.Content ?? string.Empty;
+            if (content.Length > MaxSnippetLength)
+            {
+                content = content.Substring(0, MaxSnippetLength).TrimEnd() + "…";
+            }
+            return new MessageReplyPreviewViewModel
+            {
+                Id = original.Id,
+                FromUserName = original.FromUser?.UserName,
+                FromFullName = original.FromUser?.FullName,
+                Content = content,
+                Timestamp = original.Timestamp,
+                IsDeleted = original.IsDeleted
+            };
+        }
     }
 }
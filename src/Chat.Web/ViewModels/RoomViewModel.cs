@@ -25,6 +25,21 @@ namespace Chat.Web.ViewModels
         /// </summary>
         public ICollection<string> Languages { get; set; } = new List<string>();
 
+        /// <summary>
+        /// Names of the room's dispatch centers (key: dispatch center id).
+        /// </summary>
+        public IDictionary<string, string> DispatchCenterNames { get; set; } = new Dictionary<string, string>();
+
+        /// <summary>
+        /// Incident ID patterns configured by the room's dispatch centers (ECMAScript regular expressions).
+        /// </summary>
+        public ICollection<string> IncidentIdPatterns { get; set; } = new List<string>();
+
+        /// <summary>
+        /// IANA time zones of the room's dispatch centers that have one configured (key: dispatch center id).
+        /// </summary>
+        public IDictionary<string, string> DispatchCenterTimeZones { get; set; } = new Dictionary<string, string>();
+
     // Admin field removed
     }
 }
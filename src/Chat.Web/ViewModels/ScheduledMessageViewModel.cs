@@ -0,0 +1,39 @@
+using System;
+
+namespace Chat.Web.ViewModels
+{
+    /// <summary>
+    /// Client projection of one of the caller's scheduled messages.
+    /// </summary>
+    public class ScheduledMessageViewModel
+    {
+        public string Id { get; set; }
+        public string Room { get; set; }
+        public string Content { get; set; }
+        public string Priority { get; set; }
+        public DateTime SendAt { get; set; }
+        public DateTime CreatedAt { get; set; }
+        public DateTime? UpdatedAt { get; set; }
+        /// <summary>
+        /// Scheduled, Sent, Cancelled or Failed.
+        /// </summary>
+        public string Status { get; set; }
+        public string FailureReason { get; set; }
+
+        public static ScheduledMessageViewModel From(Models.ScheduledMessage message)
+        {
+            return new ScheduledMessageViewModel
+            {
+                Id = message.Id,
+                Room = message.RoomName,
+                Content = message.Content,
+                Priority = message.Priority.ToString(),
+                SendAt = message.SendAt,
+                CreatedAt = message.CreatedAt,
+                UpdatedAt = message.UpdatedAt,
+                Status = message.Status.ToString(),
+                FailureReason = message.FailureReason
+            };
+        }
+    }
+}
@@ -30,7 +30,7 @@ if(window.__chatAppBooted){
 
   // ---------------- State ----------------
   const AuthStatus = { UNKNOWN:'UNKNOWN', PROBING:'PROBING', AUTHENTICATED:'AUTHENTICATED', UNAUTHENTICATED:'UNAUTHENTICATED' };
-  const state = { loading:true, profile:null, rooms:[], users:[], messages:[], joinedRoom:null, roomsEmptyReason:'', filter:'', oldestLoaded:null, canLoadMore:true, pageSize:20, loadingMore:false, lastSendAt:0, minSendIntervalMs:800, joinInProgress:false, pendingJoin:null, outbox:[], pendingAck:{}, authStatus: AuthStatus.UNKNOWN, pendingMessages:{}, isOffline:false, unreadCount:0, unsentByRoom:{}, ackTimers:{}, autoScroll:true, _firstRender:true, _autoFillPass:0, selectedEscalationMessageIds:[] };
+  const state = { loading:true, profile:null, rooms:[], users:[], messages:[], joinedRoom:null, roomsEmptyReason:'', filter:'', oldestLoaded:null, canLoadMore:true, pageSize:20, loadingMore:false, lastSendAt:0, minSendIntervalMs:800, joinInProgress:false, pendingJoin:null, outbox:[], pendingAck:{}, authStatus: AuthStatus.UNKNOWN, pendingMessages:{}, isOffline:false, unreadCount:0, unsentByRoom:{}, ackTimers:{}, autoScroll:true, _firstRender:true, _autoFillPass:0, selectedEscalationMessageIds:[], replyToId:null, unreadMentions:0, mentionFrom:'', typingUsers:{}, templates:null, pins:[], historyWindow:null, composerPriority:'Normal', scheduled:[], pendingPermalink:null };
   // Extended auth / hub timing metadata
   state._hubStartedEarly = false;       // whether hub started before auth probe resolved
   state._graceStartedAt = null;         // timestamp when grace window started
@@ -71,6 +71,15 @@ if(window.__chatAppBooted){
     els.usersList = document.getElementById('users-list');
     els.messagesList = document.getElementById('messages-list');
     els.messageInput = document.getElementById('message-input');
+    els.mentionSuggestions = document.getElementById('mention-suggestions');
+    els.templatePicker = document.getElementById('template-picker');
+    els.pinnedStrip = document.getElementById('pinned-strip');
+    els.searchPanel = document.getElementById('search-panel');
+    els.jumpPanel = document.getElementById('jump-panel');
+    els.historyBanner = document.getElementById('history-banner');
+    els.outboxLeftovers = document.getElementById('outbox-leftovers');
+    els.typingIndicator = document.getElementById('typing-indicator');
+    els.replyPreview = document.getElementById('reply-preview');
     els.joinedRoomTitle = document.getElementById('joinedRoom');
     els.filterInput = document.querySelector('.users-container input[type=text]');
     els.errorAlert = document.getElementById('errorAlert');
@@ -340,7 +349,10 @@ if(window.__chatAppBooted){
       dispatchCenterAId: r.dispatchCenterAId!==undefined ? r.dispatchCenterAId : r.DispatchCenterAId,
       dispatchCenterBId: r.dispatchCenterBId!==undefined ? r.dispatchCenterBId : r.DispatchCenterBId,
       isActive: r.isActive!==undefined ? !!r.isActive : (r.IsActive!==undefined ? !!r.IsActive : true),
-      languages: r.languages!==undefined ? r.languages : (r.Languages || [])
+      languages: r.languages!==undefined ? r.languages : (r.Languages || []),
+      dispatchCenterNames: r.dispatchCenterNames!==undefined ? (r.dispatchCenterNames || {}) : (r.DispatchCenterNames || {}),
+      incidentIdPatterns: r.incidentIdPatterns!==undefined ? (r.incidentIdPatterns || []) : (r.IncidentIdPatterns || []),
+      dispatchCenterTimeZones: r.dispatchCenterTimeZones!==undefined ? (r.dispatchCenterTimeZones || {}) : (r.DispatchCenterTimeZones || {})
     };
   }
   function normalizeMessagePayload(m, overrides){
@@ -357,12 +369,27 @@ if(window.__chatAppBooted){
       correlationId: base.correlationId!==undefined ? base.correlationId : base.CorrelationId,
       readBy: base.readBy || base.ReadBy || [],
       readByDispatchCenterIds: base.readByDispatchCenterIds || base.ReadByDispatchCenterIds || [],
+      reactions: base.reactions || base.Reactions || {},
       escalationStatus: base.escalationStatus || base.EscalationStatus || 'None',
       openEscalationId: base.openEscalationId || base.OpenEscalationId || null,
+      priority: normalizePriority(base.priority || base.Priority),
       translationStatus: base.translationStatus || base.TranslationStatus || 'None',
       sourceLanguage: base.sourceLanguage || base.SourceLanguage || 'auto',
       translations: base.translations || base.Translations || {},
       translationErrorMessage: base.translationErrorMessage || base.translationFailureMessage || base.translationError || '',
+      editedAt: base.editedAt || base.EditedAt || null,
+      editHistory: base.editHistory || base.EditHistory || [],
+      deletedAt: base.deletedAt || base.DeletedAt || null,
+      deletedBy: base.deletedBy || base.DeletedBy || null,
+      replyToId: base.replyToId ?? base.ReplyToId ?? null,
+      replyTo: normalizeReplyPreview(base.replyTo || base.ReplyTo),
+      attachment: normalizeAttachment(base.attachment || base.Attachment),
+      card: normalizeIncidentCard(base.card || base.Card),
+      location: normalizeSharedLocation(base.location || base.Location),
+      forwardedFrom: normalizeForwardAttribution(base.forwardedFrom || base.ForwardedFrom),
+      pinnedAt: base.pinnedAt || base.PinnedAt || null,
+      pinnedBy: base.pinnedBy || base.PinnedBy || null,
+      upload: base.upload || null,
       pending: !!base.pending,
       failed: !!base.failed
     };
@@ -372,9 +399,44 @@ if(window.__chatAppBooted){
     if(overrides) Object.assign(normalized, overrides);
     return normalized;
   }
+  function normalizeReplyPreview(p){
+    if(!p) return null;
+    return {
+      id: p.id!==undefined ? p.id : p.Id,
+      fromUserName: p.fromUserName!==undefined ? p.fromUserName : p.FromUserName,
+      fromFullName: p.fromFullName!==undefined ? p.fromFullName : p.FromFullName,
+      content: p.content!==undefined ? p.content : (p.Content || ''),
+      timestamp: p.timestamp!==undefined ? p.timestamp : p.Timestamp,
+      isDeleted: !!(p.isDeleted ?? p.IsDeleted)
+    };
+  }
+  function normalizeForwardAttribution(f){
+    if(!f) return null;
+    return {
+      originalMessageId: f.originalMessageId!==undefined ? f.originalMessageId : f.OriginalMessageId,
+      room: f.room!==undefined ? f.room : f.Room,
+      roomDisplayName: f.roomDisplayName!==undefined ? f.roomDisplayName : f.RoomDisplayName,
+      fromUserName: f.fromUserName!==undefined ? f.fromUserName : f.FromUserName,
+      fromFullName: f.fromFullName!==undefined ? f.fromFullName : f.FromFullName,
+      fromDispatchCenterId: f.fromDispatchCenterId!==undefined ? f.fromDispatchCenterId : f.FromDispatchCenterId,
+      fromDispatchCenterName: f.fromDispatchCenterName!==undefined ? f.fromDispatchCenterName : f.FromDispatchCenterName,
+      timestamp: f.timestamp!==undefined ? f.timestamp : f.Timestamp,
+      attachmentOmitted: !!(f.attachmentOmitted ?? f.AttachmentOmitted)
+    };
+  }
+  function normalizeAttachment(a){
+    if(!a) return null;
+    return {
+      id: a.id!==undefined ? a.id : a.Id,
+      fileName: a.fileName!==undefined ? a.fileName : (a.FileName || ''),
+      contentType: a.contentType!==undefined ? a.contentType : (a.ContentType || ''),
+      size: a.size!==undefined ? a.size : (a.Size || 0),
+      url: a.url!==undefined ? a.url : a.Url
+    };
+  }
   function canSelectForEscalation(m){
     const myDispatchCenterId = state.profile && state.profile.dispatchCenterId;
-    if(!myDispatchCenterId || !m || m.pending || m.failed) return false;
+    if(!myDispatchCenterId || !m || m.pending || m.failed || m.deletedAt) return false;
     const status = (m.escalationStatus || 'None').toLowerCase();
     if(status === 'scheduled' || status === 'escalated') return false;
     return (m.fromDispatchCenterId || '').toLowerCase() === myDispatchCenterId.toLowerCase();
@@ -432,29 +494,7 @@ if(window.__chatAppBooted){
       li.dataset.username=u.userName;
       const wrap=document.createElement('div');
       wrap.className='user';
-
-      if(!u.avatar){
-        const span=document.createElement('span');
-        span.className='avatar me-2 text-uppercase text-white';
-        if(u.isPresent){
-          span.classList.add('bg-success');
-        } else {
-          span.classList.add('bg-danger');
-        }
-        span.textContent=initialFrom(u.fullName, u.userName);
-        wrap.appendChild(span);
-      } else {
-        const img=document.createElement('img');
-        img.className='avatar me-2';
-        img.classList.add('border','border-2');
-        if(u.isPresent){
-          img.classList.add('border-success');
-        } else {
-          img.classList.add('border-danger');
-        }
-        img.src='/avatars/'+u.avatar;
-        wrap.appendChild(img);
-      }
+      wrap.appendChild(createUserAvatar(u));
 
       const info=document.createElement('div');
       info.className='user-info';
@@ -472,6 +512,32 @@ if(window.__chatAppBooted){
       const template = window.i18n.whosHere;
       els.usersHeader.textContent = template.replace('{0}', filtered.length);
     }
+    // Presence changes may hide or reveal typing users
+    renderTypingIndicator();
+  }
+  // Avatar with presence colouring (shared by the users list and mention suggestions)
+  function createUserAvatar(u){
+    if(!u.avatar){
+      const span=document.createElement('span');
+      span.className='avatar me-2 text-uppercase text-white';
+      if(u.isPresent){
+        span.classList.add('bg-success');
+      } else {
+        span.classList.add('bg-danger');
+      }
+      span.textContent=initialFrom(u.fullName, u.userName);
+      return span;
+    }
+    const img=document.createElement('img');
+    img.className='avatar me-2';
+    img.classList.add('border','border-2');
+    if(u.isPresent){
+      img.classList.add('border-success');
+    } else {
+      img.classList.add('border-danger');
+    }
+    img.src='/avatars/'+u.avatar;
+    return img;
   }
   function formatDateParts(ts){ 
     const date=new Date(ts); 
@@ -489,7 +555,7 @@ if(window.__chatAppBooted){
     if (use24Hour) {
       timeHours = ('0'+hours).slice(-2);
     } else {
-      ampm = hours>=12 ? (window.i18n.PM || 'PM') : (window.i18n.AM || 'AM'); 
+      ampm = hours>=12 ? (window.i18n?.pm || 'PM') : (window.i18n?.am || 'AM'); 
       if(hours>12) hours=hours%12; 
       if(hours===0) hours=12;
       timeHours = hours;
@@ -498,8 +564,8 @@ if(window.__chatAppBooted){
     const timeOnly = use24Hour ? `${timeHours}:${minutes}` : `${timeHours}:${minutes} ${ampm}`;
     const full=`${dateOnly} ${timeOnly}`; 
     let relative=dateOnly; 
-    const today = window.i18n.Today || 'Today';
-    const yesterday = window.i18n.Yesterday || 'Yesterday';
+    const today = window.i18n?.today || 'Today';
+    const yesterday = window.i18n?.yesterday || 'Yesterday';
     if(diffDays===0) relative=`${today}, ${timeOnly}`; 
     else if(diffDays===-1) relative=`${yesterday}, ${timeOnly}`; 
     return {relative, full}; 
@@ -510,6 +576,75 @@ if(window.__chatAppBooted){
     state.messages.forEach(m=> renderSingleMessage(m, false));
     finalizeMessageRender();
   }
+  // Day separators & author grouping ---------------------------------------------
+  const GROUP_WINDOW_MS = 5 * 60 * 1000; // consecutive messages from one author within this gap share a header
+  function getLocalDayKey(ts){
+    const d = new Date(ts);
+    return d.getFullYear() + '-' + (d.getMonth() + 1) + '-' + d.getDate();
+  }
+  function formatDayLabel(ts){
+    const key = getLocalDayKey(ts);
+    const now = new Date();
+    if(key === getLocalDayKey(now)) return window.i18n?.today || 'Today';
+    if(key === getLocalDayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1))) return window.i18n?.yesterday || 'Yesterday';
+    try {
+      return new Date(ts).toLocaleDateString(document.documentElement.lang || undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    } catch(_) {
+      return formatDateParts(ts).full.split(' ')[0];
+    }
+  }
+  /**
+   * Recomputes day separator rows and author grouping from the rendered rows. Runs after every render
+   * (full re-render, appended message, prepended page, optimistic reconcile), so it never relies on
+   * state carried over from a previous pass.
+   */
+  function syncMessageLayout(){
+    if(!els.messagesList) return;
+    els.messagesList.querySelectorAll('li.day-separator').forEach(el => el.remove());
+    const byId = new Map();
+    const byCid = new Map();
+    state.messages.forEach(m => {
+      if(!m) return;
+      if(typeof m.id === 'number') byId.set(String(m.id), m);
+      if(m.correlationId) byCid.set(m.correlationId, m);
+    });
+    let prev = null;
+    let prevDay = null;
+    let brokenByDivider = false;
+    Array.from(els.messagesList.children).forEach(li => {
+      if(li.classList.contains('unread-divider')){ brokenByDivider = true; return; }
+      const m = (li.dataset.cid && byCid.get(li.dataset.cid)) || (li.dataset.id && byId.get(li.dataset.id));
+      if(!m || !m.timestamp) return;
+      const day = getLocalDayKey(m.timestamp);
+      if(day !== prevDay){
+        const sep = document.createElement('li');
+        sep.className = 'day-separator';
+        sep.setAttribute('role', 'separator');
+        const label = document.createElement('span');
+        label.textContent = formatDayLabel(m.timestamp);
+        sep.appendChild(label);
+        // Keep the unread divider directly above its message
+        const anchor = li.previousElementSibling && li.previousElementSibling.classList.contains('unread-divider') ? li.previousElementSibling : li;
+        anchor.before(sep);
+      }
+      const grouped = !!prev && day === prevDay && !brokenByDivider
+        && prev.fromUserName === m.fromUserName
+        && normalizePriority(m.priority) === 'Normal'
+        && (new Date(m.timestamp) - new Date(prev.timestamp)) < GROUP_WINDOW_MS;
+      li.classList.toggle('grouped', grouped);
+      prev = m;
+      prevDay = day;
+      brokenByDivider = false;
+    });
+  }
+  /**
+   * "Today" / "Yesterday" separators are computed at render time; recompute them just after each local midnight.
+   */
+  function scheduleDayChangeRefresh(){
+    const now = new Date();
+    const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 0, 1);
+    setTimeout(()=>{ syncMessageLayout(); scheduleDayChangeRefresh(); }, nextMidnight - now);
+  }
   function syncEscalationControls(info, m){
     if(!info) return;
     let selector = info.querySelector('[data-role="escalation-select"]');
@@ -586,6 +721,7 @@ if(window.__chatAppBooted){
     return Array.from(targets);
   }
   function shouldShowTranslationPanel(m){
+    if(m && m.deletedAt) return false;
     const status = (normalizeTranslationStatus(m) || '').toLowerCase();
     const translations = normalizeTranslations(m);
     const hasTranslations = translations && Object.keys(translations).length > 0;
@@ -733,7 +869,7 @@ if(window.__chatAppBooted){
       const text = document.createElement('div');
       text.className = 'small';
       if(translatedText){
-        text.textContent = translatedText;
+        renderRichText(text, translatedText);
       } else if(status === 'failed'){
         text.classList.add('fw-semibold');
         text.textContent = errorMessage ? errorMessage : (window.i18n?.translationFailed || 'Translation failed.');
@@ -748,8 +884,8 @@ if(window.__chatAppBooted){
     });
 
     panel.appendChild(boxes);
-    // Insert translations between message body and read receipts.
-    const rr = messageContentEl.querySelector('.read-receipt');
+    // Insert translations between message body and reactions / read receipts.
+    const rr = messageContentEl.querySelector('.reaction-bar') || messageContentEl.querySelector('.read-receipt');
     if(rr) rr.before(panel);
     else messageContentEl.appendChild(panel);
   }
@@ -760,6 +896,7 @@ if(window.__chatAppBooted){
     li.dataset.cid = m.correlationId || '';
     if(typeof m.id === 'number') li.dataset.id = String(m.id);
     if(m.failed) li.classList.add('failed');
+    if(m.deletedAt) li.classList.add('deleted');
   const wrap=document.createElement('div'); wrap.className='message-item'; if(m.isMine) wrap.classList.add('ismine');
     const authorDisplayName = resolveDisplayName(m.fromUserName, m.fromFullName);
     if(!m.avatar){ const span=document.createElement('span'); span.className='avatar avatar-lg mx-2 text-uppercase'; span.textContent=initialFrom(authorDisplayName, m.fromUserName); wrap.appendChild(span);} else { const img=document.createElement('img'); img.className='avatar avatar-lg mx-2'; img.src='/avatars/'+m.avatar; wrap.appendChild(img);} 
@@ -768,23 +905,34 @@ if(window.__chatAppBooted){
     const author=document.createElement('span'); author.className='author'; author.textContent=authorDisplayName; info.appendChild(author);
     const time=document.createElement('span'); time.className='timestamp'; const fp=formatDateParts(m.timestamp); time.textContent=fp.relative; time.dataset.bsTitle=fp.full; time.setAttribute('data-bs-toggle','tooltip'); info.appendChild(time);
     if(m.failed){
-      const status=document.createElement('span'); status.className='send-status ms-2 text-danger'; status.textContent=window.i18n.MessageFailed || '(failed)'; info.appendChild(status);
-      const retryBtn=document.createElement('button'); retryBtn.type='button'; retryBtn.className='btn btn-link p-0 ms-2 retry-send'; retryBtn.textContent=window.i18n.Retry || 'Retry'; retryBtn.addEventListener('click',()=> retrySend(m.correlationId)); info.appendChild(retryBtn);
+      const status=document.createElement('span'); status.className='send-status ms-2 text-danger'; status.textContent=window.i18n?.messageFailed || '(failed)'; info.appendChild(status);
+      const retryBtn=document.createElement('button'); retryBtn.type='button'; retryBtn.className='btn btn-link p-0 ms-2 retry-send'; retryBtn.textContent=window.i18n?.retry || 'Retry'; retryBtn.addEventListener('click',()=> retrySend(m.correlationId)); info.appendChild(retryBtn);
     } else if(m.pending){
-      const status=document.createElement('span'); status.className='send-status ms-2 text-muted'; status.textContent=window.i18n.MessagePending || '…'; info.appendChild(status);
+      const status=document.createElement('span'); status.className='send-status ms-2 text-muted'; status.textContent=window.i18n?.messagePending || '…'; info.appendChild(status);
     }
     syncEscalationControls(info, m);
+    syncEditedMarker(info, m);
+    syncPinnedMarker(info, m);
+    syncPriorityMarker(li, info, m);
     content.appendChild(info);
-  const body=document.createElement('div'); body.className='content'; body.textContent=m.content; content.appendChild(body);
+    syncForwardAttribution(content, m);
+    syncReplyQuote(content, m);
+  const body=document.createElement('div'); body.className='content'; renderMessageBody(body, m); content.appendChild(body);
+  syncIncidentCard(content, m);
+  syncLocationCard(content, m);
+  syncAttachment(content, m);
 
   // Translation panel (original message always visible; translations below)
   renderTranslationPanel(content, m);
+  syncReactionBar(content, m);
 
   // Read receipt indicator (compact)
   const rr = document.createElement('div'); rr.className='read-receipt small text-muted';
   updateReadReceiptDom(rr, m);
   content.appendChild(rr);
-    wrap.appendChild(content); li.appendChild(wrap); els.messagesList.appendChild(li);
+    wrap.appendChild(content);
+    syncMessageActions(wrap, m);
+    li.appendChild(wrap); els.messagesList.appendChild(li);
     if(scrollIntoView){
       const mc=document.querySelector('.messages-container');
       if(mc && (state.autoScroll || state._firstRender)) mc.scrollTop=mc.scrollHeight;
@@ -801,17 +949,23 @@ if(window.__chatAppBooted){
     if(typeof m.id === 'number') node.dataset.id = String(m.id);
   const timeEl = node.querySelector('.timestamp');
     if(timeEl){ const fp=formatDateParts(m.timestamp); timeEl.textContent=fp.relative; timeEl.dataset.bsTitle=fp.full; }
-    const bodyEl = node.querySelector('.content'); if(bodyEl) bodyEl.textContent = m.content;
+    const bodyEl = node.querySelector('.content'); if(bodyEl) renderMessageBody(bodyEl, m);
+    syncForwardAttribution(node.querySelector('.message-content'), m);
+    syncReplyQuote(node.querySelector('.message-content'), m);
+    syncIncidentCard(node.querySelector('.message-content'), m);
+    syncLocationCard(node.querySelector('.message-content'), m);
+    syncAttachment(node.querySelector('.message-content'), m);
     // Update status indicators
     node.classList.toggle('failed', !!m.failed);
+    node.classList.toggle('deleted', !!m.deletedAt);
     let statusEl = node.querySelector('.send-status');
     if(!statusEl && (m.failed||m.pending)){
       const info = node.querySelector('.message-info');
       if(info){ statusEl = document.createElement('span'); statusEl.className='send-status ms-2'; info.appendChild(statusEl); }
     }
     if(statusEl){
-      if(m.failed){ statusEl.textContent=window.i18n.MessageFailed || '(failed)'; statusEl.className='send-status ms-2 text-danger'; }
-      else if(m.pending){ statusEl.textContent=window.i18n.MessagePending || '…'; statusEl.className='send-status ms-2 text-muted'; }
+      if(m.failed){ statusEl.textContent=window.i18n?.messageFailed || '(failed)'; statusEl.className='send-status ms-2 text-danger'; }
+      else if(m.pending){ statusEl.textContent=window.i18n?.messagePending || '…'; statusEl.className='send-status ms-2 text-muted'; }
       else { statusEl.remove(); }
     }
     // Retry button handling
@@ -819,11 +973,15 @@ if(window.__chatAppBooted){
     if(m.failed){
       if(!retryBtn){
         const info = node.querySelector('.message-info');
-        if(info){ retryBtn=document.createElement('button'); retryBtn.type='button'; retryBtn.className='btn btn-link p-0 ms-2 retry-send'; retryBtn.textContent=window.i18n.Retry || 'Retry'; retryBtn.addEventListener('click',()=> retrySend(m.correlationId)); info.appendChild(retryBtn); }
+        if(info){ retryBtn=document.createElement('button'); retryBtn.type='button'; retryBtn.className='btn btn-link p-0 ms-2 retry-send'; retryBtn.textContent=window.i18n?.retry || 'Retry'; retryBtn.addEventListener('click',()=> retrySend(m.correlationId)); info.appendChild(retryBtn); }
       }
     } else if(retryBtn){ retryBtn.remove(); }
     node.dataset.cid = m.correlationId || '';
     syncEscalationControls(node.querySelector('.message-info'), m);
+    syncEditedMarker(node.querySelector('.message-info'), m);
+    syncPinnedMarker(node.querySelector('.message-info'), m);
+    syncPriorityMarker(node, node.querySelector('.message-info'), m);
+    syncMessageActions(node.querySelector('.message-item'), m);
     // Update read receipt
     let rr = node.querySelector('.read-receipt');
     if(!rr){ rr = document.createElement('div'); rr.className='read-receipt small text-muted'; const content = node.querySelector('.message-content'); if(content) content.appendChild(rr); }
@@ -832,13 +990,14 @@ if(window.__chatAppBooted){
     // Update translation panel
     const contentEl = node.querySelector('.message-content');
     renderTranslationPanel(contentEl, m);
+    syncReactionBar(contentEl, m);
     return true;
   }
   function updateReadReceiptDom(rrEl, m){
     if(!rrEl) return;
     const readers = Array.isArray(m.readBy) ? m.readBy : [];
     const mine = !!m.isMine;
-    if(!mine){ rrEl.textContent=''; rrEl.classList.add('d-none'); return; }
+    if(!mine || m.deletedAt){ rrEl.textContent=''; rrEl.classList.add('d-none'); return; }
     rrEl.classList.remove('d-none');
     // Show label for sender: 'Delivered' when nobody else read; otherwise list readers (excluding self)
     const selfName = (state.profile && state.profile.userName || '').toLowerCase();
@@ -847,6 +1006,975 @@ if(window.__chatAppBooted){
     const otherDisplayNames = others.map(u => resolveDisplayName(u, null));
     rrEl.textContent = (window.i18n?.readBy || 'Read by') + ' ' + otherDisplayNames.join(', ');
   }
+
+  // Message body / tombstones ----------------------------------------------
+  function renderMessageBody(bodyEl, m){
+    if(!bodyEl) return;
+    if(m.deletedAt){
+      const by = resolveDisplayName(m.deletedBy || m.fromUserName, m.deletedBy && m.deletedBy !== m.fromUserName ? null : m.fromFullName);
+      const template = window.i18n?.messageWithdrawn || 'Message withdrawn by {0} at {1}';
+      bodyEl.textContent = template.replace('{0}', by).replace('{1}', formatDateParts(m.deletedAt).full);
+      bodyEl.classList.add('fst-italic', 'tombstone');
+      return;
+    }
+    bodyEl.classList.remove('fst-italic', 'tombstone');
+    renderRichText(bodyEl, m.content);
+  }
+
+  // Rich text (safe Markdown subset) -------------------------------------------
+  // Supports **bold**, *italic* / _italic_, `inline code`, "- " / "* " bullet lists and line breaks.
+  // Output is built from DOM nodes and text nodes only; message text is never parsed as HTML.
+  const RICH_TEXT_INLINE_RE = /`([^`\n]+)`|\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__|\*(?=[^\s*])([^*\n]*?[^\s*])\*|(?<![\w])_(?=[^\s_])([^_\n]*?[^\s_])_(?![\w])/g;
+  const RICH_TEXT_BULLET_RE = /^\s*[-*]\s+(.*)$/;
+  function renderRichText(container, text){
+    if(!container) return;
+    container.textContent = '';
+    const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+    let list = null;
+    let pendingBreak = false;
+    lines.forEach(line => {
+      const bullet = RICH_TEXT_BULLET_RE.exec(line);
+      if(bullet){
+        if(!list){
+          list = document.createElement('ul');
+          list.className = 'rich-text-list';
+          container.appendChild(list);
+        }
+        const item = document.createElement('li');
+        appendRichInline(item, bullet[1]);
+        list.appendChild(item);
+        pendingBreak = false;
+        return;
+      }
+      list = null;
+      if(pendingBreak) container.appendChild(document.createElement('br'));
+      appendRichInline(container, line);
+      pendingBreak = true;
+    });
+  }
+  function appendRichInline(parent, text){
+    const matches = Array.from(String(text).matchAll(RICH_TEXT_INLINE_RE));
+    let last = 0;
+    matches.forEach(match => {
+      if(match.index > last) appendRichTextRun(parent, text.slice(last, match.index));
+      const [, code, bold, boldAlt, italic, italicAlt] = match;
+      let el;
+      if(code !== undefined){
+        el = document.createElement('code');
+        el.textContent = code;
+      } else if(bold !== undefined || boldAlt !== undefined){
+        el = document.createElement('strong');
+        appendRichInline(el, bold ?? boldAlt);
+      } else {
+        el = document.createElement('em');
+        appendRichInline(el, italic ?? italicAlt);
+      }
+      parent.appendChild(el);
+      last = match.index + match[0].length;
+    });
+    if(last < text.length) appendRichTextRun(parent, text.slice(last));
+  }
+  function appendRichTextRun(parent, text){
+    if(!text) return;
+    let cursor = 0;
+    while(cursor < text.length){
+      const chip = findNextChip(text, cursor);
+      if(!chip) break;
+      if(chip.index > cursor) parent.appendChild(document.createTextNode(text.slice(cursor, chip.index)));
+      parent.appendChild(createChip(chip));
+      cursor = chip.index + chip.text.length;
+    }
+    if(cursor < text.length) parent.appendChild(document.createTextNode(text.slice(cursor)));
+  }
+
+  // Actionable chips (URLs, phone numbers, coordinates, incident IDs) --------------
+  const CHIP_URL_RE = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+  const CHIP_COORDS_RE = /(?<![\w.])([-+]?\d{1,2}\.\d{3,})\s*,\s*([-+]?\d{1,3}\.\d{3,})(?![\w.])/g;
+  const CHIP_PHONE_RE = /(?<![\w+:./-])\+?\d[\d\s().-]{5,}\d(?!\w)/g;
+  const CHIP_DATE_LIKE_RE = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/;
+  // Incident ID patterns come from admins, so they only ever see the first part of a text
+  // (mirrors IncidentIdPattern.MaxScannedTextLength, which validates them against inputs this long).
+  const INCIDENT_SCAN_MAX_CHARS = 2000;
+  let _incidentMatchers = { key: null, regexes: [] };
+  function getIncidentMatchers(){
+    const patterns = (state.joinedRoom && state.joinedRoom.incidentIdPatterns) || [];
+    const key = patterns.join('\u0000');
+    if(_incidentMatchers.key !== key){
+      const regexes = [];
+      patterns.forEach(p => {
+        try { regexes.push(new RegExp(p, 'g')); } catch(_) { log('warn', 'chips.incidentPattern.invalid', { pattern: String(p).slice(0, 80) }); }
+      });
+      _incidentMatchers = { key, regexes };
+    }
+    return _incidentMatchers.regexes;
+  }
+  /**
+   * Runs a detector from <from> and returns its first accepted match (validate may reject or trim a candidate).
+   */
+  function execChipDetector(re, text, from, kind, validate){
+    re.lastIndex = from;
+    let match;
+    while((match = re.exec(text))){
+      if(!match[0]){ re.lastIndex++; continue; }
+      const chip = validate ? validate(match) : { kind, index: match.index, text: match[0] };
+      if(chip) return chip;
+      re.lastIndex = match.index + 1;
+    }
+    return null;
+  }
+  function findNextChip(text, from){
+    const candidates = [
+      execChipDetector(CHIP_URL_RE, text, from, 'url', m => {
+        const trimmed = m[0].replace(/[.,;:!?)\]}'"]+$/, '');
+        return trimmed.length > 'https://'.length ? { kind: 'url', index: m.index, text: trimmed } : null;
+      }),
+      execChipDetector(CHIP_COORDS_RE, text, from, 'coords', m => {
+        const lat = Number(m[1]), lon = Number(m[2]);
+        return Math.abs(lat) <= 90 && Math.abs(lon) <= 180 ? { kind: 'coords', index: m.index, text: m[0], value: m[1] + ', ' + m[2] } : null;
+      }),
+      execChipDetector(MENTION_RE, text, from, 'mention', m => {
+        const user = findMentionTarget(m[1].replace(/[._-]+$/, ''));
+        return user ? { kind: 'mention', index: m.index, text: '@' + m[1].replace(/[._-]+$/, ''), userName: user.userName, fullName: user.fullName } : null;
+      }),
+      ...(from < INCIDENT_SCAN_MAX_CHARS
+        ? getIncidentMatchers().map(re => execChipDetector(re, text.slice(0, INCIDENT_SCAN_MAX_CHARS), from, 'incident'))
+        : []),
+      execChipDetector(CHIP_PHONE_RE, text, from, 'phone', m => {
+        const candidate = m[0].trim();
+        const digits = candidate.replace(/\D/g, '');
+        if(digits.length < 7 || digits.length > 15 || CHIP_DATE_LIKE_RE.test(candidate)) return null;
+        return { kind: 'phone', index: m.index, text: candidate, value: (candidate.startsWith('+') ? '+' : '') + digits };
+      })
+    ];
+    // Earliest match wins; on a tie the detector listed first wins.
+    return candidates.reduce((best, c) => (c && (!best || c.index < best.index)) ? c : best, null);
+  }
+  function createChip(chip){
+    let el;
+    if(chip.kind === 'mention'){
+      el = document.createElement('span');
+      el.className = 'mention' + (isSelfUserName(chip.userName) ? ' mention-me' : '');
+      el.title = resolveDisplayName(chip.userName, chip.fullName);
+      el.textContent = chip.text;
+      return el;
+    }
+    if(chip.kind === 'url'){
+      el = document.createElement('a');
+      el.href = chip.text;
+      el.target = '_blank';
+      el.rel = 'noopener noreferrer';
+    } else if(chip.kind === 'phone'){
+      el = document.createElement('a');
+      el.href = 'tel:' + chip.value;
+      el.title = window.i18n?.callNumber || 'Call';
+    } else {
+      el = document.createElement('button');
+      el.type = 'button';
+      el.title = chip.kind === 'coords'
+        ? (window.i18n?.copyCoordinates || 'Copy coordinates')
+        : (window.i18n?.copyIncidentId || 'Copy incident ID');
+      el.addEventListener('click', e => { e.stopPropagation(); copyChipValue(el, chip.value || chip.text); });
+    }
+    el.className = 'chip chip-' + chip.kind;
+    el.textContent = chip.text;
+    return el;
+  }
+  // Mentions ----------------------------------------------------------------------
+  const MENTION_RE = /(?<![\w@])@([\p{L}\p{N}._-]+)/gu;
+  const MENTION_QUERY_RE = /(?:^|\s)@([\p{L}\p{N}._-]*)$/u;
+  const MENTION_SUGGESTION_LIMIT = 8;
+  let _mentionAutocomplete = { start: -1, items: [], index: 0 };
+  function isSelfUserName(userName){
+    return !!userName && (userName || '').toLowerCase() === getSelfUserLower();
+  }
+  /**
+   * Resolves an @handle to a user assigned to the room (or the current user); null when nobody matches.
+   */
+  function findMentionTarget(handle){
+    const lower = (handle || '').toLowerCase();
+    if(!lower) return null;
+    if(state.profile && (state.profile.userName || '').toLowerCase() === lower) return state.profile;
+    return (state.users || []).find(u => (u.userName || '').toLowerCase() === lower) || null;
+  }
+  /**
+   * Mentions only become chips once the user is known, so bodies rendered before the room's user list
+   * arrived (or changed) are rendered again.
+   */
+  function refreshMentionChips(){
+    (state.messages || []).forEach(m => {
+      if(m && !m.deletedAt && String(m.content || '').includes('@')) updateMessageDom(m);
+    });
+  }
+  function mentionsSelf(text){
+    const self = getSelfUserLower();
+    if(!self || !text) return false;
+    MENTION_RE.lastIndex = 0;
+    let m;
+    while((m = MENTION_RE.exec(text))){
+      if(m[1].replace(/[._-]+$/, '').toLowerCase() === self) return true;
+    }
+    return false;
+  }
+  function getMentionQuery(){
+    const input = els.messageInput;
+    if(!input || input.selectionStart !== input.selectionEnd) return null;
+    const caret = input.selectionStart;
+    const m = MENTION_QUERY_RE.exec(input.value.slice(0, caret));
+    return m ? { start: caret - m[1].length - 1, query: m[1].toLowerCase() } : null;
+  }
+  function updateMentionSuggestions(){
+    const q = getMentionQuery();
+    if(!q){ closeMentionSuggestions(); return; }
+    const items = (state.users || [])
+      .filter(u => u.userName && !isSelfUserName(u.userName))
+      .filter(u => !q.query || (u.userName || '').toLowerCase().includes(q.query) || (u.fullName || '').toLowerCase().includes(q.query))
+      .sort((a, b) => (b.isPresent ? 1 : 0) - (a.isPresent ? 1 : 0) || (a.fullName || a.userName).localeCompare(b.fullName || b.userName))
+      .slice(0, MENTION_SUGGESTION_LIMIT);
+    if(!items.length){ closeMentionSuggestions(); return; }
+    _mentionAutocomplete = { start: q.start, items, index: 0 };
+    renderMentionSuggestions();
+  }
+  function renderMentionSuggestions(){
+    const list = els.mentionSuggestions;
+    if(!list) return;
+    list.innerHTML = '';
+    _mentionAutocomplete.items.forEach((u, i) => {
+      const li = document.createElement('li');
+      li.id = 'mention-option-' + i;
+      li.className = 'mention-option' + (i === _mentionAutocomplete.index ? ' active' : '');
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', i === _mentionAutocomplete.index ? 'true' : 'false');
+      li.appendChild(createUserAvatar(u));
+      const name = document.createElement('span');
+      name.className = 'name';
+      name.textContent = u.fullName || u.userName;
+      li.appendChild(name);
+      const handle = document.createElement('span');
+      handle.className = 'handle';
+      handle.textContent = '@' + u.userName;
+      li.appendChild(handle);
+      // mousedown (not click) so the input keeps focus
+      li.addEventListener('mousedown', e => { e.preventDefault(); applyMention(u); });
+      list.appendChild(li);
+    });
+    list.classList.remove('d-none');
+    if(els.messageInput){
+      els.messageInput.setAttribute('aria-expanded', 'true');
+      els.messageInput.setAttribute('aria-activedescendant', 'mention-option-' + _mentionAutocomplete.index);
+    }
+  }
+  function closeMentionSuggestions(){
+    if(_mentionAutocomplete.start < 0) return false;
+    _mentionAutocomplete = { start: -1, items: [], index: 0 };
+    if(els.mentionSuggestions){ els.mentionSuggestions.innerHTML = ''; els.mentionSuggestions.classList.add('d-none'); }
+    if(els.messageInput){
+      els.messageInput.setAttribute('aria-expanded', 'false');
+      els.messageInput.removeAttribute('aria-activedescendant');
+    }
+    return true;
+  }
+  function applyMention(user){
+    const input = els.messageInput;
+    if(!input || _mentionAutocomplete.start < 0) return;
+    const caret = input.selectionStart;
+    const insert = '@' + user.userName + ' ';
+    input.value = input.value.slice(0, _mentionAutocomplete.start) + insert + input.value.slice(caret);
+    const pos = _mentionAutocomplete.start + insert.length;
+    input.setSelectionRange(pos, pos);
+    closeMentionSuggestions();
+    input.focus();
+    autosizeComposer();
+    scheduleDraftSave();
+  }
+  /**
+   * Keyboard handling while the suggestion list is open. Returns true when the key was consumed.
+   */
+  function handleMentionKeydown(e){
+    const count = _mentionAutocomplete.items.length;
+    if(_mentionAutocomplete.start < 0 || !count) return false;
+    if(e.key === 'ArrowDown' || e.key === 'ArrowUp'){
+      _mentionAutocomplete.index = (_mentionAutocomplete.index + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+      renderMentionSuggestions();
+    } else if(e.key === 'Enter' || e.key === 'Tab'){
+      applyMention(_mentionAutocomplete.items[_mentionAutocomplete.index]);
+    } else if(e.key === 'Escape'){
+      closeMentionSuggestions();
+    } else {
+      return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+  function wireMentionAutocomplete(){
+    const input = els.messageInput;
+    if(!input) return;
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    if(els.mentionSuggestions) input.setAttribute('aria-controls', els.mentionSuggestions.id);
+    input.addEventListener('input', updateMentionSuggestions);
+    input.addEventListener('click', updateMentionSuggestions);
+    input.addEventListener('blur', () => closeMentionSuggestions());
+    // Desktop notifications for mentions need permission; ask once, on a user gesture
+    input.addEventListener('focus', requestMentionNotificationPermission, { once: true });
+  }
+  function requestMentionNotificationPermission(){
+    try {
+      if('Notification' in window && Notification.permission === 'default') Notification.requestPermission().catch(()=>{});
+    } catch(_) { /* ignore */ }
+  }
+  /**
+   * Stronger alert for a message that mentions the current user while they are not reading the latest messages:
+   * mention label in the blinking title, a short sound and (when permitted and the window is in the background) a desktop notification.
+   */
+  function notifyMention(m){
+    const from = resolveDisplayName(m.fromUserName, m.fromFullName);
+    state.unreadMentions = (state.unreadMentions || 0) + 1;
+    state.mentionFrom = from;
+    playMentionSound();
+    try {
+      if('Notification' in window && Notification.permission === 'granted' && (document.hidden || !document.hasFocus())){
+        const n = new Notification((window.i18n?.mentionedYou || '{0} mentioned you').replace('{0}', from), {
+          body: (m.content || '').slice(0, 160),
+          tag: 'mention-' + m.id
+        });
+        n.onclick = () => { try { window.focus(); n.close(); scrollToMessage(m.id); } catch(_) {} };
+      }
+    } catch(_) { /* ignore */ }
+  }
+  let _mentionAudio = null;
+  function playMentionSound(){
+    try {
+      const Ctx = window.AudioContext || window.webkitAudioContext;
+      if(!Ctx) return;
+      if(!_mentionAudio) _mentionAudio = new Ctx();
+      if(_mentionAudio.state === 'suspended') _mentionAudio.resume().catch(()=>{});
+      const now = _mentionAudio.currentTime;
+      [880, 1320].forEach((freq, i) => {
+        const osc = _mentionAudio.createOscillator();
+        const gain = _mentionAudio.createGain();
+        osc.frequency.value = freq;
+        gain.gain.setValueAtTime(0.15, now + i * 0.18);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + i * 0.18 + 0.16);
+        osc.connect(gain).connect(_mentionAudio.destination);
+        osc.start(now + i * 0.18);
+        osc.stop(now + i * 0.18 + 0.17);
+      });
+    } catch(_) { /* ignore */ }
+  }
+  function copyChipValue(el, value){
+    if(!navigator.clipboard){ showError(window.i18n?.copyFailed || 'Could not copy to the clipboard.'); return; }
+    navigator.clipboard.writeText(value).then(()=>{
+      el.classList.add('copied');
+      setTimeout(()=> el.classList.remove('copied'), 1500);
+    }).catch(()=> showError(window.i18n?.copyFailed || 'Could not copy to the clipboard.'));
+  }
+
+  // Message actions (reply / edit / delete) -----------------------------------
+  function canReplyToMessage(m){
+    return !!(m && !m.pending && !m.failed && !m.deletedAt && typeof m.id === 'number');
+  }
+  function hasOwnMessageActions(m){
+    return canReplyToMessage(m) && !!m.isMine;
+  }
+  /**
+   * Messages in a scheduled or open escalation can be neither edited nor deleted (the server answers 409).
+   */
+  function isChangeBlockedByEscalation(m){
+    const status = String(m && m.escalationStatus || 'None').toLowerCase();
+    return status === 'scheduled' || status === 'escalated';
+  }
+  function syncMessageActions(wrap, m){
+    if(!wrap) return;
+    let actions = wrap.querySelector('.actions');
+    if(!canReplyToMessage(m)){
+      if(actions) actions.remove();
+      return;
+    }
+    if(!actions){
+      // Hidden until hover; visibility is toggled by site.js.
+      actions = document.createElement('div');
+      actions.className = 'actions d-none align-self-center mx-1';
+      wrap.appendChild(actions);
+    }
+    if(!actions.querySelector('[data-action="reply"]')){
+      const replyBtn = document.createElement('button');
+      replyBtn.type = 'button';
+      replyBtn.className = 'btn btn-link btn-sm p-0 text-decoration-none';
+      replyBtn.setAttribute('data-action', 'reply');
+      replyBtn.textContent = window.i18n?.reply || 'Reply';
+      replyBtn.addEventListener('click', ()=> beginReply(m.id));
+      actions.appendChild(replyBtn);
+    }
+    let pinBtn = actions.querySelector('[data-action="pin"]');
+    if(!pinBtn){
+      pinBtn = document.createElement('button');
+      pinBtn.type = 'button';
+      pinBtn.className = 'btn btn-link btn-sm p-0 ms-2 text-decoration-none';
+      pinBtn.setAttribute('data-action', 'pin');
+      pinBtn.addEventListener('click', ()=> togglePin(m.id));
+      const editBtn = actions.querySelector('[data-action="edit"]');
+      if(editBtn) editBtn.before(pinBtn); else actions.appendChild(pinBtn);
+    }
+    pinBtn.textContent = m.pinnedAt ? (window.i18n?.unpin || 'Unpin') : (window.i18n?.pin || 'Pin');
+    let forwardBtn = actions.querySelector('[data-action="forward"]');
+    if(!canForwardMessage(m)){
+      if(forwardBtn) forwardBtn.remove();
+    } else if(!forwardBtn){
+      forwardBtn = document.createElement('button');
+      forwardBtn.type = 'button';
+      forwardBtn.className = 'btn btn-link btn-sm p-0 ms-2 text-decoration-none';
+      forwardBtn.setAttribute('data-action', 'forward');
+      forwardBtn.setAttribute('aria-haspopup', 'dialog');
+      forwardBtn.textContent = window.i18n?.forwardTo || 'Forward to…';
+      forwardBtn.addEventListener('click', e => {
+        e.stopPropagation();
+        toggleForwardPopover(forwardBtn, m.id);
+      });
+      pinBtn.after(forwardBtn);
+    }
+    if(!actions.querySelector('[data-action="copy-link"]')){
+      const linkBtn = document.createElement('button');
+      linkBtn.type = 'button';
+      linkBtn.className = 'btn btn-link btn-sm p-0 ms-2 text-decoration-none';
+      linkBtn.setAttribute('data-action', 'copy-link');
+      linkBtn.textContent = window.i18n?.copyLink || 'Copy link';
+      linkBtn.addEventListener('click', ()=> copyMessageLink(linkBtn, m.id));
+      (actions.querySelector('[data-action="forward"]') || pinBtn).after(linkBtn);
+    }
+    if(!hasOwnMessageActions(m)){
+      actions.querySelectorAll('[data-action="edit"], [data-action="delete"]').forEach(b=> b.remove());
+      return;
+    }
+    let editBtn = actions.querySelector('[data-action="edit"]');
+    if(!editBtn){
+      editBtn = document.createElement('button');
+      editBtn.type = 'button';
+      editBtn.className = 'btn btn-link btn-sm p-0 ms-2 text-decoration-none';
+      editBtn.setAttribute('data-action', 'edit');
+      editBtn.textContent = window.i18n?.edit || 'Edit';
+      editBtn.addEventListener('click', ()=> beginEditMessage(m.id));
+      actions.appendChild(editBtn);
+    }
+    let deleteBtn = actions.querySelector('[data-action="delete"]');
+    if(!deleteBtn){
+      // Confirmation modal captures data-messageid into #itemToDelete (see site.js)
+      deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'btn btn-link btn-sm p-0 ms-2 text-decoration-none text-danger';
+      deleteBtn.setAttribute('data-action', 'delete');
+      deleteBtn.setAttribute('data-bs-toggle', 'modal');
+      deleteBtn.setAttribute('data-bs-target', '#remove-message-modal');
+      deleteBtn.dataset.messageid = String(m.id);
+      deleteBtn.textContent = window.i18n?.delete || 'Delete';
+      actions.appendChild(deleteBtn);
+    }
+    const blocked = isChangeBlockedByEscalation(m);
+    editBtn.disabled = blocked;
+    editBtn.title = blocked ? (window.i18n?.editBlockedByEscalation || 'This message is part of an open escalation and cannot be edited.') : '';
+    deleteBtn.disabled = blocked;
+    deleteBtn.title = blocked ? (window.i18n?.deleteBlockedByEscalation || 'Messages in an open escalation cannot be deleted.') : '';
+  }
+  function syncEditedMarker(info, m){
+    if(!info) return;
+    let marker = info.querySelector('[data-role="edited-marker"]');
+    if(!m.editedAt || m.deletedAt){
+      if(marker) marker.remove();
+      return;
+    }
+    if(!marker){
+      marker = document.createElement('button');
+      marker.type = 'button';
+      marker.className = 'btn btn-link p-0 edited-marker';
+      marker.setAttribute('data-role', 'edited-marker');
+      marker.setAttribute('aria-haspopup', 'dialog');
+      marker.addEventListener('click', e => {
+        e.stopPropagation();
+        const li = marker.closest('li');
+        toggleEditHistoryPopover(marker, Number(li && li.dataset.id));
+      });
+      const time = info.querySelector('.timestamp');
+      if(time) time.after(marker); else info.appendChild(marker);
+    }
+    marker.textContent = '(' + (window.i18n?.edited || 'edited') + ')';
+    marker.title = formatDateParts(m.editedAt).full;
+  }
+  function syncPinnedMarker(info, m){
+    if(!info) return;
+    let marker = info.querySelector('[data-role="pinned-marker"]');
+    if(!m.pinnedAt || m.deletedAt){
+      if(marker) marker.remove();
+      return;
+    }
+    if(!marker){
+      marker = document.createElement('span');
+      marker.className = 'pinned-marker ms-2';
+      marker.setAttribute('data-role', 'pinned-marker');
+      marker.textContent = '📌';
+      info.appendChild(marker);
+    }
+    marker.title = (window.i18n?.pinnedBy || 'Pinned by {0}').replace('{0}', resolveDisplayName(m.pinnedBy));
+    marker.setAttribute('aria-label', marker.title);
+  }
+  function closeEditHistoryPopover(){
+    const open = document.querySelector('.edit-history-popover');
+    if(open) open.remove();
+  }
+  function toggleEditHistoryPopover(anchor, messageId){
+    const existing = document.querySelector('.edit-history-popover');
+    if(existing){
+      existing.remove();
+      if(existing.dataset.messageId === String(messageId)) return;
+    }
+    const msg = state.messages.find(x=> x && x.id===messageId);
+    const host = anchor && anchor.closest('.message-content');
+    if(!msg || !host) return;
+    const pop = document.createElement('div');
+    pop.className = 'edit-history-popover shadow-sm';
+    pop.dataset.messageId = String(messageId);
+    pop.setAttribute('role', 'dialog');
+    const title = document.createElement('div');
+    title.className = 'small fw-semibold mb-1';
+    title.textContent = window.i18n?.previousVersions || 'Previous versions';
+    pop.appendChild(title);
+    const list = document.createElement('ol');
+    list.className = 'list-unstyled mb-0';
+    // Newest superseded version first
+    (msg.editHistory || []).slice().reverse().forEach(v => {
+      const item = document.createElement('li');
+      item.className = 'py-1';
+      const ts = document.createElement('div');
+      ts.className = 'small text-muted';
+      ts.textContent = formatDateParts(v.timestamp || v.Timestamp).full;
+      const text = document.createElement('div');
+      text.className = 'small';
+      text.textContent = v.content ?? v.Content ?? '';
+      item.appendChild(ts);
+      item.appendChild(text);
+      list.appendChild(item);
+    });
+    pop.appendChild(list);
+    pop.addEventListener('click', e => e.stopPropagation());
+    host.appendChild(pop);
+  }
+  function installPopoverDismissHandlers(){
+    document.addEventListener('click', ()=> { closeEditHistoryPopover(); closeForwardPopover(); });
+    document.addEventListener('keydown', e => { if(e.key === 'Escape'){ closeEditHistoryPopover(); closeForwardPopover(); } });
+  }
+  function beginEditMessage(messageId){
+    const msg = state.messages.find(x=> x && x.id===messageId);
+    const node = els.messagesList && els.messagesList.querySelector('li[data-id="'+String(messageId)+'"]');
+    if(!msg || !node) return;
+    if(isChangeBlockedByEscalation(msg)){
+      showError(window.i18n?.editBlockedByEscalation || 'This message is part of an open escalation and cannot be edited.');
+      return;
+    }
+    const contentEl = node.querySelector('.message-content');
+    const bodyEl = node.querySelector('.content');
+    if(!contentEl || !bodyEl || contentEl.querySelector('.message-edit-form')) return;
+
+    const form = document.createElement('form');
+    form.className = 'message-edit-form d-flex flex-column gap-1 mt-1';
+    const input = document.createElement('textarea');
+    input.className = 'form-control form-control-sm';
+    input.rows = 2;
+    input.maxLength = 500;
+    input.value = msg.content || '';
+    const buttons = document.createElement('div');
+    buttons.className = 'd-flex justify-content-end gap-1';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'btn btn-sm btn-outline-secondary';
+    cancelBtn.textContent = window.i18n?.cancel || 'Cancel';
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'btn btn-sm btn-primary';
+    saveBtn.textContent = window.i18n?.save || 'Save';
+    buttons.appendChild(cancelBtn);
+    buttons.appendChild(saveBtn);
+    form.appendChild(input);
+    form.appendChild(buttons);
+
+    const close = ()=> { form.remove(); bodyEl.classList.remove('d-none'); };
+    cancelBtn.addEventListener('click', close);
+    input.addEventListener('keydown', e => {
+      if(e.key === 'Escape'){ e.preventDefault(); close(); }
+      else if(isSendKeyEvent(e)){ e.preventDefault(); form.requestSubmit(); }
+    });
+    form.addEventListener('submit', async e => {
+      e.preventDefault();
+      const text = input.value.trim();
+      if(!text) return;
+      if(text === msg.content){ close(); return; }
+      saveBtn.disabled = true;
+      const ok = await submitMessageEdit(messageId, text);
+      if(ok) close(); else saveBtn.disabled = false;
+    });
+
+    bodyEl.classList.add('d-none');
+    bodyEl.after(form);
+    input.focus();
+    input.setSelectionRange(input.value.length, input.value.length);
+  }
+  /**
+   * Removes the inline editor opened by beginEditMessage, if any, and shows the message body again.
+   */
+  function closeMessageEditForm(messageId){
+    const node = els.messagesList && els.messagesList.querySelector('li[data-id="'+String(messageId)+'"]');
+    const form = node && node.querySelector('.message-edit-form');
+    if(!form) return;
+    form.remove();
+    const bodyEl = node.querySelector('.content');
+    if(bodyEl) bodyEl.classList.remove('d-none');
+  }
+  async function submitMessageEdit(messageId, text){
+    try {
+      const resp = await apiPut('/api/Messages/'+encodeURIComponent(messageId), { content: text });
+      if(resp.status === 204) return true; // unchanged after server-side sanitization
+      if(!resp.ok){
+        let body = null;
+        try { body = await resp.json(); } catch(_) { /* ignore */ }
+        if(resp.status === 409 && body && body.reason === 'escalation'){
+          showError(window.i18n?.editBlockedByEscalation || body.error);
+        } else {
+          showError((body && body.error) || window.i18n?.editFailed || 'Edit failed.');
+        }
+        return false;
+      }
+      applyMessageEdit(await resp.json());
+      postTelemetry('message.edited', { id: messageId, room: state.joinedRoom && state.joinedRoom.name });
+      return true;
+    } catch(_) {
+      showError(window.i18n?.editFailed || 'Edit failed.');
+      return false;
+    }
+  }
+  /**
+   * Applies an edit (REST response or messageEdited hub event) to the local message and re-renders it,
+   * including the translation panel which is reset for the new text.
+   */
+  function applyMessageEdit(payload){
+    const id = payload && (payload.id ?? payload.Id);
+    const msg = state.messages.find(x=> x && x.id===id);
+    if(!msg || msg.deletedAt) return;
+    msg.content = payload.content ?? payload.Content ?? msg.content;
+    msg.editedAt = payload.editedAt || payload.EditedAt || msg.editedAt;
+    msg.editHistory = payload.editHistory || payload.EditHistory || msg.editHistory || [];
+    msg.translationStatus = payload.translationStatus || payload.TranslationStatus || msg.translationStatus;
+    msg.translations = payload.translations || payload.Translations || {};
+    msg.translationErrorMessage = '';
+    const popover = document.querySelector('.edit-history-popover');
+    if(popover && popover.dataset.messageId === String(id)) closeEditHistoryPopover();
+    updateMessageDom(msg) || renderMessages();
+    refreshRepliesTo(id);
+    refreshPinSnippet(msg);
+    finalizeMessageRender();
+  }
+
+  // Reactions --------------------------------------------------------------------
+  // Acknowledgements are aggregated per dispatch center; each center holds at most one.
+  const MESSAGE_REACTIONS = [
+    { key: 'Received', i18nKey: 'reactionReceived', fallback: 'Received' },
+    { key: 'OnIt', i18nKey: 'reactionOnIt', fallback: 'On it' },
+    { key: 'CannotTake', i18nKey: 'reactionCannotTake', fallback: 'Cannot take' },
+    { key: 'Done', i18nKey: 'reactionDone', fallback: 'Done' }
+  ];
+  function getReactionCenters(m, key){
+    const reactions = (m && m.reactions) || {};
+    const match = Object.keys(reactions).find(k => k.toLowerCase() === key.toLowerCase());
+    return match ? (reactions[match] || []) : [];
+  }
+  function syncReactionBar(contentEl, m){
+    if(!contentEl) return;
+    let bar = contentEl.querySelector('.reaction-bar');
+    if(!canReplyToMessage(m)){
+      if(bar) bar.remove();
+      return;
+    }
+    if(!bar){
+      bar = document.createElement('div');
+      bar.className = 'reaction-bar d-flex flex-wrap gap-1 mt-1';
+      bar.setAttribute('role', 'group');
+      MESSAGE_REACTIONS.forEach(r => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'btn btn-sm reaction';
+        btn.dataset.reaction = r.key;
+        const label = document.createElement('span'); label.className = 'reaction-label';
+        const count = document.createElement('span'); count.className = 'reaction-count ms-1';
+        btn.appendChild(label);
+        btn.appendChild(count);
+        btn.addEventListener('click', ()=> toggleReaction(m.id, r.key));
+        bar.appendChild(btn);
+      });
+      const rr = contentEl.querySelector('.read-receipt');
+      if(rr) rr.before(bar); else contentEl.appendChild(bar);
+    }
+    const myDispatchCenterId = String(state.profile && state.profile.dispatchCenterId || '').toLowerCase();
+    MESSAGE_REACTIONS.forEach(r => {
+      const btn = bar.querySelector('[data-reaction="'+r.key+'"]');
+      if(!btn) return;
+      const centers = getReactionCenters(m, r.key);
+      const mine = !!myDispatchCenterId && centers.some(c => String(c).toLowerCase() === myDispatchCenterId);
+      btn.querySelector('.reaction-label').textContent = window.i18n?.[r.i18nKey] || r.fallback;
+      btn.querySelector('.reaction-count').textContent = centers.length ? String(centers.length) : '';
+      btn.classList.toggle('active', mine);
+      btn.classList.toggle('has-reactions', centers.length > 0);
+      btn.setAttribute('aria-pressed', mine ? 'true' : 'false');
+    });
+  }
+  async function toggleReaction(messageId, reaction){
+    try {
+      const resp = await apiPost('/api/Messages/'+encodeURIComponent(messageId)+'/reactions', { reaction });
+      if(!resp.ok){
+        let err = '';
+        try { err = (await resp.json())?.error || ''; } catch(_) { /* ignore */ }
+        showError(err || window.i18n?.reactionFailed || 'Could not update the reaction.');
+        return;
+      }
+      applyReactionChange(await resp.json());
+      postTelemetry('message.reaction', { id: messageId, reaction });
+    } catch(_) {
+      showError(window.i18n?.reactionFailed || 'Could not update the reaction.');
+    }
+  }
+  /**
+   * Applies aggregated reactions (REST response or reactionChanged hub event) to the local message.
+   */
+  function applyReactionChange(payload){
+    const id = payload && (payload.id ?? payload.Id);
+    const msg = state.messages.find(x=> x && x.id===id);
+    if(!msg) return;
+    msg.reactions = payload.reactions || payload.Reactions || {};
+    updateMessageDom(msg) || renderMessages();
+    syncPriorityAlerts();
+  }
+
+  // Replies --------------------------------------------------------------------
+  const MAX_REPLY_LOOKUP_PAGES = 25;
+  /**
+   * Resolves what a reply quote should show: the live original when it is loaded (reflects later edits /
+   * withdrawal), otherwise the server-provided preview.
+   */
+  function resolveReplyOriginal(m){
+    if(m.replyToId == null) return null;
+    const live = state.messages.find(x=> x && x.id===m.replyToId);
+    if(live){
+      return { id: live.id, fromUserName: live.fromUserName, fromFullName: live.fromFullName, content: live.content || '', isDeleted: !!live.deletedAt };
+    }
+    return m.replyTo || { id: m.replyToId, fromUserName: null, fromFullName: null, content: '', isDeleted: false, missing: true };
+  }
+  function fillReplySnippet(authorEl, textEl, original){
+    authorEl.textContent = original.missing ? '' : resolveDisplayName(original.fromUserName, original.fromFullName);
+    textEl.classList.toggle('fst-italic', !!(original.isDeleted || original.missing));
+    if(original.isDeleted) textEl.textContent = window.i18n?.replyOriginalWithdrawn || 'Message withdrawn';
+    else if(original.missing) textEl.textContent = window.i18n?.replyOriginalUnavailable || 'Original message';
+    else textEl.textContent = original.content;
+  }
+  function syncReplyQuote(contentEl, m){
+    if(!contentEl) return;
+    let quote = contentEl.querySelector('[data-role="reply-quote"]');
+    const original = m.deletedAt ? null : resolveReplyOriginal(m);
+    if(!original){
+      if(quote) quote.remove();
+      return;
+    }
+    if(!quote){
+      quote = document.createElement('button');
+      quote.type = 'button';
+      quote.className = 'reply-quote';
+      quote.setAttribute('data-role', 'reply-quote');
+      quote.title = window.i18n?.jumpToOriginal || 'Show original message';
+      const author = document.createElement('span');
+      author.className = 'reply-quote-author';
+      const text = document.createElement('span');
+      text.className = 'reply-quote-text';
+      quote.appendChild(author);
+      quote.appendChild(text);
+      quote.addEventListener('click', ()=> scrollToMessage(Number(quote.dataset.replyToId)));
+      const info = contentEl.querySelector('.message-info');
+      if(info) info.after(quote); else contentEl.prepend(quote);
+    }
+    quote.dataset.replyToId = String(original.id);
+    fillReplySnippet(quote.querySelector('.reply-quote-author'), quote.querySelector('.reply-quote-text'), original);
+  }
+  /**
+   * Quoted block naming where a forwarded message came from: room, original author with their dispatch center, and time,
+   * plus a note when the original's attachment stayed behind.
+   */
+  function syncForwardAttribution(contentEl, m){
+    if(!contentEl) return;
+    let block = contentEl.querySelector('[data-role="forward-attribution"]');
+    const f = m.deletedAt ? null : m.forwardedFrom;
+    if(!f){
+      if(block) block.remove();
+      return;
+    }
+    if(!block){
+      block = document.createElement('blockquote');
+      block.className = 'forward-attribution';
+      block.setAttribute('data-role', 'forward-attribution');
+      const origin = document.createElement('span'); origin.className = 'forward-attribution-room';
+      const author = document.createElement('span'); author.className = 'forward-attribution-author';
+      block.appendChild(origin);
+      block.appendChild(author);
+      const info = contentEl.querySelector('.message-info');
+      if(info) info.after(block); else contentEl.prepend(block);
+    }
+    const roomLabel = f.roomDisplayName || f.room || '';
+    block.querySelector('.forward-attribution-room').textContent = (window.i18n?.forwardedFrom || 'Forwarded from {0}').replace('{0}', roomLabel);
+    const fp = formatDateParts(f.timestamp);
+    const authorEl = block.querySelector('.forward-attribution-author');
+    const authorName = resolveDisplayName(f.fromUserName, f.fromFullName);
+    const center = f.fromDispatchCenterName || f.fromDispatchCenterId;
+    authorEl.textContent = (center ? authorName + ' (' + center + ')' : authorName) + ' · ' + fp.full;
+    let note = block.querySelector('.forward-attribution-note');
+    if(f.attachmentOmitted && !note){
+      note = document.createElement('span');
+      note.className = 'forward-attribution-note';
+      note.textContent = window.i18n?.attachmentNotForwarded || 'The attachment was not forwarded.';
+      block.appendChild(note);
+    } else if(!f.attachmentOmitted && note){
+      note.remove();
+    }
+  }
+  function getForwardTargetRooms(){
+    const current = state.joinedRoom && state.joinedRoom.name;
+    return (state.rooms || []).filter(r => r && r.isActive && r.name && r.name !== current);
+  }
+  function canForwardMessage(m){
+    if(!canReplyToMessage(m)) return false;
+    // Attachments stay in their room, so there must be something else to forward.
+    if(!(m.content && m.content.trim()) && !m.card && !m.location) return false;
+    return getForwardTargetRooms().length > 0;
+  }
+  function closeForwardPopover(){
+    const open = document.querySelector('.forward-popover');
+    if(open) open.remove();
+  }
+  function toggleForwardPopover(anchor, messageId){
+    const existing = document.querySelector('.forward-popover');
+    if(existing){
+      existing.remove();
+      if(existing.dataset.messageId === String(messageId)) return;
+    }
+    const node = els.messagesList && els.messagesList.querySelector('li[data-id="'+String(messageId)+'"]');
+    const host = node && node.querySelector('.message-content');
+    const rooms = getForwardTargetRooms();
+    if(!host || !rooms.length) return;
+    const pop = document.createElement('div');
+    pop.className = 'forward-popover shadow-sm';
+    pop.dataset.messageId = String(messageId);
+    pop.setAttribute('role', 'dialog');
+    const title = document.createElement('div');
+    title.className = 'small fw-semibold mb-1';
+    title.textContent = window.i18n?.forwardToRoom || 'Forward to';
+    pop.appendChild(title);
+    const list = document.createElement('ul');
+    list.className = 'list-unstyled mb-0';
+    rooms.forEach(r => {
+      const item = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn-link btn-sm p-0 text-decoration-none text-start';
+      btn.textContent = getRoomLabel(r);
+      btn.addEventListener('click', ()=> forwardMessage(messageId, r, pop));
+      item.appendChild(btn);
+      list.appendChild(item);
+    });
+    pop.appendChild(list);
+    const status = document.createElement('div');
+    status.className = 'small text-muted mt-1 d-none';
+    status.setAttribute('data-role', 'forward-status');
+    status.setAttribute('aria-live', 'polite');
+    pop.appendChild(status);
+    pop.addEventListener('click', e => e.stopPropagation());
+    host.appendChild(pop);
+  }
+  async function forwardMessage(messageId, room, pop){
+    const buttons = pop ? pop.querySelectorAll('button') : [];
+    buttons.forEach(b => { b.disabled = true; });
+    try {
+      const resp = await apiPost('/api/Messages/' + encodeURIComponent(messageId) + '/forward', { room: room.name });
+      if(!resp.ok){
+        let err = '';
+        try { err = (await resp.json())?.error || ''; } catch(_) { /* ignore */ }
+        closeForwardPopover();
+        showError(err || window.i18n?.forwardFailed || 'Could not forward the message.');
+        return;
+      }
+      postTelemetry('message.forwarded', { id: messageId, room: state.joinedRoom && state.joinedRoom.name, targetRoom: room.name });
+      const status = pop && pop.querySelector('[data-role="forward-status"]');
+      if(status){
+        status.textContent = (window.i18n?.forwardedTo || 'Forwarded to {0}').replace('{0}', getRoomLabel(room));
+        status.classList.remove('d-none');
+      }
+      setTimeout(()=> { if(pop && pop.isConnected) pop.remove(); }, 1500);
+    } catch(_) {
+      closeForwardPopover();
+      showError(window.i18n?.forwardFailed || 'Could not forward the message.');
+    } finally {
+      buttons.forEach(b => { b.disabled = false; });
+    }
+  }
+  function refreshRepliesTo(messageId){
+    state.messages.filter(x=> x && x.replyToId===messageId).forEach(x=> updateMessageDom(x));
+    if(state.replyToId===messageId) renderReplyPreview();
+  }
+  function beginReply(messageId){
+    const msg = state.messages.find(x=> x && x.id===messageId);
+    if(!canReplyToMessage(msg)) return;
+    state.replyToId = messageId;
+    renderReplyPreview();
+    if(els.messageInput) els.messageInput.focus();
+  }
+  function cancelReply(){
+    if(state.replyToId == null) return;
+    state.replyToId = null;
+    renderReplyPreview();
+  }
+  function renderReplyPreview(){
+    if(!els.replyPreview) return;
+    const msg = state.replyToId != null ? state.messages.find(x=> x && x.id===state.replyToId) : null;
+    if(!msg || msg.deletedAt){
+      state.replyToId = null;
+      els.replyPreview.classList.add('d-none');
+      return;
+    }
+    const label = els.replyPreview.querySelector('[data-role="reply-label"]');
+    const text = els.replyPreview.querySelector('[data-role="reply-snippet"]');
+    const authorName = resolveDisplayName(msg.fromUserName, msg.fromFullName);
+    if(label) label.textContent = (window.i18n?.replyingTo || 'Replying to {0}').replace('{0}', authorName);
+    if(text) text.textContent = msg.content || '';
+    els.replyPreview.classList.remove('d-none');
+  }
+  function findMessageNode(messageId){
+    return els.messagesList ? els.messagesList.querySelector('li[data-id="'+String(messageId)+'"]') : null;
+  }
+  function highlightMessageNode(node){
+    state.autoScroll = false;
+    node.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    node.classList.remove('reply-target');
+    void node.offsetWidth; // restart the highlight animation
+    node.classList.add('reply-target');
+    setTimeout(()=> node.classList.remove('reply-target'), 2000);
+  }
+  /**
+   * Scrolls to a message, paging back through history with loadOlderMessages until it is loaded.
+   */
+  async function scrollToMessage(messageId){
+    if(!Number.isFinite(messageId)) return false;
+    for(let page = 0; page <= MAX_REPLY_LOOKUP_PAGES; page++){
+      const node = findMessageNode(messageId);
+      if(node){ highlightMessageNode(node); return true; }
+      if(!state.canLoadMore || page === MAX_REPLY_LOOKUP_PAGES) break;
+      const before = state.messages.length;
+      await loadOlderMessages();
+      if(state.messages.length === before) break; // page failed or was empty
+    }
+    postTelemetry('reply.jump.notFound', { id: messageId });
+    showError(window.i18n?.originalMessageNotFound || 'The original message could not be found.');
+    return false;
+  }
   function finalizeMessageRender(){
     const noInfo=document.querySelector('.no-messages-info'); if(noInfo) noInfo.classList.toggle('d-none', state.messages.length>0);
     const mc=document.querySelector('.messages-container');
@@ -855,6 +1983,10 @@ if(window.__chatAppBooted){
     if(window.bootstrap){ const ttEls = [].slice.call(els.messagesList.querySelectorAll('[data-bs-toggle="tooltip"]')); ttEls.forEach(el=>{ try{ new window.bootstrap.Tooltip(el); }catch(_){} }); }
     // If container cannot scroll yet but more pages are available, auto-load a few pages to enable scrolling
     maybeAutoFillHistory();
+    syncUnreadDivider();
+    syncMessageLayout();
+    updateUnreadIndicators();
+    syncPriorityAlerts();
     // After render settles, scan visible messages and mark them as read for this user (viewport-based)
     scheduleMarkVisibleRead();
   }
@@ -935,12 +2067,14 @@ if(window.__chatAppBooted){
   function renderQueueBadge(){ if(!els.queueBadge) return; const qLen = state.outbox.length; els.queueBadge.textContent = qLen; els.queueBadge.classList.toggle('d-none', qLen===0); }
 
   // Ensure there is a single optimistic message in UI for a given correlationId; if missing, create it.
-  function ensureOptimisticMessage(text, correlationId){
+  // <extras> carries optional fields of the optimistic record (attachment / upload state).
+  function ensureOptimisticMessage(text, correlationId, replyToId, extras){
     if(!correlationId) return;
     const existing = state.messages.find(m=> m.correlationId === correlationId);
     if(existing) return;
     const nowIso = new Date().toISOString();
-    const rec={id: pendingIdCounter--, content:text, timestamp:nowIso, fromUserName:state.profile?.userName, fromFullName:state.profile?.fullName, avatar:state.profile?.avatar, fromDispatchCenterId: state.profile?.dispatchCenterId, isMine: !!state.profile, correlationId, pending:true, readByDispatchCenterIds: [], escalationStatus: 'None', openEscalationId: null};
+    const rec={id: pendingIdCounter--, content:text, timestamp:nowIso, fromUserName:state.profile?.userName, fromFullName:state.profile?.fullName, avatar:state.profile?.avatar, fromDispatchCenterId: state.profile?.dispatchCenterId, isMine: !!state.profile, correlationId, pending:true, readByDispatchCenterIds: [], escalationStatus: 'None', openEscalationId: null, replyToId: replyToId ?? null, replyTo: null, attachment: null, upload: null, priority: 'Normal'};
+    if(extras) Object.assign(rec, extras);
     state.messages.push(rec);
     if(els.messagesList && state.messages.length>1){ renderSingleMessage(rec, true); finalizeMessageRender(); } else { renderMessages(); }
   }
@@ -960,6 +2094,13 @@ if(window.__chatAppBooted){
         avatar: m.avatar,
         isMine: true,
         correlationId: m.correlationId || null,
+        replyToId: m.replyToId ?? null,
+        replyTo: m.replyTo || null,
+        attachment: m.attachment || null,
+        upload: m.upload || null,
+        card: m.card || null,
+        location: m.location || null,
+        priority: m.priority || 'Normal',
         pending: !!m.pending,
         failed: !!m.failed,
         id: m.id
@@ -1224,7 +2365,7 @@ if(window.__chatAppBooted){
     }, typeof delayMs === 'number' ? delayMs : 250);
   }
   function wireHub(c){
-  c.on('getProfileInfo', u=>{ state.profile=normalizeProfilePayload(u); state.authStatus = AuthStatus.AUTHENTICATED; setLoading(false); renderProfile(); flushOutbox('profile'); });
+  c.on('getProfileInfo', u=>{ state.profile=normalizeProfilePayload(u); state.authStatus = AuthStatus.AUTHENTICATED; setLoading(false); renderProfile(); restoreOutbox(state.profile.userName); flushOutbox('profile'); });
     // Full presence snapshot after join (server push) ensures newly joined user and existing members converge
     c.on('presenceSnapshot', list=> {
       if(!Array.isArray(list)) return;
@@ -1242,6 +2383,8 @@ if(window.__chatAppBooted){
     c.on('newMessage', m=> {
       const mineUser = state.profile && state.profile.userName;
       const normalizedMessage = normalizeMessagePayload(m);
+      // Server-sent scheduled messages carry no correlationId; refresh the scheduled list when one of ours arrives
+      if(mineUser && !normalizedMessage.correlationId && normalizedMessage.fromUserName === mineUser) refreshIfScheduledDue();
       // Reconcile by correlationId for own messages regardless of pending ack state
       if(mineUser && normalizedMessage.correlationId){
         const idx = state.messages.findIndex(x=> x.isMine && x.correlationId===normalizedMessage.correlationId);
@@ -1276,13 +2419,20 @@ if(window.__chatAppBooted){
           return;
         }
       }
-  addOrRenderMessage(normalizedMessage);
+      // Counted for the "new messages below" pill when it lands out of view
+      const arrivesBelow = !normalizedMessage.isMine && (!!state.historyWindow || !isAtBottom());
+      // While a history window is shown the live tail is detached; keep the message until the window reaches it
+      if(state.historyWindow){ state.historyWindow.liveMessages.push(normalizedMessage); syncPriorityAlerts(); }
+      else addOrRenderMessage(normalizedMessage);
+      if(arrivesBelow){ _unread.newBelow++; updateUnreadIndicators(); }
+      clearTypingUser(normalizedMessage.fromUserName);
       // Increment unread and start/continue title blinking until the message is read
       try {
         const isMine = !!(state.profile && state.profile.userName === normalizedMessage.fromUserName);
         if(!isMine){
           if(!isReadingView()){
             state.unreadCount = (state.unreadCount||0) + 1;
+            if(!normalizedMessage.deletedAt && mentionsSelf(normalizedMessage.content)) notifyMention(normalizedMessage);
             updateTitleBlinkLabel(normalizedMessage.room || (state.joinedRoom && state.joinedRoom.name) || '');
             startTitleBlink();
           } else {
@@ -1292,6 +2442,18 @@ if(window.__chatAppBooted){
         }
       } catch(_) { /* ignore */ }
     });
+    c.on('messageEdited', payload => {
+      try { applyMessageEdit(payload); } catch(_) { /* ignore */ }
+    });
+    c.on('messageDeleted', payload => {
+      try { applyMessageDeletion(payload); } catch(_) { /* ignore */ }
+    });
+    c.on('reactionChanged', payload => {
+      try { applyReactionChange(payload); } catch(_) { /* ignore */ }
+    });
+    c.on('pinChanged', payload => {
+      try { applyPinChange(payload); } catch(_) { /* ignore */ }
+    });
     c.on('notify', n=> handleNotify(n));
     c.on('messageRead', payload => {
       try {
@@ -1304,6 +2466,7 @@ if(window.__chatAppBooted){
           msg.readBy = readers;
           msg.readByDispatchCenterIds = readByDispatchCenterIds;
           updateMessageDom(msg) || renderMessages();
+          syncPriorityAlerts();
         }
       } catch(_) { /* ignore */ }
     });
@@ -1442,13 +2605,16 @@ if(window.__chatAppBooted){
     renderUsers();
   });
     // Other hub-driven mutations
+    c.on('userTyping', payload => {
+      try { applyTypingSignal(payload); } catch(_) { /* ignore */ }
+    });
     c.on('addUser', u=> { scheduleUsersRefresh(120); });
     c.on('removeUser', u=> {
       scheduleUsersRefresh(120);
     });
     c.on('addChatRoom', r=> upsertRoom(r));
     c.on('updateChatRoom', r=> upsertRoom(r));
-    c.on('removeChatRoom', id=>{ state.rooms=state.rooms.filter(x=>x.id!==id); if(state.joinedRoom && state.joinedRoom.id===id){ state.joinedRoom=null; state.messages=[]; } renderAll(); });
+    c.on('removeChatRoom', id=>{ state.rooms=state.rooms.filter(x=>x.id!==id); if(state.joinedRoom && state.joinedRoom.id===id){ state.joinedRoom=null; state.messages=[]; state.pins=[]; } renderAll(); renderPinnedStrip(); });
     c.on('onError', msg=> showError(msg));
   }
 
@@ -1543,6 +2709,19 @@ if(window.__chatAppBooted){
         if(state._joinToken !== attemptToken || state.pendingJoin !== roomName){
           return; // stale
         }
+        if(!state.joinedRoom || state.joinedRoom.name!==roomName){
+          cancelReply();
+          closeSearchPanel();
+          closeJumpPanel();
+          closeExportPanel();
+          closeIncidentCardForm(false);
+          closeLocationForm(false);
+          closeScheduleForm(false);
+          if(state.pendingPermalink && state.pendingPermalink.room !== roomName) state.pendingPermalink = null;
+          resetTypingIndicator();
+          if(state.joinedRoom) saveDraft(state.joinedRoom.name);
+          restoreDraft(roomName);
+        }
         state.joinedRoom = state.rooms.find(r=>r.name===roomName)||{name:roomName};
         state.selectedEscalationMessageIds = [];
         state.pendingJoin = null; state.joinInProgress=false;
@@ -1551,7 +2730,7 @@ if(window.__chatAppBooted){
           state._baseRoomTitle = getJoinedRoomLabel();
           els.joinedRoomTitle.textContent = state._baseRoomTitle;
         }
-        loadUsers(); loadMessages(); renderRoomContext(); ensureProfileAvatar();
+        loadUsers(); loadMessages(); loadPins(); loadScheduledMessages(); renderRoomContext(); ensureProfileAvatar();
         sendHttpPresencePing('room.join.success');
         postTelemetry('room.join.success',{room:roomName, durationMs: Math.round(performance.now()-startedAt), attempts:attempt});
         flushOutbox('join');
@@ -1566,6 +2745,7 @@ if(window.__chatAppBooted){
           setTimeout(performJoin, backoff);
         } else {
           if(state.pendingJoin===roomName){ state.joinInProgress=false; state.pendingJoin=null; }
+          if(state.pendingPermalink && state.pendingPermalink.room===roomName) state.pendingPermalink=null;
           renderRooms();
           postTelemetry('room.join.fail',{room:roomName, attempts:attempt, msg: msg.slice(0,200)});
           showError('Join failed: '+msg);
@@ -1592,6 +2772,9 @@ if(window.__chatAppBooted){
           state.roomsEmptyReason = state.profile && state.profile.dispatchCenterId ? 'no-accessible-rooms' : 'no-dispatch-center';
         }
         renderRoomContext();
+        renderOutboxLeftovers(); // room labels for messages restored before the rooms arrived
+        _roomsLoaded = true;
+        if(openPermalinkFromHash()) return;
         const stored=localStorage.getItem('lastRoom');
         if(stored && state.rooms.some(r=>r.name===stored)) joinRoom(stored);
         else if(state.rooms.length>0) joinRoom(state.rooms[0].name);
@@ -1606,7 +2789,10 @@ if(window.__chatAppBooted){
       isPresent: !!(u.isPresent || u.IsPresent),
       ...u
     }));
+    const userKey = list => list.map(u => String(u && u.userName || '').toLowerCase()).sort().join('\n');
+    const knownBefore = userKey(state.users || []);
     state.users=normalized;
+    if(userKey(normalized) !== knownBefore) refreshMentionChips();
     const onlineCount = normalized.filter(u => u.isPresent).length;
     log('debug','presence.users.refresh',{room: state.joinedRoom && state.joinedRoom.name, total: normalized.length, online: onlineCount});
     postTelemetry('presence.users.refresh',{room: state.joinedRoom && state.joinedRoom.name, total: normalized.length, online: onlineCount});
@@ -1620,9 +2806,12 @@ if(window.__chatAppBooted){
    * Loads most recent page of messages for joined room (resets pagination state).
    */
   function loadMessages(){
-    if(!state.joinedRoom) return;
+    if(!state.joinedRoom) return Promise.resolve();
+    // Loading the live tail always leaves a detached history window
+    _historyToken++;
+    if(state.historyWindow){ state.historyWindow = null; renderHistoryBanner(); }
     state.oldestLoaded=null; state.canLoadMore=true; state._autoFillPass = 0; state.selectedEscalationMessageIds = [];
-    apiGet('/api/Messages/Room/'+encodeURIComponent(state.joinedRoom.name)+'?take='+state.pageSize)
+    return apiGet('/api/Messages/Room/'+encodeURIComponent(state.joinedRoom.name)+'?take='+state.pageSize)
       .then(list=>{
         // Server returns ascending order (repository sorts ascending)
   state.messages = list.map(m=>normalizeMessagePayload(m));
@@ -1635,23 +2824,30 @@ if(window.__chatAppBooted){
         } else {
           state.canLoadMore = false;
         }
+        // Place the unread divider before rendering, i.e. before visible messages get marked as read
+        placeUnreadMarker(state.joinedRoom.name);
         renderRoomActions();
         renderMessages();
         attachScrollPagination();
+        revealPendingPermalink();
       }).catch(()=>{});
   }
   /**
    * Loads the next (older) page of messages and prepends them while preserving scroll position.
    */
   let _pageReqToken = 0;
-  function loadOlderMessages(){
-    if(!state.canLoadMore || state.loadingMore || !state.joinedRoom || !state.oldestLoaded) return;
+  let _pageInFlight = null;
+  function loadOlderMessages(take){
+    // Resolves once the page (or the one already in flight) has been rendered
+    if(state.loadingMore) return _pageInFlight || Promise.resolve();
+    const pageTake = take || state.pageSize;
+    if(!state.canLoadMore || !state.joinedRoom || !state.oldestLoaded) return Promise.resolve();
     state.loadingMore = true; // set immediately to block concurrent triggers
     const reqToken = ++_pageReqToken;
     const beforeTs = state.oldestLoaded; // capture for telemetry & consistency
     const before = encodeURIComponent(beforeTs);
     postTelemetry('messages.page.req',{before: beforeTs, token: reqToken});
-    apiGet('/api/Messages/Room/'+encodeURIComponent(state.joinedRoom.name)+'?before='+before+'&take='+state.pageSize)
+    _pageInFlight = apiGet('/api/Messages/Room/'+encodeURIComponent(state.joinedRoom.name)+'?before='+before+'&take='+pageTake)
       .then(list=>{
         if(reqToken !== _pageReqToken){
           // Stale (a newer pagination started meanwhile); ignore
@@ -1670,13 +2866,14 @@ if(window.__chatAppBooted){
           postTelemetry('messages.page.nonmonotonic',{prev:prevOldest, now: state.oldestLoaded});
           state.oldestLoaded = prevOldest; // keep previous anchor to retry later if needed
         }
-        if(list.length < state.pageSize) state.canLoadMore=false;
+        if(list.length < pageTake) state.canLoadMore=false;
         renderMessages();
         if(mc){ const newScrollHeight = mc.scrollHeight; mc.scrollTop = newScrollHeight - prevScrollHeight; }
         postTelemetry('messages.page.ok',{token:reqToken, added:list.length, remaining: state.canLoadMore?1:0});
       })
       .catch(err=>{ postTelemetry('messages.page.err',{token:reqToken, msg: (err&&err.message)||''}); })
-      .finally(()=>{ if(reqToken === _pageReqToken) state.loadingMore=false; });
+      .finally(()=>{ if(reqToken === _pageReqToken){ state.loadingMore=false; _pageInFlight=null; } });
+    return _pageInFlight;
   }
   /**
    * One-time scroll listener that triggers pagination when scrolled near top.
@@ -1688,7 +2885,10 @@ if(window.__chatAppBooted){
     let lastReq=0;
     mc.addEventListener('scroll',()=>{
       // Update auto-scroll preference: stick to bottom only when the user is at bottom
-      state.autoScroll = isAtBottom();
+      state.autoScroll = !state.historyWindow && isAtBottom();
+      // A history window pages forward towards the live tail when scrolled to its end
+      if(state.historyWindow && (mc.scrollHeight - mc.scrollTop - mc.clientHeight) < 40) loadNewerMessages();
+      updateUnreadIndicators();
       if(mc.scrollTop < 40){ // slightly larger threshold for slower devices
         const now=Date.now();
         if(now-lastReq>500){ // widen throttle window to reduce rapid duplicates
@@ -1724,7 +2924,7 @@ if(window.__chatAppBooted){
     } else {
       tempId = pendingIdCounter--;
       const nowIso = new Date().toISOString();
-  const rec={id:tempId,content:text,timestamp:nowIso,fromUserName:state.profile?.userName,fromFullName:state.profile?.fullName,avatar:state.profile?.avatar,fromDispatchCenterId: state.profile?.dispatchCenterId,isMine: !!state.profile, correlationId, pending:true, readByDispatchCenterIds: [], escalationStatus: 'None', openEscalationId: null};
+  const rec={id:tempId,content:text,timestamp:nowIso,fromUserName:state.profile?.userName,fromFullName:state.profile?.fullName,avatar:state.profile?.avatar,fromDispatchCenterId: state.profile?.dispatchCenterId,isMine: !!state.profile, correlationId, pending:true, readByDispatchCenterIds: [], escalationStatus: 'None', openEscalationId: null, priority: 'Normal'};
   state.messages.push(rec);
   if(els.messagesList && state.messages.length>1){ renderSingleMessage(rec, true); finalizeMessageRender(); } else { renderMessages(); }
     }
@@ -1733,7 +2933,8 @@ if(window.__chatAppBooted){
     pm.attempts++;
     state.pendingMessages[correlationId] = pm;
     postTelemetry('send.attempt',{cid:correlationId, len:text.length, fromFlush:!!fromFlush, attempts: pm.attempts, resend: !!resendCorrelationId});
-    const p = hub.invoke('SendMessage', text, correlationId)
+    const outgoing = state.messages.find(m=> m.correlationId===correlationId);
+    const p = hub.invoke('SendMessage', toSendMessageDto(text, correlationId, outgoing))
       .then(()=>{ postTelemetry('send.invoke.ok',{cid:correlationId}); markMessageDelivered(correlationId); })
       .catch(err=>{
         const msg=(err&&err.message)||'';
@@ -1753,6 +2954,22 @@ if(window.__chatAppBooted){
     scheduleAckTimeout(correlationId);
     return p;
   }
+  /**
+   * Builds the hub's SendMessageDto. <source> is the optimistic message (or outbox item) carrying the reply,
+   * attachment, priority, incident card and location chosen when the message was written.
+   */
+  function toSendMessageDto(content, correlationId, source){
+    const s = source || {};
+    return {
+      content,
+      correlationId,
+      replyToId: s.replyToId != null ? s.replyToId : null,
+      attachmentId: s.attachment ? s.attachment.id : null,
+      priority: s.priority || 'Normal',
+      card: s.card || null,
+      location: s.location || null
+    };
+  }
   function clearAckTimeout(correlationId){
     const t = state.ackTimers && state.ackTimers[correlationId];
     if(t){ try { clearTimeout(t); } catch(_) {} delete state.ackTimers[correlationId]; }
@@ -1792,97 +3009,2769 @@ if(window.__chatAppBooted){
     }
     delete state.pendingMessages[correlationId];
     clearAckTimeout(correlationId);
+    deleteOutboxItems([correlationId]);
   }
   function retrySend(correlationId){
     const record = state.messages.find(m=> m.correlationId===correlationId);
     if(!record) return;
+    if(record.upload){ retryAttachmentUpload(record); return; }
     // Reset state
     record.failed=false; record.pending=true; if(!updateMessageDom(record)) renderMessages(); else finalizeMessageRender();
     postTelemetry('send.retry.manual',{cid:correlationId});
     internalSendMessage(record.content, /*bypassRateLimit*/ true, /*fromFlush*/ true, correlationId);
   }
   /**
-   * Sends a chat message. Implements rate limiting & optimistic update.
+   * Queues a message in the outbox. <options> carries the optional attachment, correlationId, priority, incident card and shared location.
+   * Returns false (after warning the user) when the outbox is full; queued messages are never dropped to make room.
    */
-  function queueOutbound(text){
-    // Cap queue to avoid unbounded growth
-    const MAX_QUEUE = 50;
-    if(state.outbox.length >= MAX_QUEUE){
-      // Drop oldest to make space
-      state.outbox.shift();
+  function queueOutbound(text, replyToId, options){
+    const { attachment, correlationId, priority, card, location } = options || {};
+    if(state.outbox.length >= getOutboxLimits().maxMessages){
+      postTelemetry('send.queue.full',{size: state.outbox.length});
+      showError((window.i18n?.outboxFull || 'The outbox is full ({0} messages waiting to send). This message was not queued.').replace('{0}', state.outbox.length));
+      return false;
     }
-    const cid = secureRandomId('c_', 12);
-    const item = { text, cid };
+    const cid = correlationId || secureRandomId('c_', 12);
+    const item = {
+      text, cid, replyToId: replyToId ?? null, attachment: attachment || null, priority: priority || 'Normal', card: card || null, location: location || null,
+      // Queued while switching rooms: the message belongs to the room being joined
+      room: state.pendingJoin || (state.joinedRoom && state.joinedRoom.name) || null,
+      createdAt: Date.now()
+    };
     state.outbox.push(item);
     // Present a single optimistic UI entry tied to this correlation id
-    ensureOptimisticMessage(text, cid);
+    ensureOptimisticMessage(text, cid, item.replyToId, { attachment: item.attachment, priority: item.priority, card: item.card, location: item.location });
     renderQueueBadge();
-    persistOutbox();
+    saveOutboxItem(item);
+    return true;
   }
-  function sendMessage(){
+  /**
+   * Sends a chat message. Implements rate limiting & optimistic update.
+   */
+  function sendMessage(){
     const text=(els.messageInput && els.messageInput.value||'').trim(); if(!text) return;
+    // Bring the live tail back first so the new message lands after the latest ones
+    if(state.historyWindow){ returnToLatest().then(sendMessage); return; }
+    const replyToId = state.replyToId;
+    const priority = state.composerPriority;
     // If the browser reports offline, queue and exit early.
     if(state.isOffline){
-      queueOutbound(text);
-      postTelemetry('send.queue',{reason:'offline', size: state.outbox.length});
-      if(els.messageInput) els.messageInput.value='';
+      if(!queueOutbound(text, replyToId, { priority })) return;
+      postTelemetry('send.queue',{reason:'offline', size: state.outbox.length});
+      clearComposer();
+      return;
+    }
+    // Require profile; if absent we distinguish between uncertain (awaiting probe/profile) vs confirmed unauthenticated.
+    if(!state.profile){
+      const now = Date.now();
+  const withinGrace = isWithinAuthGrace();
+  if(state.authStatus===AuthStatus.UNKNOWN || state.authStatus===AuthStatus.PROBING || withinGrace){
+  if(!queueOutbound(text, replyToId, { priority })) return;
+        let reason = 'awaitingProfile';
+        if(withinGrace) reason='authGrace';
+        else if(state.loading) reason='loadingUI';
+        else if(state.authStatus===AuthStatus.PROBING) reason='authProbing';
+        postTelemetry('send.queue',{reason, size: state.outbox.length});
+        clearComposer();
+        return;
+      }
+      // After grace window with confirmed unauth
+      showError(window.i18n?.sessionExpired || 'Session expired. Please refresh.');
+      return;
+    }
+    // If a join is in progress (or scheduled) queue silently
+    if(state.joinInProgress || state.pendingJoin){
+      if(!queueOutbound(text, replyToId, { priority })) return;
+      postTelemetry('send.queue',{reason:'joinInProgress', size: state.outbox.length});
+      clearComposer();
+      return;
+    }
+    // If not currently in a room, attempt (or re-attempt) auto join then queue
+    if(!state.joinedRoom){
+      // Attempt to trigger a join if rooms known
+      const target = state.rooms && state.rooms.length ? (localStorage.getItem('lastRoom') && state.rooms.some(r=>r.name===localStorage.getItem('lastRoom')) ? localStorage.getItem('lastRoom') : state.rooms[0].name) : null;
+      if(target){
+        joinRoom(target);
+      }
+      if(!queueOutbound(text, replyToId, { priority })) return;
+      postTelemetry('send.queue',{reason:'noRoomYet', size: state.outbox.length});
+      clearComposer();
+      return;
+    }
+    // If hub is not in a connected state (connecting/reconnecting/disconnected), queue for later
+    try {
+      const s = computeConnectionState();
+      if(s !== 'connected'){
+        if(!queueOutbound(text, replyToId, { priority })) return;
+        postTelemetry('send.queue',{reason:'hubNotConnected:'+s, size: state.outbox.length});
+        clearComposer();
+        return;
+      }
+    } catch(_) { /* ignore and attempt normal path */ }
+    // Normal path: create (or reuse) a single optimistic message and pass its cid down
+    const cid = secureRandomId('c_', 12);
+    ensureOptimisticMessage(text, cid, replyToId, { priority });
+    internalSendMessage(text, false, false, cid);
+    clearComposer();
+  }
+  // ---------------- Composer (multi-line input, send key preference, per-room drafts) ----------------
+  const COMPOSER_SEND_KEY_STORAGE = 'chat.composer.sendKey';
+  const DRAFT_STORAGE_PREFIX = 'chat.drafts.';
+  function getComposerSendKey(){
+    try { return localStorage.getItem(COMPOSER_SEND_KEY_STORAGE) === 'ctrlEnter' ? 'ctrlEnter' : 'enter'; } catch(_) { return 'enter'; }
+  }
+  function setComposerSendKey(mode){
+    try { localStorage.setItem(COMPOSER_SEND_KEY_STORAGE, mode); } catch(_) {}
+    renderComposerSendKey();
+  }
+  function renderComposerSendKey(){
+    const btn = document.getElementById('btn-send-key');
+    if(!btn) return;
+    const ctrlEnter = getComposerSendKey() === 'ctrlEnter';
+    btn.textContent = ctrlEnter ? (window.i18n?.ctrlEnterSends || 'Ctrl+Enter sends') : (window.i18n?.enterSends || 'Enter sends');
+    btn.setAttribute('aria-pressed', ctrlEnter ? 'true' : 'false');
+  }
+  /**
+   * Whether a keydown is the configured send shortcut: Shift+Enter always inserts a newline; depending on the
+   * preference either plain Enter or Ctrl/Cmd+Enter sends (in "Ctrl+Enter sends" mode plain Enter inserts a newline).
+   * Used by the composer and the inline message editor.
+   */
+  function isSendKeyEvent(e){
+    if(e.key !== 'Enter' || e.shiftKey || e.isComposing) return false;
+    const modified = e.ctrlKey || e.metaKey;
+    return getComposerSendKey() === 'ctrlEnter' ? modified : !modified;
+  }
+  function handleComposerEnter(e){
+    if(!isSendKeyEvent(e)) return;
+    e.preventDefault();
+    sendMessage();
+  }
+  function autosizeComposer(){
+    const input = els.messageInput;
+    if(!input || input.tagName !== 'TEXTAREA') return;
+    input.style.height = 'auto';
+    input.style.height = input.scrollHeight + 'px';
+  }
+  function clearComposer(){
+    stopTypingSignal();
+    if(els.messageInput) els.messageInput.value='';
+    if(state.joinedRoom) saveDraft(state.joinedRoom.name);
+    autosizeComposer();
+    cancelReply();
+    setComposerPriority('Normal');
+  }
+  function getDraftStorageKey(){
+    const self = getSelfUserLower();
+    return self ? DRAFT_STORAGE_PREFIX + self : null;
+  }
+  function loadDrafts(){
+    const key = getDraftStorageKey();
+    if(!key) return {};
+    try { return JSON.parse(localStorage.getItem(key) || '{}') || {}; } catch(_) { return {}; }
+  }
+  /**
+   * Persists the composer text as the draft of <roomName> (drafts are kept per signed-in user so they survive reloads).
+   */
+  function saveDraft(roomName){
+    const key = getDraftStorageKey();
+    if(!key || !roomName || !els.messageInput) return;
+    const drafts = loadDrafts();
+    const text = els.messageInput.value || '';
+    if(text.trim()) drafts[roomName] = text; else delete drafts[roomName];
+    try {
+      if(Object.keys(drafts).length) localStorage.setItem(key, JSON.stringify(drafts));
+      else localStorage.removeItem(key);
+    } catch(_) { /* quota or privacy mode: drafts are best effort */ }
+  }
+  function restoreDraft(roomName){
+    if(!els.messageInput) return;
+    els.messageInput.value = (roomName && loadDrafts()[roomName]) || '';
+    autosizeComposer();
+  }
+  const scheduleDraftSave = debounce(()=>{ if(state.joinedRoom) saveDraft(state.joinedRoom.name); }, 400);
+  function wireComposer(){
+    const input = els.messageInput;
+    if(!input) return;
+    input.addEventListener('input', ()=>{ autosizeComposer(); scheduleDraftSave(); signalTyping(); });
+    window.addEventListener('pagehide', ()=>{ if(state.joinedRoom) saveDraft(state.joinedRoom.name); });
+    const btn = document.getElementById('btn-send-key');
+    if(btn) btn.addEventListener('click', ()=>{ setComposerSendKey(getComposerSendKey() === 'ctrlEnter' ? 'enter' : 'ctrlEnter'); input.focus(); });
+    renderComposerSendKey();
+  }
+  // ---------------- Message templates (dispatch center templates + personal favourites) ----------------
+  const TEMPLATE_PLACEHOLDER_RE = /\{([A-Za-z][A-Za-z0-9_]*)\}/g;
+  const FAVORITE_TITLE_MAX = 40;
+  let _templatePicker = { open: false, items: [], index: 0 };
+  function normalizeTemplate(t){
+    return {
+      id: t.id!==undefined ? t.id : t.Id,
+      title: t.title!==undefined ? t.title : (t.Title || ''),
+      content: t.content!==undefined ? t.content : (t.Content || ''),
+      translations: t.translations || t.Translations || {},
+      isPersonal: !!(t.isPersonal!==undefined ? t.isPersonal : t.IsPersonal)
+    };
+  }
+  async function loadTemplates(){
+    if(state.templates) return state.templates;
+    try {
+      const list = await apiGet('/api/Templates');
+      state.templates = (Array.isArray(list) ? list : []).map(normalizeTemplate);
+    } catch(_) {
+      // Leave uncached so the next open retries
+      return [];
+    }
+    return state.templates;
+  }
+  function getTemplatePlaceholders(text){
+    const names = [];
+    for(const m of String(text || '').matchAll(TEMPLATE_PLACEHOLDER_RE)){
+      if(!names.includes(m[1])) names.push(m[1]);
+    }
+    return names;
+  }
+  function fillTemplatePlaceholders(text, values){
+    return String(text || '').replace(TEMPLATE_PLACEHOLDER_RE, (match, name) => Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match);
+  }
+  // Pre-approved versions offered for the joined room: only the room's languages count
+  function getTemplateVersions(t){
+    const langs = state.joinedRoom && Array.isArray(state.joinedRoom.languages) ? state.joinedRoom.languages : [];
+    return langs
+      .map(l => String(l || '').toLowerCase())
+      .filter((l, i, all) => l && all.indexOf(l) === i && t.translations && t.translations[l]);
+  }
+  /**
+   * <fromSlash>: opened by typing "/" in the empty composer; that "/" (plus anything typed into the search)
+   * goes back into the composer when the picker is dismissed without choosing a template.
+   */
+  async function openTemplatePicker(fromSlash){
+    const picker = els.templatePicker;
+    if(!picker || !state.joinedRoom) return;
+    closeMentionSuggestions();
+    _templatePicker = { open: true, items: [], index: 0, loading: !state.templates, fromSlash: !!fromSlash };
+    const search = picker.querySelector('[data-role="template-search"]');
+    if(search) search.value = '';
+    picker.classList.remove('d-none');
+    setTemplatePickerMode('list');
+    renderTemplatePicker();
+    if(search) search.focus();
+    await loadTemplates();
+    if(!_templatePicker.open) return;
+    _templatePicker.loading = false;
+    renderTemplatePicker();
+  }
+  function closeTemplatePicker(restoreFocus){
+    if(!_templatePicker.open) return false;
+    const search = els.templatePicker && els.templatePicker.querySelector('[data-role="template-search"]');
+    const typed = _templatePicker.fromSlash ? '/' + ((search && search.value) || '') : '';
+    _templatePicker = { open: false, items: [], index: 0 };
+    if(els.templatePicker) els.templatePicker.classList.add('d-none');
+    const input = els.messageInput;
+    if(typed && input && input.value === ''){
+      input.value = typed;
+      input.setSelectionRange(typed.length, typed.length);
+      autosizeComposer();
+      scheduleDraftSave();
+    }
+    if(restoreFocus && input) input.focus();
+    return true;
+  }
+  function setTemplatePickerMode(mode){
+    const picker = els.templatePicker;
+    if(!picker) return;
+    picker.querySelectorAll('[data-mode]').forEach(el => el.classList.toggle('d-none', el.dataset.mode !== mode));
+  }
+  function renderTemplatePicker(){
+    const picker = els.templatePicker;
+    const list = picker && picker.querySelector('[data-role="template-list"]');
+    if(!list) return;
+    const search = picker.querySelector('[data-role="template-search"]');
+    const query = ((search && search.value) || '').trim().toLowerCase();
+    const items = (state.templates || []).filter(t => !query || t.title.toLowerCase().includes(query) || t.content.toLowerCase().includes(query));
+    _templatePicker.items = items;
+    if(_templatePicker.index >= items.length) _templatePicker.index = 0;
+    list.innerHTML = '';
+    if(!items.length){
+      const empty = document.createElement('li');
+      empty.className = 'template-empty small text-muted';
+      empty.textContent = _templatePicker.loading ? (window.i18n?.loading || 'Loading...') : (window.i18n?.noTemplates || 'No templates found');
+      list.appendChild(empty);
+      return;
+    }
+    let section = null;
+    items.forEach((t, i) => {
+      if(section !== t.isPersonal){
+        section = t.isPersonal;
+        const header = document.createElement('li');
+        header.className = 'template-section small';
+        header.setAttribute('role', 'presentation');
+        header.textContent = t.isPersonal ? (window.i18n?.favoriteTemplates || 'Favourites') : (window.i18n?.dispatchCenterTemplates || 'Dispatch center templates');
+        list.appendChild(header);
+      }
+      list.appendChild(createTemplateOption(t, i));
+    });
+    const active = list.querySelector('.template-option.active');
+    if(active && active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+  }
+  function createTemplateOption(t, i){
+    const li = document.createElement('li');
+    li.id = 'template-option-' + i;
+    li.className = 'template-option' + (i === _templatePicker.index ? ' active' : '');
+    li.setAttribute('role', 'option');
+    li.setAttribute('aria-selected', i === _templatePicker.index ? 'true' : 'false');
+    const text = document.createElement('div');
+    text.className = 'template-text';
+    const title = document.createElement('div');
+    title.className = 'template-title';
+    title.textContent = t.title;
+    text.appendChild(title);
+    const preview = document.createElement('div');
+    preview.className = 'template-preview small';
+    preview.textContent = t.content;
+    text.appendChild(preview);
+    li.appendChild(text);
+    // mousedown (not click) so focus handling in the picker does not close it first
+    text.addEventListener('mousedown', e => { e.preventDefault(); chooseTemplate(t, null); });
+    const actions = document.createElement('div');
+    actions.className = 'template-actions';
+    getTemplateVersions(t).forEach(lang => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'template-version';
+      btn.textContent = lang.toUpperCase();
+      btn.title = (window.i18n?.insertTemplateVersion || 'Insert the approved {0} version').replace('{0}', lang.toUpperCase());
+      btn.addEventListener('click', () => chooseTemplate(t, lang));
+      actions.appendChild(btn);
+    });
+    const fav = document.createElement('button');
+    fav.type = 'button';
+    fav.className = 'template-favorite' + (t.isPersonal ? ' is-favorite' : '');
+    fav.textContent = t.isPersonal ? '\u2605' : '\u2606';
+    fav.title = t.isPersonal ? (window.i18n?.removeFavoriteTemplate || 'Remove from favourites') : (window.i18n?.saveTemplateAsFavorite || 'Add to favourites');
+    fav.setAttribute('aria-label', fav.title);
+    fav.addEventListener('click', () => { if(t.isPersonal) removeFavoriteTemplate(t); else saveFavoriteTemplate(t); });
+    actions.appendChild(fav);
+    li.appendChild(actions);
+    return li;
+  }
+  /**
+   * Inserts a template (or its pre-approved <lang> version). Placeholders are prompted for first.
+   */
+  function chooseTemplate(t, lang){
+    const text = lang && t.translations[lang] ? t.translations[lang] : t.content;
+    const names = getTemplatePlaceholders(text);
+    if(!names.length){ insertTemplateText(text); return; }
+    renderTemplateFill(t, text, names);
+  }
+  function renderTemplateFill(t, text, names){
+    const form = els.templatePicker && els.templatePicker.querySelector('[data-role="template-fill"]');
+    if(!form) return;
+    form.innerHTML = '';
+    const heading = document.createElement('div');
+    heading.className = 'template-title mb-1';
+    heading.textContent = t.title;
+    form.appendChild(heading);
+    names.forEach((name, i) => {
+      const id = 'template-placeholder-' + i;
+      const label = document.createElement('label');
+      label.className = 'form-label small mb-0';
+      label.htmlFor = id;
+      label.textContent = name;
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.id = id;
+      input.name = name;
+      input.className = 'form-control form-control-sm mb-1';
+      input.required = true;
+      form.appendChild(label);
+      form.appendChild(input);
+    });
+    const buttons = document.createElement('div');
+    buttons.className = 'd-flex gap-2 mt-1';
+    const insert = document.createElement('button');
+    insert.type = 'submit';
+    insert.className = 'btn btn-sm btn-primary';
+    insert.textContent = window.i18n?.insertTemplate || 'Insert';
+    const back = document.createElement('button');
+    back.type = 'button';
+    back.className = 'btn btn-sm btn-outline-secondary';
+    back.textContent = window.i18n?.cancel || 'Cancel';
+    back.addEventListener('click', () => { setTemplatePickerMode('list'); focusTemplateSearch(); });
+    buttons.appendChild(insert);
+    buttons.appendChild(back);
+    form.appendChild(buttons);
+    form.onsubmit = e => {
+      e.preventDefault();
+      const values = {};
+      names.forEach(name => { values[name] = (form.elements[name].value || '').trim(); });
+      insertTemplateText(fillTemplatePlaceholders(text, values));
+    };
+    setTemplatePickerMode('fill');
+    const first = form.querySelector('input');
+    if(first) first.focus();
+  }
+  function focusTemplateSearch(){
+    const search = els.templatePicker && els.templatePicker.querySelector('[data-role="template-search"]');
+    if(search) search.focus();
+  }
+  function insertTemplateText(text){
+    const input = els.messageInput;
+    _templatePicker.fromSlash = false; // a template was chosen, so the "/" that opened the picker is consumed
+    closeTemplatePicker(false);
+    if(!input) return;
+    const start = input.selectionStart ?? input.value.length;
+    const end = input.selectionEnd ?? start;
+    input.value = input.value.slice(0, start) + text + input.value.slice(end);
+    const pos = start + text.length;
+    input.focus();
+    input.setSelectionRange(pos, pos);
+    autosizeComposer();
+    scheduleDraftSave();
+    postTelemetry('template.insert', { room: state.joinedRoom && state.joinedRoom.name });
+  }
+  // Saves a copy of a dispatch center template, or the composer text when <source> is omitted, as a personal favourite
+  async function saveFavoriteTemplate(source){
+    let payload;
+    if(source){
+      payload = { title: source.title, content: source.content, translations: source.translations };
+    } else {
+      const content = ((els.messageInput && els.messageInput.value) || '').trim();
+      if(!content) return;
+      const firstLine = content.split('\n')[0].trim();
+      payload = { title: firstLine.length > FAVORITE_TITLE_MAX ? firstLine.slice(0, FAVORITE_TITLE_MAX - 1).trimEnd() + '\u2026' : firstLine, content };
+    }
+    try {
+      const resp = await apiPost('/api/Templates/favorites', payload);
+      let body = null;
+      try { body = await resp.json(); } catch(_) { /* ignore */ }
+      if(!resp.ok || !body){
+        showError((body && body.error) || window.i18n?.templateSaveFailed || 'Could not save the template.');
+        return;
+      }
+      const saved = normalizeTemplate(body);
+      const list = state.templates || [];
+      const firstShared = list.findIndex(t => !t.isPersonal);
+      list.splice(firstShared < 0 ? list.length : firstShared, 0, saved);
+      state.templates = list;
+      if(_templatePicker.open) renderTemplatePicker();
+    } catch(_) {
+      showError(window.i18n?.templateSaveFailed || 'Could not save the template.');
+    }
+  }
+  async function removeFavoriteTemplate(t){
+    try {
+      const resp = await apiDelete('/api/Templates/favorites/' + encodeURIComponent(t.id));
+      if(!resp.ok && resp.status !== 404){
+        showError(window.i18n?.templateSaveFailed || 'Could not save the template.');
+        return;
+      }
+      state.templates = (state.templates || []).filter(x => !(x.isPersonal && x.id === t.id));
+      if(_templatePicker.open) renderTemplatePicker();
+    } catch(_) {
+      showError(window.i18n?.templateSaveFailed || 'Could not save the template.');
+    }
+  }
+  /**
+   * Opens the picker when "/" is typed into an empty composer. Returns true when the key was consumed.
+   */
+  function handleTemplateShortcut(e){
+    if(e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return false;
+    if(!els.messageInput || els.messageInput.value !== '') return false;
+    e.preventDefault();
+    openTemplatePicker(true);
+    return true;
+  }
+  function handleTemplateSearchKeydown(e){
+    const count = _templatePicker.items.length;
+    if(e.key === 'Escape'){
+      closeTemplatePicker(true);
+    } else if((e.key === 'ArrowDown' || e.key === 'ArrowUp') && count){
+      _templatePicker.index = (_templatePicker.index + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+      renderTemplatePicker();
+    } else if(e.key === 'Enter' && count){
+      chooseTemplate(_templatePicker.items[_templatePicker.index], null);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }
+  function wireTemplates(){
+    const picker = els.templatePicker;
+    if(!picker) return;
+    const btn = document.getElementById('btn-templates');
+    if(btn) btn.addEventListener('click', () => { if(_templatePicker.open) closeTemplatePicker(true); else openTemplatePicker(); });
+    const search = picker.querySelector('[data-role="template-search"]');
+    if(search){
+      search.addEventListener('input', () => { _templatePicker.index = 0; renderTemplatePicker(); });
+      search.addEventListener('keydown', handleTemplateSearchKeydown);
+    }
+    const fill = picker.querySelector('[data-role="template-fill"]');
+    if(fill) fill.addEventListener('keydown', e => { if(e.key === 'Escape'){ e.preventDefault(); setTemplatePickerMode('list'); focusTemplateSearch(); } });
+    const saveBtn = picker.querySelector('[data-role="template-save-favorite"]');
+    if(saveBtn) saveBtn.addEventListener('click', () => saveFavoriteTemplate(null));
+    document.addEventListener('mousedown', e => {
+      if(_templatePicker.open && !picker.contains(e.target) && !(btn && btn.contains(e.target))) closeTemplatePicker(false);
+    });
+  }
+  // ---------------- Search ----------------
+  const SEARCH_MIN_LENGTH = 2;
+  const SEARCH_PAGE_SIZE = 20;
+  const SEARCH_CONTEXT_MESSAGES = 10; // older messages loaded above a hit so it is read in context
+  const SEARCH_JUMP_PAGE_SIZE = 100;
+  const MAX_SEARCH_JUMP_PAGES = 30;
+  const _search = { query:'', items:[], hasMore:false, loading:false, failed:false, token:0, timer:null };
+  function normalizeSearchResult(r){
+    return {
+      id: r.id!==undefined ? r.id : r.Id,
+      fromUserName: r.fromUserName!==undefined ? r.fromUserName : r.FromUserName,
+      fromFullName: r.fromFullName!==undefined ? r.fromFullName : r.FromFullName,
+      timestamp: r.timestamp || r.Timestamp,
+      snippet: r.snippet ?? r.Snippet ?? '',
+      language: r.language || r.Language || null
+    };
+  }
+  function getSearchInput(){
+    return els.searchPanel ? els.searchPanel.querySelector('[data-role="search-input"]') : null;
+  }
+  function openSearchPanel(){
+    if(!els.searchPanel || !state.joinedRoom) return;
+    els.searchPanel.classList.remove('d-none');
+    const input = getSearchInput();
+    if(input){ input.focus(); input.select(); }
+  }
+  function closeSearchPanel(){
+    if(!els.searchPanel) return;
+    clearTimeout(_search.timer);
+    _search.token++; // drop responses still in flight
+    Object.assign(_search, { query:'', items:[], hasMore:false, loading:false, failed:false });
+    const input = getSearchInput();
+    if(input) input.value = '';
+    els.searchPanel.classList.add('d-none');
+    renderSearchResults();
+  }
+  function scheduleSearch(){
+    clearTimeout(_search.timer);
+    _search.timer = setTimeout(()=> runSearch(false), 300);
+  }
+  /**
+   * Fetches the first page of hits for the typed query, or the next page when appending.
+   */
+  async function runSearch(append){
+    const roomName = state.joinedRoom && state.joinedRoom.name;
+    const input = getSearchInput();
+    if(!roomName || !input) return;
+    const query = append ? _search.query : input.value.trim().replace(/\s+/g, ' ');
+    if(!append){
+      if(query === _search.query && (_search.items.length || _search.loading)) return;
+      Object.assign(_search, { query, items:[], hasMore:false, failed:false });
+    }
+    const token = ++_search.token;
+    if(query.length < SEARCH_MIN_LENGTH){
+      _search.loading = false;
+      renderSearchResults();
+      return;
+    }
+    _search.loading = true;
+    renderSearchResults();
+    try {
+      const res = await apiGet('/api/Messages/Room/' + encodeURIComponent(roomName) + '/search?q=' + encodeURIComponent(query) + '&skip=' + _search.items.length + '&take=' + SEARCH_PAGE_SIZE);
+      if(token !== _search.token) return;
+      const items = (res && (res.items || res.Items)) || [];
+      _search.items = _search.items.concat(items.map(normalizeSearchResult));
+      _search.hasMore = !!(res && (res.hasMore ?? res.HasMore));
+    } catch(_) {
+      if(token !== _search.token) return;
+      _search.failed = true;
+    }
+    _search.loading = false;
+    renderSearchResults();
+  }
+  function renderSearchResults(){
+    const panel = els.searchPanel;
+    if(!panel) return;
+    const status = panel.querySelector('[data-role="search-status"]');
+    const list = panel.querySelector('[data-role="search-results"]');
+    const more = panel.querySelector('[data-role="search-more"]');
+    let statusText = '';
+    if(_search.failed) statusText = window.i18n?.searchFailed || 'Search failed. Please try again.';
+    else if(_search.loading && !_search.items.length) statusText = window.i18n?.searching || 'Searching…';
+    else if(_search.query.length >= SEARCH_MIN_LENGTH && !_search.items.length) statusText = window.i18n?.noSearchResults || 'No messages found.';
+    if(status) status.textContent = statusText;
+    if(list){
+      list.innerHTML = '';
+      _search.items.forEach(item => list.appendChild(createSearchResultItem(item)));
+    }
+    if(more){
+      more.classList.toggle('d-none', !_search.hasMore);
+      more.disabled = _search.loading;
+    }
+  }
+  function createSearchResultItem(item){
+    const li = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'search-result btn btn-link text-start text-decoration-none w-100';
+    const meta = document.createElement('div');
+    meta.className = 'search-result-meta small';
+    const author = document.createElement('span');
+    author.className = 'fw-semibold me-2';
+    author.textContent = resolveDisplayName(item.fromUserName, item.fromFullName);
+    const time = document.createElement('span');
+    time.className = 'text-muted';
+    time.textContent = formatDateParts(item.timestamp).full;
+    meta.appendChild(author);
+    meta.appendChild(time);
+    if(item.language){
+      // Match found in a translation rather than the original text
+      const lang = document.createElement('span');
+      lang.className = 'badge text-bg-light ms-2';
+      lang.textContent = item.language.toUpperCase();
+      lang.title = window.i18n?.matchInTranslation || 'Found in a translation';
+      meta.appendChild(lang);
+    }
+    const snippet = document.createElement('div');
+    snippet.className = 'search-result-snippet';
+    appendHighlightedText(snippet, item.snippet, _search.query);
+    btn.appendChild(meta);
+    btn.appendChild(snippet);
+    btn.addEventListener('click', ()=> jumpToSearchResult(item));
+    li.appendChild(btn);
+    return li;
+  }
+  /**
+   * Appends text to el with every case-insensitive occurrence of query wrapped in <mark>.
+   */
+  function appendHighlightedText(el, text, query){
+    const source = String(text || '');
+    const needle = String(query || '').toLocaleLowerCase();
+    const haystack = source.toLocaleLowerCase();
+    let pos = 0;
+    // Lower-casing can change string length for a few scripts; fall back to plain text then
+    if(needle && haystack.length === source.length){
+      let idx = haystack.indexOf(needle);
+      while(idx !== -1){
+        if(idx > pos) el.appendChild(document.createTextNode(source.slice(pos, idx)));
+        const mark = document.createElement('mark');
+        mark.textContent = source.slice(idx, idx + needle.length);
+        el.appendChild(mark);
+        pos = idx + needle.length;
+        idx = haystack.indexOf(needle, pos);
+      }
+    }
+    if(pos < source.length) el.appendChild(document.createTextNode(source.slice(pos)));
+  }
+  /**
+   * Pages back with large pages until the message is loaded, plus a few older messages for context, then scrolls to it.
+   * Resolves to false when it could not be shown.
+   */
+  async function revealMessage(id, timestamp){
+    for(let page = 0; page < MAX_SEARCH_JUMP_PAGES && !findMessageNode(id); page++){
+      if(!state.canLoadMore) break;
+      const before = state.messages.length;
+      await loadOlderMessages(SEARCH_JUMP_PAGE_SIZE);
+      if(state.messages.length === before) break; // page failed or was empty
+    }
+    const index = state.messages.findIndex(m => m && m.id === id);
+    if(index === -1){
+      // Too far back to page to: show the message in a history window instead
+      return loadHistoryAt(new Date(timestamp), id);
+    }
+    if(index < SEARCH_CONTEXT_MESSAGES && state.canLoadMore) await loadOlderMessages(SEARCH_CONTEXT_MESSAGES);
+    const node = findMessageNode(id);
+    if(node) highlightMessageNode(node);
+    return true;
+  }
+  async function jumpToSearchResult(item){
+    if(await revealMessage(item.id, item.timestamp)) return;
+    postTelemetry('search.jump.notFound', { id: item.id });
+    showError(window.i18n?.searchResultNotLoaded || 'This message could not be loaded.');
+  }
+  function wireSearch(){
+    const panel = els.searchPanel;
+    if(!panel) return;
+    const btn = document.getElementById('btn-search');
+    if(btn) btn.addEventListener('click', ()=> { if(panel.classList.contains('d-none')) openSearchPanel(); else closeSearchPanel(); });
+    const input = getSearchInput();
+    if(input){
+      input.addEventListener('input', scheduleSearch);
+      input.addEventListener('keydown', e => {
+        if(e.key === 'Enter'){ e.preventDefault(); clearTimeout(_search.timer); runSearch(false); }
+        else if(e.key === 'Escape'){ e.preventDefault(); closeSearchPanel(); }
+      });
+    }
+    const close = panel.querySelector('[data-role="search-close"]');
+    if(close) close.addEventListener('click', closeSearchPanel);
+    const more = panel.querySelector('[data-role="search-more"]');
+    if(more) more.addEventListener('click', ()=> runSearch(true));
+  }
+  // ---------------- Permalinks ----------------
+  // A message link is /chat#room=<name>&msg=<id>. Opening one joins that room instead of the last used one and
+  // scrolls to the message once the room's messages are loaded.
+  let _roomsLoaded = false;
+  function buildMessagePermalink(roomName, messageId){
+    const params = new URLSearchParams({ room: roomName, msg: String(messageId) });
+    return window.location.origin + '/chat#' + params.toString();
+  }
+  function parseMessagePermalink(hash){
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const room = params.get('room');
+    const messageId = Number(params.get('msg'));
+    if(!room || !Number.isInteger(messageId) || messageId <= 0) return null;
+    return { room, messageId };
+  }
+  function copyMessageLink(btn, messageId){
+    const roomName = state.joinedRoom && state.joinedRoom.name;
+    if(!roomName) return;
+    if(!navigator.clipboard){ showError(window.i18n?.copyFailed || 'Could not copy to the clipboard.'); return; }
+    navigator.clipboard.writeText(buildMessagePermalink(roomName, messageId)).then(()=>{
+      btn.textContent = window.i18n?.linkCopied || 'Link copied';
+      setTimeout(()=> { btn.textContent = window.i18n?.copyLink || 'Copy link'; }, 1500);
+    }).catch(()=> showError(window.i18n?.copyFailed || 'Could not copy to the clipboard.'));
+  }
+  /**
+   * Opens the message link in the address bar, if any. Resolves to true when it took over choosing the room.
+   */
+  function openPermalinkFromHash(){
+    if(!_roomsLoaded) return false; // loadRooms picks the link up
+    const link = parseMessagePermalink(window.location.hash);
+    if(!link) return false;
+    // Drop the fragment so a reload or a later reconnect does not jump back to the message
+    try { history.replaceState(null, '', window.location.pathname + window.location.search); } catch(_) { /* ignore */ }
+    if(!state.rooms.some(r => r.name === link.room)){
+      postTelemetry('permalink.noAccess', { id: link.messageId });
+      showError(window.i18n?.permalinkNoAccess || 'You do not have access to the room this link points to.');
+      return false;
+    }
+    state.pendingPermalink = link;
+    if(state.joinedRoom && state.joinedRoom.name === link.room && !state.joinInProgress) revealPendingPermalink();
+    else joinRoom(link.room);
+    return true;
+  }
+  /**
+   * Called once the room's latest messages are rendered; pages back to the linked message.
+   */
+  async function revealPendingPermalink(){
+    const link = state.pendingPermalink;
+    if(!link || !state.joinedRoom || state.joinedRoom.name !== link.room) return;
+    state.pendingPermalink = null;
+    let target = null;
+    try {
+      target = normalizeMessagePayload(await apiGet('/api/Messages/' + encodeURIComponent(link.messageId)));
+    } catch(resp) {
+      if(resp && resp.status === 403){
+        showError(window.i18n?.permalinkNoAccess || 'You do not have access to the room this link points to.');
+        return;
+      }
+    }
+    if(target && target.room === link.room && await revealMessage(target.id, target.timestamp)) return;
+    postTelemetry('permalink.notFound', { id: link.messageId });
+    showError(window.i18n?.permalinkNotFound || 'The linked message could not be found.');
+  }
+  function wirePermalinks(){
+    window.addEventListener('hashchange', ()=> openPermalinkFromHash());
+  }
+  // ---------------- History window ----------------
+  // A detached window of messages around a chosen moment. While it is shown, live messages are held back
+  // in historyWindow.liveMessages and merged once paging forward reaches the live tail.
+  const HISTORY_WINDOW_SIZE = 25; // messages loaded on each side of the chosen moment
+  let _historyToken = 0;
+  function messagesPageUrl(roomName, query){
+    return '/api/Messages/Room/' + encodeURIComponent(roomName) + '?' + query;
+  }
+  /**
+   * Replaces the message list with the messages around `at` and scrolls to the first one at or after it
+   * (or to `focusId` when given). Resolves to false when the window could not be loaded.
+   */
+  async function loadHistoryAt(at, focusId){
+    const roomName = state.joinedRoom && state.joinedRoom.name;
+    if(!roomName || !(at instanceof Date) || isNaN(at.getTime())) return false;
+    const token = ++_historyToken;
+    const iso = encodeURIComponent(at.toISOString());
+    try {
+      const [older, newer] = await Promise.all([
+        apiGet(messagesPageUrl(roomName, 'before=' + iso + '&take=' + HISTORY_WINDOW_SIZE)),
+        apiGet(messagesPageUrl(roomName, 'after=' + iso + '&take=' + HISTORY_WINDOW_SIZE))
+      ]);
+      if(token !== _historyToken || !state.joinedRoom || state.joinedRoom.name !== roomName) return false;
+      _pageReqToken++; state.loadingMore = false; _pageInFlight = null; // drop pages requested for the previous list
+      const olderList = Array.isArray(older) ? older : [];
+      const newerList = Array.isArray(newer) ? newer : [];
+      state.messages = olderList.concat(newerList).map(m => normalizeMessagePayload(m));
+      state.oldestLoaded = state.messages.length ? state.messages[0].timestamp : null;
+      state.canLoadMore = olderList.length >= HISTORY_WINDOW_SIZE;
+      state._autoFillPass = 0;
+      state.selectedEscalationMessageIds = [];
+      state.historyWindow = {
+        at: at.toISOString(),
+        newestLoaded: state.messages.length ? state.messages[state.messages.length - 1].timestamp : at.toISOString(),
+        canLoadNewer: newerList.length >= HISTORY_WINDOW_SIZE,
+        loadingNewer: false,
+        liveMessages: []
+      };
+      state.autoScroll = false;
+      renderHistoryBanner();
+      renderRoomActions();
+      renderMessages();
+      attachScrollPagination();
+      const first = state.messages.find(m => new Date(m.timestamp) >= at);
+      const node = findMessageNode(focusId != null ? focusId : (first ? first.id : null));
+      if(node) highlightMessageNode(node);
+      postTelemetry('history.window', { before: olderList.length, after: newerList.length });
+      return true;
+    } catch(_) {
+      if(token === _historyToken) showError(window.i18n?.historyLoadFailed || 'Could not load messages from that time.');
+      return false;
+    }
+  }
+  /**
+   * Appends the next page after the window; once the live tail is reached, merges the held-back live
+   * messages and leaves history mode.
+   */
+  function loadNewerMessages(){
+    const hw = state.historyWindow;
+    if(!hw || !hw.canLoadNewer || hw.loadingNewer || !state.joinedRoom) return Promise.resolve();
+    hw.loadingNewer = true;
+    // 'after' is inclusive, so messages sharing the newest timestamp come back and are skipped by id
+    return apiGet(messagesPageUrl(state.joinedRoom.name, 'after=' + encodeURIComponent(hw.newestLoaded) + '&take=' + state.pageSize))
+      .then(list => {
+        if(state.historyWindow !== hw) return;
+        const page = Array.isArray(list) ? list : [];
+        const known = new Set(state.messages.map(m => m && m.id));
+        const added = page.map(m => normalizeMessagePayload(m)).filter(m => !known.has(m.id));
+        state.messages = state.messages.concat(added);
+        if(added.length) hw.newestLoaded = added[added.length - 1].timestamp;
+        if(page.length < state.pageSize || !added.length){
+          added.forEach(m => known.add(m.id));
+          hw.liveMessages.filter(m => !known.has(m.id)).forEach(m => state.messages.push(m));
+          state.historyWindow = null;
+          renderHistoryBanner();
+        }
+        renderMessages();
+      })
+      .catch(()=>{ /* retried on the next scroll */ })
+      .finally(()=>{ hw.loadingNewer = false; });
+  }
+  function returnToLatest(){
+    state.autoScroll = true;
+    state._firstRender = true; // scroll to the bottom once the tail is rendered
+    return loadMessages();
+  }
+  function renderHistoryBanner(){
+    const banner = els.historyBanner;
+    if(!banner) return;
+    const hw = state.historyWindow;
+    banner.classList.toggle('d-none', !hw);
+    const mc = document.querySelector('.messages-container');
+    if(mc) mc.classList.toggle('history-mode', !!hw);
+    if(!hw) return;
+    const label = banner.querySelector('[data-role="history-label"]');
+    if(label) label.textContent = (window.i18n?.viewingHistory || 'You are viewing history around {0}').replace('{0}', formatDateParts(hw.at).full);
+  }
+  function toDateTimeLocalValue(date){
+    const pad = n => ('0' + n).slice(-2);
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + 'T' + pad(date.getHours()) + ':' + pad(date.getMinutes());
+  }
+  function openJumpPanel(){
+    if(!els.jumpPanel || !state.joinedRoom) return;
+    closeExportPanel();
+    const input = els.jumpPanel.querySelector('[data-role="jump-input"]');
+    if(input){
+      const now = new Date();
+      input.max = toDateTimeLocalValue(now);
+      if(!input.value) input.value = toDateTimeLocalValue(new Date(now.getTime() - 60 * 60 * 1000));
+    }
+    els.jumpPanel.classList.remove('d-none');
+    if(input) input.focus();
+  }
+  function closeJumpPanel(){
+    if(els.jumpPanel) els.jumpPanel.classList.add('d-none');
+  }
+  async function submitJump(){
+    const input = els.jumpPanel && els.jumpPanel.querySelector('[data-role="jump-input"]');
+    // datetime-local values carry no zone; Date parses them as local time
+    const at = input && input.value ? new Date(input.value) : null;
+    if(!at || isNaN(at.getTime())) return;
+    if(await loadHistoryAt(at)) closeJumpPanel();
+  }
+  function wireHistory(){
+    const btn = document.getElementById('btn-jump-date');
+    if(btn && els.jumpPanel) btn.addEventListener('click', ()=> { if(els.jumpPanel.classList.contains('d-none')) openJumpPanel(); else closeJumpPanel(); });
+    if(els.jumpPanel){
+      els.jumpPanel.addEventListener('submit', e => { e.preventDefault(); submitJump(); });
+      els.jumpPanel.addEventListener('keydown', e => { if(e.key === 'Escape'){ e.preventDefault(); closeJumpPanel(); } });
+      const close = els.jumpPanel.querySelector('[data-role="jump-close"]');
+      if(close) close.addEventListener('click', closeJumpPanel);
+    }
+    const back = els.historyBanner && els.historyBanner.querySelector('[data-role="return-to-latest"]');
+    if(back) back.addEventListener('click', ()=> { returnToLatest(); });
+  }
+  // ---------------- Transcript export ----------------
+  // Pages forward through the room history for the chosen range and builds the files in the browser;
+  // nothing is rendered into the message list, so the live view is left untouched.
+  const EXPORT_PAGE_SIZE = 100; // server cap for one page
+  const EXPORT_MAX_PAGES = 200;
+  const EXPORT_FORMATS = ['html', 'csv', 'json', 'print'];
+  let _exportToken = 0;
+  function getExportPanel(){ return document.getElementById('export-panel'); }
+  function openExportPanel(){
+    const panel = getExportPanel();
+    if(!panel || !state.joinedRoom) return;
+    closeJumpPanel();
+    const from = panel.querySelector('[name="from"]');
+    const to = panel.querySelector('[name="to"]');
+    const now = new Date();
+    if(to){ to.max = toDateTimeLocalValue(now); if(!to.value) to.value = toDateTimeLocalValue(now); }
+    if(from){ from.max = toDateTimeLocalValue(now); if(!from.value) from.value = toDateTimeLocalValue(new Date(now.getTime() - 24 * 60 * 60 * 1000)); }
+    setExportStatus('');
+    panel.classList.remove('d-none');
+    if(from) from.focus();
+  }
+  function closeExportPanel(){
+    const panel = getExportPanel();
+    if(!panel) return;
+    _exportToken++; // abandon a running export
+    setExportBusy(false);
+    panel.classList.add('d-none');
+  }
+  function setExportStatus(text){
+    const status = getExportPanel()?.querySelector('[data-role="export-status"]');
+    if(status) status.textContent = text;
+  }
+  function setExportBusy(busy){
+    getExportPanel()?.querySelectorAll('button[type="submit"]').forEach(b => { b.disabled = busy; });
+  }
+  /**
+   * Messages of <roomName> with from <= timestamp <= to, oldest first. `after` is inclusive,
+   * so each page starts at the last timestamp seen and ids already collected are skipped.
+   * Resolves to { messages, complete }; `complete` is false when paging stopped before `to`, either at the
+   * EXPORT_MAX_PAGES cap or because a full page shared one timestamp and the cursor could not move past it.
+   */
+  async function fetchTranscriptMessages(roomName, from, to, token){
+    const byId = new Map();
+    let cursor = from;
+    let complete = false;
+    for(let page = 0; page < EXPORT_MAX_PAGES; page++){
+      const list = await apiGet(messagesPageUrl(roomName, 'after=' + encodeURIComponent(cursor.toISOString()) + '&take=' + EXPORT_PAGE_SIZE));
+      if(token !== _exportToken) return null;
+      const items = (Array.isArray(list) ? list : []).map(m => normalizeMessagePayload(m));
+      let added = 0;
+      let reachedEnd = false;
+      for(const m of items){
+        if(new Date(m.timestamp) > to){ reachedEnd = true; break; }
+        if(!byId.has(m.id)){ byId.set(m.id, m); added++; }
+      }
+      setExportStatus((window.i18n?.exportProgress || 'Fetched {0} messages…').replace('{0}', String(byId.size)));
+      if(reachedEnd || items.length < EXPORT_PAGE_SIZE){ complete = true; break; }
+      if(added === 0) break;
+      cursor = new Date(items[items.length - 1].timestamp);
+    }
+    const messages = Array.from(byId.values()).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp) || a.id - b.id);
+    return { messages, complete };
+  }
+  /**
+   * The room's dispatch centers with the time zone their timestamps are shown in. A center without a configured
+   * zone falls back to this browser's zone when it is the user's own center, otherwise to UTC.
+   */
+  function getTranscriptTimeZones(room){
+    const names = room.dispatchCenterNames || {};
+    const zones = room.dispatchCenterTimeZones || {};
+    const myCenter = String(state.profile && state.profile.dispatchCenterId || '').toLowerCase();
+    const browserZone = (Intl.DateTimeFormat().resolvedOptions().timeZone) || 'UTC';
+    return [room.dispatchCenterAId, room.dispatchCenterBId]
+      .filter((id, i, all) => id && all.findIndex(x => x && x.toLowerCase() === id.toLowerCase()) === i)
+      .map(id => {
+        const lookup = obj => { const key = Object.keys(obj).find(k => k.toLowerCase() === id.toLowerCase()); return key ? obj[key] : null; };
+        let timeZone = lookup(zones) || (id.toLowerCase() === myCenter ? browserZone : 'UTC');
+        let formatter;
+        try {
+          formatter = new Intl.DateTimeFormat('sv-SE', { timeZone, year:'numeric', month:'2-digit', day:'2-digit', hour:'2-digit', minute:'2-digit', second:'2-digit', hourCycle:'h23' });
+        } catch(_) {
+          timeZone = 'UTC';
+          formatter = new Intl.DateTimeFormat('sv-SE', { timeZone, year:'numeric', month:'2-digit', day:'2-digit', hour:'2-digit', minute:'2-digit', second:'2-digit', hourCycle:'h23' });
+        }
+        return { dispatchCenterId: id, name: lookup(names) || id, timeZone, format: ts => formatter.format(new Date(ts)) };
+      });
+  }
+  function transcriptCenterName(room, id){
+    if(!id) return '';
+    const names = room.dispatchCenterNames || {};
+    const key = Object.keys(names).find(k => k.toLowerCase() === String(id).toLowerCase());
+    return key ? names[key] : id;
+  }
+  /**
+   * <complete> is false when messages after the last one in <messages> are missing from the range.
+   */
+  function buildTranscript(room, messages, from, to, complete = true){
+    const zones = getTranscriptTimeZones(room);
+    return {
+      room: room.name,
+      roomLabel: getRoomLabel(room),
+      exportedAt: new Date().toISOString(),
+      exportedBy: resolveDisplayName(state.profile?.userName, state.profile?.fullName),
+      from: from.toISOString(),
+      to: to.toISOString(),
+      complete,
+      timeZones: zones.map(z => ({ dispatchCenterId: z.dispatchCenterId, dispatchCenter: z.name, timeZone: z.timeZone })),
+      messages: messages.map(m => {
+        const deleted = !!m.deletedAt;
+        return {
+          id: m.id,
+          timestampUtc: new Date(m.timestamp).toISOString(),
+          localTimes: zones.map(z => ({ dispatchCenter: z.name, timeZone: z.timeZone, time: z.format(m.timestamp) })),
+          author: resolveDisplayName(m.fromUserName, m.fromFullName),
+          authorUserName: m.fromUserName || '',
+          dispatchCenter: transcriptCenterName(room, m.fromDispatchCenterId),
+          priority: m.priority,
+          content: deleted ? '' : (m.content || ''),
+          sourceLanguage: m.sourceLanguage,
+          translations: deleted ? {} : Object.assign({}, m.translations || {}),
+          readBy: (m.readBy || []).map(u => resolveDisplayName(u)),
+          readByDispatchCenters: (m.readByDispatchCenterIds || []).map(id => transcriptCenterName(room, id)),
+          escalationStatus: m.escalationStatus || 'None',
+          editedAt: m.editedAt || null,
+          deletedAt: m.deletedAt || null,
+          deletedBy: m.deletedBy || null,
+          replyToId: m.replyToId,
+          attachment: m.attachment ? m.attachment.fileName : null,
+          card: m.card || null,
+          location: m.location ? { latitude: m.location.latitude, longitude: m.location.longitude, accuracyMeters: m.location.accuracyMeters ?? null } : null
+        };
+      })
+    };
+  }
+  function formatTranslations(t){
+    return Object.keys(t.translations).sort().map(lang => lang + ': ' + t.translations[lang]).join('\n');
+  }
+  function transcriptNotes(t){
+    const notes = [];
+    if(t.deletedAt) notes.push((window.i18n?.exportWithdrawn || 'Withdrawn') + ' ' + t.deletedAt + (t.deletedBy ? ' (' + t.deletedBy + ')' : ''));
+    if(t.editedAt) notes.push((window.i18n?.exportEdited || 'Edited') + ' ' + t.editedAt);
+    if(t.replyToId != null) notes.push((window.i18n?.exportReplyTo || 'Reply to #{0}').replace('{0}', String(t.replyToId)));
+    if(t.attachment) notes.push((window.i18n?.exportAttachment || 'Attachment') + ': ' + t.attachment);
+    if(t.card) notes.push([t.card.category, t.card.incidentId, t.card.address, t.card.unitsRequested, t.card.callbackNumber].filter(Boolean).join(' · '));
+    if(t.location) notes.push(formatDecimalCoordinates(t.location));
+    return notes.join('\n');
+  }
+  // Cells starting with a formula character are prefixed so spreadsheets show them as text
+  function csvCell(value){
+    let text = value == null ? '' : String(value);
+    if(/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+  function transcriptToCsv(transcript){
+    const label = (key, fallback) => window.i18n?.[key] || fallback;
+    const header = ['#', label('exportTimestampUtc', 'Timestamp (UTC)')]
+      .concat(transcript.timeZones.map(z => z.dispatchCenter + ' (' + z.timeZone + ')'))
+      .concat([
+        label('exportAuthor', 'Author'), label('exportDispatchCenter', 'Dispatch center'), label('exportPriority', 'Priority'),
+        label('exportMessage', 'Message'), label('exportTranslations', 'Translations'), label('exportReadBy', 'Read by'),
+        label('exportReadByDispatchCenters', 'Read by dispatch centers'), label('exportEscalation', 'Escalation'), label('exportNotes', 'Notes')
+      ]);
+    const rows = transcript.messages.map(t => [t.id, t.timestampUtc]
+      .concat(t.localTimes.map(l => l.time))
+      .concat([t.author, t.dispatchCenter, t.priority, t.content, formatTranslations(t), t.readBy.join(', '), t.readByDispatchCenters.join(', '), t.escalationStatus, transcriptNotes(t)]));
+    // BOM so spreadsheet applications detect UTF-8
+    return '\ufeff' + [header].concat(rows).map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  }
+  function escapeTranscriptHtml(value){
+    return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' })[c]);
+  }
+  function transcriptToHtml(transcript){
+    const h = escapeTranscriptHtml;
+    const multiline = text => h(text).replace(/\n/g, '<br>');
+    const title = (window.i18n?.exportTranscriptTitle || 'Transcript: {0}').replace('{0}', transcript.roomLabel);
+    const zoneHeads = transcript.timeZones.map(z => '<th>' + h(z.dispatchCenter) + '<br><small>' + h(z.timeZone) + '</small></th>').join('');
+    const rows = transcript.messages.map(t => '<tr class="p-' + h(t.priority.toLowerCase()) + (t.deletedAt ? ' withdrawn' : '') + '">'
+      + '<td>' + h(t.id) + '</td>'
+      + '<td class="nowrap">' + h(t.timestampUtc.replace('T', ' ').replace(/\.\d+Z$/, 'Z')) + '</td>'
+      + t.localTimes.map(l => '<td class="nowrap">' + h(l.time) + '</td>').join('')
+      + '<td>' + h(t.author) + '<br><small>' + h(t.dispatchCenter) + '</small></td>'
+      + '<td>' + (t.priority !== 'Normal' ? '<strong>' + h(priorityLabel(t.priority)) + '</strong><br>' : '') + multiline(t.content) + '</td>'
+      + '<td>' + multiline(formatTranslations(t)) + '</td>'
+      + '<td>' + h(t.readBy.join(', ')) + (t.readByDispatchCenters.length ? '<br><small>' + h(t.readByDispatchCenters.join(', ')) + '</small>' : '') + '</td>'
+      + '<td>' + h(t.escalationStatus) + '</td>'
+      + '<td>' + multiline(transcriptNotes(t)) + '</td>'
+      + '</tr>').join('\n');
+    const label = (key, fallback) => h(window.i18n?.[key] || fallback);
+    return '<!DOCTYPE html>\n<html lang="' + h(document.documentElement.lang || 'en') + '">\n<head>\n<meta charset="utf-8">\n'
+      + '<title>' + h(title) + '</title>\n'
+      + '<style>body{font-family:system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;font-size:13px;margin:24px;color:#212529}'
+      + 'table{border-collapse:collapse;width:100%}th,td{border:1px solid #dee2e6;padding:4px 6px;text-align:left;vertical-align:top}'
+      + 'th{background:#f1f3f5}small{color:#6c757d}.nowrap{white-space:nowrap}tr.p-urgent td{background:#fff8e1}tr.p-critical td{background:#fdecea}'
+      + 'tr.withdrawn td{color:#6c757d;font-style:italic}dl{display:grid;grid-template-columns:max-content auto;gap:2px 12px}dd{margin:0}'
+      + '@media print{body{margin:0}tr{break-inside:avoid}}</style>\n</head>\n<body>\n'
+      + '<h1>' + h(title) + '</h1>\n<dl>'
+      + '<dt>' + label('exportRange', 'Range') + '</dt><dd>' + h(transcript.from) + ' – ' + h(transcript.to) + '</dd>'
+      + '<dt>' + label('exportExportedBy', 'Exported by') + '</dt><dd>' + h(transcript.exportedBy) + ', ' + h(transcript.exportedAt) + '</dd>'
+      + '<dt>' + label('exportMessageCount', 'Messages') + '</dt><dd>' + h(transcript.messages.length) + '</dd>'
+      + (transcript.complete ? '' : '<dt>' + label('exportIncompleteLabel', 'Incomplete') + '</dt><dd><strong>' + h(transcriptIncompleteNote(transcript)) + '</strong></dd>')
+      + '</dl>\n'
+      + '<table>\n<thead><tr><th>#</th><th>UTC</th>' + zoneHeads
+      + '<th>' + label('exportAuthor', 'Author') + '</th><th>' + label('exportMessage', 'Message') + '</th><th>' + label('exportTranslations', 'Translations') + '</th>'
+      + '<th>' + label('exportReadBy', 'Read by') + '</th><th>' + label('exportEscalation', 'Escalation') + '</th><th>' + label('exportNotes', 'Notes') + '</th></tr></thead>\n'
+      + '<tbody>\n' + rows + '\n</tbody>\n</table>\n</body>\n</html>\n';
+  }
+  function transcriptLastTime(transcript){
+    const last = transcript.messages[transcript.messages.length - 1];
+    return formatDateParts(last ? last.timestampUtc : transcript.from).full;
+  }
+  function transcriptIncompleteNote(transcript){
+    return (window.i18n?.exportIncompleteNote || 'Messages after {0} are missing.').replace('{0}', transcriptLastTime(transcript));
+  }
+  function downloadTextFile(fileName, mimeType, text){
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  function transcriptFileName(room, from, to, ext){
+    const stamp = d => toDateTimeLocalValue(d).replace(/[-:]/g, '').replace('T', '-');
+    const safeRoom = String(room.name || 'room').replace(/[^A-Za-z0-9_-]+/g, '_');
+    return 'transcript-' + safeRoom + '-' + stamp(from) + '-' + stamp(to) + '.' + ext;
+  }
+  function prepareTranscriptPrint(transcript, period){
+    let view = document.getElementById('print-view');
+    if(!view){
+      view = document.createElement('div');
+      view.id = 'print-view';
+      view.className = 'print-view';
+      document.body.appendChild(view);
+    }
+    view.textContent = '';
+    const el = (tag, className, text) => {
+      const node = document.createElement(tag);
+      if(className) node.className = className;
+      if(text != null) node.textContent = text;
+      return node;
+    };
+    view.appendChild(el('h1', null, (window.i18n?.exportTranscriptTitle || 'Transcript: {0}').replace('{0}', transcript.roomLabel)));
+    const meta = el('dl', 'print-meta');
+    const addMeta = (label, value) => { meta.appendChild(el('dt', null, label)); meta.appendChild(el('dd', null, value)); };
+    if(transcript.timeZones.length) addMeta(window.i18n?.printDispatchCenters || 'Dispatch centers', transcript.timeZones.map(z => z.dispatchCenter).join(' ↔ '));
+    addMeta(window.i18n?.exportRange || 'Range', formatDateParts(period.from).full + ' – ' + formatDateParts(period.to).full);
+    addMeta(window.i18n?.printPrintedBy || 'Printed by', transcript.exportedBy + ', ' + formatDateParts(transcript.exportedAt).full);
+    addMeta(window.i18n?.exportMessageCount || 'Messages', String(transcript.messages.length));
+    if(!transcript.complete) addMeta(window.i18n?.exportIncompleteLabel || 'Incomplete', transcriptIncompleteNote(transcript));
+    view.appendChild(meta);
+    const table = el('table', 'print-table');
+    const headRow = el('tr');
+    [window.i18n?.printTime || 'Time', window.i18n?.exportAuthor || 'Author', window.i18n?.printOriginal || 'Original', window.i18n?.exportTranslations || 'Translations']
+      .forEach(text => headRow.appendChild(el('th', null, text)));
+    table.appendChild(el('thead')).appendChild(headRow);
+    const body = table.appendChild(el('tbody'));
+    transcript.messages.forEach(t => {
+      const row = el('tr', t.priority !== 'Normal' ? 'priority-' + t.priority.toLowerCase() : null);
+      const time = el('td', 'print-time');
+      t.localTimes.forEach(l => time.appendChild(el('div', null, l.time)).appendChild(el('small', null, ' ' + l.dispatchCenter)));
+      if(!t.localTimes.length) time.textContent = formatDateParts(t.timestampUtc).full;
+      row.appendChild(time);
+      const author = el('td', null, t.author);
+      if(t.dispatchCenter) author.appendChild(el('small', 'd-block', t.dispatchCenter));
+      if(t.priority !== 'Normal') author.appendChild(el('strong', 'd-block', priorityLabel(t.priority)));
+      if(t.escalationStatus && t.escalationStatus !== 'None') author.appendChild(el('small', 'd-block', (window.i18n?.exportEscalation || 'Escalation') + ': ' + t.escalationStatus));
+      row.appendChild(author);
+      const original = el('td', 'print-text');
+      if(t.deletedAt) original.appendChild(el('em', null, window.i18n?.exportWithdrawn || 'Withdrawn'));
+      else original.appendChild(el('div', null, t.content));
+      const notes = transcriptNotes(Object.assign({}, t, { deletedAt: null }));
+      if(notes) original.appendChild(el('small', 'print-notes', notes));
+      row.appendChild(original);
+      const translations = el('td', 'print-text');
+      Object.keys(t.translations).sort()
+        .filter(lang => t.translations[lang] && t.translations[lang] !== t.content)
+        .forEach(lang => {
+          const line = translations.appendChild(el('div'));
+          line.appendChild(el('strong', null, lang + ': '));
+          line.appendChild(document.createTextNode(t.translations[lang]));
+        });
+      row.appendChild(translations);
+      body.appendChild(row);
+    });
+    view.appendChild(table);
+    return view;
+  }
+  /**
+   * Prints <transcript> with a layout of its own (no message actions, selection checkboxes or tooltips);
+   * the rest of the page is hidden while printing.
+   */
+  function printTranscript(transcript, period){
+    const view = prepareTranscriptPrint(transcript, period);
+    document.body.classList.add('printing-transcript');
+    const cleanup = () => {
+      window.removeEventListener('afterprint', cleanup);
+      document.body.classList.remove('printing-transcript');
+      view.textContent = '';
+    };
+    window.addEventListener('afterprint', cleanup);
+    window.print();
+    postTelemetry('transcript.printed', { room: transcript.room, count: transcript.messages.length });
+  }
+  function printLoadedMessages(){
+    const room = state.joinedRoom;
+    if(!room) return;
+    const messages = (state.messages || []).filter(m => !m.pending && !m.failed && typeof m.id === 'number' && m.id > 0);
+    if(!messages.length){
+      setExportStatus(window.i18n?.printNothingLoaded || 'There are no messages to print.');
+      return;
+    }
+    const from = new Date(messages[0].timestamp);
+    const to = new Date(messages[messages.length - 1].timestamp);
+    printTranscript(buildTranscript(room, messages, from, to), { from, to });
+  }
+  async function exportTranscript(format){
+    const panel = getExportPanel();
+    const room = state.joinedRoom;
+    if(!panel || !room || !EXPORT_FORMATS.includes(format)) return;
+    // datetime-local values carry no zone; Date parses them as local time
+    const from = new Date(panel.querySelector('[name="from"]')?.value || '');
+    const toInput = new Date(panel.querySelector('[name="to"]')?.value || '');
+    if(isNaN(from.getTime()) || isNaN(toInput.getTime())) return;
+    const to = new Date(toInput.getTime() + 59999); // include the whole "to" minute
+    if(from > to){
+      setExportStatus(window.i18n?.exportInvalidRange || 'The start must be before the end.');
+      return;
+    }
+    const token = ++_exportToken;
+    setExportBusy(true);
+    setExportStatus((window.i18n?.exportProgress || 'Fetched {0} messages…').replace('{0}', '0'));
+    try {
+      const result = await fetchTranscriptMessages(room.name, from, to, token);
+      if(result === null || token !== _exportToken) return;
+      const { messages, complete } = result;
+      const transcript = buildTranscript(room, messages, from, to, complete);
+      const incompleteStatus = complete ? '' : (window.i18n?.exportIncomplete || 'Exported {0} messages, but the transcript is incomplete: messages after {1} are missing. Export the rest with a later start.')
+        .replace('{0}', String(messages.length))
+        .replace('{1}', transcriptLastTime(transcript));
+      if(format === 'print'){
+        setExportStatus(incompleteStatus);
+        printTranscript(transcript, { from, to: toInput });
+        return;
+      }
+      if(format === 'csv') downloadTextFile(transcriptFileName(room, from, to, 'csv'), 'text/csv;charset=utf-8', transcriptToCsv(transcript));
+      else if(format === 'json') downloadTextFile(transcriptFileName(room, from, to, 'json'), 'application/json', JSON.stringify(transcript, null, 2));
+      else downloadTextFile(transcriptFileName(room, from, to, 'html'), 'text/html;charset=utf-8', transcriptToHtml(transcript));
+      setExportStatus(incompleteStatus || (window.i18n?.exportDone || 'Exported {0} messages.').replace('{0}', String(messages.length)));
+      postTelemetry('transcript.exported', { room: room.name, format, count: messages.length, complete });
+    } catch(_) {
+      if(token === _exportToken) setExportStatus(window.i18n?.exportFailed || 'Could not export the transcript.');
+    } finally {
+      if(token === _exportToken) setExportBusy(false);
+    }
+  }
+  function wireTranscriptExport(){
+    const panel = getExportPanel();
+    if(!panel) return;
+    const btn = document.getElementById('btn-export');
+    if(btn) btn.addEventListener('click', () => { if(panel.classList.contains('d-none')) openExportPanel(); else closeExportPanel(); });
+    // the submit button that was pressed picks the format
+    panel.addEventListener('submit', e => { e.preventDefault(); exportTranscript(e.submitter?.value || 'html'); });
+    panel.addEventListener('keydown', e => { if(e.key === 'Escape'){ e.preventDefault(); closeExportPanel(); } });
+    const close = panel.querySelector('[data-role="export-close"]');
+    if(close) close.addEventListener('click', closeExportPanel);
+    const printLoaded = panel.querySelector('[data-role="print-loaded"]');
+    if(printLoaded) printLoaded.addEventListener('click', printLoadedMessages);
+  }
+  // ---------------- Unread divider / new messages pill ----------------
+  // The divider is placed once per room visit at the first message the user had not read when joining;
+  // read state comes from readBy, which markVisibleNow updates as messages scroll into view.
+  const MAX_UNREAD_LOOKUP_PAGES = 25;
+  const _unread = { room:null, markerId:null, exact:true, seen:false, newBelow:0 };
+  function isUnreadByMe(m){
+    if(!m || m.isMine || m.pending || m.deletedAt || typeof m.id !== 'number') return false;
+    if(_readMarkCache.has(m.id)) return false;
+    const self = getSelfUserLower();
+    return !(Array.isArray(m.readBy) ? m.readBy : []).some(u => (u||'').toLowerCase() === self);
+  }
+  /**
+   * Index of the first unread message after the last one the user read or sent, or -1 when all are read.
+   */
+  function findFirstUnreadIndex(){
+    const self = getSelfUserLower();
+    let first = -1;
+    for(let i = state.messages.length - 1; i >= 0; i--){
+      const m = state.messages[i];
+      if(isUnreadByMe(m)) first = i;
+      else if(m && (m.isMine || (Array.isArray(m.readBy) && m.readBy.some(u => (u||'').toLowerCase() === self)))) break;
+    }
+    return first;
+  }
+  function placeUnreadMarker(roomName){
+    _unread.newBelow = 0;
+    if(_unread.room === roomName) return; // keep the divider in place across reloads of the same room
+    const index = findFirstUnreadIndex();
+    Object.assign(_unread, {
+      room: roomName,
+      markerId: index >= 0 ? state.messages[index].id : null,
+      // Everything loaded is unread: the real first unread may be on an older page
+      exact: !(index === 0 && state.canLoadMore),
+      seen: false
+    });
+  }
+  function syncUnreadDivider(){
+    if(!els.messagesList) return;
+    const existing = els.messagesList.querySelector('li.unread-divider');
+    const target = _unread.markerId != null && state.joinedRoom && _unread.room === state.joinedRoom.name ? findMessageNode(_unread.markerId) : null;
+    if(!target){ if(existing) existing.remove(); return; }
+    if(existing && existing.nextElementSibling === target) return;
+    if(existing) existing.remove();
+    const divider = document.createElement('li');
+    divider.className = 'unread-divider';
+    divider.setAttribute('role', 'separator');
+    const label = document.createElement('span');
+    label.textContent = window.i18n?.newMessages || 'New messages';
+    divider.appendChild(label);
+    target.before(divider);
+  }
+  /**
+   * Shows the "N new messages" pill while messages wait below the viewport (or behind a history window)
+   * and the "Jump to first unread" action until the divider has been scrolled into view.
+   */
+  function updateUnreadIndicators(){
+    const mc = document.querySelector('.messages-container');
+    const atBottom = !state.historyWindow && isAtBottom();
+    if(atBottom) _unread.newBelow = 0;
+    const pill = document.getElementById('new-messages-pill');
+    if(pill){
+      pill.classList.toggle('d-none', _unread.newBelow === 0);
+      pill.textContent = (window.i18n?.newMessagesBelow || '{0} new messages ↓').replace('{0}', _unread.newBelow);
+    }
+    const divider = els.messagesList && els.messagesList.querySelector('li.unread-divider');
+    let dividerAbove = !divider && !_unread.exact;
+    if(divider && mc){
+      const view = mc.getBoundingClientRect();
+      const r = divider.getBoundingClientRect();
+      if(r.bottom > view.top && r.top < view.bottom) _unread.seen = true;
+      dividerAbove = r.bottom <= view.top;
+    }
+    const jump = document.getElementById('jump-unread');
+    if(jump) jump.classList.toggle('d-none', !_unread.markerId || _unread.seen || !!state.historyWindow || !dividerAbove);
+  }
+  async function jumpToFirstUnread(){
+    if(state.historyWindow || _unread.markerId == null) return;
+    if(!_unread.exact){
+      for(let page = 0; page < MAX_UNREAD_LOOKUP_PAGES && state.canLoadMore; page++){
+        const before = state.messages.length;
+        await loadOlderMessages();
+        if(state.messages.length === before || findFirstUnreadIndex() > 0) break;
+      }
+      const index = findFirstUnreadIndex();
+      if(index >= 0) _unread.markerId = state.messages[index].id;
+      _unread.exact = true;
+      syncUnreadDivider();
+    }
+    const divider = els.messagesList && els.messagesList.querySelector('li.unread-divider');
+    if(divider){
+      state.autoScroll = false;
+      _unread.seen = true;
+      divider.scrollIntoView({ block: 'start', behavior: 'smooth' });
+    }
+    updateUnreadIndicators();
+  }
+  function scrollToLatest(){
+    if(state.historyWindow){ returnToLatest(); return; }
+    const mc = document.querySelector('.messages-container');
+    if(!mc) return;
+    state.autoScroll = true;
+    mc.scrollTo({ top: mc.scrollHeight, behavior: 'smooth' });
+  }
+  function wireUnreadIndicators(){
+    const pill = document.getElementById('new-messages-pill');
+    if(pill) pill.addEventListener('click', scrollToLatest);
+    const jump = document.getElementById('jump-unread');
+    if(jump) jump.addEventListener('click', ()=> { jumpToFirstUnread(); });
+  }
+  // ---------------- Message priority (urgent / critical) ----------------
+  // Urgent and critical messages from the other dispatch center stay in a banner until the user reads them and
+  // sound an alarm until someone from the user's dispatch center acknowledges them (reads or reacts).
+  const MESSAGE_PRIORITIES = ['Normal', 'Urgent', 'Critical'];
+  const PRIORITY_ALARM_INTERVAL_MS = { Urgent: 2500, Critical: 1200 };
+  const _priorityAlarm = { ctx:null, timer:null, level:null };
+  function normalizePriority(value){
+    const lower = String(value || '').toLowerCase();
+    return MESSAGE_PRIORITIES.find(p => p.toLowerCase() === lower) || 'Normal';
+  }
+  function priorityLabel(priority){
+    if(priority === 'Critical') return window.i18n?.priorityCritical || 'Critical';
+    if(priority === 'Urgent') return window.i18n?.priorityUrgent || 'Urgent';
+    return window.i18n?.priorityNormal || 'Normal';
+  }
+  function isFromMyDispatchCenter(m){
+    const myDispatchCenterId = String(state.profile && state.profile.dispatchCenterId || '').toLowerCase();
+    return !!myDispatchCenterId && String(m.fromDispatchCenterId || '').toLowerCase() === myDispatchCenterId;
+  }
+  /**
+   * True for an urgent / critical message from the other side that nobody from my dispatch center has acknowledged yet.
+   */
+  function isAwaitingAcknowledgement(m){
+    if(!m || normalizePriority(m.priority) === 'Normal' || m.isMine || m.pending || m.deletedAt || typeof m.id !== 'number') return false;
+    if(isFromMyDispatchCenter(m) || _readMarkCache.has(m.id)) return false;
+    const myDispatchCenterId = String(state.profile && state.profile.dispatchCenterId || '').toLowerCase();
+    if(!myDispatchCenterId) return isUnreadByMe(m);
+    const hasMyCenter = ids => Array.isArray(ids) && ids.some(id => String(id || '').toLowerCase() === myDispatchCenterId);
+    if(hasMyCenter(m.readByDispatchCenterIds)) return false;
+    return !Object.values(m.reactions || {}).some(hasMyCenter);
+  }
+  function syncPriorityMarker(li, info, m){
+    const priority = normalizePriority(m.priority);
+    if(li){
+      li.classList.toggle('priority-urgent', priority === 'Urgent' && !m.deletedAt);
+      li.classList.toggle('priority-critical', priority === 'Critical' && !m.deletedAt);
+    }
+    if(!info) return;
+    let marker = info.querySelector('[data-role="priority-marker"]');
+    if(priority === 'Normal' || m.deletedAt){
+      if(marker) marker.remove();
+      return;
+    }
+    if(!marker){
+      marker = document.createElement('span');
+      marker.setAttribute('data-role', 'priority-marker');
+      const author = info.querySelector('.author');
+      if(author) author.before(marker); else info.prepend(marker);
+    }
+    marker.className = 'priority-marker badge ' + (priority === 'Critical' ? 'bg-danger' : 'text-bg-warning');
+    marker.textContent = priorityLabel(priority);
+  }
+  function syncPriorityAlerts(){
+    // Messages held back while a history window is shown still raise the alarm
+    const pool = state.historyWindow ? state.messages.concat(state.historyWindow.liveMessages) : state.messages;
+    const unread = pool.filter(m => m && normalizePriority(m.priority) !== 'Normal' && !isFromMyDispatchCenter(m) && isUnreadByMe(m));
+    renderPriorityBanner(unread);
+    const alarming = unread.filter(isAwaitingAcknowledgement);
+    setPriorityAlarm(!alarming.length ? null : alarming.some(m => m.priority === 'Critical') ? 'Critical' : 'Urgent');
+  }
+  function renderPriorityBanner(unread){
+    const banner = document.getElementById('priority-banner');
+    if(!banner) return;
+    const first = unread[0];
+    banner.classList.toggle('d-none', !first);
+    if(!first){ delete banner.dataset.id; return; }
+    banner.dataset.id = String(first.id);
+    banner.classList.toggle('priority-critical', unread.some(m => m.priority === 'Critical'));
+    const label = banner.querySelector('[data-role="priority-label"]');
+    if(label) label.textContent = priorityLabel(first.priority);
+    const text = banner.querySelector('[data-role="priority-show"]');
+    if(text) text.textContent = resolveDisplayName(first.fromUserName, first.fromFullName) + ': ' + (first.content || (first.attachment ? '📎' : ''));
+    const more = banner.querySelector('[data-role="priority-more"]');
+    if(more) more.textContent = unread.length > 1 ? (window.i18n?.morePriorityMessages || '+{0} more').replace('{0}', unread.length - 1) : '';
+  }
+  /**
+   * Marks the message read for the user and, through the read receipt, acknowledged for their dispatch center;
+   * the read broadcast silences the alarm for everyone else in that center.
+   */
+  function acknowledgePriorityMessage(id){
+    if(!Number.isFinite(id) || !hub) return;
+    _readMarkCache.add(id);
+    hub.invoke('MarkRead', id).catch(() => { _readMarkCache.delete(id); syncPriorityAlerts(); });
+    syncPriorityAlerts();
+  }
+  function showPriorityMessage(id){
+    const hw = state.historyWindow;
+    if(hw && hw.liveMessages.some(m => m.id === id)){ returnToLatest().then(() => scrollToMessage(id)); return; }
+    scrollToMessage(id);
+  }
+  function setPriorityAlarm(level){
+    if(_priorityAlarm.level === level) return;
+    if(_priorityAlarm.timer){ clearInterval(_priorityAlarm.timer); _priorityAlarm.timer = null; }
+    _priorityAlarm.level = level;
+    if(!level) return;
+    playAlarmTone(level);
+    _priorityAlarm.timer = setInterval(() => playAlarmTone(level), PRIORITY_ALARM_INTERVAL_MS[level]);
+  }
+  function playAlarmTone(level){
+    try {
+      const AudioCtx = window.AudioContext || window.webkitAudioContext;
+      if(!AudioCtx) return;
+      const ctx = _priorityAlarm.ctx || (_priorityAlarm.ctx = new AudioCtx());
+      if(ctx.state === 'suspended') ctx.resume().catch(() => {}); // autoplay policy: resumes after the next user gesture
+      const tones = level === 'Critical' ? [988, 740, 988, 740] : [880, 660];
+      tones.forEach((frequency, i) => {
+        const start = ctx.currentTime + i * 0.22;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.type = 'square';
+        osc.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(0.2, start + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.2);
+        osc.connect(gain).connect(ctx.destination);
+        osc.start(start);
+        osc.stop(start + 0.21);
+      });
+    } catch(_) { /* audio unavailable */ }
+  }
+  function renderComposerPriority(){
+    const btn = document.getElementById('btn-priority');
+    if(!btn) return;
+    const priority = state.composerPriority;
+    btn.textContent = priorityLabel(priority);
+    btn.dataset.priority = priority;
+    btn.setAttribute('aria-pressed', priority === 'Normal' ? 'false' : 'true');
+    const container = btn.closest('.message-input-container');
+    if(container){
+      container.classList.toggle('priority-urgent', priority === 'Urgent');
+      container.classList.toggle('priority-critical', priority === 'Critical');
+    }
+  }
+  function setComposerPriority(priority){
+    state.composerPriority = normalizePriority(priority);
+    renderComposerPriority();
+  }
+  function wirePriority(){
+    const btn = document.getElementById('btn-priority');
+    if(btn) btn.addEventListener('click', () => {
+      const next = MESSAGE_PRIORITIES[(MESSAGE_PRIORITIES.indexOf(state.composerPriority) + 1) % MESSAGE_PRIORITIES.length];
+      setComposerPriority(next);
+      if(els.messageInput) els.messageInput.focus();
+    });
+    renderComposerPriority();
+    const banner = document.getElementById('priority-banner');
+    if(banner){
+      const show = banner.querySelector('[data-role="priority-show"]');
+      if(show) show.addEventListener('click', () => showPriorityMessage(Number(banner.dataset.id)));
+      const ack = banner.querySelector('[data-role="priority-ack"]');
+      if(ack) ack.addEventListener('click', () => acknowledgePriorityMessage(Number(banner.dataset.id)));
+    }
+    const resumeAudio = () => { const ctx = _priorityAlarm.ctx; if(ctx && ctx.state === 'suspended') ctx.resume().catch(() => {}); };
+    document.addEventListener('pointerdown', resumeAudio, true);
+    document.addEventListener('keydown', resumeAudio, true);
+  }
+  // ---------------- Incident cards ----------------
+  // A card carries structured fields next to its free-text details; the details are the message content,
+  // so only they are translated. Copy as text uses fixed English labels so CAD systems can parse it.
+  const INCIDENT_CATEGORIES = ['Medical', 'Fire', 'Traffic', 'Hazmat', 'Police', 'Rescue', 'Other'];
+  function normalizeIncidentCard(c){
+    if(!c) return null;
+    const num = v => (v === null || v === undefined || v === '') ? null : Number(v);
+    return {
+      incidentId: c.incidentId ?? c.IncidentId ?? null,
+      category: c.category || c.Category || 'Other',
+      address: c.address ?? c.Address ?? null,
+      latitude: num(c.latitude ?? c.Latitude),
+      longitude: num(c.longitude ?? c.Longitude),
+      unitsRequested: c.unitsRequested ?? c.UnitsRequested ?? null,
+      callbackNumber: c.callbackNumber ?? c.CallbackNumber ?? null
+    };
+  }
+  function incidentCategoryLabel(category){
+    return (window.i18n && window.i18n['incidentCategory' + category]) || category;
+  }
+  function formatCardCoordinates(card){
+    return card.latitude != null && card.longitude != null ? card.latitude + ', ' + card.longitude : '';
+  }
+  function formatIncidentCardText(m){
+    const card = m.card || {};
+    const lines = ['INCIDENT CARD'];
+    const add = (label, value) => { if(value) lines.push(label + ': ' + value); };
+    add('Incident ID', card.incidentId);
+    add('Category', card.category);
+    add('Address', card.address);
+    add('Coordinates', formatCardCoordinates(card));
+    add('Units requested', card.unitsRequested);
+    add('Callback number', card.callbackNumber);
+    add('Details', m.content);
+    return lines.join('\n');
+  }
+  function syncIncidentCard(contentEl, m){
+    if(!contentEl) return;
+    let box = contentEl.querySelector('.incident-card');
+    const card = m.deletedAt ? null : m.card;
+    if(!card){ if(box) box.remove(); return; }
+    if(!box){
+      box = document.createElement('div');
+      box.className = 'incident-card';
+      const body = contentEl.querySelector('.content');
+      if(body) body.before(box); else contentEl.appendChild(box);
+    }
+    const key = JSON.stringify(card);
+    if(box.dataset.key === key) return;
+    box.dataset.key = key;
+    box.textContent = '';
+    const header = document.createElement('div');
+    header.className = 'incident-card-header d-flex flex-wrap align-items-center gap-2';
+    const category = document.createElement('span');
+    category.className = 'badge incident-category incident-category-' + String(card.category).toLowerCase();
+    category.textContent = incidentCategoryLabel(card.category);
+    header.appendChild(category);
+    const title = document.createElement('span');
+    title.className = 'fw-semibold';
+    title.textContent = window.i18n?.incidentCard || 'Incident card';
+    header.appendChild(title);
+    if(card.incidentId) header.appendChild(createChip({ kind: 'incident', text: card.incidentId }));
+    const copy = document.createElement('button');
+    copy.type = 'button';
+    copy.className = 'btn btn-link btn-sm p-0 ms-auto incident-card-copy';
+    copy.textContent = window.i18n?.copyAsText || 'Copy as text';
+    copy.addEventListener('click', e => {
+      e.stopPropagation();
+      // Resolve the live record so edited details are included
+      const li = copy.closest('li');
+      const current = li && state.messages.find(x => x && ((li.dataset.id && String(x.id) === li.dataset.id) || (li.dataset.cid && x.correlationId === li.dataset.cid)));
+      copyChipValue(copy, formatIncidentCardText(current || m));
+    });
+    header.appendChild(copy);
+    box.appendChild(header);
+    const fields = document.createElement('dl');
+    fields.className = 'incident-card-fields mb-0';
+    const addField = (label, value) => {
+      if(!value) return;
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      if(typeof value === 'string') dd.textContent = value; else dd.appendChild(value);
+      fields.appendChild(dt);
+      fields.appendChild(dd);
+    };
+    addField(window.i18n?.address || 'Address', card.address);
+    const coords = formatCardCoordinates(card);
+    addField(window.i18n?.coordinates || 'Coordinates', coords ? createChip({ kind: 'coords', text: coords, value: coords }) : null);
+    addField(window.i18n?.unitsRequested || 'Units requested', card.unitsRequested);
+    const digits = String(card.callbackNumber || '').replace(/\D/g, '');
+    addField(window.i18n?.callbackNumber || 'Callback number', !card.callbackNumber ? null
+      : digits.length >= 3 ? createChip({ kind: 'phone', text: card.callbackNumber, value: (card.callbackNumber.trim().startsWith('+') ? '+' : '') + digits })
+      : card.callbackNumber);
+    box.appendChild(fields);
+  }
+  function getIncidentCardForm(){ return document.getElementById('incident-card-form'); }
+  function openIncidentCardForm(){
+    const form = getIncidentCardForm();
+    if(!form || !state.joinedRoom) return;
+    closeTemplatePicker(false);
+    closeLocationForm(false);
+    closeScheduleForm(false);
+    form.classList.remove('d-none');
+    const btn = document.getElementById('btn-incident-card');
+    if(btn) btn.setAttribute('aria-expanded', 'true');
+    const first = form.querySelector('[name="category"]');
+    if(first) first.focus();
+  }
+  function closeIncidentCardForm(restoreFocus){
+    const form = getIncidentCardForm();
+    if(!form || form.classList.contains('d-none')) return;
+    form.reset();
+    form.classList.add('d-none');
+    const btn = document.getElementById('btn-incident-card');
+    if(btn) btn.setAttribute('aria-expanded', 'false');
+    if(restoreFocus && els.messageInput) els.messageInput.focus();
+  }
+  /**
+   * Reads the form into { card, details }; returns null (after reporting) when the coordinates cannot be parsed.
+   */
+  function readIncidentCardForm(form){
+    const value = name => { const el = form.querySelector('[name="' + name + '"]'); return el ? el.value.trim() : ''; };
+    let latitude = null, longitude = null;
+    const coords = value('coordinates');
+    if(coords){
+      const parsed = parseCoordinates(coords);
+      if(!parsed){
+        showError(window.i18n?.invalidCoordinates || 'Enter coordinates as latitude, longitude (e.g. 49.7484, 18.6321).');
+        return null;
+      }
+      ({ latitude, longitude } = parsed);
+    }
+    return {
+      details: value('details'),
+      card: {
+        incidentId: value('incidentId') || null,
+        category: value('category') || 'Other',
+        address: value('address') || null,
+        latitude,
+        longitude,
+        unitsRequested: value('unitsRequested') || null,
+        callbackNumber: value('callbackNumber') || null
+      }
+    };
+  }
+  /**
+   * Sends the form as an incident card through the regular send / outbox path (priority and reply apply as for text).
+   */
+  function sendIncidentCard(){
+    const form = getIncidentCardForm();
+    if(!form) return;
+    const values = readIncidentCardForm(form);
+    if(!values) return;
+    if(state.historyWindow){ returnToLatest().then(sendIncidentCard); return; }
+    if(!sendStructuredMessage(values.details, { card: values.card }, 'incidentCard')) return;
+    closeIncidentCardForm(true);
+  }
+  /**
+   * Sends a message carrying structured <extras> (card, location) with the composer's reply target and priority,
+   * directly when connected or through the outbox otherwise. Returns false when the outbox is full.
+   */
+  function sendStructuredMessage(text, extras, reason){
+    const cid = secureRandomId('c_', 12);
+    const payload = Object.assign({ priority: state.composerPriority }, extras);
+    if(canSendImmediately()){
+      ensureOptimisticMessage(text, cid, state.replyToId, payload);
+      internalSendMessage(text, /*bypassRateLimit*/ true, /*fromFlush*/ false, cid).catch(()=>{});
+    } else {
+      if(!queueOutbound(text, state.replyToId, Object.assign({ correlationId: cid }, payload))) return false;
+      postTelemetry('send.queue',{reason, size: state.outbox.length});
+    }
+    cancelReply();
+    setComposerPriority('Normal');
+    return true;
+  }
+  function wireIncidentCards(){
+    const form = getIncidentCardForm();
+    if(!form) return;
+    const btn = document.getElementById('btn-incident-card');
+    if(btn) btn.addEventListener('click', () => { if(form.classList.contains('d-none')) openIncidentCardForm(); else closeIncidentCardForm(true); });
+    form.addEventListener('submit', e => { e.preventDefault(); sendIncidentCard(); });
+    form.addEventListener('keydown', e => { if(e.key === 'Escape'){ e.preventDefault(); closeIncidentCardForm(true); } });
+    form.querySelectorAll('[data-role="card-cancel"]').forEach(el => el.addEventListener('click', () => closeIncidentCardForm(true)));
+  }
+  // ---------------- Shared locations ----------------
+  // Positions travel as WGS84 decimal degrees; every client derives the DMS and UTM forms itself,
+  // so the card needs no map tiles and works offline.
+  const WGS84_A = 6378137;
+  const WGS84_E2 = 0.00669437999014;
+  const UTM_K0 = 0.9996;
+  const UTM_BANDS = 'CDEFGHJKLMNPQRSTUVWXX';
+  const DECIMAL_COORDS_RE = /^\s*([-+]?\d{1,2}(?:\.\d+)?)\s*°?\s*([NS])?\s*[,;\s]\s*([-+]?\d{1,3}(?:\.\d+)?)\s*°?\s*([EW])?\s*$/i;
+  const UTM_COORDS_RE = /^\s*(\d{1,2})\s*([C-HJ-NP-X])\s+(\d{1,6}(?:\.\d+)?)\s*m?\s*E?\s*[,;\s]\s*(\d{1,7}(?:\.\d+)?)\s*m?\s*N?\s*$/i;
+  const dmsHalf = (hemi, degDigits) => '([' + hemi + '])?\\s*(\\d{1,' + degDigits + '}(?:[.,]\\d+)?)\\s*[°º]?\\s*(?:(\\d{1,2}(?:[.,]\\d+)?)\\s*[\'′’]?\\s*(?:(\\d{1,2}(?:[.,]\\d+)?)\\s*(?:["″”]|\'\')?)?)?\\s*([' + hemi + '])?';
+  const DMS_COORDS_RE = new RegExp('^\\s*' + dmsHalf('NS', 2) + '\\s*[,;]?\\s*' + dmsHalf('EW', 3) + '\\s*$', 'i');
+  function normalizeSharedLocation(l){
+    if(!l) return null;
+    const accuracy = l.accuracyMeters ?? l.AccuracyMeters;
+    return {
+      latitude: Number(l.latitude ?? l.Latitude),
+      longitude: Number(l.longitude ?? l.Longitude),
+      accuracyMeters: accuracy === null || accuracy === undefined ? null : Number(accuracy)
+    };
+  }
+  function isValidLatLon(lat, lon){
+    return Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180;
+  }
+  function dmsToDecimal(deg, min, sec, prefix, suffix, negative){
+    if(prefix && suffix) return NaN;
+    const num = v => v === undefined ? 0 : Number(String(v).replace(',', '.'));
+    const d = num(deg), mi = num(min), s = num(sec);
+    if((min !== undefined && !Number.isInteger(d)) || (sec !== undefined && !Number.isInteger(mi)) || mi >= 60 || s >= 60) return NaN;
+    const hemi = String(prefix || suffix || '').toUpperCase();
+    return (d + mi / 60 + s / 3600) * (hemi === negative ? -1 : 1);
+  }
+  /**
+   * Inverse transverse Mercator (WGS84). Band letters N–X are north of the equator, C–M south.
+   */
+  function utmToLatLon(zone, band, easting, northing){
+    const e2 = WGS84_E2, ep2 = e2 / (1 - e2);
+    const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+    const x = easting - 500000;
+    const y = band.toUpperCase() >= 'N' ? northing : northing - 10000000;
+    const mu = y / UTM_K0 / (WGS84_A * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256));
+    const phi1 = mu + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu)
+      + (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu)
+      + (151 * e1 ** 3 / 96) * Math.sin(6 * mu)
+      + (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+    const sin1 = Math.sin(phi1), cos1 = Math.cos(phi1), tan1 = Math.tan(phi1);
+    const n1 = WGS84_A / Math.sqrt(1 - e2 * sin1 * sin1);
+    const t1 = tan1 * tan1, c1 = ep2 * cos1 * cos1;
+    const r1 = WGS84_A * (1 - e2) / Math.pow(1 - e2 * sin1 * sin1, 1.5);
+    const d = x / (n1 * UTM_K0);
+    const lat = phi1 - (n1 * tan1 / r1) * (d * d / 2
+      - (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * d ** 4 / 24
+      + (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * d ** 6 / 720);
+    const lon0 = ((zone - 1) * 6 - 180 + 3) * Math.PI / 180;
+    const lon = lon0 + (d - (1 + 2 * t1 + c1) * d ** 3 / 6
+      + (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * d ** 5 / 120) / cos1;
+    return { latitude: lat * 180 / Math.PI, longitude: lon * 180 / Math.PI };
+  }
+  /**
+   * Forward transverse Mercator (WGS84) with the Norway / Svalbard zone exceptions; null outside 80°S–84°N.
+   */
+  function latLonToUtm(latitude, longitude){
+    if(latitude < -80 || latitude > 84) return null;
+    const lonNorm = longitude >= 180 ? longitude - 360 : longitude;
+    let zone = Math.floor((lonNorm + 180) / 6) + 1;
+    if(latitude >= 56 && latitude < 64 && lonNorm >= 3 && lonNorm < 12) zone = 32;
+    if(latitude >= 72){
+      if(lonNorm >= 0 && lonNorm < 9) zone = 31;
+      else if(lonNorm >= 9 && lonNorm < 21) zone = 33;
+      else if(lonNorm >= 21 && lonNorm < 33) zone = 35;
+      else if(lonNorm >= 33 && lonNorm < 42) zone = 37;
+    }
+    const e2 = WGS84_E2, ep2 = e2 / (1 - e2);
+    const phi = latitude * Math.PI / 180;
+    const lon0 = ((zone - 1) * 6 - 180 + 3) * Math.PI / 180;
+    const sin = Math.sin(phi), cos = Math.cos(phi), tan = Math.tan(phi);
+    const n = WGS84_A / Math.sqrt(1 - e2 * sin * sin);
+    const t = tan * tan, c = ep2 * cos * cos;
+    const a = cos * (lonNorm * Math.PI / 180 - lon0);
+    const m = WGS84_A * ((1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 ** 3 / 256) * phi
+      - (3 * e2 / 8 + 3 * e2 * e2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi)
+      + (15 * e2 * e2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi)
+      - (35 * e2 ** 3 / 3072) * Math.sin(6 * phi));
+    const easting = UTM_K0 * n * (a + (1 - t + c) * a ** 3 / 6 + (5 - 18 * t + t * t + 72 * c - 58 * ep2) * a ** 5 / 120) + 500000;
+    let northing = UTM_K0 * (m + n * tan * (a * a / 2 + (5 - t + 9 * c + 4 * c * c) * a ** 4 / 24
+      + (61 - 58 * t + t * t + 600 * c - 330 * ep2) * a ** 6 / 720));
+    if(latitude < 0) northing += 10000000;
+    return { zone, band: UTM_BANDS[Math.floor((latitude + 80) / 8)], easting, northing };
+  }
+  /**
+   * Parses typed coordinates: decimal ("49.7484, 18.6321", "49.7484N 18.6321E"), DMS or degrees and
+   * decimal minutes ("49°44'54.2\"N 18°37'55.6\"E") and UTM ("34U 359123 5512345").
+   * Returns { latitude, longitude } or null when the text is not a valid position.
+   */
+  function parseCoordinates(text){
+    const input = String(text || '').trim();
+    if(!input) return null;
+    let lat = NaN, lon = NaN, match;
+    if((match = DECIMAL_COORDS_RE.exec(input))){
+      lat = Number(match[1]) * (String(match[2] || '').toUpperCase() === 'S' ? -1 : 1);
+      lon = Number(match[3]) * (String(match[4] || '').toUpperCase() === 'W' ? -1 : 1);
+      if((match[2] && match[1].startsWith('-')) || (match[4] && match[3].startsWith('-'))) return null;
+    } else if((match = UTM_COORDS_RE.exec(input))){
+      const zone = Number(match[1]);
+      if(zone < 1 || zone > 60) return null;
+      ({ latitude: lat, longitude: lon } = utmToLatLon(zone, match[2], Number(match[3]), Number(match[4])));
+    } else if((match = DMS_COORDS_RE.exec(input))){
+      lat = dmsToDecimal(match[2], match[3], match[4], match[1], match[5], 'S');
+      lon = dmsToDecimal(match[7], match[8], match[9], match[6], match[10], 'W');
+    }
+    if(!isValidLatLon(lat, lon)) return null;
+    return { latitude: Math.round(lat * 1e6) / 1e6, longitude: Math.round(lon * 1e6) / 1e6 };
+  }
+  function formatDecimalCoordinates(l){
+    return l.latitude.toFixed(6) + ', ' + l.longitude.toFixed(6);
+  }
+  function formatDmsCoordinates(l){
+    const part = (value, pos, neg) => {
+      const abs = Math.abs(value);
+      let d = Math.floor(abs), m = Math.floor((abs - d) * 60), s = Math.round(((abs - d) * 60 - m) * 600) / 10;
+      if(s >= 60){ s = 0; m++; }
+      if(m >= 60){ m = 0; d++; }
+      return d + '°' + String(m).padStart(2, '0') + '′' + s.toFixed(1).padStart(4, '0') + '″' + (value < 0 ? neg : pos);
+    };
+    return part(l.latitude, 'N', 'S') + ' ' + part(l.longitude, 'E', 'W');
+  }
+  function formatUtmCoordinates(l){
+    const utm = latLonToUtm(l.latitude, l.longitude);
+    return utm ? utm.zone + utm.band + ' ' + Math.round(utm.easting) + ' ' + Math.round(utm.northing) : '';
+  }
+  function syncLocationCard(contentEl, m){
+    if(!contentEl) return;
+    let box = contentEl.querySelector('.location-card');
+    const location = m.deletedAt ? null : m.location;
+    if(!location || !isValidLatLon(location.latitude, location.longitude)){ if(box) box.remove(); return; }
+    if(!box){
+      box = document.createElement('div');
+      box.className = 'location-card';
+      const body = contentEl.querySelector('.content');
+      if(body) body.before(box); else contentEl.appendChild(box);
+    }
+    const key = JSON.stringify(location);
+    if(box.dataset.key === key) return;
+    box.dataset.key = key;
+    box.textContent = '';
+    const header = document.createElement('div');
+    header.className = 'location-card-header d-flex flex-wrap align-items-center gap-2';
+    const title = document.createElement('span');
+    title.className = 'fw-semibold';
+    title.textContent = window.i18n?.sharedLocation || 'Location';
+    header.appendChild(title);
+    if(location.accuracyMeters != null){
+      const accuracy = document.createElement('span');
+      accuracy.className = 'small text-muted';
+      accuracy.textContent = (window.i18n?.locationAccuracy || '±{0} m').replace('{0}', String(Math.round(location.accuracyMeters)));
+      header.appendChild(accuracy);
+    }
+    box.appendChild(header);
+    const rows = document.createElement('dl');
+    rows.className = 'location-card-formats mb-0';
+    [
+      [window.i18n?.coordinateFormatDecimal || 'Decimal', formatDecimalCoordinates(location)],
+      ['DMS', formatDmsCoordinates(location)],
+      ['UTM', formatUtmCoordinates(location)]
+    ].forEach(([label, value]) => {
+      if(!value) return;
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      const text = document.createElement('span');
+      text.className = 'location-value';
+      text.textContent = value;
+      const copy = document.createElement('button');
+      copy.type = 'button';
+      copy.className = 'btn btn-link btn-sm p-0 ms-2 location-copy';
+      copy.textContent = window.i18n?.copy || 'Copy';
+      copy.title = (window.i18n?.copyCoordinates || 'Copy coordinates') + ' (' + label + ')';
+      copy.addEventListener('click', e => { e.stopPropagation(); copyChipValue(copy, value); });
+      dd.appendChild(text);
+      dd.appendChild(copy);
+      rows.appendChild(dt);
+      rows.appendChild(dd);
+    });
+    box.appendChild(rows);
+  }
+  function getLocationForm(){ return document.getElementById('location-form'); }
+  function openLocationForm(){
+    const form = getLocationForm();
+    if(!form || !state.joinedRoom) return;
+    closeTemplatePicker(false);
+    closeIncidentCardForm(false);
+    closeScheduleForm(false);
+    form.classList.remove('d-none');
+    const btn = document.getElementById('btn-share-location');
+    if(btn) btn.setAttribute('aria-expanded', 'true');
+    updateLocationPreview(form);
+    const input = form.querySelector('[name="coordinates"]');
+    if(input) input.focus();
+  }
+  function closeLocationForm(restoreFocus){
+    const form = getLocationForm();
+    if(!form || form.classList.contains('d-none')) return;
+    form.reset();
+    delete form.dataset.accuracy;
+    form.classList.add('d-none');
+    const btn = document.getElementById('btn-share-location');
+    if(btn) btn.setAttribute('aria-expanded', 'false');
+    if(restoreFocus && els.messageInput) els.messageInput.focus();
+  }
+  function updateLocationPreview(form){
+    const input = form.querySelector('[name="coordinates"]');
+    const preview = form.querySelector('[data-role="location-preview"]');
+    if(!input || !preview) return;
+    const parsed = parseCoordinates(input.value);
+    preview.classList.toggle('text-danger', !parsed && !!input.value.trim());
+    preview.textContent = parsed ? formatDecimalCoordinates(parsed) + ' · ' + formatDmsCoordinates(parsed)
+      : input.value.trim() ? (window.i18n?.coordinatesNotRecognized || 'Coordinates not recognized') : '';
+  }
+  /**
+   * Fills the form from the browser's Geolocation API; the reported accuracy is kept until the input is edited.
+   */
+  function locateForForm(form){
+    if(!navigator.geolocation){ showError(window.i18n?.locationUnavailable || 'Your location is not available.'); return; }
+    const btn = form.querySelector('[data-role="location-locate"]');
+    if(btn) btn.disabled = true;
+    navigator.geolocation.getCurrentPosition(pos => {
+      if(btn) btn.disabled = false;
+      const input = form.querySelector('[name="coordinates"]');
+      if(input) input.value = pos.coords.latitude.toFixed(6) + ', ' + pos.coords.longitude.toFixed(6);
+      form.dataset.accuracy = String(pos.coords.accuracy);
+      updateLocationPreview(form);
+    }, err => {
+      if(btn) btn.disabled = false;
+      log('warn', 'location.geolocation.failed', { code: err && err.code });
+      showError(window.i18n?.locationUnavailable || 'Your location is not available.');
+    }, { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 });
+  }
+  function shareLocation(){
+    const form = getLocationForm();
+    if(!form) return;
+    const input = form.querySelector('[name="coordinates"]');
+    const parsed = parseCoordinates(input && input.value);
+    if(!parsed){
+      showError(window.i18n?.invalidLocation || 'Enter coordinates as decimal degrees, DMS or UTM.');
+      return;
+    }
+    if(state.historyWindow){ returnToLatest().then(shareLocation); return; }
+    const accuracy = Number(form.dataset.accuracy);
+    const note = form.querySelector('[name="note"]');
+    const location = { latitude: parsed.latitude, longitude: parsed.longitude, accuracyMeters: Number.isFinite(accuracy) ? Math.round(accuracy) : null };
+    if(!sendStructuredMessage(note ? note.value.trim() : '', { location }, 'location')) return;
+    closeLocationForm(true);
+  }
+  function wireLocationSharing(){
+    const form = getLocationForm();
+    if(!form) return;
+    const btn = document.getElementById('btn-share-location');
+    if(btn) btn.addEventListener('click', () => { if(form.classList.contains('d-none')) openLocationForm(); else closeLocationForm(true); });
+    form.addEventListener('submit', e => { e.preventDefault(); shareLocation(); });
+    form.addEventListener('keydown', e => { if(e.key === 'Escape'){ e.preventDefault(); closeLocationForm(true); } });
+    const input = form.querySelector('[name="coordinates"]');
+    if(input) input.addEventListener('input', () => { delete form.dataset.accuracy; updateLocationPreview(form); });
+    const locate = form.querySelector('[data-role="location-locate"]');
+    if(locate) locate.addEventListener('click', () => locateForForm(form));
+    form.querySelectorAll('[data-role="location-cancel"]').forEach(el => el.addEventListener('click', () => closeLocationForm(true)));
+  }
+  // ---------------- Scheduled messages ----------------
+  // The server posts scheduled messages when they fall due, so they go out even if this client is offline then.
+  // They are kept in their own list (never in state.outbox) and refreshed from the server once due, on join and on reconnect.
+  const SCHEDULED_REFRESH_GRACE_MS = 8000;
+  const SCHEDULED_RETRY_MS = 30000;
+  let _scheduledRefreshTimer = null;
+  function normalizeScheduledMessage(s){
+    if(!s) return null;
+    return {
+      id: s.id ?? s.Id,
+      room: s.room ?? s.Room,
+      content: s.content ?? s.Content ?? '',
+      priority: normalizePriority(s.priority ?? s.Priority),
+      sendAt: s.sendAt || s.SendAt,
+      status: s.status || s.Status || 'Scheduled',
+      failureReason: s.failureReason ?? s.FailureReason ?? null
+    };
+  }
+  function isScheduledDue(item){
+    return item.status === 'Scheduled' && new Date(item.sendAt).getTime() <= Date.now();
+  }
+  function loadScheduledMessages(){
+    const roomName = state.joinedRoom && state.joinedRoom.name;
+    if(!roomName){ state.scheduled = []; renderScheduledMessages(); return; }
+    apiGet('/api/ScheduledMessages?room=' + encodeURIComponent(roomName))
+      .then(list => {
+        if(!state.joinedRoom || state.joinedRoom.name !== roomName) return; // room changed meanwhile
+        state.scheduled = (Array.isArray(list) ? list : []).map(normalizeScheduledMessage).filter(Boolean);
+        renderScheduledMessages();
+      })
+      .catch(() => { renderScheduledMessages(); /* keep the last known list; retried by the refresh timer */ });
+  }
+  /**
+   * Re-fetches the list shortly after the next item falls due, so sent items drop out and failures show up.
+   */
+  function scheduleScheduledRefresh(){
+    if(_scheduledRefreshTimer){ clearTimeout(_scheduledRefreshTimer); _scheduledRefreshTimer = null; }
+    const pending = (state.scheduled || []).filter(s => s.status === 'Scheduled');
+    if(!pending.length) return;
+    const next = Math.min(...pending.map(s => new Date(s.sendAt).getTime()));
+    const untilDue = next - Date.now();
+    const delay = untilDue > 0 ? Math.min(untilDue + SCHEDULED_REFRESH_GRACE_MS, 3600000) : SCHEDULED_RETRY_MS;
+    _scheduledRefreshTimer = setTimeout(() => { _scheduledRefreshTimer = null; loadScheduledMessages(); }, delay);
+  }
+  function refreshIfScheduledDue(){
+    if((state.scheduled || []).some(isScheduledDue)) loadScheduledMessages();
+  }
+  function scheduledStatusText(item){
+    if(item.status === 'Failed'){
+      return (window.i18n?.scheduledNotSent || 'Not sent') + (item.failureReason ? ': ' + item.failureReason : '');
+    }
+    if(isScheduledDue(item)){
+      return state.isOffline
+        ? (window.i18n?.scheduledDueOffline || 'Due – the server sends it while you are offline')
+        : (window.i18n?.scheduledSending || 'Sending…');
+    }
+    return formatDateParts(item.sendAt).full;
+  }
+  function renderScheduledMessages(){
+    const strip = document.getElementById('scheduled-strip');
+    if(!strip) return;
+    const items = (state.scheduled || []).slice().sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+    strip.classList.toggle('d-none', !items.length);
+    const title = strip.querySelector('[data-role="scheduled-title"]');
+    if(title) title.textContent = (window.i18n?.scheduledMessagesCount || 'Scheduled messages ({0})').replace('{0}', String(items.length));
+    const list = strip.querySelector('[data-role="scheduled-list"]');
+    if(list){
+      list.textContent = '';
+      items.forEach(item => {
+        const li = document.createElement('li');
+        li.className = 'scheduled-item d-flex align-items-center gap-2';
+        li.dataset.id = item.id;
+        li.classList.toggle('failed', item.status === 'Failed');
+        li.classList.toggle('due', isScheduledDue(item));
+        const when = document.createElement('span');
+        when.className = 'scheduled-when small text-nowrap';
+        when.textContent = scheduledStatusText(item);
+        li.appendChild(when);
+        if(item.priority !== 'Normal'){
+          const badge = document.createElement('span');
+          badge.className = 'badge priority-badge priority-' + item.priority.toLowerCase();
+          badge.textContent = priorityLabel(item.priority);
+          li.appendChild(badge);
+        }
+        const text = document.createElement('span');
+        text.className = 'scheduled-text text-truncate flex-grow-1';
+        text.textContent = item.content;
+        text.title = item.content;
+        li.appendChild(text);
+        if(item.status === 'Scheduled' && !isScheduledDue(item)){
+          const edit = document.createElement('button');
+          edit.type = 'button';
+          edit.className = 'btn btn-link btn-sm p-0';
+          edit.textContent = window.i18n?.edit || 'Edit';
+          edit.addEventListener('click', () => openScheduleForm(item));
+          li.appendChild(edit);
+        }
+        if(item.status === 'Failed' || !isScheduledDue(item)){
+          const cancel = document.createElement('button');
+          cancel.type = 'button';
+          cancel.className = 'btn btn-link btn-sm p-0 text-danger';
+          cancel.textContent = item.status === 'Failed' ? (window.i18n?.dismiss || 'Dismiss') : (window.i18n?.cancelScheduledMessage || 'Cancel');
+          cancel.addEventListener('click', () => cancelScheduledMessage(item.id));
+          li.appendChild(cancel);
+        }
+        list.appendChild(li);
+      });
+    }
+    scheduleScheduledRefresh();
+  }
+  function getScheduleForm(){ return document.getElementById('schedule-form'); }
+  /**
+   * Opens the send-later form: prefilled from the composer for a new message, or from <item> when editing.
+   */
+  function openScheduleForm(item){
+    const form = getScheduleForm();
+    if(!form || !state.joinedRoom) return;
+    closeTemplatePicker(false);
+    closeIncidentCardForm(false);
+    closeLocationForm(false);
+    form.dataset.editId = item ? item.id : '';
+    form.dataset.priority = item ? item.priority : state.composerPriority;
+    const title = form.querySelector('[data-role="schedule-title"]');
+    if(title) title.textContent = item ? (window.i18n?.editScheduledMessage || 'Edit scheduled message') : (window.i18n?.sendLater || 'Send later');
+    const content = form.querySelector('[name="content"]');
+    if(content) content.value = item ? item.content : (els.messageInput ? els.messageInput.value.trim() : '');
+    const sendAt = form.querySelector('[name="sendAt"]');
+    if(sendAt){
+      sendAt.min = toDateTimeLocalValue(new Date(Date.now() + 60000));
+      sendAt.value = toDateTimeLocalValue(new Date(item ? item.sendAt : Date.now() + 3600000));
+    }
+    form.classList.remove('d-none');
+    const btn = document.getElementById('btn-send-later');
+    if(btn) btn.setAttribute('aria-expanded', 'true');
+    const focusTarget = content && !content.value ? content : sendAt;
+    if(focusTarget) focusTarget.focus();
+  }
+  function closeScheduleForm(restoreFocus){
+    const form = getScheduleForm();
+    if(!form || form.classList.contains('d-none')) return;
+    form.reset();
+    delete form.dataset.editId;
+    form.classList.add('d-none');
+    const btn = document.getElementById('btn-send-later');
+    if(btn) btn.setAttribute('aria-expanded', 'false');
+    if(restoreFocus && els.messageInput) els.messageInput.focus();
+  }
+  async function saveScheduledMessage(){
+    const form = getScheduleForm();
+    if(!form || !state.joinedRoom) return;
+    const editId = form.dataset.editId || '';
+    const content = (form.querySelector('[name="content"]')?.value || '').trim();
+    const sendAt = new Date(form.querySelector('[name="sendAt"]')?.value || '');
+    if(!content) return;
+    if(Number.isNaN(sendAt.getTime()) || sendAt.getTime() <= Date.now()){
+      showError(window.i18n?.scheduleTimeInPast || 'Choose a time in the future.');
+      return;
+    }
+    if(state.isOffline){
+      showError(window.i18n?.scheduleOffline || 'You are offline. Scheduled messages can be changed once you are back online.');
       return;
     }
-    // Require profile; if absent we distinguish between uncertain (awaiting probe/profile) vs confirmed unauthenticated.
-    if(!state.profile){
-      const now = Date.now();
-  const withinGrace = isWithinAuthGrace();
-  if(state.authStatus===AuthStatus.UNKNOWN || state.authStatus===AuthStatus.PROBING || withinGrace){
-  queueOutbound(text);
-        let reason = 'awaitingProfile';
-        if(withinGrace) reason='authGrace';
-        else if(state.loading) reason='loadingUI';
-        else if(state.authStatus===AuthStatus.PROBING) reason='authProbing';
-        postTelemetry('send.queue',{reason, size: state.outbox.length});
-        if(els.messageInput) els.messageInput.value='';
+    const body = { room: state.joinedRoom.name, content, priority: form.dataset.priority || 'Normal', sendAt: sendAt.toISOString() };
+    try {
+      const resp = editId
+        ? await apiPut('/api/ScheduledMessages/' + encodeURIComponent(editId), body)
+        : await apiPost('/api/ScheduledMessages', body);
+      if(!resp.ok){
+        let err = '';
+        try { err = (await resp.json())?.error || ''; } catch(_) { /* ignore */ }
+        showError(err || window.i18n?.scheduleFailed || 'Could not save the scheduled message.');
+        if(resp.status === 409) loadScheduledMessages();
         return;
       }
-      // After grace window with confirmed unauth
-      showError(window.i18n.SessionExpired || 'Session expired. Please refresh.');
-      return;
+      const saved = normalizeScheduledMessage(await resp.json());
+      state.scheduled = (state.scheduled || []).filter(s => s.id !== saved.id).concat(saved);
+      if(!editId && els.messageInput && els.messageInput.value.trim() === content) clearComposer();
+      closeScheduleForm(true);
+      renderScheduledMessages();
+      postTelemetry(editId ? 'scheduled.updated' : 'scheduled.created', { room: state.joinedRoom.name, leadMinutes: Math.round((sendAt.getTime() - Date.now()) / 60000) });
+    } catch(_) {
+      showError(window.i18n?.scheduleFailed || 'Could not save the scheduled message.');
     }
-    // If a join is in progress (or scheduled) queue silently
-    if(state.joinInProgress || state.pendingJoin){
-      queueOutbound(text);
-      postTelemetry('send.queue',{reason:'joinInProgress', size: state.outbox.length});
-      if(els.messageInput) els.messageInput.value='';
+  }
+  async function cancelScheduledMessage(id){
+    const roomName = state.joinedRoom && state.joinedRoom.name;
+    if(!roomName) return;
+    if(state.isOffline){
+      showError(window.i18n?.scheduleOffline || 'You are offline. Scheduled messages can be changed once you are back online.');
       return;
     }
-    // If not currently in a room, attempt (or re-attempt) auto join then queue
-    if(!state.joinedRoom){
-      // Attempt to trigger a join if rooms known
-      const target = state.rooms && state.rooms.length ? (localStorage.getItem('lastRoom') && state.rooms.some(r=>r.name===localStorage.getItem('lastRoom')) ? localStorage.getItem('lastRoom') : state.rooms[0].name) : null;
-      if(target){
-        joinRoom(target);
+    try {
+      const resp = await apiDelete('/api/ScheduledMessages/' + encodeURIComponent(id) + '?room=' + encodeURIComponent(roomName));
+      if(!resp.ok && resp.status !== 404){
+        let err = '';
+        try { err = (await resp.json())?.error || ''; } catch(_) { /* ignore */ }
+        showError(err || window.i18n?.scheduleFailed || 'Could not save the scheduled message.');
+        loadScheduledMessages();
+        return;
       }
-      queueOutbound(text);
-      postTelemetry('send.queue',{reason:'noRoomYet', size: state.outbox.length});
-      if(els.messageInput) els.messageInput.value='';
+      state.scheduled = (state.scheduled || []).filter(s => s.id !== id);
+      if(getScheduleForm()?.dataset.editId === id) closeScheduleForm(false);
+      renderScheduledMessages();
+    } catch(_) {
+      showError(window.i18n?.scheduleFailed || 'Could not save the scheduled message.');
+    }
+  }
+  function wireScheduledMessages(){
+    const form = getScheduleForm();
+    if(!form) return;
+    const btn = document.getElementById('btn-send-later');
+    if(btn) btn.addEventListener('click', () => { if(form.classList.contains('d-none')) openScheduleForm(null); else closeScheduleForm(true); });
+    form.addEventListener('submit', e => { e.preventDefault(); saveScheduledMessage(); });
+    form.addEventListener('keydown', e => { if(e.key === 'Escape'){ e.preventDefault(); closeScheduleForm(true); } });
+    form.querySelectorAll('[data-role="schedule-cancel"]').forEach(el => el.addEventListener('click', () => closeScheduleForm(true)));
+  }
+  // ---------------- Pinned messages ----------------
+  const PINS_COLLAPSED_KEY = 'chat.pinsCollapsed';
+  function normalizePin(p){
+    if(!p) return null;
+    return {
+      id: p.id!==undefined ? p.id : p.Id,
+      fromUserName: p.fromUserName!==undefined ? p.fromUserName : p.FromUserName,
+      fromFullName: p.fromFullName!==undefined ? p.fromFullName : p.FromFullName,
+      content: p.content ?? p.Content ?? '',
+      timestamp: p.timestamp || p.Timestamp || null,
+      hasAttachment: !!(p.hasAttachment ?? p.HasAttachment),
+      pinnedAt: p.pinnedAt || p.PinnedAt || null,
+      pinnedBy: p.pinnedBy || p.PinnedBy || null
+    };
+  }
+  function loadPins(){
+    const roomName = state.joinedRoom && state.joinedRoom.name;
+    state.pins = [];
+    renderPinnedStrip();
+    if(!roomName) return;
+    apiGet('/api/Messages/Room/' + encodeURIComponent(roomName) + '/pinned')
+      .then(list => {
+        if(!state.joinedRoom || state.joinedRoom.name !== roomName) return; // room changed meanwhile
+        state.pins = (Array.isArray(list) ? list : []).map(normalizePin).filter(Boolean);
+        renderPinnedStrip();
+      })
+      .catch(()=>{ /* strip stays empty; pinChanged events still arrive */ });
+  }
+  /**
+   * Applies a pin/unpin (REST response or pinChanged hub event) to the strip and to the loaded message.
+   */
+  function applyPinChange(payload){
+    if(!payload) return;
+    const id = payload.id ?? payload.Id;
+    const pin = normalizePin(payload.pin || payload.Pin);
+    state.pins = (state.pins || []).filter(p => p.id !== id);
+    if(pin){
+      state.pins.push(pin);
+      state.pins.sort((a, b) => new Date(b.pinnedAt) - new Date(a.pinnedAt));
+    }
+    const msg = state.messages.find(x => x && x.id === id);
+    if(msg){
+      msg.pinnedAt = pin ? pin.pinnedAt : null;
+      msg.pinnedBy = pin ? pin.pinnedBy : null;
+      updateMessageDom(msg) || renderMessages();
+    }
+    renderPinnedStrip();
+  }
+  function removePin(id){
+    const before = (state.pins || []).length;
+    state.pins = (state.pins || []).filter(p => p.id !== id);
+    if(state.pins.length !== before) renderPinnedStrip();
+  }
+  function refreshPinSnippet(msg){
+    const pin = (state.pins || []).find(p => p.id === msg.id);
+    if(!pin) return;
+    const content = msg.content || '';
+    pin.content = content.length > 160 ? content.substring(0, 160).trimEnd() + '…' : content;
+    renderPinnedStrip();
+  }
+  async function togglePin(id){
+    const msg = state.messages.find(x => x && x.id === id);
+    const pinned = msg ? !!msg.pinnedAt : (state.pins || []).some(p => p.id === id);
+    const url = '/api/Messages/' + encodeURIComponent(id) + '/pin';
+    try {
+      const resp = pinned ? await apiDelete(url) : await apiPost(url, {});
+      if(!resp.ok){
+        let err = '';
+        try { err = (await resp.json())?.error || ''; } catch(_) { /* ignore */ }
+        showError(err || window.i18n?.pinFailed || 'Could not update the pinned messages.');
+        return;
+      }
+      applyPinChange(await resp.json());
+    } catch(_) {
+      showError(window.i18n?.pinFailed || 'Could not update the pinned messages.');
+    }
+  }
+  function isPinnedStripCollapsed(){
+    try { return localStorage.getItem(PINS_COLLAPSED_KEY) === '1'; } catch(_) { return false; }
+  }
+  /**
+   * Renders the strip under the room header. Collapsed, it shows only the most recent pin.
+   */
+  function renderPinnedStrip(){
+    const strip = els.pinnedStrip;
+    if(!strip) return;
+    const pins = state.joinedRoom ? (state.pins || []) : [];
+    strip.classList.toggle('d-none', pins.length === 0);
+    if(!pins.length) return;
+    const collapsed = isPinnedStripCollapsed();
+    strip.classList.toggle('collapsed', collapsed);
+    const toggle = strip.querySelector('[data-role="pinned-toggle"]');
+    if(toggle){
+      toggle.setAttribute('aria-expanded', String(!collapsed));
+      const label = toggle.querySelector('[data-role="pinned-label"]');
+      if(label) label.textContent = (window.i18n?.pinnedMessages || 'Pinned messages ({0})').replace('{0}', pins.length);
+      toggle.title = collapsed ? (window.i18n?.showPinned || 'Show all pinned messages') : (window.i18n?.hidePinned || 'Show only the latest pin');
+    }
+    const list = strip.querySelector('[data-role="pinned-list"]');
+    if(!list) return;
+    list.innerHTML = '';
+    pins.forEach(pin => list.appendChild(createPinnedItem(pin)));
+  }
+  function createPinnedItem(pin){
+    const li = document.createElement('li');
+    li.className = 'pinned-item';
+    li.dataset.id = String(pin.id);
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'pinned-item-open btn btn-link p-0 text-start text-decoration-none';
+    open.title = (window.i18n?.pinnedBy || 'Pinned by {0}').replace('{0}', resolveDisplayName(pin.pinnedBy));
+    const author = document.createElement('span');
+    author.className = 'fw-semibold me-1';
+    author.textContent = (pin.fromFullName || pin.fromUserName || '') + ':';
+    const snippet = document.createElement('span');
+    snippet.textContent = pin.content || (pin.hasAttachment ? '📎' : '');
+    open.appendChild(author);
+    open.appendChild(snippet);
+    open.addEventListener('click', () => scrollToMessage(pin.id));
+    const unpin = document.createElement('button');
+    unpin.type = 'button';
+    unpin.className = 'btn-close btn-sm ms-2';
+    unpin.setAttribute('aria-label', window.i18n?.unpin || 'Unpin');
+    unpin.addEventListener('click', () => togglePin(pin.id));
+    li.appendChild(open);
+    li.appendChild(unpin);
+    return li;
+  }
+  function wirePinnedStrip(){
+    const strip = els.pinnedStrip;
+    if(!strip) return;
+    const toggle = strip.querySelector('[data-role="pinned-toggle"]');
+    if(toggle) toggle.addEventListener('click', () => {
+      try { localStorage.setItem(PINS_COLLAPSED_KEY, isPinnedStripCollapsed() ? '0' : '1'); } catch(_) { /* ignore */ }
+      renderPinnedStrip();
+    });
+  }
+  // ---------------- Attachments ----------------
+  const ATTACHMENT_CONTENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+  const _attachmentUploads = {}; // correlationId -> { file, xhr, previewUrl } (in-memory only)
+  function getAttachmentMaxBytes(){
+    const input = document.getElementById('attachment-input');
+    const max = input ? parseInt(input.dataset.maxBytes || '', 10) : NaN;
+    return Number.isFinite(max) && max > 0 ? max : 10 * 1024 * 1024;
+  }
+  function formatFileSize(bytes){
+    if(!(bytes > 0)) return '';
+    if(bytes < 1024) return bytes + ' B';
+    if(bytes < 1024 * 1024) return Math.round(bytes / 1024) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+  }
+  /**
+   * Starts one attachment message per file: an optimistic message appears immediately with upload progress,
+   * and once the upload finishes the message goes through the regular send / outbox path.
+   */
+  function attachFiles(fileList){
+    const files = Array.from(fileList || []);
+    if(!files.length) return;
+    if(!state.joinedRoom) return;
+    if(state.historyWindow){ returnToLatest().then(()=> attachFiles(files)); return; }
+    const maxBytes = getAttachmentMaxBytes();
+    files.forEach(file => {
+      if(!ATTACHMENT_CONTENT_TYPES.includes((file.type || '').toLowerCase())){
+        showError(window.i18n?.attachmentTypeNotAllowed || 'Only images (JPEG, PNG, GIF, WebP) and PDF files can be attached.');
+        return;
+      }
+      if(file.size > maxBytes){
+        showError((window.i18n?.attachmentTooLarge || 'The file is too large (max {0}).').replace('{0}', formatFileSize(maxBytes)));
+        return;
+      }
+      const cid = secureRandomId('c_', 12);
+      const previewUrl = file.type.startsWith('image/') && window.URL && URL.createObjectURL ? URL.createObjectURL(file) : null;
+      _attachmentUploads[cid] = { file, xhr: null, previewUrl, room: state.joinedRoom.name };
+      ensureOptimisticMessage('', cid, state.replyToId, {
+        upload: { fileName: file.name, contentType: file.type, size: file.size, progress: 0, failed: false, previewUrl },
+        priority: state.composerPriority
+      });
+      cancelReply();
+      startAttachmentUpload(cid);
+    });
+  }
+  function startAttachmentUpload(cid){
+    const entry = _attachmentUploads[cid];
+    const record = state.messages.find(m=> m.correlationId===cid);
+    if(!entry || !record) return;
+    // Room switches rebuild state.messages, so callbacks look the record up again instead of holding on to it
+    const current = ()=> state.messages.find(m=> m.correlationId===cid) || record;
+    const xhr = new XMLHttpRequest();
+    entry.xhr = xhr;
+    xhr.open('POST', '/api/Attachments');
+    xhr.withCredentials = true;
+    xhr.upload.onprogress = e => {
+      const rec = current();
+      if(!e.lengthComputable || !rec.upload) return;
+      rec.upload.progress = e.loaded / e.total;
+      updateMessageDom(rec);
+    };
+    xhr.onload = () => {
+      entry.xhr = null;
+      let body = null;
+      try { body = JSON.parse(xhr.responseText || 'null'); } catch(_) { /* ignore */ }
+      const rec = current();
+      if(xhr.status >= 200 && xhr.status < 300 && body){
+        rec.attachment = normalizeAttachment(body);
+        rec.upload = null;
+        releaseAttachmentUpload(cid);
+        postTelemetry('attachment.upload.ok',{cid, size: rec.attachment.size});
+        dispatchAttachmentMessage(rec);
+      } else {
+        failAttachmentUpload(rec, (body && body.error) || '');
+      }
+    };
+    xhr.onerror = () => { entry.xhr = null; failAttachmentUpload(current(), ''); };
+    xhr.onabort = () => { entry.xhr = null; };
+    const form = new FormData();
+    form.append('room', entry.room);
+    form.append('file', entry.file, entry.file.name);
+    record.pending = true; record.failed = false;
+    if(record.upload){ record.upload.failed = false; record.upload.progress = 0; }
+    if(!updateMessageDom(record)) renderMessages();
+    xhr.send(form);
+  }
+  function failAttachmentUpload(record, error){
+    record.pending = false; record.failed = true;
+    if(record.upload) record.upload.failed = true;
+    postTelemetry('attachment.upload.fail',{cid: record.correlationId});
+    showError(error || window.i18n?.uploadFailed || 'Upload failed');
+    if(!updateMessageDom(record)) renderMessages();
+  }
+  function retryAttachmentUpload(record){
+    // The file itself only lives in memory; after a reload the upload cannot be retried
+    if(!_attachmentUploads[record.correlationId]){ discardAttachmentMessage(record.correlationId); return; }
+    startAttachmentUpload(record.correlationId);
+  }
+  function cancelAttachmentUpload(cid){
+    const entry = _attachmentUploads[cid];
+    if(entry && entry.xhr){ try { entry.xhr.abort(); } catch(_) {} }
+    postTelemetry('attachment.upload.cancel',{cid});
+    discardAttachmentMessage(cid);
+  }
+  function discardAttachmentMessage(cid){
+    releaseAttachmentUpload(cid);
+    state.messages = state.messages.filter(m=> m.correlationId !== cid);
+    const node = els.messagesList && els.messagesList.querySelector('li[data-cid="'+cid+'"]');
+    if(node) node.remove(); else renderMessages();
+  }
+  function releaseAttachmentUpload(cid){
+    const entry = _attachmentUploads[cid];
+    if(!entry) return;
+    if(entry.previewUrl){ try { URL.revokeObjectURL(entry.previewUrl); } catch(_) {} }
+    delete _attachmentUploads[cid];
+  }
+  function canSendImmediately(){
+    return !state.isOffline && !!state.profile && !!state.joinedRoom && !state.joinInProgress && !state.pendingJoin && computeConnectionState() === 'connected';
+  }
+  // Mirrors sendMessage routing for an uploaded attachment: send now when connected, otherwise queue in the outbox.
+  function dispatchAttachmentMessage(record){
+    if(!canSendImmediately()){
+      if(!queueOutbound(record.content || '', record.replyToId, { attachment: record.attachment, correlationId: record.correlationId, priority: record.priority })){
+        // Left as failed so it can be retried once the outbox drains
+        record.pending = false; record.failed = true;
+        if(!updateMessageDom(record)) renderMessages(); else finalizeMessageRender();
+        return;
+      }
+      postTelemetry('send.queue',{reason:'attachment', size: state.outbox.length});
       return;
     }
-    // If hub is not in a connected state (connecting/reconnecting/disconnected), queue for later
+    internalSendMessage(record.content || '', /*bypassRateLimit*/ true, /*fromFlush*/ false, record.correlationId).catch(()=>{});
+  }
+  function syncAttachment(contentEl, m){
+    if(!contentEl) return;
+    let box = contentEl.querySelector('.message-attachment');
+    const attachment = m.deletedAt ? null : m.attachment;
+    const upload = m.deletedAt || attachment ? null : m.upload;
+    if(!attachment && !upload){ if(box) box.remove(); return; }
+    if(!box){
+      box = document.createElement('div');
+      box.className = 'message-attachment mt-1';
+      const body = contentEl.querySelector('.content');
+      if(body) body.after(box); else contentEl.appendChild(box);
+    }
+    const key = attachment ? 'a:' + attachment.id : 'u:' + (upload.failed ? 'failed' : 'active');
+    if(box.dataset.key !== key){
+      box.dataset.key = key;
+      box.textContent = '';
+      if(attachment) buildAttachmentView(box, attachment);
+      else buildUploadView(box, m);
+    }
+    const bar = box.querySelector('.progress-bar');
+    if(bar && upload){
+      const pct = Math.round((upload.progress || 0) * 100);
+      bar.style.width = pct + '%';
+      bar.parentElement.setAttribute('aria-valuenow', String(pct));
+    }
+  }
+  function buildAttachmentView(box, a){
+    const isImage = (a.contentType || '').startsWith('image/');
+    if(isImage){
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'attachment-thumb';
+      btn.title = a.fileName;
+      const img = document.createElement('img');
+      img.src = a.url;
+      img.alt = a.fileName;
+      img.loading = 'lazy';
+      btn.appendChild(img);
+      btn.addEventListener('click', ()=> openAttachmentLightbox(a));
+      box.appendChild(btn);
+      return;
+    }
+    const link = document.createElement('a');
+    link.className = 'attachment-file';
+    link.href = a.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    const name = document.createElement('span');
+    name.className = 'attachment-name';
+    name.textContent = a.fileName;
+    link.appendChild(name);
+    const size = document.createElement('span');
+    size.className = 'attachment-size';
+    size.textContent = formatFileSize(a.size);
+    link.appendChild(size);
+    box.appendChild(link);
+  }
+  function buildUploadView(box, m){
+    const upload = m.upload;
+    const row = document.createElement('div');
+    row.className = 'attachment-upload d-flex align-items-center gap-2';
+    if(upload.previewUrl){
+      const img = document.createElement('img');
+      img.className = 'attachment-upload-preview';
+      img.src = upload.previewUrl;
+      img.alt = '';
+      row.appendChild(img);
+    }
+    const info = document.createElement('div');
+    info.className = 'flex-grow-1';
+    const name = document.createElement('div');
+    name.className = 'attachment-name small';
+    name.textContent = upload.fileName + (upload.size ? ' (' + formatFileSize(upload.size) + ')' : '');
+    info.appendChild(name);
+    if(upload.failed){
+      const err = document.createElement('div');
+      err.className = 'small text-danger';
+      err.textContent = window.i18n?.uploadFailed || 'Upload failed';
+      info.appendChild(err);
+    } else {
+      const progress = document.createElement('div');
+      progress.className = 'progress';
+      progress.setAttribute('role', 'progressbar');
+      progress.setAttribute('aria-valuemin', '0');
+      progress.setAttribute('aria-valuemax', '100');
+      progress.setAttribute('aria-label', upload.fileName);
+      const bar = document.createElement('div');
+      bar.className = 'progress-bar';
+      progress.appendChild(bar);
+      info.appendChild(progress);
+    }
+    // The file only lives in this tab's memory until the message is sent
+    const hint = document.createElement('div');
+    hint.className = 'small text-muted';
+    hint.textContent = window.i18n?.uploadKeepTabOpen || 'Keep this tab open until the file is sent. Closing or reloading it discards the file.';
+    info.appendChild(hint);
+    row.appendChild(info);
+    const cancel = document.createElement('button');
+    cancel.type = 'button';
+    cancel.className = 'btn-close btn-sm';
+    cancel.setAttribute('aria-label', window.i18n?.cancelUpload || 'Cancel upload');
+    cancel.title = window.i18n?.cancelUpload || 'Cancel upload';
+    cancel.addEventListener('click', ()=> cancelAttachmentUpload(m.correlationId));
+    row.appendChild(cancel);
+    box.appendChild(row);
+  }
+  function openAttachmentLightbox(a){
+    const box = document.getElementById('attachment-lightbox');
+    if(!box){ window.open(a.url, '_blank', 'noopener'); return; }
+    const img = box.querySelector('img');
+    if(img){ img.src = a.url; img.alt = a.fileName; }
+    const link = box.querySelector('a[data-role="lightbox-open"]');
+    if(link) link.href = a.url;
+    box.classList.remove('d-none');
+    const close = box.querySelector('.btn-close');
+    if(close) close.focus();
+  }
+  function closeAttachmentLightbox(){
+    const box = document.getElementById('attachment-lightbox');
+    if(!box || box.classList.contains('d-none')) return;
+    box.classList.add('d-none');
+    const img = box.querySelector('img');
+    if(img) img.removeAttribute('src');
+  }
+  function wireAttachments(){
+    const input = document.getElementById('attachment-input');
+    const btn = document.getElementById('btn-attach');
+    if(btn && input) btn.addEventListener('click', ()=> input.click());
+    if(input) input.addEventListener('change', ()=>{ attachFiles(input.files); input.value = ''; });
+    // Unfinished uploads are lost with the tab; let the browser ask before leaving
+    window.addEventListener('beforeunload', e => {
+      if(!Object.keys(_attachmentUploads).length) return;
+      e.preventDefault();
+      e.returnValue = '';
+    });
+    if(els.messageInput) els.messageInput.addEventListener('paste', e => {
+      const files = Array.from((e.clipboardData && e.clipboardData.files) || []);
+      if(!files.length) return;
+      e.preventDefault();
+      attachFiles(files);
+    });
+    const panel = document.querySelector('[data-role="room-panel"]');
+    if(panel){
+      const hasFiles = e => !!(e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files'));
+      panel.addEventListener('dragover', e => { if(!hasFiles(e)) return; e.preventDefault(); panel.classList.add('drag-over'); });
+      panel.addEventListener('dragleave', e => { if(!panel.contains(e.relatedTarget)) panel.classList.remove('drag-over'); });
+      panel.addEventListener('drop', e => {
+        panel.classList.remove('drag-over');
+        if(!hasFiles(e)) return;
+        e.preventDefault();
+        attachFiles(e.dataTransfer.files);
+      });
+    }
+    const lightbox = document.getElementById('attachment-lightbox');
+    if(lightbox){
+      lightbox.addEventListener('click', e => { if(e.target === lightbox || e.target.closest('.btn-close')) closeAttachmentLightbox(); });
+      document.addEventListener('keydown', e => { if(e.key === 'Escape') closeAttachmentLightbox(); });
+    }
+  }
+
+  // ---------------- Typing indicators ----------------
+  const TYPING_SIGNAL_INTERVAL_MS = 2000;  // min gap between outgoing "typing" signals (server drops faster ones)
+  const TYPING_IDLE_MS = 4000;             // composer idle time after which "stopped typing" is sent
+  const TYPING_EXPIRY_MS = 6000;           // incoming indicators expire unless refreshed
+  let _typingOut = { active: false, lastSentAt: 0, idleTimer: null };
+  let _typingExpiryTimer = null;
+  function sendTypingSignal(isTyping){
     try {
-      const s = computeConnectionState();
-      if(s !== 'connected'){
-        queueOutbound(text);
-        postTelemetry('send.queue',{reason:'hubNotConnected:'+s, size: state.outbox.length});
-        if(els.messageInput) els.messageInput.value='';
+      if(hub && state.joinedRoom && computeConnectionState() === 'connected') hub.invoke('Typing', isTyping).catch(()=>{});
+    } catch(_) { /* ignore */ }
+  }
+  function signalTyping(){
+    if(!els.messageInput || !(els.messageInput.value || '').trim()){ stopTypingSignal(); return; }
+    const now = Date.now();
+    if(!_typingOut.active || now - _typingOut.lastSentAt >= TYPING_SIGNAL_INTERVAL_MS){
+      sendTypingSignal(true);
+      _typingOut.active = true;
+      _typingOut.lastSentAt = now;
+    }
+    clearTimeout(_typingOut.idleTimer);
+    _typingOut.idleTimer = setTimeout(stopTypingSignal, TYPING_IDLE_MS);
+  }
+  function stopTypingSignal(){
+    clearTimeout(_typingOut.idleTimer);
+    if(_typingOut.active) sendTypingSignal(false);
+    _typingOut = { active: false, lastSentAt: 0, idleTimer: null };
+  }
+  function applyTypingSignal(payload){
+    const userName = payload && (payload.userName || payload.UserName);
+    if(!userName || isSelfUserName(userName)) return;
+    const key = userName.toLowerCase();
+    if(payload.isTyping ?? payload.IsTyping){
+      state.typingUsers[key] = {
+        userName,
+        fullName: payload.fullName || payload.FullName || '',
+        dispatchCenterId: payload.dispatchCenterId || payload.DispatchCenterId || '',
+        expiresAt: Date.now() + TYPING_EXPIRY_MS
+      };
+    } else {
+      delete state.typingUsers[key];
+    }
+    renderTypingIndicator();
+  }
+  function clearTypingUser(userName){
+    if(!userName || !state.typingUsers[userName.toLowerCase()]) return;
+    delete state.typingUsers[userName.toLowerCase()];
+    renderTypingIndicator();
+  }
+  function resetTypingIndicator(){
+    state.typingUsers = {};
+    stopTypingSignal();
+    renderTypingIndicator();
+  }
+  function formatTypingUser(t){
+    const name = resolveDisplayName(t.userName, t.fullName);
+    const names = (state.joinedRoom && state.joinedRoom.dispatchCenterNames) || {};
+    const centerKey = Object.keys(names).find(k => k.toLowerCase() === (t.dispatchCenterId || '').toLowerCase());
+    return centerKey && names[centerKey] ? name + ' (' + names[centerKey] + ')' : name;
+  }
+  /**
+   * Shows who is typing above the composer. Entries expire on their own and only users currently present in the room list are shown.
+   */
+  function renderTypingIndicator(){
+    const now = Date.now();
+    Object.keys(state.typingUsers).forEach(k => { if(state.typingUsers[k].expiresAt <= now) delete state.typingUsers[k]; });
+    const visible = Object.values(state.typingUsers).filter(t => (state.users || []).some(u => (u.userName || '').toLowerCase() === t.userName.toLowerCase() && u.isPresent));
+    clearTimeout(_typingExpiryTimer);
+    if(Object.keys(state.typingUsers).length){
+      const nextExpiry = Math.min(...Object.values(state.typingUsers).map(t => t.expiresAt));
+      _typingExpiryTimer = setTimeout(renderTypingIndicator, Math.max(nextExpiry - now, 50));
+    }
+    if(!els.typingIndicator) return;
+    let text = '';
+    if(visible.length === 1){
+      text = (window.i18n?.userIsTyping || '{0} is typing…').replace('{0}', formatTypingUser(visible[0]));
+    } else if(visible.length === 2){
+      text = (window.i18n?.twoUsersAreTyping || '{0} and {1} are typing…').replace('{0}', formatTypingUser(visible[0])).replace('{1}', formatTypingUser(visible[1]));
+    } else if(visible.length > 2){
+      text = window.i18n?.severalUsersAreTyping || 'Several people are typing…';
+    }
+    els.typingIndicator.textContent = text;
+    els.typingIndicator.classList.toggle('d-none', !text);
+  }
+  async function deleteMessage(messageId){
+    const msg = state.messages.find(x=> x && x.id===messageId);
+    if(!msg || msg.deletedAt) return;
+    if(isChangeBlockedByEscalation(msg)){
+      showError(window.i18n?.deleteBlockedByEscalation || 'Messages in an open escalation cannot be deleted.');
+      return;
+    }
+    try {
+      const resp = await apiDelete('/api/Messages/'+encodeURIComponent(messageId));
+      if(!resp.ok){
+        let body = null;
+        try { body = await resp.json(); } catch(_) { /* ignore */ }
+        if(resp.status === 409 && body && body.reason === 'escalation'){
+          showError(window.i18n?.deleteBlockedByEscalation || body.error);
+        } else {
+          showError((body && body.error) || window.i18n?.deleteFailed || 'Delete failed.');
+        }
         return;
       }
-    } catch(_) { /* ignore and attempt normal path */ }
-    // Normal path: create (or reuse) a single optimistic message and pass its cid down
-    const cid = secureRandomId('c_', 12);
-    ensureOptimisticMessage(text, cid);
-    internalSendMessage(text, false, false, cid);
-    if(els.messageInput) els.messageInput.value='';
+      applyMessageDeletion(await resp.json());
+      postTelemetry('message.deleted', { id: messageId, room: state.joinedRoom && state.joinedRoom.name });
+    } catch(_) {
+      showError(window.i18n?.deleteFailed || 'Delete failed.');
+    }
+  }
+  function wireMessageDeletion(){
+    const confirmBtn = document.getElementById('btn-confirm-delete-message');
+    if(!confirmBtn) return;
+    confirmBtn.addEventListener('click', ()=>{
+      const id = Number(els.itemToDelete && els.itemToDelete.value);
+      if(id) deleteMessage(id);
+    });
+  }
+  /**
+   * Turns a local message into a tombstone (REST response or messageDeleted hub event).
+   */
+  function applyMessageDeletion(payload){
+    const id = payload && (payload.id ?? payload.Id);
+    const msg = state.messages.find(x=> x && x.id===id);
+    if(!msg) return;
+    msg.deletedAt = payload.deletedAt || payload.DeletedAt || new Date().toISOString();
+    msg.deletedBy = payload.deletedBy || payload.DeletedBy || msg.fromUserName;
+    msg.content = '';
+    msg.translations = {};
+    msg.editHistory = [];
+    const popover = document.querySelector('.edit-history-popover');
+    if(popover && popover.dataset.messageId === String(id)) closeEditHistoryPopover();
+    closeMessageEditForm(id);
+    state.selectedEscalationMessageIds = (state.selectedEscalationMessageIds || []).filter(x => Number(x) !== Number(id));
+    renderRoomActions();
+    updateMessageDom(msg) || renderMessages();
+    refreshRepliesTo(id);
+    removePin(id);
   }
-  // deleteMessage removed
-  function logoutCleanup(){ state.rooms=[]; state.users=[]; state.messages=[]; state.profile=null; state.joinedRoom=null; state.roomsEmptyReason=''; renderAll(); setLoading(false); }
+  function logoutCleanup(){ _roomsLoaded=false; state.pendingPermalink=null; _outboxUser=null; _outboxLeftovers=[]; renderOutboxLeftovers(); state.rooms=[]; state.users=[]; state.messages=[]; state.profile=null; state.joinedRoom=null; state.pins=[]; state.roomsEmptyReason=''; renderAll(); renderPinnedStrip(); setLoading(false); }
 
   // --------------- Auth Probe -----------
   function probeAuth(){
@@ -1901,7 +5790,7 @@ if(window.__chatAppBooted){
   const timeout=setTimeout(()=>{ log('warn','auth.timeout'); setLoading(false); postTelemetry('auth.probe.timeout',{}); },6000);
     return fetch('/api/auth/me',{credentials:'include'})
       .then(r=> r.ok? r.json(): null)
-  .then(u=>{ clearTimeout(timeout); if(u&&u.userName){ state.profile=normalizeProfilePayload(u); state.authStatus = AuthStatus.AUTHENTICATED; postTelemetry('auth.probe.success',{durationMs: Math.round(performance.now()-startedAt)}); sendHttpPresencePing('auth.probe.success'); startHub(); flushOutbox('authProbe'); state.authGraceUntil=null; } else { setLoading(false); state.authStatus = AuthStatus.UNAUTHENTICATED; postTelemetry('auth.probe.unauth',{durationMs: Math.round(performance.now()-startedAt)}); /* allow UI to show unauth after grace */ } renderProfile(); })
+  .then(u=>{ clearTimeout(timeout); if(u&&u.userName){ state.profile=normalizeProfilePayload(u); state.authStatus = AuthStatus.AUTHENTICATED; postTelemetry('auth.probe.success',{durationMs: Math.round(performance.now()-startedAt)}); sendHttpPresencePing('auth.probe.success'); startHub(); restoreOutbox(state.profile.userName); flushOutbox('authProbe'); state.authGraceUntil=null; } else { setLoading(false); state.authStatus = AuthStatus.UNAUTHENTICATED; postTelemetry('auth.probe.unauth',{durationMs: Math.round(performance.now()-startedAt)}); /* allow UI to show unauth after grace */ } renderProfile(); })
       .catch(err=>{ clearTimeout(timeout); setLoading(false); const msg=(err&&err.message)||''; // classify transient errors (networkish or recoverable)
         const transient=/timeout|network|fetch|offline|temporar(?:y|ily)?|dns|refused/i.test(msg); if(transient){ // extend grace and retry once after short delay
         postTelemetry('auth.probe.errorTransient',{durationMs: Math.round(performance.now()-startedAt)});
@@ -1913,7 +5802,7 @@ if(window.__chatAppBooted){
   }
 
   // --------------- UI Wiring ------------
-  function wireUi(){ if(els.messageInput) els.messageInput.addEventListener('keypress',e=>{ if(e.key==='Enter') sendMessage(); }); const sendBtn=document.getElementById('btn-send-message'); if(sendBtn) sendBtn.addEventListener('click',e=>{ e.preventDefault(); sendMessage(); }); if(els.filterInput) els.filterInput.addEventListener('input',()=>{ state.filter=els.filterInput.value; renderUsers(); }); if(els.btnLogout) els.btnLogout.addEventListener('click',()=>{ sendHttpPresenceLeave(); fetch('/api/auth/logout',{method:'POST',credentials:'include'})
+  function wireUi(){ const sendBtn=document.getElementById('btn-send-message'); if(sendBtn) sendBtn.addEventListener('click',e=>{ e.preventDefault(); sendMessage(); }); const cancelReplyBtn=document.getElementById('btn-cancel-reply'); if(cancelReplyBtn) cancelReplyBtn.addEventListener('click',()=>{ cancelReply(); if(els.messageInput) els.messageInput.focus(); }); if(els.messageInput) els.messageInput.addEventListener('keydown',e=>{ if(handleMentionKeydown(e) || handleTemplateShortcut(e)) return; if(e.key==='Escape') cancelReply(); else handleComposerEnter(e); }); wireMentionAutocomplete(); wireComposer(); wireTemplates(); wirePinnedStrip(); wireSearch(); wireHistory(); wireTranscriptExport(); wireUnreadIndicators(); wirePriority(); wireIncidentCards(); wireLocationSharing(); wireScheduledMessages(); wireAttachments(); wirePermalinks(); wireOutboxLeftovers(); if(els.filterInput) els.filterInput.addEventListener('input',()=>{ state.filter=els.filterInput.value; renderUsers(); }); if(els.btnLogout) els.btnLogout.addEventListener('click',()=>{ sendHttpPresenceLeave(); fetch('/api/auth/logout',{method:'POST',credentials:'include'})
     .catch(()=>{/* ignore */})
     .finally(()=>{ try { if(hub && hub.stop) hub.stop(); } catch(_) {} logoutCleanup(); window.location.replace('/login?ReturnUrl=/chat'); }); }); }
 
@@ -1974,6 +5863,9 @@ if(window.__chatAppBooted){
   window.chatApp.logoutCleanup = logoutCleanup;
 
   // Boot
+  /**
+   * Picks up messages a previous version queued in sessionStorage; they move to IndexedDB once the user is known.
+   */
   function loadOutbox(){
     try {
       const raw = sessionStorage.getItem('chat.outbox');
@@ -1981,12 +5873,14 @@ if(window.__chatAppBooted){
         const arr = JSON.parse(raw);
         if(Array.isArray(arr)) {
           // Upgrade legacy string-based outbox to object form with stable cid and inject optimistic entries
-          state.outbox = arr.slice(0,50).map(it=>{
+          const now = Date.now();
+          state.outbox = arr.map(it=>{
             if(typeof it === 'string') return { text: it, cid: stableCidForText(it) };
             if(it && typeof it === 'object' && it.text){ return it; }
             return { text: String(it||''), cid: stableCidForText(String(it||'')) };
-          });
+          }).map(it => Object.assign({ createdAt: now }, it));
         }
+        sessionStorage.removeItem('chat.outbox');
       }
     } catch(_) {}
     renderQueueBadge();
@@ -2005,8 +5899,217 @@ if(window.__chatAppBooted){
     let hstr = Math.abs(hash).toString(36).padStart(12, '0').slice(0,12);
     return 'c_' + hstr;
   }
-  function persistOutbox(){
-    try { sessionStorage.setItem('chat.outbox', JSON.stringify(state.outbox)); } catch(_) {}
+
+  // ---------------- Durable outbox ----------------
+  // Each queued message is an IndexedDB record (keyed by correlation id, scoped to the signed-in user) that is
+  // deleted once the hub accepts the message, so the queue survives closing the tab or the browser. Every tab
+  // holds a Web Lock for its lifetime and only adopts records whose tab is gone, so a message is not sent twice.
+  const OUTBOX_DB = 'chat-outbox';
+  const OUTBOX_STORE = 'messages';
+  const OUTBOX_LOCK_PREFIX = 'chat-outbox-tab:';
+  let _outboxDb = null;
+  let _outboxTabId = null;
+  let _outboxUser = null;
+  let _outboxLeftovers = [];
+  const _outboxStored = new Set();
+  function getOutboxTabId(){
+    if(!_outboxTabId) _outboxTabId = secureRandomId('t_', 12);
+    return _outboxTabId;
+  }
+  function getOutboxLimits(){
+    const badge = els.queueBadge;
+    const max = badge ? parseInt(badge.dataset.maxMessages || '', 10) : NaN;
+    const staleMinutes = badge ? parseFloat(badge.dataset.staleAfterMinutes || '') : NaN;
+    return {
+      maxMessages: Number.isFinite(max) && max > 0 ? max : 50,
+      staleAfterMs: (Number.isFinite(staleMinutes) && staleMinutes >= 0 ? staleMinutes : 60) * 60000
+    };
+  }
+  /**
+   * Resolves to the outbox database, or null when IndexedDB is unavailable (the outbox then lives in memory only).
+   */
+  function openOutboxDb(){
+    if(_outboxDb) return _outboxDb;
+    _outboxDb = new Promise(resolve => {
+      let req;
+      try { req = window.indexedDB ? window.indexedDB.open(OUTBOX_DB, 1) : null; } catch(_) { req = null; }
+      if(!req){ postTelemetry('outbox.db.unavailable',{}); resolve(null); return; }
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(OUTBOX_STORE, { keyPath: 'cid' });
+        store.createIndex('user', 'user', { unique: false });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { postTelemetry('outbox.db.unavailable',{}); resolve(null); };
+      req.onblocked = () => resolve(null);
+    });
+    return _outboxDb;
+  }
+  /**
+   * Runs <work>(store) in one transaction; resolves to the result of the request it returns, if any.
+   */
+  function outboxTransaction(mode, work){
+    return openOutboxDb().then(db => {
+      if(!db) return undefined;
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(OUTBOX_STORE, mode);
+        const req = work(tx.objectStore(OUTBOX_STORE));
+        tx.oncomplete = () => resolve(req ? req.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    }).catch(err => { log('warn','outbox.db.error',{msg: String(err && err.message || err).slice(0,120)}); return undefined; });
+  }
+  function toOutboxItem(record){
+    const { text, cid, replyToId, attachment, priority, card, location, room, createdAt } = record;
+    return { text, cid, replyToId: replyToId ?? null, attachment: attachment || null, priority: priority || 'Normal', card: card || null, location: location || null, room: room || null, createdAt: createdAt || Date.now() };
+  }
+  function saveOutboxItem(item){
+    if(!_outboxUser || !item || !item.cid) return; // written by restoreOutbox once the user is known
+    _outboxStored.add(item.cid);
+    const record = Object.assign(toOutboxItem(item), { user: _outboxUser, tabId: getOutboxTabId() });
+    outboxTransaction('readwrite', store => { store.put(record); });
+  }
+  function deleteOutboxItems(cids){
+    const stored = (cids || []).filter(cid => _outboxStored.delete(cid));
+    if(!stored.length) return;
+    outboxTransaction('readwrite', store => { stored.forEach(cid => store.delete(cid)); });
+  }
+  function holdOutboxTabLock(){
+    if(!navigator.locks) return;
+    // Never released: the browser drops it when the tab goes away
+    navigator.locks.request(OUTBOX_LOCK_PREFIX + getOutboxTabId(), () => new Promise(()=>{})).catch(()=>{});
+  }
+  /**
+   * Ids of the tabs still open, or null when this browser cannot tell (no Web Locks API, or the query failed).
+   */
+  async function getLiveOutboxTabs(){
+    if(!navigator.locks || !navigator.locks.query) return null;
+    try {
+      const live = new Set();
+      const snapshot = await navigator.locks.query();
+      (snapshot.held || []).forEach(l => { if(l.name && l.name.startsWith(OUTBOX_LOCK_PREFIX)) live.add(l.name.slice(OUTBOX_LOCK_PREFIX.length)); });
+      return live;
+    } catch(_) {
+      return null;
+    }
+  }
+  /**
+   * Runs once the user is known: stores what was queued before sign-in was confirmed and adopts messages left
+   * behind by closed tabs. Recent ones rejoin the outbox; older ones wait for the user to send or discard them.
+   */
+  async function restoreOutbox(userName){
+    if(!userName || _outboxUser === userName) return;
+    _outboxUser = userName;
+    state.outbox.forEach(saveOutboxItem);
+    const records = await outboxTransaction('readonly', store => store.index('user').getAll(userName)) || [];
+    const liveTabs = await getLiveOutboxTabs();
+    if(_outboxUser !== userName) return; // signed out meanwhile
+    if(!liveTabs){
+      // Adopting records of a tab that is still open would send its messages twice; leave them stored instead
+      postTelemetry('outbox.restore.skip',{reason:'livenessUnknown', stored: records.length});
+      return;
+    }
+    const tabId = getOutboxTabId();
+    const known = new Set(state.outbox.map(it => it.cid));
+    const orphans = records
+      .filter(r => r && r.cid && !known.has(r.cid) && r.tabId !== tabId && !liveTabs.has(r.tabId))
+      .map(toOutboxItem)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    if(!orphans.length) return;
+    // Claim them first so another tab opening now leaves them alone
+    orphans.forEach(saveOutboxItem);
+    const staleAfterMs = getOutboxLimits().staleAfterMs;
+    const now = Date.now();
+    const recent = orphans.filter(it => now - it.createdAt < staleAfterMs);
+    const stale = orphans.filter(it => now - it.createdAt >= staleAfterMs);
+    _outboxLeftovers = _outboxLeftovers.concat(stale).sort((a, b) => a.createdAt - b.createdAt);
+    postTelemetry('outbox.restore',{recent: recent.length, stale: stale.length});
+    if(recent.length){
+      recent.forEach(it => state.outbox.push(it));
+      renderQueueBadge();
+      flushOutbox('restore');
+    }
+    renderOutboxLeftovers();
+  }
+  function renderOutboxLeftovers(){
+    const banner = els.outboxLeftovers;
+    if(!banner) return;
+    const items = _outboxLeftovers;
+    banner.classList.toggle('d-none', !items.length);
+    if(!items.length) return;
+    const label = banner.querySelector('[data-role="outbox-leftovers-label"]');
+    if(label){
+      label.textContent = (window.i18n?.outboxLeftovers || '{0} unsent messages from an earlier session, the oldest from {1}. Send them now or discard them?')
+        .replace('{0}', items.length)
+        .replace('{1}', formatDateParts(items[0].createdAt).full);
+    }
+    const send = banner.querySelector('[data-role="outbox-send"]');
+    if(send) send.disabled = !items.some(isOutboxRoomAvailable);
+    const list = banner.querySelector('[data-role="outbox-leftovers-list"]');
+    if(!list) return;
+    list.innerHTML = '';
+    items.forEach(it => {
+      const li = document.createElement('li');
+      li.className = 'outbox-leftover';
+      const meta = document.createElement('span');
+      meta.className = 'outbox-leftover-meta';
+      const room = it.room && state.rooms.find(r => r.name === it.room);
+      meta.textContent = formatDateParts(it.createdAt).full + (it.room ? ' · ' + (room ? getRoomLabel(room) : it.room) : '')
+        + (isOutboxRoomAvailable(it) ? '' : ' · ' + (window.i18n?.outboxRoomUnavailable || 'you can no longer open this room'));
+      const text = document.createElement('span');
+      text.className = 'outbox-leftover-text';
+      text.textContent = it.text || (it.card ? (window.i18n?.incidentCard || 'Incident card') : it.location ? (window.i18n?.sharedLocation || 'Location') : '');
+      li.appendChild(meta);
+      li.appendChild(text);
+      list.appendChild(li);
+    });
+  }
+  /**
+   * False for a message queued for a room that is no longer in the room list (left, removed or access revoked).
+   */
+  function isOutboxRoomAvailable(item){
+    if(!item || typeof item === 'string' || !item.room || !_roomsLoaded) return true;
+    return state.rooms.some(r => r.name === item.room);
+  }
+  /**
+   * Moves queued messages whose room is no longer available to the leftovers banner, so they neither wait in the
+   * outbox forever nor count toward its limit; the user can still read and discard them there.
+   */
+  function surfaceUnavailableOutboxItems(){
+    const unavailable = state.outbox.filter(it => !isOutboxRoomAvailable(it));
+    if(!unavailable.length) return;
+    state.outbox = state.outbox.filter(it => isOutboxRoomAvailable(it));
+    _outboxLeftovers = _outboxLeftovers.concat(unavailable).sort((a, b) => a.createdAt - b.createdAt);
+    postTelemetry('outbox.roomUnavailable',{count: unavailable.length});
+    renderQueueBadge();
+    renderOutboxLeftovers();
+  }
+  function sendOutboxLeftovers(){
+    // Messages for rooms that are gone stay in the banner until discarded
+    const items = _outboxLeftovers.filter(it => isOutboxRoomAvailable(it));
+    _outboxLeftovers = _outboxLeftovers.filter(it => !isOutboxRoomAvailable(it));
+    renderOutboxLeftovers();
+    if(!items.length) return;
+    postTelemetry('outbox.leftovers.send',{count: items.length});
+    items.forEach(it => state.outbox.push(it));
+    renderQueueBadge();
+    flushOutbox('leftovers');
+  }
+  function discardOutboxLeftovers(){
+    const items = _outboxLeftovers;
+    _outboxLeftovers = [];
+    renderOutboxLeftovers();
+    if(!items.length) return;
+    postTelemetry('outbox.leftovers.discard',{count: items.length});
+    deleteOutboxItems(items.map(it => it.cid));
+  }
+  function wireOutboxLeftovers(){
+    const banner = els.outboxLeftovers;
+    if(!banner) return;
+    const send = banner.querySelector('[data-role="outbox-send"]');
+    if(send) send.addEventListener('click', sendOutboxLeftovers);
+    const discard = banner.querySelector('[data-role="outbox-discard"]');
+    if(discard) discard.addEventListener('click', discardOutboxLeftovers);
   }
   /**
    * Attempts to flush queued outbound messages if we have both a profile and a joined room.
@@ -2021,6 +6124,8 @@ if(window.__chatAppBooted){
     }
     // Preconditions
     if(!state.outbox.length){ return; }
+    surfaceUnavailableOutboxItems();
+    if(!state.outbox.length){ return; }
     // Skip while offline (avoid futile send attempts). Use skipFlags throttling to avoid telemetry spam.
     if(state.isOffline){
       const key='flushSkip:offline:'+phase;
@@ -2038,22 +6143,28 @@ if(window.__chatAppBooted){
       }
       return;
     }
+    // Messages queued for another room wait until that room is joined
+    const roomName = state.joinedRoom.name;
+    const toSend = state.outbox.filter(it => !it || typeof it === 'string' || !it.room || it.room === roomName);
+    if(!toSend.length) return;
     flushOutbox._inProgress = true;
     const batchSize = 10; // send in manageable batches to avoid burst
-    const total = state.outbox.length;
+    const total = toSend.length;
     const flushStart = performance.now();
-    postTelemetry('send.flush.start',{room: state.joinedRoom && state.joinedRoom.name, count: total, phase});
+    postTelemetry('send.flush.start',{room: roomName, count: total, phase});
     let success=0, failed=0;
-    const toSend = state.outbox.splice(0, total); // drain
-    renderQueueBadge(); persistOutbox();
+    state.outbox = state.outbox.filter(it => !toSend.includes(it)); // drain
+    renderQueueBadge();
 
     function sendNextBatch(){
       if(!toSend.length) return Promise.resolve();
       const slice = toSend.splice(0,batchSize);
       const results = [];
       return Promise.all(slice.map(item=>{
-        const {text, cid} = (typeof item === 'string') ? {text: item, cid: null} : item;
-        if(cid) ensureOptimisticMessage(text, cid);
+        const {text, cid, replyToId, attachment, priority, card, location, createdAt} = (typeof item === 'string') ? {text: item, cid: null, replyToId: null, attachment: null, priority: null, card: null, location: null, createdAt: null} : item;
+        // Restored messages show when they were written, not when they were finally sent
+        const timestamp = createdAt ? new Date(createdAt).toISOString() : new Date().toISOString();
+        if(cid) ensureOptimisticMessage(text, cid, replyToId, { attachment: attachment || null, priority: priority || 'Normal', card: card || null, location: location || null, timestamp });
         return internalSendMessage(text, /*bypassRateLimit*/ true, /*fromFlush*/ true, cid || undefined)
           .then(()=>{ success++; results.push({ok:true}); })
           .catch(()=>{ failed++; results.push({ok:false, item}); });
@@ -2062,7 +6173,6 @@ if(window.__chatAppBooted){
         const failedItems = results.filter(r=>!r.ok).map(r=> r.item);
         if(failedItems.length){
           failedItems.forEach(it=> state.outbox.push(it));
-          persistOutbox();
           postTelemetry('send.flush.batchFail',{failed: failedItems.length, phase});
         }
         return sendNextBatch();
@@ -2108,9 +6218,13 @@ if(window.__chatAppBooted){
     cacheDom(); 
     // No offline banner popup - connection state is shown via header color only
     loadOutbox(); 
+    holdOutboxTabLock();
+    scheduleDayChangeRefresh();
     setLoading(true); 
     probeAuth(); 
     wireUi(); 
+    installPopoverDismissHandlers();
+    wireMessageDeletion();
     startConnectionStateLoop();
     startHealthAndHeartbeatPolling();
     installOfflineHandlers();
@@ -2133,6 +6247,7 @@ if(window.__chatAppBooted){
         setTimeout(()=>{ ensureConnected(); sendHttpPresencePing('network.online'); if(state.outbox.length) flushOutbox('online'); }, 150);
       }
       applyConnectionVisual(computeConnectionState());
+      renderScheduledMessages();
     }
     if(typeof navigator !== 'undefined' && 'onLine' in navigator){
       updateOffline(!navigator.onLine);
@@ -2163,7 +6278,10 @@ if(window.__chatAppBooted){
   }
   function updateTitleBlinkLabel(roomLabel){
     const count = state.unreadCount || 0;
-    const label = (count > 0 ? '('+count+') ' : '') + 'New message' + (roomLabel? ' • '+roomLabel : '');
+    const headline = state.unreadMentions > 0
+      ? '@ ' + (window.i18n?.mentionedYou || '{0} mentioned you').replace('{0}', state.mentionFrom || '')
+      : 'New message';
+    const label = (count > 0 ? '('+count+') ' : '') + headline + (roomLabel? ' • '+roomLabel : '');
     _titleBlink.lastLabel = label;
     // If not currently blinking but there are unread messages, ensure blinking starts
     if(count > 0 && !_titleBlink.active){ startTitleBlink(); }
@@ -2212,6 +6330,8 @@ if(window.__chatAppBooted){
           // Consult state for message meta: skip my own messages and those already read by me
           const m = state.messages.find(x=> x && x.id===id);
           if(!m || m.isMine) continue;
+          // Urgent / critical messages are only marked read through an explicit acknowledgement
+          if(isAwaitingAcknowledgement(m)) continue;
           const readers = Array.isArray(m.readBy) ? m.readBy : [];
           if(readers.some(u => (u||'').toLowerCase() === self)) continue;
           ids.push(id);
@@ -2240,6 +6360,7 @@ if(window.__chatAppBooted){
   function maybeMarkRead(){
     if(state.unreadCount > 0 && isReadingView()){
       state.unreadCount = 0;
+      state.unreadMentions = 0;
       stopTitleBlink();
       // Mark visible messages as read using viewport-based detection
       scheduleMarkVisibleRead();
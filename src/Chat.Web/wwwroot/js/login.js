@@ -17,6 +17,12 @@ import {
   // Helpers
   const $ = sel => document.querySelector(sel);
   const on = (el, evt, h, opts) => el?.addEventListener(evt, h, opts||false);
+  // A message link (/chat#room=...&msg=...) keeps its fragment through the sign-in redirect; carry it on to the chat page.
+  function withChatFragment(url) {
+    const hash = globalThis.location.hash;
+    if (!hash || url.includes('#') || !/^\/chat(?:[/?]|$)/i.test(url)) return url;
+    return url + hash;
+  }
   function handleOtpSendSuccess(flow, email, isResend, indicator) {
     flow.lastSendCompletedTs = performance.now();
     if (!isResend) {
@@ -134,9 +140,9 @@ import {
         .then(body => {
           const next = body && typeof body.nextUrl === 'string' ? body.nextUrl : '/chat';
           if (next.startsWith('/') && !next.startsWith('//')) {
-            globalThis.location.href = next;
+            globalThis.location.href = withChatFragment(next);
           } else {
-            globalThis.location.href = '/chat';
+            globalThis.location.href = withChatFragment('/chat');
           }
         })
         .catch(error_ => setOtpError(error_.message || globalThis.i18n?.verificationFailed || 'Verification failed'))
@@ -182,18 +182,18 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
-    // Hover actions for own messages (mouseenter/mouseleave simulation)
+    // Hover actions for messages (mouseenter/mouseleave simulation)
     document.addEventListener('mouseover', e => {
-        const mine = e.target.closest('.ismine');
-        if (mine) {
-            const actions = mine.querySelector('.actions');
+        const item = e.target.closest('.message-item');
+        if (item) {
+            const actions = item.querySelector('.actions');
             if (actions) actions.classList.remove('d-none');
         }
     });
     document.addEventListener('mouseout', e => {
-        const mine = e.target.closest('.ismine');
-        if (mine && !mine.querySelector('.dropdown-menu.show')) {
-            const actions = mine.querySelector('.actions');
+        const item = e.target.closest('.message-item');
+        if (item && !item.querySelector('.dropdown-menu.show')) {
+            const actions = item.querySelector('.actions');
             if (actions) actions.classList.add('d-none');
         }
     });
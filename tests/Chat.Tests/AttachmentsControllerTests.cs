@@ -0,0 +1,145 @@
+using System;
+using System.IO;
+using System.Threading.Tasks;
+using Chat.Web.Controllers;
+using Chat.Web.Models;
+using Chat.Web.Options;
+using Chat.Web.Repositories;
+using Chat.Web.Services;
+using Chat.Web.ViewModels;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using Xunit;
+
+namespace Chat.Tests;
+
+public class AttachmentsControllerTests : IDisposable
+{
+    private const string RoomName = PairRoomFixture.RoomName;
+    private static readonly byte[] PngHeader = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D];
+
+    private readonly string _storagePath = Path.Combine(Path.GetTempPath(), "chat-attachments-" + Guid.NewGuid().ToString("N"));
+
+    public void Dispose()
+    {
+        if (Directory.Exists(_storagePath)) Directory.Delete(_storagePath, recursive: true);
+    }
+
+    [Theory]
+    [InlineData(new byte[] { 0xFF, 0xD8, 0xFF, 0xE0 }, "image/jpeg")]
+    [InlineData(new byte[] { 0x47, 0x49, 0x46, 0x38, 0x39, 0x61 }, "image/gif")]
+    [InlineData(new byte[] { 0x52, 0x49, 0x46, 0x46, 0x00, 0x00, 0x00, 0x00, 0x57, 0x45, 0x42, 0x50 }, "image/webp")]
+    [InlineData(new byte[] { 0x25, 0x50, 0x44, 0x46, 0x2D, 0x31 }, "application/pdf")]
+    public async Task DetectContentType_RecognizesSupportedSignatures_AndRewinds(byte[] content, string expected)
+    {
+        using var stream = new MemoryStream(content);
+
+        Assert.Equal(expected, await AttachmentsController.DetectContentTypeAsync(stream));
+        Assert.Equal(0, stream.Position);
+    }
+
+    [Fact]
+    public async Task DetectContentType_RejectsOtherFiles()
+    {
+        using var stream = new MemoryStream("<svg onload=alert(1)>"u8.ToArray());
+
+        Assert.Null(await AttachmentsController.DetectContentTypeAsync(stream));
+    }
+
+    [Fact]
+    public async Task Upload_ByRoomMember_StoresFile_AndServesItToRoomMembers()
+    {
+        var fixture = await CreateFixtureAsync();
+
+        var result = await fixture.BuildController("alice").Upload(RoomName, CreateFile(PngHeader, "map.png"), default);
+
+        var ok = Assert.IsType<OkObjectResult>(result);
+        var attachment = Assert.IsType<MessageAttachmentViewModel>(ok.Value);
+        Assert.Equal("image/png", attachment.ContentType);
+        Assert.Equal(PngHeader.Length, attachment.Size);
+        Assert.Equal("/api/Attachments/" + attachment.Id, attachment.Url);
+
+        var download = await fixture.BuildController("bob").Get(attachment.Id);
+        var file = Assert.IsType<FileStreamResult>(download);
+        Assert.Equal("image/png", file.ContentType);
+        await file.FileStream.DisposeAsync();
+    }
+
+    [Fact]
+    public async Task Get_ByUserOutsideRoom_IsForbidden()
+    {
+        var fixture = await CreateFixtureAsync();
+        var upload = (OkObjectResult)await fixture.BuildController("alice").Upload(RoomName, CreateFile(PngHeader, "map.png"), default);
+        var attachment = (MessageAttachmentViewModel)upload.Value!;
+
+        var result = await fixture.BuildController("carol").Get(attachment.Id);
+
+        Assert.IsType<ForbidResult>(result);
+    }
+
+    [Fact]
+    public async Task Upload_WithUnsupportedContent_IsRejected()
+    {
+        var fixture = await CreateFixtureAsync();
+
+        var result = await fixture.BuildController("alice").Upload(RoomName, CreateFile("<html></html>"u8.ToArray(), "fake.png"), default);
+
+        Assert.IsType<BadRequestObjectResult>(result);
+    }
+
+    [Fact]
+    public async Task Upload_ToInaccessibleRoom_IsForbidden()
+    {
+        var fixture = await CreateFixtureAsync();
+
+        var result = await fixture.BuildController("carol").Upload(RoomName, CreateFile(PngHeader, "map.png"), default);
+
+        Assert.IsType<ForbidResult>(result);
+    }
+
+    [Theory]
+    [InlineData("../appsettings")]
+    [InlineData("not-an-id")]
+    [InlineData("")]
+    public async Task Store_RejectsInvalidIds(string id)
+    {
+        var store = CreateStore();
+
+        Assert.Null(await store.GetAsync(id));
+        Assert.Null(await store.OpenReadAsync(id));
+    }
+
+    private LocalAttachmentStore CreateStore()
+    {
+        var environment = new Mock<IHostEnvironment>();
+        environment.SetupGet(x => x.ContentRootPath).Returns(Path.GetTempPath());
+        return new LocalAttachmentStore(
+            Microsoft.Extensions.Options.Options.Create(new AttachmentOptions { LocalStoragePath = _storagePath }),
+            environment.Object);
+    }
+
+    private static IFormFile CreateFile(byte[] content, string fileName)
+        => new FormFile(new MemoryStream(content), 0, content.Length, "file", fileName);
+
+    private Task<Fixture> CreateFixtureAsync() => Fixture.CreateAsync(CreateStore());
+
+    private sealed class Fixture(IAttachmentStore store) : PairRoomFixture
+    {
+        public static async Task<Fixture> CreateAsync(IAttachmentStore store)
+        {
+            var fixture = new Fixture(store);
+            await fixture.SeedAsync();
+            await fixture.Users.UpsertAsync(new ApplicationUser { UserName = "carol", DispatchCenterId = "dc-c", Enabled = true });
+            return fixture;
+        }
+
+        public AttachmentsController BuildController(string identityName)
+            => SignedInAs(
+                new AttachmentsController(store, Rooms, Users, NullLogger<AttachmentsController>.Instance,
+                    Microsoft.Extensions.Options.Options.Create(new AttachmentOptions())),
+                identityName);
+    }
+}
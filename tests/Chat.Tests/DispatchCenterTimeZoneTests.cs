@@ -0,0 +1,39 @@
+using Chat.Web.Utilities;
+using Xunit;
+
+namespace Chat.Tests
+{
+    /// <summary>
+    /// Tests for validation of dispatch center time zones.
+    /// </summary>
+    public class DispatchCenterTimeZoneTests
+    {
+        [Theory]
+        [InlineData(null)]
+        [InlineData("")]
+        [InlineData("   ")]
+        public void Normalize_BlankTimeZone_ReturnsNull(string timeZoneId)
+        {
+            Assert.Null(DispatchCenterTimeZone.Normalize(timeZoneId));
+            Assert.Null(DispatchCenterTimeZone.Validate(timeZoneId));
+        }
+
+        [Theory]
+        [InlineData(" Europe/Warsaw ")]
+        [InlineData("Europe/Vilnius")]
+        [InlineData("UTC")]
+        public void Validate_AcceptsIanaNames(string timeZoneId)
+        {
+            Assert.Null(DispatchCenterTimeZone.Validate(timeZoneId));
+        }
+
+        [Theory]
+        [InlineData("Central European Standard Time")]
+        [InlineData("Europe/Atlantis")]
+        [InlineData("CET+1")]
+        public void Validate_RejectsWindowsIdsAndUnknownNames(string timeZoneId)
+        {
+            Assert.NotNull(DispatchCenterTimeZone.Validate(timeZoneId));
+        }
+    }
+}
@@ -0,0 +1,147 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Chat.Web.Models;
+using Chat.Web.Repositories;
+using Xunit;
+
+namespace Chat.Tests;
+
+public class InMemoryMessagesRepositoryTests
+{
+    [Fact]
+    public async Task EditAsync_ReplacesContent_AndKeepsPreviousVersionsInOrder()
+    {
+        var repo = new InMemoryMessagesRepository();
+        var sentAt = new DateTime(2025, 1, 1, 10, 0, 0, DateTimeKind.Utc);
+        var message = await repo.CreateAsync(new Message
+        {
+            Content = "Incident 1234",
+            FromUser = new ApplicationUser { UserName = "alice" },
+            ToRoom = new Room { Name = "pair:dc-a::dc-b" },
+            Timestamp = sentAt
+        });
+
+        var firstEdit = sentAt.AddMinutes(1);
+        var secondEdit = sentAt.AddMinutes(2);
+        await repo.EditAsync(message.Id, "Incident 1243", firstEdit);
+        var updated = await repo.EditAsync(message.Id, "Incident 1243, Main St 5", secondEdit);
+
+        Assert.NotNull(updated);
+        Assert.Equal("Incident 1243, Main St 5", updated.Content);
+        Assert.Equal(secondEdit, updated.EditedAt);
+        Assert.Equal(sentAt, updated.Timestamp);
+        var history = updated.EditHistory.ToList();
+        Assert.Equal(2, history.Count);
+        Assert.Equal("Incident 1234", history[0].Content);
+        Assert.Equal(sentAt, history[0].Timestamp);
+        Assert.Equal("Incident 1243", history[1].Content);
+        Assert.Equal(firstEdit, history[1].Timestamp);
+    }
+
+    [Fact]
+    public async Task EditAsync_UnknownMessage_ReturnsNull()
+    {
+        var repo = new InMemoryMessagesRepository();
+
+        var updated = await repo.EditAsync(42, "anything", DateTime.UtcNow);
+
+        Assert.Null(updated);
+    }
+
+    [Fact]
+    public async Task DeleteAsync_BySender_MarksTombstone_AndKeepsContentForAudit()
+    {
+        var repo = new InMemoryMessagesRepository();
+        var message = await repo.CreateAsync(new Message
+        {
+            Content = "Wrong room",
+            FromUser = new ApplicationUser { UserName = "alice" },
+            ToRoom = new Room { Name = "pair:dc-a::dc-b" },
+            Timestamp = DateTime.UtcNow
+        });
+        var deletedAt = DateTime.UtcNow;
+
+        var deleted = await repo.DeleteAsync(message.Id, "ALICE", deletedAt);
+
+        Assert.NotNull(deleted);
+        Assert.True(deleted.IsDeleted);
+        Assert.Equal(deletedAt, deleted.DeletedAt);
+        Assert.Equal("ALICE", deleted.DeletedByUserName);
+        Assert.Equal("Wrong room", (await repo.GetByIdAsync(message.Id)).Content);
+    }
+
+    [Fact]
+    public async Task DeleteAsync_ByAnotherUser_ReturnsNull_AndLeavesMessageIntact()
+    {
+        var repo = new InMemoryMessagesRepository();
+        var message = await repo.CreateAsync(new Message
+        {
+            Content = "Keep me",
+            FromUser = new ApplicationUser { UserName = "alice" },
+            ToRoom = new Room { Name = "pair:dc-a::dc-b" },
+            Timestamp = DateTime.UtcNow
+        });
+
+        var deleted = await repo.DeleteAsync(message.Id, "bob", DateTime.UtcNow);
+
+        Assert.Null(deleted);
+        Assert.False((await repo.GetByIdAsync(message.Id)).IsDeleted);
+    }
+
+    [Fact]
+    public async Task ToggleReactionAsync_ReplacesPreviousReactionOfSameDispatchCenter_AndClearsTheSameOne()
+    {
+        var repo = new InMemoryMessagesRepository();
+        var message = await repo.CreateAsync(new Message
+        {
+            Content = "Need an ambulance",
+            FromUser = new ApplicationUser { UserName = "alice" },
+            ToRoom = new Room { Name = "pair:dc-a::dc-b" },
+            Timestamp = DateTime.UtcNow
+        });
+
+        await repo.ToggleReactionAsync(message.Id, "dc-b", MessageReaction.Received);
+        await repo.ToggleReactionAsync(message.Id, "dc-a", MessageReaction.Received);
+        var updated = await repo.ToggleReactionAsync(message.Id, "dc-b", MessageReaction.OnIt);
+
+        Assert.Equal(new[] { "dc-a" }, updated.Reactions["Received"]);
+        Assert.Equal(new[] { "dc-b" }, updated.Reactions["OnIt"]);
+
+        var cleared = await repo.ToggleReactionAsync(message.Id, "dc-b", MessageReaction.OnIt);
+        Assert.False(cleared.Reactions.ContainsKey("OnIt"));
+        Assert.Equal(new[] { "dc-a" }, cleared.Reactions["Received"]);
+    }
+
+    [Fact]
+    public async Task UpdateTranslationAsync_FromSupersededJob_IsIgnored()
+    {
+        var repo = new InMemoryMessagesRepository();
+        var message = await repo.CreateAsync(new Message
+        {
+            Content = "Road 7 closed",
+            FromUser = new ApplicationUser { UserName = "alice" },
+            ToRoom = new Room { Name = "pair:dc-a::dc-b" },
+            Timestamp = DateTime.UtcNow
+        });
+        await repo.UpdateTranslationAsync(message.Id, new MessageTranslationUpdate(TranslationStatus.Pending, JobId: "transjob:1:1"));
+        // The message is edited: a new job replaces the one for the old text
+        await repo.UpdateTranslationAsync(message.Id, new MessageTranslationUpdate(TranslationStatus.Pending, JobId: "transjob:1:2"));
+
+        var stale = await repo.UpdateTranslationAsync(message.Id, new MessageTranslationUpdate(
+            TranslationStatus.Completed, new Dictionary<string, string> { ["pl"] = "Droga 7 zamknięta" }, JobId: "transjob:1:1"));
+
+        Assert.Null(stale);
+        var stored = await repo.GetByIdAsync(message.Id);
+        Assert.Equal(TranslationStatus.Pending, stored.TranslationStatus);
+        Assert.Equal("transjob:1:2", stored.TranslationJobId);
+        Assert.Empty(stored.Translations);
+
+        var current = await repo.UpdateTranslationAsync(message.Id, new MessageTranslationUpdate(
+            TranslationStatus.Completed, new Dictionary<string, string> { ["pl"] = "Droga 7 otwarta" }, JobId: "transjob:1:2"));
+
+        Assert.Equal(TranslationStatus.Completed, current.TranslationStatus);
+        Assert.Equal("Droga 7 otwarta", current.Translations["pl"]);
+    }
+}
@@ -0,0 +1,63 @@
+using Chat.Web.Models;
+using Chat.Web.Utilities;
+using Chat.Web.ViewModels;
+using Xunit;
+
+namespace Chat.Tests
+{
+    /// <summary>
+    /// Tests for normalization and validation of incident cards.
+    /// </summary>
+    public class IncidentCardRulesTests
+    {
+        [Fact]
+        public void ToModel_TrimsFieldsAndParsesCategory()
+        {
+            var card = new IncidentCardViewModel
+            {
+                IncidentId = " INC-000123 ",
+                Category = "fire",
+                Address = "  ",
+                Latitude = 50.0614,
+                Longitude = 19.9366,
+                CallbackNumber = " +48 600 100 200 "
+            }.ToModel();
+
+            Assert.Equal("INC-000123", card.IncidentId);
+            Assert.Equal(IncidentCategory.Fire, card.Category);
+            Assert.Null(card.Address);
+            Assert.Equal("+48 600 100 200", card.CallbackNumber);
+            Assert.Null(IncidentCardRules.Validate(card));
+        }
+
+        [Theory]
+        [InlineData(null)]
+        [InlineData("Earthquake")]
+        [InlineData("2")]
+        public void Validate_RejectsMissingOrUnknownCategory(string category)
+        {
+            var card = new IncidentCardViewModel { Category = category, Address = "Main St 5" }.ToModel();
+
+            Assert.Equal("Incident category is required.", IncidentCardRules.Validate(card));
+        }
+
+        [Theory]
+        [InlineData(50.0, null)]
+        [InlineData(91.0, 19.0)]
+        [InlineData(50.0, -181.0)]
+        public void Validate_RejectsIncompleteOrOutOfRangeCoordinates(double? latitude, double? longitude)
+        {
+            var card = new IncidentCard { Category = IncidentCategory.Medical, Latitude = latitude, Longitude = longitude };
+
+            Assert.NotNull(IncidentCardRules.Validate(card));
+        }
+
+        [Fact]
+        public void Validate_RejectsOverlongFields()
+        {
+            var card = new IncidentCard { Category = IncidentCategory.Traffic, Address = new string('a', IncidentCardRules.MaxAddressLength + 1) };
+
+            Assert.Equal($"Address must be at most {IncidentCardRules.MaxAddressLength} characters.", IncidentCardRules.Validate(card));
+        }
+    }
+}
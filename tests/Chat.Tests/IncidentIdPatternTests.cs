@@ -0,0 +1,67 @@
+using Chat.Web.Utilities;
+using Xunit;
+
+namespace Chat.Tests
+{
+    /// <summary>
+    /// Tests for validation of per-dispatch-center incident ID patterns.
+    /// </summary>
+    public class IncidentIdPatternTests
+    {
+        [Theory]
+        [InlineData(null)]
+        [InlineData("")]
+        [InlineData("   ")]
+        public void Normalize_BlankPattern_ReturnsNull(string pattern)
+        {
+            Assert.Null(IncidentIdPattern.Normalize(pattern));
+            Assert.Null(IncidentIdPattern.Validate(pattern));
+        }
+
+        [Fact]
+        public void Validate_AcceptsUsablePattern()
+        {
+            Assert.Null(IncidentIdPattern.Validate(@" INC-\d{6} "));
+            Assert.Equal(@"INC-\d{6}", IncidentIdPattern.Normalize(@" INC-\d{6} "));
+        }
+
+        [Theory]
+        [InlineData(@"\b(?:INC|EV)-\d{4,8}\b")]
+        [InlineData(@"[A-Z]{2}\d{2}/\d{5}")]
+        [InlineData(@"(?:ZS-)?\d{4}-\d+")]
+        [InlineData(@"(?:ab)+-\d")]
+        public void Validate_AcceptsSafeRealisticPatterns(string pattern)
+        {
+            Assert.Null(IncidentIdPattern.Validate(pattern));
+        }
+
+        [Theory]
+        [InlineData(@"(\d+)+x")]
+        [InlineData(@"(?:a|ab)*c")]
+        [InlineData(@"(INC-\d{2,})*X")]
+        [InlineData(@"((?:a+)b){2,5}")]
+        [InlineData(@"(INC)-\1")]
+        [InlineData(@"(?<id>INC)\k<id>")]
+        public void Validate_RejectsBacktrackingPronePatterns(string pattern)
+        {
+            Assert.NotNull(IncidentIdPattern.Validate(pattern));
+        }
+
+        [Theory]
+        [InlineData("INC-(\\d")]
+        [InlineData("\\d*")]
+        [InlineData("(INC)?")]
+        public void Validate_RejectsInvalidOrEmptyMatchingPattern(string pattern)
+        {
+            Assert.NotNull(IncidentIdPattern.Validate(pattern));
+        }
+
+        [Fact]
+        public void Validate_RejectsTooLongPattern()
+        {
+            var pattern = new string('a', IncidentIdPattern.MaxLength + 1);
+
+            Assert.NotNull(IncidentIdPattern.Validate(pattern));
+        }
+    }
+}
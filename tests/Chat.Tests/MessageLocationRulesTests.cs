@@ -0,0 +1,52 @@
+using Chat.Web.Models;
+using Chat.Web.Utilities;
+using Xunit;
+
+namespace Chat.Tests
+{
+    /// <summary>
+    /// Tests for normalization and validation of shared locations.
+    /// </summary>
+    public class MessageLocationRulesTests
+    {
+        [Fact]
+        public void Normalize_RoundsCoordinatesAndAccuracy()
+        {
+            var location = MessageLocationRules.Normalize(new MessageLocation { Latitude = 49.748412345, Longitude = -18.6321006, AccuracyMeters = 7.6 });
+
+            Assert.Equal(49.748412, location.Latitude);
+            Assert.Equal(-18.632101, location.Longitude);
+            Assert.Equal(8, location.AccuracyMeters);
+        }
+
+        [Theory]
+        [InlineData(-1.0)]
+        [InlineData(double.NaN)]
+        [InlineData(double.PositiveInfinity)]
+        public void Normalize_DropsUnusableAccuracy(double accuracy)
+        {
+            var location = MessageLocationRules.Normalize(new MessageLocation { Latitude = 50, Longitude = 19, AccuracyMeters = accuracy });
+
+            Assert.Null(location.AccuracyMeters);
+        }
+
+        [Theory]
+        [InlineData(90.0, 180.0)]
+        [InlineData(-90.0, -180.0)]
+        [InlineData(0.0, 0.0)]
+        public void Validate_AcceptsBoundaryCoordinates(double latitude, double longitude)
+        {
+            Assert.Null(MessageLocationRules.Validate(new MessageLocation { Latitude = latitude, Longitude = longitude }));
+        }
+
+        [Theory]
+        [InlineData(90.5, 19.0)]
+        [InlineData(50.0, -180.1)]
+        [InlineData(double.NaN, 19.0)]
+        [InlineData(50.0, double.NegativeInfinity)]
+        public void Validate_RejectsOutOfRangeOrNonFiniteCoordinates(double latitude, double longitude)
+        {
+            Assert.NotNull(MessageLocationRules.Validate(new MessageLocation { Latitude = latitude, Longitude = longitude }));
+        }
+    }
+}
@@ -0,0 +1,43 @@
+using Chat.Web.Models;
+using Chat.Web.Utilities;
+using Xunit;
+
+namespace Chat.Tests
+{
+    /// <summary>
+    /// Tests for parsing the priority flag sent with new messages.
+    /// </summary>
+    public class MessagePriorityParserTests
+    {
+        [Theory]
+        [InlineData(null)]
+        [InlineData("")]
+        [InlineData("  ")]
+        public void TryParse_Missing_DefaultsToNormal(string value)
+        {
+            Assert.True(MessagePriorityParser.TryParse(value, out var priority));
+            Assert.Equal(MessagePriority.Normal, priority);
+        }
+
+        [Theory]
+        [InlineData("Urgent", MessagePriority.Urgent)]
+        [InlineData("critical", MessagePriority.Critical)]
+        [InlineData(" NORMAL ", MessagePriority.Normal)]
+        public void TryParse_AcceptsNamesCaseInsensitively(string value, MessagePriority expected)
+        {
+            Assert.True(MessagePriorityParser.TryParse(value, out var priority));
+            Assert.Equal(expected, priority);
+        }
+
+        [Theory]
+        [InlineData("high")]
+        [InlineData("2")]
+        [InlineData("7")]
+        [InlineData("-1")]
+        public void TryParse_RejectsUnknownValues(string value)
+        {
+            Assert.False(MessagePriorityParser.TryParse(value, out var priority));
+            Assert.Equal(MessagePriority.Normal, priority);
+        }
+    }
+}
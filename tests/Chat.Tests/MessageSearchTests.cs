@@ -0,0 +1,65 @@
+using System;
+using System.Collections.Generic;
+using Chat.Web.Models;
+using Chat.Web.Utilities;
+using Xunit;
+
+namespace Chat.Tests
+{
+    /// <summary>
+    /// Tests for room history search matching and snippets.
+    /// </summary>
+    public class MessageSearchTests
+    {
+        [Theory]
+        [InlineData("  road   closed ", "road closed")]
+        [InlineData("a", null)]
+        [InlineData("   ", null)]
+        [InlineData(null, null)]
+        public void NormalizeQuery_CollapsesWhitespaceAndRejectsShortQueries(string query, string expected)
+        {
+            Assert.Equal(expected, MessageSearch.NormalizeQuery(query));
+        }
+
+        [Fact]
+        public void FindMatch_PrefersOriginalContent_ThenTranslations()
+        {
+            var message = new Message
+            {
+                Content = "Droga zamknięta przy przejściu",
+                Translations = new Dictionary<string, string> { ["en"] = "Road closed at the crossing", ["de"] = "Straße gesperrt" }
+            };
+
+            Assert.Equal((message.Content, (string)null), MessageSearch.FindMatch(message, "ZAMKNIĘTA"));
+            Assert.Equal(("Road closed at the crossing", "en"), MessageSearch.FindMatch(message, "road closed"));
+            Assert.Null(MessageSearch.FindMatch(message, "ambulance"));
+        }
+
+        [Fact]
+        public void FindMatch_IgnoresWithdrawnMessages()
+        {
+            var message = new Message { Content = "Road closed", DeletedAt = DateTime.UtcNow };
+
+            Assert.Null(MessageSearch.FindMatch(message, "road"));
+        }
+
+        [Fact]
+        public void BuildSnippet_CutsAroundMatchWithEllipses()
+        {
+            var text = new string('a', 100) + " ambulance " + new string('b', 100);
+
+            var snippet = MessageSearch.BuildSnippet(text, "AMBULANCE");
+
+            Assert.StartsWith("…", snippet);
+            Assert.EndsWith("…", snippet);
+            Assert.Contains("ambulance", snippet);
+            Assert.True(snippet.Length <= "ambulance".Length + 2 * MessageSearch.SnippetRadius + 2);
+        }
+
+        [Fact]
+        public void BuildSnippet_ReturnsShortTextUnchanged()
+        {
+            Assert.Equal("Road closed", MessageSearch.BuildSnippet(" Road closed ", "road"));
+        }
+    }
+}
@@ -0,0 +1,85 @@
+using System.Collections.Generic;
+using Chat.Web.Models;
+using Chat.Web.Utilities;
+using Xunit;
+
+namespace Chat.Tests
+{
+    /// <summary>
+    /// Tests for message template placeholders, normalization and validation.
+    /// </summary>
+    public class MessageTemplateRulesTests
+    {
+        [Fact]
+        public void GetPlaceholders_ReturnsDistinctNamesInOrder()
+        {
+            var placeholders = MessageTemplateRules.GetPlaceholders("Unit sent to {address} for {incident}; confirm {incident}. {1x} {}");
+
+            Assert.Equal(new[] { "address", "incident" }, placeholders);
+        }
+
+        [Fact]
+        public void Normalize_TrimsAndDropsBlankVersions()
+        {
+            var template = MessageTemplateRules.Normalize(new MessageTemplate
+            {
+                Title = "  Dispatched ",
+                Content = " Unit dispatched to {address} ",
+                Translations = new Dictionary<string, string> { ["pl-PL"] = " Jednostka wysłana na {address} ", ["de"] = "  " }
+            });
+
+            Assert.False(string.IsNullOrEmpty(template.Id));
+            Assert.Equal("Dispatched", template.Title);
+            Assert.Equal("Unit dispatched to {address}", template.Content);
+            var version = Assert.Single(template.Translations);
+            Assert.Equal("pl", version.Key);
+            Assert.Equal("Jednostka wysłana na {address}", version.Value);
+        }
+
+        [Fact]
+        public void Validate_AcceptsTemplateWithMatchingVersions()
+        {
+            var template = MessageTemplateRules.Normalize(new MessageTemplate
+            {
+                Title = "Dispatched",
+                Content = "Unit dispatched to {address}, incident {incident}",
+                Translations = new Dictionary<string, string> { ["pl"] = "Zdarzenie {incident}: jednostka wysłana na {address}" }
+            });
+
+            Assert.Null(MessageTemplateRules.Validate(template));
+        }
+
+        [Theory]
+        [InlineData("", "Text")]
+        [InlineData("Title", "")]
+        public void Validate_RequiresTitleAndText(string title, string content)
+        {
+            Assert.NotNull(MessageTemplateRules.Validate(MessageTemplateRules.Normalize(new MessageTemplate { Title = title, Content = content })));
+        }
+
+        [Fact]
+        public void Validate_RejectsVersionWithDifferentPlaceholders()
+        {
+            var template = MessageTemplateRules.Normalize(new MessageTemplate
+            {
+                Title = "Dispatched",
+                Content = "Unit dispatched to {address}",
+                Translations = new Dictionary<string, string> { ["de"] = "Einheit zu {adresse} entsandt" }
+            });
+
+            Assert.Contains("de", MessageTemplateRules.Validate(template));
+        }
+
+        [Fact]
+        public void Validate_RejectsTooLongText()
+        {
+            var template = MessageTemplateRules.Normalize(new MessageTemplate
+            {
+                Title = "Long",
+                Content = new string('x', MessageTemplateRules.MaxContentLength + 1)
+            });
+
+            Assert.NotNull(MessageTemplateRules.Validate(template));
+        }
+    }
+}
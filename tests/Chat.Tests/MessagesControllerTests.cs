@@ -0,0 +1,667 @@
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json;
+using System.Threading;
+using System.Threading.Tasks;
+using Chat.Web.Controllers;
+using Chat.Web.Models;
+using Chat.Web.Options;
+using Chat.Web.Repositories;
+using Chat.Web.Services;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using Xunit;
+
+namespace Chat.Tests;
+
+public class MessagesControllerTests
+{
+    private const string RoomName = PairRoomFixture.RoomName;
+    private const string OtherRoomName = "pair:dc-a::dc-c";
+
+    [Fact]
+    public async Task Edit_BySender_UpdatesContentAndBroadcastsMessageEdited()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var message = await fixture.SendAsync("alice", "Incident 1234");
+
+        var result = await fixture.BuildController("alice").Edit(
+            message.Id,
+            new MessagesController.EditMessageDto { Content = "Incident 1243" },
+            Mock.Of<ITranslationJobQueue>(),
+            Microsoft.Extensions.Options.Options.Create(new TranslationOptions { Enabled = false }));
+
+        Assert.IsType<OkObjectResult>(result);
+        var stored = await fixture.Messages.GetByIdAsync(message.Id);
+        Assert.Equal("Incident 1243", stored.Content);
+        Assert.NotNull(stored.EditedAt);
+        Assert.Equal("Incident 1234", stored.EditHistory.Single().Content);
+        fixture.GroupProxy.Verify(
+            x => x.SendCoreAsync("messageEdited", It.IsAny<object[]>(), It.IsAny<CancellationToken>()),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task Edit_ByAnotherUser_IsForbidden_AndLeavesMessageUnchanged()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var message = await fixture.SendAsync("alice", "Incident 1234");
+
+        var result = await fixture.BuildController("bob").Edit(
+            message.Id,
+            new MessagesController.EditMessageDto { Content = "Hijacked" },
+            Mock.Of<ITranslationJobQueue>(),
+            Microsoft.Extensions.Options.Options.Create(new TranslationOptions { Enabled = false }));
+
+        var status = Assert.IsType<ObjectResult>(result);
+        Assert.Equal(StatusCodes.Status403Forbidden, status.StatusCode);
+        var stored = await fixture.Messages.GetByIdAsync(message.Id);
+        Assert.Equal("Incident 1234", stored.Content);
+        Assert.Null(stored.EditedAt);
+    }
+
+    [Fact]
+    public async Task Edit_WithTranslationEnabled_ResetsTranslationsAndEnqueuesJob()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var message = await fixture.SendAsync("alice", "Incident 1234");
+        await fixture.Messages.UpdateTranslationAsync(message.Id, new MessageTranslationUpdate(
+            TranslationStatus.Completed,
+            new Dictionary<string, string> { ["de"] = "Einsatz 1234" }));
+        var queue = new Mock<ITranslationJobQueue>();
+
+        await fixture.BuildController("alice").Edit(
+            message.Id,
+            new MessagesController.EditMessageDto { Content = "Incident 1243" },
+            queue.Object,
+            Microsoft.Extensions.Options.Options.Create(new TranslationOptions { Enabled = true }));
+
+        var stored = await fixture.Messages.GetByIdAsync(message.Id);
+        Assert.Equal(TranslationStatus.Pending, stored.TranslationStatus);
+        Assert.Empty(stored.Translations);
+        queue.Verify(
+            x => x.EnqueueAsync(It.Is<MessageTranslationJob>(j => j.MessageId == message.Id && j.Content == "Incident 1243"), It.IsAny<CancellationToken>()),
+            Times.Once);
+    }
+
+    [Theory]
+    [InlineData(MessageEscalationStatus.Scheduled)]
+    [InlineData(MessageEscalationStatus.Escalated)]
+    public async Task Edit_WithOpenEscalation_IsRefused(MessageEscalationStatus status)
+    {
+        var fixture = await Fixture.CreateAsync();
+        var message = await fixture.SendAsync("alice", "Escalated request");
+        await fixture.Messages.UpdateEscalationAsync(message.Id, status, "esc-1");
+
+        var result = await fixture.BuildController("alice").Edit(
+            message.Id,
+            new MessagesController.EditMessageDto { Content = "Changed request" },
+            Mock.Of<ITranslationJobQueue>(),
+            Microsoft.Extensions.Options.Options.Create(new TranslationOptions { Enabled = false }));
+
+        Assert.IsType<ConflictObjectResult>(result);
+        var stored = await fixture.Messages.GetByIdAsync(message.Id);
+        Assert.Equal("Escalated request", stored.Content);
+        Assert.Null(stored.EditedAt);
+        fixture.GroupProxy.Verify(
+            x => x.SendCoreAsync("messageEdited", It.IsAny<object[]>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task Delete_BySender_SoftDeletesAndBroadcastsMessageDeleted()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var message = await fixture.SendAsync("alice", "Sent to the wrong centre");
+
+        var result = await fixture.BuildController("alice").Delete(message.Id);
+
+        Assert.IsType<OkObjectResult>(result);
+        var stored = await fixture.Messages.GetByIdAsync(message.Id);
+        Assert.True(stored.IsDeleted);
+        Assert.Equal("Sent to the wrong centre", stored.Content);
+        fixture.GroupProxy.Verify(
+            x => x.SendCoreAsync("messageDeleted", It.IsAny<object[]>(), It.IsAny<CancellationToken>()),
+            Times.Once);
+    }
+
+    [Theory]
+    [InlineData(MessageEscalationStatus.Scheduled)]
+    [InlineData(MessageEscalationStatus.Escalated)]
+    public async Task Delete_WithOpenEscalation_IsRefused(MessageEscalationStatus status)
+    {
+        var fixture = await Fixture.CreateAsync();
+        var message = await fixture.SendAsync("alice", "Escalated request");
+        await fixture.Messages.UpdateEscalationAsync(message.Id, status, "esc-1");
+
+        var result = await fixture.BuildController("alice").Delete(message.Id);
+
+        Assert.IsType<ConflictObjectResult>(result);
+        Assert.False((await fixture.Messages.GetByIdAsync(message.Id)).IsDeleted);
+        fixture.GroupProxy.Verify(
+            x => x.SendCoreAsync("messageDeleted", It.IsAny<object[]>(), It.IsAny<CancellationToken>()),
+            Times.Never);
+    }
+
+    [Fact]
+    public async Task GetMessages_ReturnsDeletedMessageAsTombstoneWithoutContent()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var message = await fixture.SendAsync("alice", "Secret address");
+        await fixture.Messages.DeleteAsync(message.Id, "alice", System.DateTime.UtcNow);
+
+        var result = await fixture.BuildController("bob").GetMessages(RoomName);
+
+        var ok = Assert.IsType<OkObjectResult>(result);
+        var item = Assert.Single(Assert.IsAssignableFrom<IEnumerable<Chat.Web.ViewModels.MessageViewModel>>(ok.Value));
+        Assert.Equal(string.Empty, item.Content);
+        Assert.NotNull(item.DeletedAt);
+        Assert.Equal("alice", item.DeletedBy);
+    }
+
+    [Fact]
+    public async Task GetMessages_AroundAMoment_ReturnsOlderAndNewerPagesInAscendingOrder()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var start = new System.DateTime(2026, 10, 18, 14, 0, 0, System.DateTimeKind.Utc);
+        var messages = new List<Message>();
+        for (var i = 0; i < 5; i++)
+        {
+            var message = await fixture.SendAsync("alice", $"Update {i}");
+            message.Timestamp = start.AddMinutes(i);
+            messages.Add(message);
+        }
+        var controller = fixture.BuildController("bob");
+        var moment = start.AddMinutes(2);
+
+        var older = Assert.IsType<OkObjectResult>(await controller.GetMessages(RoomName, before: moment, take: 10));
+        var newer = Assert.IsType<OkObjectResult>(await controller.GetMessages(RoomName, take: 2, after: moment));
+
+        Assert.Equal(new[] { messages[0].Id, messages[1].Id },
+            Assert.IsAssignableFrom<IEnumerable<Chat.Web.ViewModels.MessageViewModel>>(older.Value).Select(m => m.Id));
+        Assert.Equal(new[] { messages[2].Id, messages[3].Id },
+            Assert.IsAssignableFrom<IEnumerable<Chat.Web.ViewModels.MessageViewModel>>(newer.Value).Select(m => m.Id));
+    }
+
+    [Fact]
+    public async Task GetMessages_WithBothBeforeAndAfter_ReturnsBadRequest()
+    {
+        var fixture = await Fixture.CreateAsync();
+
+        var result = await fixture.BuildController("bob").GetMessages(RoomName, before: System.DateTime.UtcNow, after: System.DateTime.UtcNow.AddHours(-1));
+
+        Assert.IsType<BadRequestObjectResult>(result);
+    }
+
+    [Fact]
+    public async Task GetMessages_IncludesReplyPreviewOfTheOriginal()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var question = await fixture.SendAsync("bob", "Do you have a free ambulance?");
+        var answer = await fixture.SendAsync("alice", "Yes, unit 12", question.Id);
+
+        var result = await fixture.BuildController("bob").GetMessages(RoomName);
+
+        var ok = Assert.IsType<OkObjectResult>(result);
+        var items = Assert.IsAssignableFrom<IEnumerable<Chat.Web.ViewModels.MessageViewModel>>(ok.Value).ToList();
+        var reply = Assert.Single(items, m => m.Id == answer.Id);
+        Assert.Equal(question.Id, reply.ReplyToId);
+        Assert.NotNull(reply.ReplyTo);
+        Assert.Equal("bob", reply.ReplyTo.FromUserName);
+        Assert.Equal("Do you have a free ambulance?", reply.ReplyTo.Content);
+        Assert.Null(items.Single(m => m.Id == question.Id).ReplyTo);
+    }
+
+    [Fact]
+    public async Task Get_ReplyToWithdrawnOriginal_HidesQuotedContent()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var question = await fixture.SendAsync("bob", "Patient address is 5 Main St");
+        var answer = await fixture.SendAsync("alice", "Noted", question.Id);
+        await fixture.Messages.DeleteAsync(question.Id, "bob", System.DateTime.UtcNow);
+
+        var result = await fixture.BuildController("alice").Get(answer.Id);
+
+        var ok = Assert.IsType<OkObjectResult>(result.Result);
+        var vm = Assert.IsType<Chat.Web.ViewModels.MessageViewModel>(ok.Value);
+        Assert.True(vm.ReplyTo.IsDeleted);
+        Assert.Equal(string.Empty, vm.ReplyTo.Content);
+    }
+
+    [Fact]
+    public async Task React_TogglesDispatchCenterReaction_AndBroadcastsReactionChanged()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var message = await fixture.SendAsync("alice", "Need an ambulance at the border crossing");
+        var controller = fixture.BuildController("bob");
+
+        var first = await controller.React(message.Id, new MessagesController.ReactionDto { Reaction = "onIt" });
+
+        Assert.IsType<OkObjectResult>(first);
+        Assert.Equal(new[] { "dc-b" }, (await fixture.Messages.GetByIdAsync(message.Id)).Reactions["OnIt"]);
+
+        var second = await controller.React(message.Id, new MessagesController.ReactionDto { Reaction = "OnIt" });
+
+        Assert.IsType<OkObjectResult>(second);
+        Assert.Empty((await fixture.Messages.GetByIdAsync(message.Id)).Reactions);
+        fixture.GroupProxy.Verify(
+            x => x.SendCoreAsync("reactionChanged", It.IsAny<object[]>(), It.IsAny<CancellationToken>()),
+            Times.Exactly(2));
+    }
+
+    [Theory]
+    [InlineData("Thumbsup")]
+    [InlineData("2")]
+    [InlineData("")]
+    public async Task React_WithUnknownReaction_ReturnsBadRequest(string reaction)
+    {
+        var fixture = await Fixture.CreateAsync();
+        var message = await fixture.SendAsync("alice", "Need an ambulance");
+
+        var result = await fixture.BuildController("bob").React(message.Id, new MessagesController.ReactionDto { Reaction = reaction });
+
+        Assert.IsType<BadRequestObjectResult>(result);
+    }
+
+    [Fact]
+    public async Task Pin_ByAnyParticipant_PinsMessageAndBroadcastsPinChanged()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var message = await fixture.SendAsync("alice", "Road closed at the border crossing");
+
+        var result = await fixture.BuildController("bob").Pin(message.Id);
+
+        Assert.IsType<OkObjectResult>(result);
+        var stored = await fixture.Messages.GetByIdAsync(message.Id);
+        Assert.True(stored.IsPinned);
+        Assert.Equal("bob", stored.PinnedByUserName);
+        var pinned = Assert.IsType<OkObjectResult>(await fixture.BuildController("alice").GetPinned(RoomName));
+        Assert.Equal(message.Id, Assert.Single(Assert.IsAssignableFrom<IEnumerable<Chat.Web.ViewModels.PinnedMessageViewModel>>(pinned.Value)).Id);
+        fixture.GroupProxy.Verify(
+            x => x.SendCoreAsync("pinChanged", It.IsAny<object[]>(), It.IsAny<CancellationToken>()),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task Unpin_RemovesPin_AndRepeatedUnpinDoesNotBroadcast()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var message = await fixture.SendAsync("alice", "Road closed at the border crossing");
+        await fixture.BuildController("alice").Pin(message.Id);
+
+        Assert.IsType<OkObjectResult>(await fixture.BuildController("bob").Unpin(message.Id));
+        Assert.IsType<OkObjectResult>(await fixture.BuildController("bob").Unpin(message.Id));
+
+        Assert.False((await fixture.Messages.GetByIdAsync(message.Id)).IsPinned);
+        fixture.GroupProxy.Verify(
+            x => x.SendCoreAsync("pinChanged", It.IsAny<object[]>(), It.IsAny<CancellationToken>()),
+            Times.Exactly(2));
+    }
+
+    [Fact]
+    public async Task Pin_BeyondRoomLimit_ReturnsConflict()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var controller = fixture.BuildController("alice");
+        for (var i = 0; i < 20; i++)
+        {
+            var pinned = await fixture.SendAsync("alice", $"Notice {i}");
+            Assert.IsType<OkObjectResult>(await controller.Pin(pinned.Id));
+        }
+        var message = await fixture.SendAsync("alice", "One too many");
+
+        var result = await controller.Pin(message.Id);
+
+        Assert.IsType<ConflictObjectResult>(result);
+        Assert.False((await fixture.Messages.GetByIdAsync(message.Id)).IsPinned);
+    }
+
+    [Fact]
+    public async Task Pin_ByUserOutsideRoom_IsForbidden()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var message = await fixture.SendAsync("alice", "Road closed at the border crossing");
+        await fixture.Users.UpsertAsync(new ApplicationUser { UserName = "carol", DispatchCenterId = "dc-c", Enabled = true });
+
+        var result = await fixture.BuildController("carol").Pin(message.Id);
+
+        Assert.IsType<ForbidResult>(result);
+        Assert.False((await fixture.Messages.GetByIdAsync(message.Id)).IsPinned);
+    }
+
+    [Fact]
+    public async Task Search_MatchesContentAndTranslations_NewestFirst_AndPages()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var original = await fixture.SendAsync("alice", "Droga zamknięta przy przejściu");
+        original.Translations = new Dictionary<string, string> { ["en"] = "Road closed at the crossing" };
+        await fixture.SendAsync("bob", "Unrelated");
+        var withdrawn = await fixture.SendAsync("bob", "Road closed again");
+        withdrawn.DeletedAt = System.DateTime.UtcNow;
+        var latest = await fixture.SendAsync("bob", "The road is closed, road closed");
+        var controller = fixture.BuildController("alice");
+
+        var first = Assert.IsType<OkObjectResult>(await controller.Search(RoomName, " road  closed ", take: 1));
+        var second = Assert.IsType<OkObjectResult>(await controller.Search(RoomName, "road closed", skip: 1, take: 1));
+
+        using var firstPage = JsonDocument.Parse(JsonSerializer.Serialize(first.Value));
+        Assert.Equal(latest.Id, Assert.Single(firstPage.RootElement.GetProperty("items").EnumerateArray()).GetProperty("Id").GetInt32());
+        Assert.True(firstPage.RootElement.GetProperty("hasMore").GetBoolean());
+        using var secondPage = JsonDocument.Parse(JsonSerializer.Serialize(second.Value));
+        var hit = Assert.Single(secondPage.RootElement.GetProperty("items").EnumerateArray());
+        Assert.Equal(original.Id, hit.GetProperty("Id").GetInt32());
+        Assert.Equal("en", hit.GetProperty("Language").GetString());
+        Assert.Equal("Road closed at the crossing", hit.GetProperty("Snippet").GetString());
+        Assert.False(secondPage.RootElement.GetProperty("hasMore").GetBoolean());
+    }
+
+    [Fact]
+    public async Task Search_WithTooShortQuery_ReturnsBadRequest()
+    {
+        var fixture = await Fixture.CreateAsync();
+
+        var result = await fixture.BuildController("alice").Search(RoomName, " r ");
+
+        Assert.IsType<BadRequestObjectResult>(result);
+    }
+
+    [Fact]
+    public async Task Search_ByUserOutsideRoom_IsForbidden()
+    {
+        var fixture = await Fixture.CreateAsync();
+        await fixture.SendAsync("alice", "Road closed");
+        await fixture.Users.UpsertAsync(new ApplicationUser { UserName = "carol", DispatchCenterId = "dc-c", Enabled = true });
+
+        var result = await fixture.BuildController("carol").Search(RoomName, "road");
+
+        Assert.IsType<ForbidResult>(result);
+    }
+
+    [Fact]
+    public async Task Post_WithUrgentPriority_PersistsAndReturnsPriority()
+    {
+        var fixture = await Fixture.CreateAsync();
+
+        var result = await fixture.BuildController("alice").Post(
+            new MessagesController.CreateMessageDto { Room = RoomName, Content = "Mass casualty, need all units", Priority = "urgent" },
+            null!, new ConfigurationBuilder().Build(), Fixture.DevelopmentEnvironment());
+
+        var created = Assert.IsType<CreatedResult>(result);
+        var vm = Assert.IsType<Chat.Web.ViewModels.MessageViewModel>(created.Value);
+        Assert.Equal("Urgent", vm.Priority);
+        Assert.Equal(MessagePriority.Urgent, (await fixture.Messages.GetByIdAsync(vm.Id)).Priority);
+
+        var page = Assert.IsType<OkObjectResult>(await fixture.BuildController("bob").GetMessages(RoomName));
+        var item = Assert.Single(Assert.IsAssignableFrom<IEnumerable<Chat.Web.ViewModels.MessageViewModel>>(page.Value));
+        Assert.Equal("Urgent", item.Priority);
+    }
+
+    [Fact]
+    public async Task Post_WithUnknownPriority_ReturnsBadRequest()
+    {
+        var fixture = await Fixture.CreateAsync();
+
+        var result = await fixture.BuildController("alice").Post(
+            new MessagesController.CreateMessageDto { Room = RoomName, Content = "Need help", Priority = "high" },
+            null!, new ConfigurationBuilder().Build(), Fixture.DevelopmentEnvironment());
+
+        Assert.IsType<BadRequestObjectResult>(result);
+        Assert.Empty(await fixture.Messages.GetRecentByRoomAsync(RoomName));
+    }
+
+    [Fact]
+    public async Task Post_WithIncidentCard_PersistsCardAndKeepsDetailsAsContent()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var card = new Chat.Web.ViewModels.IncidentCardViewModel
+        {
+            IncidentId = "INC-000123",
+            Category = "Fire",
+            Address = "Main St 5, Cieszyn",
+            Latitude = 49.7484,
+            Longitude = 18.6321,
+            UnitsRequested = "2 engines",
+            CallbackNumber = "+48 600 100 200"
+        };
+
+        var result = await fixture.BuildController("alice").Post(
+            new MessagesController.CreateMessageDto { Room = RoomName, Content = "Smoke from the roof", Card = card },
+            null!, new ConfigurationBuilder().Build(), Fixture.DevelopmentEnvironment());
+
+        var vm = Assert.IsType<Chat.Web.ViewModels.MessageViewModel>(Assert.IsType<CreatedResult>(result).Value);
+        Assert.Equal("Smoke from the roof", vm.Content);
+        var stored = (await fixture.Messages.GetByIdAsync(vm.Id)).Card;
+        Assert.Equal(IncidentCategory.Fire, stored.Category);
+        Assert.Equal("INC-000123", stored.IncidentId);
+
+        var fetched = Assert.IsType<OkObjectResult>((await fixture.BuildController("bob").Get(vm.Id)).Result);
+        var fetchedCard = Assert.IsType<Chat.Web.ViewModels.MessageViewModel>(fetched.Value).Card;
+        Assert.Equal("Fire", fetchedCard.Category);
+        Assert.Equal(18.6321, fetchedCard.Longitude);
+        Assert.Equal("+48 600 100 200", fetchedCard.CallbackNumber);
+    }
+
+    [Fact]
+    public async Task Post_WithInvalidIncidentCard_ReturnsBadRequest()
+    {
+        var fixture = await Fixture.CreateAsync();
+
+        var result = await fixture.BuildController("alice").Post(
+            new MessagesController.CreateMessageDto
+            {
+                Room = RoomName,
+                Card = new Chat.Web.ViewModels.IncidentCardViewModel { Category = "Fire", Latitude = 49.7 }
+            },
+            null!, new ConfigurationBuilder().Build(), Fixture.DevelopmentEnvironment());
+
+        Assert.IsType<BadRequestObjectResult>(result);
+        Assert.Empty(await fixture.Messages.GetRecentByRoomAsync(RoomName));
+    }
+
+    [Fact]
+    public async Task Post_WithLocationOnly_PersistsNormalizedLocation()
+    {
+        var fixture = await Fixture.CreateAsync();
+
+        var result = await fixture.BuildController("alice").Post(
+            new MessagesController.CreateMessageDto
+            {
+                Room = RoomName,
+                Location = new Chat.Web.ViewModels.MessageLocationViewModel { Latitude = 49.74839999, Longitude = 18.6321, AccuracyMeters = 12.4 }
+            },
+            null!, new ConfigurationBuilder().Build(), Fixture.DevelopmentEnvironment());
+
+        var vm = Assert.IsType<Chat.Web.ViewModels.MessageViewModel>(Assert.IsType<CreatedResult>(result).Value);
+        Assert.Equal(49.7484, vm.Location.Latitude);
+        Assert.Equal(12, vm.Location.AccuracyMeters);
+        var stored = (await fixture.Messages.GetByIdAsync(vm.Id)).Location;
+        Assert.Equal(18.6321, stored.Longitude);
+    }
+
+    [Fact]
+    public async Task Post_WithOutOfRangeLocation_ReturnsBadRequest()
+    {
+        var fixture = await Fixture.CreateAsync();
+
+        var result = await fixture.BuildController("alice").Post(
+            new MessagesController.CreateMessageDto
+            {
+                Room = RoomName,
+                Location = new Chat.Web.ViewModels.MessageLocationViewModel { Latitude = 95, Longitude = 18.6321 }
+            },
+            null!, new ConfigurationBuilder().Build(), Fixture.DevelopmentEnvironment());
+
+        Assert.IsType<BadRequestObjectResult>(result);
+        Assert.Empty(await fixture.Messages.GetRecentByRoomAsync(RoomName));
+    }
+
+    [Fact]
+    public async Task Forward_ToOtherRoom_CreatesAttributedMessageAndBroadcasts()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var original = await fixture.SendAsync("bob", "Road 7 closed after the crash");
+        var queue = new Mock<ITranslationJobQueue>();
+
+        var result = await fixture.BuildController("alice").Forward(
+            original.Id,
+            new MessagesController.ForwardMessageDto { Room = OtherRoomName },
+            fixture.DispatchCenters,
+            queue.Object,
+            Microsoft.Extensions.Options.Options.Create(new TranslationOptions { Enabled = true }),
+            null!);
+
+        var vm = Assert.IsType<Chat.Web.ViewModels.MessageViewModel>(Assert.IsType<CreatedResult>(result).Value);
+        Assert.Equal(OtherRoomName, vm.Room);
+        Assert.Equal("alice", vm.FromUserName);
+        Assert.Equal("Road 7 closed after the crash", vm.Content);
+        Assert.Equal(original.Id, vm.ForwardedFrom.OriginalMessageId);
+        Assert.Equal(RoomName, vm.ForwardedFrom.Room);
+        Assert.Equal("bob", vm.ForwardedFrom.FromUserName);
+        Assert.Equal("Beta", vm.ForwardedFrom.FromDispatchCenterName);
+
+        var stored = await fixture.Messages.GetByIdAsync(vm.Id);
+        Assert.Equal(TranslationStatus.Pending, stored.TranslationStatus);
+        Assert.Equal("Alpha <-> Beta", stored.ForwardedFrom.RoomDisplayName);
+        queue.Verify(
+            x => x.EnqueueAsync(It.Is<MessageTranslationJob>(j => j.MessageId == vm.Id && j.RoomName == OtherRoomName && j.SourceLanguage == "auto"), It.IsAny<CancellationToken>()),
+            Times.Once);
+        fixture.GroupProxy.Verify(
+            x => x.SendCoreAsync("newMessage", It.IsAny<object[]>(), It.IsAny<CancellationToken>()),
+            Times.Once);
+    }
+
+    [Fact]
+    public async Task Forward_ForwardedMessage_KeepsFirstAttribution()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var original = await fixture.SendAsync("bob", "Road 7 closed after the crash");
+        var controller = fixture.BuildController("alice");
+        var options = Microsoft.Extensions.Options.Options.Create(new TranslationOptions());
+
+        var first = Assert.IsType<Chat.Web.ViewModels.MessageViewModel>(Assert.IsType<CreatedResult>(await controller.Forward(
+            original.Id, new MessagesController.ForwardMessageDto { Room = OtherRoomName },
+            fixture.DispatchCenters, Mock.Of<ITranslationJobQueue>(), options, null!)).Value);
+        var second = Assert.IsType<Chat.Web.ViewModels.MessageViewModel>(Assert.IsType<CreatedResult>(await controller.Forward(
+            first.Id, new MessagesController.ForwardMessageDto { Room = RoomName },
+            fixture.DispatchCenters, Mock.Of<ITranslationJobQueue>(), options, null!)).Value);
+
+        Assert.Equal(original.Id, second.ForwardedFrom.OriginalMessageId);
+        Assert.Equal("bob", second.ForwardedFrom.FromUserName);
+    }
+
+    [Fact]
+    public async Task Forward_TextWithAttachment_NotesThatTheAttachmentWasNotForwarded()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var bob = await fixture.Users.GetByUserNameAsync("bob");
+        var original = await fixture.Messages.CreateAsync(new Message
+        {
+            Content = "Photo of the crash site",
+            FromUser = bob,
+            FromDispatchCenterId = bob.DispatchCenterId,
+            ToRoom = fixture.Room,
+            Timestamp = System.DateTime.UtcNow,
+            Attachment = new MessageAttachment { Id = "att-1", FileName = "crash.jpg", ContentType = "image/jpeg", Size = 1024 }
+        });
+
+        var result = await fixture.BuildController("alice").Forward(
+            original.Id,
+            new MessagesController.ForwardMessageDto { Room = OtherRoomName },
+            fixture.DispatchCenters,
+            Mock.Of<ITranslationJobQueue>(),
+            Microsoft.Extensions.Options.Options.Create(new TranslationOptions()),
+            null!);
+
+        var vm = Assert.IsType<Chat.Web.ViewModels.MessageViewModel>(Assert.IsType<CreatedResult>(result).Value);
+        Assert.Equal("Photo of the crash site", vm.Content);
+        Assert.True(vm.ForwardedFrom.AttachmentOmitted);
+        var stored = await fixture.Messages.GetByIdAsync(vm.Id);
+        Assert.Null(stored.Attachment);
+        Assert.True(stored.ForwardedFrom.AttachmentOmitted);
+    }
+
+    [Fact]
+    public async Task Forward_ToRoomOutsideCallersDispatchCenter_IsForbidden()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var original = await fixture.SendAsync("alice", "Road 7 closed after the crash");
+
+        var result = await fixture.BuildController("bob").Forward(
+            original.Id,
+            new MessagesController.ForwardMessageDto { Room = OtherRoomName },
+            fixture.DispatchCenters,
+            Mock.Of<ITranslationJobQueue>(),
+            Microsoft.Extensions.Options.Options.Create(new TranslationOptions()),
+            null!);
+
+        Assert.IsType<ForbidResult>(result);
+        Assert.Empty(await fixture.Messages.GetRecentByRoomAsync(OtherRoomName));
+    }
+
+    [Fact]
+    public async Task Forward_WithdrawnMessage_ReturnsConflict()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var original = await fixture.SendAsync("alice", "Road 7 closed after the crash");
+        await fixture.BuildController("alice").Delete(original.Id);
+
+        var result = await fixture.BuildController("alice").Forward(
+            original.Id,
+            new MessagesController.ForwardMessageDto { Room = OtherRoomName },
+            fixture.DispatchCenters,
+            Mock.Of<ITranslationJobQueue>(),
+            Microsoft.Extensions.Options.Options.Create(new TranslationOptions()),
+            null!);
+
+        Assert.IsType<ConflictObjectResult>(result);
+        Assert.Empty(await fixture.Messages.GetRecentByRoomAsync(OtherRoomName));
+    }
+
+    private sealed class Fixture : PairRoomFixture
+    {
+        public static IHostEnvironment DevelopmentEnvironment()
+            => Mock.Of<IHostEnvironment>(e => e.EnvironmentName == Environments.Development);
+
+        public static async Task<Fixture> CreateAsync()
+        {
+            var fixture = new Fixture();
+            await fixture.SeedAsync();
+            await fixture.Rooms.UpsertAsync(new Room
+            {
+                Name = OtherRoomName,
+                DisplayName = "Alpha <-> Gamma",
+                RoomType = RoomType.DispatchCenterPair,
+                PairKey = "dc-a::dc-c",
+                DispatchCenterAId = "dc-a",
+                DispatchCenterBId = "dc-c",
+                IsActive = true
+            });
+            return fixture;
+        }
+
+        public async Task<Message> SendAsync(string userName, string content, int? replyToId = null)
+        {
+            var sender = await Users.GetByUserNameAsync(userName);
+            return await Messages.CreateAsync(new Message
+            {
+                Content = content,
+                FromUser = sender,
+                FromDispatchCenterId = sender.DispatchCenterId,
+                ToRoom = Room,
+                Timestamp = System.DateTime.UtcNow,
+                ReplyToId = replyToId
+            });
+        }
+
+        public MessagesController BuildController(string identityName)
+        {
+            var hubContext = BuildHubContext();
+            return SignedInAs(
+                new MessagesController(Messages, Rooms, Users, hubContext, NullLogger<MessagesController>.Instance, BuildEscalations(hubContext)),
+                identityName);
+        }
+    }
+}
@@ -0,0 +1,91 @@
+using System.Security.Claims;
+using System.Threading;
+using System.Threading.Tasks;
+using Chat.Web.Hubs;
+using Chat.Web.Models;
+using Chat.Web.Repositories;
+using Chat.Web.Services;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+
+namespace Chat.Tests;
+
+/// <summary>
+/// Shared setup for tests around one dispatch-center pair room: the Alpha (dc-a) / Beta (dc-b) room with
+/// alice in Alpha and bob in Beta, in-memory repositories, and a hub whose room broadcasts all go to <see cref="GroupProxy"/>.
+/// Test files derive their own fixture from it and call <see cref="SeedAsync"/> once from their factory.
+/// </summary>
+internal abstract class PairRoomFixture
+{
+    public const string RoomName = "pair:dc-a::dc-b";
+
+    public InMemoryMessagesRepository Messages { get; } = new();
+    public InMemoryRoomsRepository Rooms { get; } = new();
+    public InMemoryUsersRepository Users { get; } = new();
+    public InMemoryDispatchCentersRepository DispatchCenters { get; } = new();
+    public Mock<IClientProxy> GroupProxy { get; } = new();
+    public Room Room { get; private set; } = null!;
+
+    protected async Task SeedAsync()
+    {
+        Room = new Room
+        {
+            Name = RoomName,
+            DisplayName = "Alpha <-> Beta",
+            RoomType = RoomType.DispatchCenterPair,
+            PairKey = "dc-a::dc-b",
+            DispatchCenterAId = "dc-a",
+            DispatchCenterBId = "dc-b",
+            IsActive = true
+        };
+        await Rooms.UpsertAsync(Room);
+        await DispatchCenters.UpsertAsync(new DispatchCenter { Id = "dc-a", Name = "Alpha" });
+        await DispatchCenters.UpsertAsync(new DispatchCenter { Id = "dc-b", Name = "Beta" });
+        await Users.UpsertAsync(new ApplicationUser { UserName = "alice", DispatchCenterId = "dc-a", Enabled = true });
+        await Users.UpsertAsync(new ApplicationUser { UserName = "bob", DispatchCenterId = "dc-b", Enabled = true });
+        GroupProxy
+            .Setup(x => x.SendCoreAsync(It.IsAny<string>(), It.IsAny<object[]>(), It.IsAny<CancellationToken>()))
+            .Returns(Task.CompletedTask);
+    }
+
+    public IHubContext<ChatHub> BuildHubContext()
+    {
+        var clients = new Mock<IHubClients>();
+        clients.Setup(x => x.Group(It.IsAny<string>())).Returns(GroupProxy.Object);
+        var hubContext = new Mock<IHubContext<ChatHub>>();
+        hubContext.SetupGet(x => x.Clients).Returns(clients.Object);
+        return hubContext.Object;
+    }
+
+    public EscalationService BuildEscalations(IHubContext<ChatHub> hubContext)
+    {
+        return new EscalationService(
+            new InMemoryEscalationsRepository(),
+            Messages,
+            Rooms,
+            Users,
+            DispatchCenters,
+            hubContext,
+            Mock.Of<INotificationSender>(),
+            NullLogger<EscalationService>.Instance);
+    }
+
+    /// <summary>
+    /// Gives <paramref name="controller"/> a request signed in as <paramref name="identityName"/>.
+    /// </summary>
+    public static TController SignedInAs<TController>(TController controller, string identityName)
+        where TController : ControllerBase
+    {
+        controller.ControllerContext = new ControllerContext
+        {
+            HttpContext = new DefaultHttpContext
+            {
+                User = new ClaimsPrincipal(new ClaimsIdentity([new Claim(ClaimTypes.Name, identityName)], "TestAuth"))
+            }
+        };
+        return controller;
+    }
+}
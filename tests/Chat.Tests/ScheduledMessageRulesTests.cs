@@ -0,0 +1,59 @@
+using System;
+using Chat.Web.Models;
+using Chat.Web.Utilities;
+using Xunit;
+
+namespace Chat.Tests
+{
+    /// <summary>
+    /// Tests for validation of scheduled messages.
+    /// </summary>
+    public class ScheduledMessageRulesTests
+    {
+        private static readonly DateTime Now = new DateTime(2026, 10, 19, 12, 0, 0, DateTimeKind.Utc);
+
+        [Fact]
+        public void Validate_AcceptsTextDueWithinLeadTime()
+        {
+            var message = new ScheduledMessage { Content = "Reminder: road closure ends at 18:00", SendAt = Now.AddHours(6) };
+
+            Assert.Null(ScheduledMessageRules.Validate(message, Now));
+        }
+
+        [Theory]
+        [InlineData(0)]
+        [InlineData(-5)]
+        public void Validate_RejectsSendTimeNotInFuture(int minutes)
+        {
+            var message = new ScheduledMessage { Content = "Handover", SendAt = Now.AddMinutes(minutes) };
+
+            Assert.Equal("Send time must be in the future.", ScheduledMessageRules.Validate(message, Now));
+        }
+
+        [Fact]
+        public void Validate_RejectsSendTimeBeyondLeadTime()
+        {
+            var message = new ScheduledMessage { Content = "Handover", SendAt = Now.Add(ScheduledMessageRules.MaxLeadTime).AddMinutes(1) };
+
+            Assert.Equal("Messages can be scheduled at most 7 days ahead.", ScheduledMessageRules.Validate(message, Now));
+        }
+
+        [Theory]
+        [InlineData(null)]
+        [InlineData("  ")]
+        public void Validate_RejectsEmptyContent(string content)
+        {
+            var message = new ScheduledMessage { Content = content, SendAt = Now.AddHours(1) };
+
+            Assert.Equal("Message content is required.", ScheduledMessageRules.Validate(message, Now));
+        }
+
+        [Fact]
+        public void Validate_RejectsOverlongContent()
+        {
+            var message = new ScheduledMessage { Content = new string('a', ScheduledMessageRules.MaxContentLength + 1), SendAt = Now.AddHours(1) };
+
+            Assert.NotNull(ScheduledMessageRules.Validate(message, Now));
+        }
+    }
+}
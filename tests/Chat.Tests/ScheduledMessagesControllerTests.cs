@@ -0,0 +1,222 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Chat.Web.Controllers;
+using Chat.Web.Models;
+using Chat.Web.Options;
+using Chat.Web.Repositories;
+using Chat.Web.Services;
+using Chat.Web.ViewModels;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using Xunit;
+
+namespace Chat.Tests;
+
+public class ScheduledMessagesControllerTests
+{
+    private const string RoomName = PairRoomFixture.RoomName;
+
+    [Fact]
+    public async Task Create_StoresMessageForAuthorOnly()
+    {
+        var fixture = await Fixture.CreateAsync();
+
+        var result = await fixture.BuildController("alice").Create(new ScheduledMessagesController.SaveScheduledMessageDto
+        {
+            Room = RoomName,
+            Content = "Reminder: <b>road closure</b> ends at 18:00",
+            Priority = "Urgent",
+            SendAt = DateTimeOffset.UtcNow.AddHours(2)
+        });
+
+        var created = Assert.IsType<ScheduledMessageViewModel>(Assert.IsType<CreatedResult>(result).Value);
+        Assert.Equal("Reminder: road closure ends at 18:00", created.Content);
+        Assert.Equal("Urgent", created.Priority);
+        Assert.Equal("Scheduled", created.Status);
+
+        var own = Assert.IsAssignableFrom<IEnumerable<ScheduledMessageViewModel>>(Assert.IsType<OkObjectResult>((await fixture.BuildController("alice").Get(RoomName)).Result).Value);
+        Assert.Single(own);
+        var others = Assert.IsAssignableFrom<IEnumerable<ScheduledMessageViewModel>>(Assert.IsType<OkObjectResult>((await fixture.BuildController("bob").Get(RoomName)).Result).Value);
+        Assert.Empty(others);
+    }
+
+    [Fact]
+    public async Task Create_InThePast_IsRejected()
+    {
+        var fixture = await Fixture.CreateAsync();
+
+        var result = await fixture.BuildController("alice").Create(new ScheduledMessagesController.SaveScheduledMessageDto
+        {
+            Room = RoomName,
+            Content = "Too late",
+            SendAt = DateTimeOffset.UtcNow.AddMinutes(-1)
+        });
+
+        Assert.IsType<BadRequestObjectResult>(result);
+    }
+
+    [Fact]
+    public async Task Update_ByAnotherUser_IsNotFound_AndCancelledMessageCannotBeEdited()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var scheduled = await fixture.ScheduleAsync("alice", "Handover at 19:00", DateTime.UtcNow.AddHours(1));
+        var dto = new ScheduledMessagesController.SaveScheduledMessageDto { Room = RoomName, Content = "Changed", SendAt = DateTimeOffset.UtcNow.AddHours(3) };
+
+        Assert.IsType<NotFoundResult>(await fixture.BuildController("bob").Update(scheduled.Id, dto));
+
+        var updated = Assert.IsType<ScheduledMessageViewModel>(Assert.IsType<OkObjectResult>(await fixture.BuildController("alice").Update(scheduled.Id, dto)).Value);
+        Assert.Equal("Changed", updated.Content);
+
+        Assert.IsType<NoContentResult>(await fixture.BuildController("alice").Cancel(scheduled.Id, RoomName));
+        Assert.Equal(ScheduledMessageStatus.Cancelled, (await fixture.Scheduled.GetByIdAsync(scheduled.Id, RoomName)).Status);
+        Assert.IsType<ConflictObjectResult>(await fixture.BuildController("alice").Update(scheduled.Id, dto));
+    }
+
+    [Fact]
+    public async Task UpdateAndCancel_WhileSenderHoldsTheClaim_AreConflicts()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var scheduled = await fixture.ScheduleAsync("alice", "Handover at 19:00", DateTime.UtcNow.AddHours(1));
+        var claimed = await fixture.Scheduled.GetByIdAsync(scheduled.Id, RoomName);
+        claimed.Status = ScheduledMessageStatus.Sending;
+        Assert.True(await fixture.Scheduled.TryReplaceAsync(claimed));
+        var dto = new ScheduledMessagesController.SaveScheduledMessageDto { Room = RoomName, Content = "Changed", SendAt = DateTimeOffset.UtcNow.AddHours(3) };
+
+        Assert.IsType<ConflictObjectResult>(await fixture.BuildController("alice").Update(scheduled.Id, dto));
+        Assert.IsType<ConflictObjectResult>(await fixture.BuildController("alice").Cancel(scheduled.Id, RoomName));
+        var stored = await fixture.Scheduled.GetByIdAsync(scheduled.Id, RoomName);
+        Assert.Equal(ScheduledMessageStatus.Sending, stored.Status);
+        Assert.Equal("Handover at 19:00", stored.Content);
+    }
+
+    [Fact]
+    public async Task TryReplace_WithStaleCopy_IsRejected()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var scheduled = await fixture.ScheduleAsync("alice", "Handover", DateTime.UtcNow.AddHours(1));
+        var first = await fixture.Scheduled.GetByIdAsync(scheduled.Id, RoomName);
+        var second = await fixture.Scheduled.GetByIdAsync(scheduled.Id, RoomName);
+
+        first.Status = ScheduledMessageStatus.Sending;
+        Assert.True(await fixture.Scheduled.TryReplaceAsync(first));
+        second.Status = ScheduledMessageStatus.Cancelled;
+        Assert.False(await fixture.Scheduled.TryReplaceAsync(second));
+        Assert.Equal(ScheduledMessageStatus.Sending, (await fixture.Scheduled.GetByIdAsync(scheduled.Id, RoomName)).Status);
+    }
+
+    [Fact]
+    public async Task ProcessDue_OnTwoInstances_PostsOnlyOnce()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var scheduled = await fixture.ScheduleAsync("alice", "Road closure ended", DateTime.UtcNow.AddSeconds(-1));
+        var staleClaim = await fixture.Scheduled.GetByIdAsync(scheduled.Id, RoomName);
+
+        await fixture.BuildService().ProcessDueAsync();
+        await fixture.BuildService().ProcessDueAsync();
+        staleClaim.Status = ScheduledMessageStatus.Sending;
+
+        Assert.False(await fixture.Scheduled.TryReplaceAsync(staleClaim));
+        Assert.Single(await fixture.Messages.GetRecentByRoomAsync(RoomName));
+        Assert.Equal(ScheduledMessageStatus.Sent, (await fixture.Scheduled.GetByIdAsync(scheduled.Id, RoomName)).Status);
+    }
+
+    [Fact]
+    public async Task ProcessDue_PostsMessageToRoomAndMarksItSent()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var scheduled = await fixture.ScheduleAsync("alice", "Road closure ended", DateTime.UtcNow.AddSeconds(-1));
+        var later = await fixture.ScheduleAsync("alice", "Not yet", DateTime.UtcNow.AddHours(1));
+
+        await fixture.BuildService().ProcessDueAsync();
+
+        var sent = await fixture.Scheduled.GetByIdAsync(scheduled.Id, RoomName);
+        Assert.Equal(ScheduledMessageStatus.Sent, sent.Status);
+        var message = await fixture.Messages.GetByIdAsync(sent.SentMessageId.Value);
+        Assert.Equal("Road closure ended", message.Content);
+        Assert.Equal("alice", message.FromUser.UserName);
+        Assert.Equal(ScheduledMessageStatus.Scheduled, (await fixture.Scheduled.GetByIdAsync(later.Id, RoomName)).Status);
+        fixture.GroupProxy.Verify(x => x.SendCoreAsync("newMessage", It.IsAny<object[]>(), It.IsAny<CancellationToken>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task ProcessDue_WhenAuthorLostRoomAccess_MarksFailedWithoutPosting()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var scheduled = await fixture.ScheduleAsync("alice", "Handover", DateTime.UtcNow.AddSeconds(-1));
+        (await fixture.Users.GetByUserNameAsync("alice")).Enabled = false;
+
+        await fixture.BuildService().ProcessDueAsync();
+
+        var failed = await fixture.Scheduled.GetByIdAsync(scheduled.Id, RoomName);
+        Assert.Equal(ScheduledMessageStatus.Failed, failed.Status);
+        Assert.NotNull(failed.FailureReason);
+        Assert.Empty(await fixture.Messages.GetRecentByRoomAsync(RoomName));
+    }
+
+    [Fact]
+    public async Task ProcessDue_ClaimOlderThanTheLease_IsMarkedFailedWithoutPosting()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var abandoned = await fixture.ScheduleAsync("alice", "Handover", DateTime.UtcNow.AddMinutes(-10));
+        abandoned.Status = ScheduledMessageStatus.Sending;
+        abandoned.UpdatedAt = DateTime.UtcNow - ScheduledMessageService.SendingClaimLease - TimeSpan.FromMinutes(1);
+        Assert.True(await fixture.Scheduled.TryReplaceAsync(abandoned));
+        var inFlight = await fixture.ScheduleAsync("alice", "Shift change", DateTime.UtcNow.AddSeconds(-5));
+        inFlight.Status = ScheduledMessageStatus.Sending;
+        inFlight.UpdatedAt = DateTime.UtcNow;
+        Assert.True(await fixture.Scheduled.TryReplaceAsync(inFlight));
+
+        await fixture.BuildService().ProcessDueAsync();
+
+        var failed = await fixture.Scheduled.GetByIdAsync(abandoned.Id, RoomName);
+        Assert.Equal(ScheduledMessageStatus.Failed, failed.Status);
+        Assert.NotNull(failed.FailureReason);
+        Assert.Equal(ScheduledMessageStatus.Sending, (await fixture.Scheduled.GetByIdAsync(inFlight.Id, RoomName)).Status);
+        Assert.Empty(await fixture.Messages.GetRecentByRoomAsync(RoomName));
+    }
+
+    private sealed class Fixture : PairRoomFixture
+    {
+        public InMemoryScheduledMessagesRepository Scheduled { get; } = new();
+
+        public static async Task<Fixture> CreateAsync()
+        {
+            var fixture = new Fixture();
+            await fixture.SeedAsync();
+            return fixture;
+        }
+
+        public Task<ScheduledMessage> ScheduleAsync(string userName, string content, DateTime sendAt)
+            => Scheduled.CreateAsync(new ScheduledMessage
+            {
+                RoomName = RoomName,
+                FromUserName = userName,
+                Content = content,
+                SendAt = sendAt,
+                CreatedAt = DateTime.UtcNow
+            });
+
+        public ScheduledMessagesController BuildController(string identityName)
+            => SignedInAs(new ScheduledMessagesController(Scheduled, Rooms, Users, NullLogger<ScheduledMessagesController>.Instance), identityName);
+
+        public ScheduledMessageService BuildService()
+        {
+            var hubContext = BuildHubContext();
+            return new ScheduledMessageService(
+                Scheduled,
+                Messages,
+                Rooms,
+                Users,
+                BuildEscalations(hubContext),
+                Mock.Of<ITranslationJobQueue>(),
+                Microsoft.Extensions.Options.Options.Create(new TranslationOptions { Enabled = false }),
+                hubContext,
+                Mock.Of<IInProcessMetrics>(),
+                NullLogger<ScheduledMessageService>.Instance);
+        }
+    }
+}
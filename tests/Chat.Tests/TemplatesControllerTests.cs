@@ -0,0 +1,94 @@
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading.Tasks;
+using Chat.Web.Controllers;
+using Chat.Web.Models;
+using Chat.Web.Repositories;
+using Chat.Web.ViewModels;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Logging.Abstractions;
+using Xunit;
+
+namespace Chat.Tests;
+
+public class TemplatesControllerTests
+{
+    [Fact]
+    public async Task Get_ReturnsFavoritesBeforeOwnDispatchCenterTemplates()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var user = await fixture.Users.GetByUserNameAsync("alice");
+        user.FavoriteTemplates = new List<MessageTemplate> { new() { Id = "fav", Title = "Mine", Content = "On my way" } };
+
+        var result = await fixture.BuildController("alice").Get();
+
+        var templates = Assert.IsAssignableFrom<IEnumerable<MessageTemplateViewModel>>(Assert.IsType<OkObjectResult>(result.Result).Value).ToList();
+        Assert.Equal(new[] { "fav", "dc-a-1" }, templates.Select(t => t.Id));
+        Assert.True(templates[0].IsPersonal);
+        Assert.False(templates[1].IsPersonal);
+        Assert.Equal("Jednostka wysłana na {address}", templates[1].Translations["pl"]);
+    }
+
+    [Fact]
+    public async Task AddFavorite_StoresTemplateForCaller_AndRemoveFavoriteDeletesIt()
+    {
+        var fixture = await Fixture.CreateAsync();
+        var controller = fixture.BuildController("alice");
+
+        var added = await controller.AddFavorite(new TemplatesController.SaveFavoriteDto { Title = " Arrival ", Content = "ETA {minutes} min" });
+
+        var template = Assert.IsType<MessageTemplateViewModel>(Assert.IsType<OkObjectResult>(added).Value);
+        Assert.Equal("Arrival", template.Title);
+        Assert.Single((await fixture.Users.GetByUserNameAsync("alice")).FavoriteTemplates);
+        Assert.Empty((await fixture.Users.GetByUserNameAsync("bob")).FavoriteTemplates);
+
+        Assert.IsType<NoContentResult>(await controller.RemoveFavorite(template.Id));
+        Assert.Empty((await fixture.Users.GetByUserNameAsync("alice")).FavoriteTemplates);
+        Assert.IsType<NotFoundResult>(await controller.RemoveFavorite(template.Id));
+    }
+
+    [Fact]
+    public async Task AddFavorite_WithoutText_IsRejected()
+    {
+        var fixture = await Fixture.CreateAsync();
+
+        var result = await fixture.BuildController("alice").AddFavorite(new TemplatesController.SaveFavoriteDto { Title = "Empty", Content = " " });
+
+        Assert.IsType<BadRequestObjectResult>(result);
+        Assert.Empty((await fixture.Users.GetByUserNameAsync("alice")).FavoriteTemplates);
+    }
+
+    private sealed class Fixture : PairRoomFixture
+    {
+        public static async Task<Fixture> CreateAsync()
+        {
+            var fixture = new Fixture();
+            await fixture.SeedAsync();
+            await fixture.DispatchCenters.UpsertAsync(new DispatchCenter
+            {
+                Id = "dc-a",
+                Name = "Alpha",
+                Templates = new List<MessageTemplate>
+                {
+                    new()
+                    {
+                        Id = "dc-a-1",
+                        Title = "Dispatched",
+                        Content = "Unit dispatched to {address}",
+                        Translations = new Dictionary<string, string> { ["pl"] = "Jednostka wysłana na {address}" }
+                    }
+                }
+            });
+            await fixture.DispatchCenters.UpsertAsync(new DispatchCenter
+            {
+                Id = "dc-b",
+                Name = "Beta",
+                Templates = new List<MessageTemplate> { new() { Id = "dc-b-1", Title = "Other", Content = "Not for Alpha" } }
+            });
+            return fixture;
+        }
+
+        public TemplatesController BuildController(string identityName)
+            => SignedInAs(new TemplatesController(Users, DispatchCenters, NullLogger<TemplatesController>.Instance), identityName);
+    }
+}
@@ -0,0 +1,56 @@
+using System.Collections.Generic;
+using System.Threading;
+using System.Threading.Tasks;
+using Chat.Web.Models;
+using Chat.Web.Options;
+using Chat.Web.Repositories;
+using Chat.Web.Services;
+using Moq;
+using Xunit;
+
+namespace Chat.Tests
+{
+    public class TranslationJobFactoryTests
+    {
+        private static readonly Room Room = new Room { Name = "pair:dc-a::dc-b", Languages = new List<string> { "en", "pl", "de" } };
+
+        [Fact]
+        public async Task EnqueueAsync_MarksMessagePendingAndQueuesJobForOtherRoomLanguages()
+        {
+            var messages = new InMemoryMessagesRepository();
+            var message = await messages.CreateAsync(new Message { Content = "Road 7 closed", ToRoom = Room, Translations = new Dictionary<string, string> { ["de"] = "alt" } });
+            var queue = new Mock<ITranslationJobQueue>();
+
+            var updated = await TranslationJobFactory.EnqueueAsync(queue.Object, messages, new TranslationOptions { DeploymentName = "gpt" }, message, Room, "en");
+
+            Assert.Equal(TranslationStatus.Pending, updated.TranslationStatus);
+            Assert.Empty(updated.Translations);
+            queue.Verify(x => x.EnqueueAsync(
+                It.Is<MessageTranslationJob>(j => j.JobId == updated.TranslationJobId && j.Priority == 0 && j.DeploymentName == "gpt"
+                    && j.RoomName == Room.Name && j.Content == "Road 7 closed" && !j.TargetLanguages.Contains("en")),
+                It.IsAny<CancellationToken>()), Times.Once);
+        }
+
+        [Fact]
+        public async Task RequeueAsync_KeepsExistingTranslationsAndQueuesAtHighPriority()
+        {
+            var messages = new InMemoryMessagesRepository();
+            var message = await messages.CreateAsync(new Message { Content = "Road 7 closed", ToRoom = Room, Translations = new Dictionary<string, string> { ["de"] = "Straße 7 gesperrt" } });
+            var queue = new Mock<ITranslationJobQueue>();
+            string jobIdWhenQueued = null;
+            queue.Setup(x => x.RequeueAsync(It.IsAny<MessageTranslationJob>(), true, It.IsAny<CancellationToken>()))
+                .Callback(() => jobIdWhenQueued = message.TranslationJobId) // the in-memory repository updates the stored instance
+                .Returns(Task.CompletedTask);
+
+            var job = await TranslationJobFactory.RequeueAsync(queue.Object, messages, new TranslationOptions(), message, Room, "en");
+
+            Assert.Equal(TranslationJobFactory.ManualRetryPriority, job.Priority);
+            var stored = await messages.GetByIdAsync(message.Id);
+            Assert.Equal(TranslationStatus.Pending, stored.TranslationStatus);
+            Assert.Equal("Straße 7 gesperrt", stored.Translations["de"]);
+            queue.Verify(x => x.RequeueAsync(job, true, It.IsAny<CancellationToken>()), Times.Once);
+            // Recorded before queuing, so a worker that picks the job up at once does not treat it as superseded
+            Assert.Equal(job.JobId, jobIdWhenQueued);
+        }
+    }
+}